@@ -298,34 +298,20 @@ var jsCardDAV_Plugin = module.exports = jsDAV_Plugin.extend({
         var properties = Object.keys(Xml.parseProperties(dom));
 
         var hrefElems = dom.getElementsByTagNameNS("urn:DAV", "href");
-        var propertyList = {};
+        var prefer = this.handler.getHTTPPrefer();
         var self = this;
 
-        Async.list(hrefElems)
-            .each(function(elem, next) {
-                var uri = self.handler.calculateUri(elem.firstChild.nodeValue);
-                //propertyList[uri]
-                self.handler.getPropertiesForPath(uri, properties, 0, function(err, props) {
-                    if (err)
-                        return next(err);
-                    
-                    Util.extend(propertyList, props);
-                    next();
-                });
-            })
-            .end(function(err) {
-                if (err)
-                    return e.next(err);
-                
-                var prefer = self.handler.getHTTPPrefer();
-        
-                e.stop();
-                self.handler.httpResponse.writeHead(207, {
-                    "content-type": "application/xml; charset=utf-8",
-                    "vary": "Brief,Prefer"
-                });
-                self.handler.httpResponse.end(self.handler.generateMultiStatus(propertyList, prefer["return-minimal"]));
-            });
+        e.stop();
+        this.handler.streamMultiStatus(prefer["return-minimal"], null, function(write, cbdone) {
+            Async.list(hrefElems)
+                .each(function(elem, next) {
+                    var uri = self.handler.calculateUri(elem.firstChild.nodeValue);
+                    self.handler.streamPropertiesForPath(uri, properties, 0, function(rpath, props, cbnext) {
+                        write(props, cbnext);
+                    }, next);
+                })
+                .end(cbdone);
+        });
     },
 
     /**
@@ -440,7 +426,7 @@ var jsCardDAV_Plugin = module.exports = jsDAV_Plugin.extend({
             })
         }
         else {
-            this.handler.server.tree.getChildren(this.handler.getRequestUri(), function(err, children) {
+            this.handler.tree.getChildren(this.handler.getRequestUri(), function(err, children) {
                 if (err)
                     return e.next(err);
                 afterCandidates(children);
@@ -477,34 +463,21 @@ var jsCardDAV_Plugin = module.exports = jsDAV_Plugin.extend({
                     if (err)
                         return e.next(err);
                         
-                    var result = {};
-                    Async.list(validNodes)
-                        .each(function(validNode, next) {
-                            var href = self.handler.getRequestUri();
-                            if (depth !== 0)
-                                href = href + "/" + validNode.getName();
-                
-                            self.handler.getPropertiesForPath(href, query.requestedProperties, 0, function(err, props) {
-                                if (err)
-                                    return next(err);
-                                    
-                                Util.extend(result, props);
-                                next();
-                            });
-                        })
-                        .end(function(err) {
-                            if (err)
-                                return e.next(err);
-                            
-                            e.stop();
-                            var prefer = self.handler.getHTTPPRefer();
-            
-                            self.handler.httpResponse.writeHead(207, {
-                                "content-type": "application/xml; charset=utf-8",
-                                "vary": "Brief,Prefer"
-                            });
-                            self.handler.httpResponse.end(self.handler.generateMultiStatus(result, prefer["return-minimal"]));
-                        });
+                    e.stop();
+                    var prefer = self.handler.getHTTPPrefer();
+                    self.handler.streamMultiStatus(prefer["return-minimal"], null, function(write, cbdone) {
+                        Async.list(validNodes)
+                            .each(function(validNode, next) {
+                                var href = self.handler.getRequestUri();
+                                if (depth !== 0)
+                                    href = href + "/" + validNode.getName();
+
+                                self.handler.streamPropertiesForPath(href, query.requestedProperties, 0, function(rpath, props, cbnext) {
+                                    write(props, cbnext);
+                                }, next);
+                            })
+                            .end(cbdone);
+                    });
                 });
         }
     },
@@ -0,0 +1,68 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Collection = require("./../../collection");
+
+var Async = require("asyncjs");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * A collection of a composite tree that is not part of any mount, like the
+ * root of the tree. It contains the mount points and the collections that lead
+ * to them, and can not be modified.
+ *
+ * @param {jsDAV_Tree_Composite} tree
+ * @param {String} path
+ */
+var jsDAV_Composite_Directory = module.exports = jsDAV_Collection.extend({
+    initialize: function(tree, path) {
+        this.tree = tree;
+        this.path = path;
+    },
+
+    getName: function() {
+        return Util.splitPath(this.path)[1];
+    },
+
+    getChild: function(name, cbgetchild) {
+        if (this.tree.getChildNames(this.path).indexOf(name) === -1)
+            return cbgetchild(new Exc.FileNotFound("File at location " + this.getChildPath(name) + " not found"));
+        this.tree.getNodeForPath(this.getChildPath(name), cbgetchild);
+    },
+
+    getChildren: function(cbgetchildren) {
+        var self = this;
+        var nodes = [];
+        Async.list(this.tree.getChildNames(this.path))
+            .each(function(name, next) {
+                self.tree.getNodeForPath(self.getChildPath(name), function(err, node) {
+                    // a mount that can't be reached is left out
+                    if (!err)
+                        nodes.push(node);
+                    next();
+                });
+            })
+            .end(function(err) {
+                cbgetchildren(err, nodes);
+            });
+    },
+
+    getChildPath: function(name) {
+        return this.path ? this.path + "/" + name : name;
+    },
+
+    createFile: function(name, data, enc, cbcreatefile) {
+        cbcreatefile(new Exc.Forbidden("Files can only be created inside of a mount"));
+    },
+
+    createDirectory: function(name, cbcreatedir) {
+        cbcreatedir(new Exc.Forbidden("Collections can only be created inside of a mount"));
+    }
+});
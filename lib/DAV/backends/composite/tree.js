@@ -0,0 +1,333 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Tree = require("./../../tree");
+var jsDAV_ObjectTree = require("./../../objectTree");
+var jsDAV_Tree_Filesystem = require("./../fs/tree");
+var jsDAV_Composite_Directory = require("./directory");
+var jsDAV_iNode = require("./../../interfaces/iNode");
+
+var Util = require("./../../../shared/util");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * jsDAV_Tree_Composite
+ *
+ * Combines several trees into one namespace. Every tree is mounted at a path
+ * of this tree and handles all requests below that path; the collections that
+ * lead to the mount points can't be modified. The 'mounts' option lists the
+ * trees by their mount path, either as a tree or as the options of a tree, the
+ * way the server accepts them:
+ *
+ *   jsDAV.createServer({
+ *       type: "composite",
+ *       mounts: {
+ *           "local": {node: "/var/www/files"},
+ *           "legacy": {type: "sftp", sftp: {host: "legacy.example.com", ...}},
+ *           "contacts": carddavTree
+ *       }
+ *   }, 8000);
+ *
+ * Copies and moves within a mount are left to its tree. Across mounts, the
+ * nodes are copied (see jsDAV_Tree#copyNode) and, for a move, deleted
+ * afterwards. Every tree that has a base path is sandboxed to it, unless the
+ * 'sandboxed' option is set to false.
+ *
+ * @param {Object} options
+ * @contructor
+ */
+var jsDAV_Tree_Composite = module.exports = jsDAV_Tree.extend({
+    /**
+     * Base path for this tree. The mounts have base paths of their own.
+     *
+     * @var {String}
+     */
+    basePath: "",
+
+    initialize: function(options) {
+        options = options || {};
+        this.sandboxed = options.sandboxed !== false;
+        this.mounts = {};
+        this.mountPaths = [];
+
+        var mounts = options.mounts || {};
+        for (var path in mounts)
+            this.mount(path, mounts[path]);
+    },
+
+    /**
+     * Mounts a tree at a path.
+     *
+     * @param {String} path
+     * @param {jsDAV_Tree|Object} tree A tree or the options of a tree
+     * @return void
+     */
+    mount: function(path, tree) {
+        path = Util.trim(path, "/");
+        if (!path)
+            throw new Error("A tree can not be mounted at the root of a composite tree");
+        if (!tree || typeof tree.hasFeature != "function" || !tree.hasFeature(jsDAV_Tree))
+            tree = this.createTree(tree || {});
+        if (this.sandboxed && tree.basePath)
+            tree.setSandbox(tree.basePath);
+
+        this.mounts[path] = tree;
+        // the most specific mount wins
+        this.mountPaths = Object.keys(this.mounts).sort(function(a, b) {
+            return b.length - a.length;
+        });
+    },
+
+    /**
+     * Creates a tree from the options of a tree, like the server does.
+     *
+     * @param {Object} options
+     * @return {jsDAV_Tree}
+     */
+    createTree: function(options) {
+        if (typeof options.type == "string")
+            return require("./../" + options.type + "/tree").new(options);
+        if (typeof options.node == "string")
+            return jsDAV_Tree_Filesystem.new(options.node, options);
+        if (options.node && options.node.hasFeature(jsDAV_iNode))
+            return jsDAV_ObjectTree.new(options.node, options);
+        throw new Error("Invalid mount passed to the composite tree. A mount must either be an instance of "
+            + "jsDAV_Tree or the options of a tree");
+    },
+
+    /**
+     * Returns a copy of this tree with the mounted trees that handle the
+     * request.
+     *
+     * @param {jsDAV_Handler} handler
+     * @return {jsDAV_Tree_Composite}
+     */
+    forRequest: function(handler) {
+        var tree = Object.create(this);
+        tree.mounts = {};
+        for (var path in this.mounts)
+            tree.mounts[path] = this.mounts[path].forRequest(handler);
+        return tree;
+    },
+
+    /**
+     * Returns the mount that handles a path, with the path relative to the
+     * mounted tree, or null if the path isn't part of a mount.
+     *
+     * @param {String} path
+     * @return {Object} {path: String, tree: jsDAV_Tree, subPath: String}
+     */
+    getMount: function(path) {
+        path = Util.trim(path, "/");
+        for (var mountPath, i = 0, l = this.mountPaths.length; i < l; ++i) {
+            mountPath = this.mountPaths[i];
+            if (path == mountPath || path.indexOf(mountPath + "/") === 0) {
+                return {
+                    path: mountPath,
+                    tree: this.mounts[mountPath],
+                    subPath: path.substr(mountPath.length + 1)
+                };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Returns the names of the mount points and collections directly below a
+     * path that isn't part of a mount.
+     *
+     * @param {String} path
+     * @return {Array}
+     */
+    getChildNames: function(path) {
+        path = Util.trim(path, "/");
+        var names = [];
+        this.mountPaths.forEach(function(mountPath) {
+            if (path && mountPath.indexOf(path + "/") !== 0)
+                return;
+            var name = mountPath.substr(path ? path.length + 1 : 0).split("/")[0];
+            if (names.indexOf(name) === -1)
+                names.push(name);
+        });
+        return names.sort();
+    },
+
+    /**
+     * Sandboxes every mount to its own base path.
+     *
+     * @return void
+     */
+    setSandbox: function() {
+        this.sandboxed = true;
+        for (var path in this.mounts) {
+            if (this.mounts[path].basePath)
+                this.mounts[path].setSandbox(this.mounts[path].basePath);
+        }
+    },
+
+    /**
+     * Returns a new node for the given path
+     *
+     * @param {String} path
+     * @return void
+     */
+    getNodeForPath: function(path, cbcompositetree) {
+        path = Util.trim(path, "/");
+        var mount = this.getMount(path);
+        if (!mount) {
+            if (path && !this.getChildNames(path).length)
+                return cbcompositetree(new Exc.FileNotFound("File at location " + path + " not found"));
+            return cbcompositetree(null, jsDAV_Composite_Directory.new(this, path));
+        }
+        if (mount.subPath)
+            return mount.tree.getNodeForPath(mount.subPath, cbcompositetree);
+
+        mount.tree.getNodeForPath("", function(err, node) {
+            if (err)
+                return cbcompositetree(err);
+            cbcompositetree(null, getMountNode(node, mount.path));
+        });
+    },
+
+    /**
+     * Copies a file or directory.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    copy: function(source, destination, cbcompositecopy) {
+        var self = this;
+        this.getMounts(source, destination, "copy", function(err, from, to) {
+            if (err)
+                return cbcompositecopy(err);
+            if (from.tree === to.tree)
+                return from.tree.copy(from.subPath, to.subPath, cbcompositecopy);
+
+            self.copyAcross(from, to, function(err) {
+                cbcompositecopy(err);
+            });
+        });
+    },
+
+    /**
+     * Moves a file or directory.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    move: function(source, destination, cbcompositemove) {
+        var self = this;
+        this.getMounts(source, destination, "move", function(err, from, to) {
+            if (err)
+                return cbcompositemove(err);
+            if (from.tree === to.tree)
+                return from.tree.move(from.subPath, to.subPath, cbcompositemove);
+
+            self.copyAcross(from, to, function(err, sourceNode) {
+                if (err)
+                    return cbcompositemove(err);
+                sourceNode["delete"](function(err) {
+                    cbcompositemove(err);
+                });
+            });
+        });
+    },
+
+    /**
+     * Deletes a node from the tree
+     *
+     * @param {String} path
+     * @return void
+     */
+    "delete": function(path, cbcompositedelete) {
+        var mount = this.getMount(path);
+        if (!mount || !mount.subPath)
+            return cbcompositedelete(new Exc.Forbidden("You are not allowed to delete " + Util.trim(path, "/")));
+        mount.tree["delete"](mount.subPath, cbcompositedelete);
+    },
+
+    /**
+     * Returns the mounts of the source and destination of a copy or move. Mount
+     * points themselves can't be copied, moved or overwritten.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @param {String} action
+     * @return void
+     */
+    getMounts: function(source, destination, action, callback) {
+        var from = this.getMount(source);
+        var to = this.getMount(destination);
+        if (!from || !from.subPath)
+            return callback(new Exc.Forbidden("You are not allowed to " + action + " " + Util.trim(source, "/")));
+        if (!to || !to.subPath)
+            return callback(new Exc.Forbidden("You are not allowed to " + action + " to " + Util.trim(destination, "/")));
+        callback(null, from, to);
+    },
+
+    /**
+     * Copies a node from one mount to another.
+     *
+     * @param {Object} from
+     * @param {Object} to
+     * @return void
+     */
+    copyAcross: function(from, to, callback) {
+        var self = this;
+        var parts = Util.splitPath(to.subPath);
+        from.tree.getNodeForPath(from.subPath, function(err, sourceNode) {
+            if (err)
+                return callback(err);
+            // the mounted tree checks the destination against its sandbox
+            to.tree.getNodeForPath(parts[0], function(err, destinationParent) {
+                if (err)
+                    return callback(err);
+                self.copyNode(sourceNode, destinationParent, parts[1], function(err) {
+                    callback(err, sourceNode);
+                });
+            });
+        });
+    },
+
+    /**
+     * Disconnects the trees that keep a connection open.
+     *
+     * @return void
+     */
+    unmount: function() {
+        for (var path in this.mounts) {
+            if (this.mounts[path].unmount)
+                this.mounts[path].unmount();
+        }
+    }
+});
+
+/**
+ * Returns the root node of a mounted tree as the mount point, which has the
+ * name of the mount and can't be renamed or deleted.
+ *
+ * @param {jsDAV_iNode} node
+ * @param {String} path
+ * @return {jsDAV_iNode}
+ */
+function getMountNode(node, path) {
+    var mountNode = Object.create(node);
+    mountNode.getName = function() {
+        return Util.splitPath(path)[1];
+    };
+    mountNode.setName = function(name, callback) {
+        callback(new Exc.Forbidden("Mount points can not be renamed"));
+    };
+    mountNode["delete"] = function(callback) {
+        callback(new Exc.Forbidden("Mount points can not be deleted"));
+    };
+    return mountNode;
+}
@@ -0,0 +1,714 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_FS_Properties = require("./properties");
+
+var Fs = require("fs");
+var Path = require("path");
+var Async = require("asyncjs");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * Bindings (RFC5842) of files and directories on the filesystem.
+ *
+ * A file is bound more than once with hard links. Directories can't be hard
+ * linked, so the first time a directory is bound it is moved to the store, a
+ * hidden directory in the root of the tree, and every binding to it becomes a
+ * symbolic link to its entry in the store. This way the bindings of a directory
+ * are all equal: any of them can be moved or removed without breaking the
+ * others.
+ *
+ * The paths of the bindings of each resource are kept in an index in the
+ * store, so that they can be looked up without searching the tree. Paths in
+ * the index are checked before they are used; when the index is lost it is
+ * rebuilt from the bindings that can be reached from the root of the tree.
+ *
+ * Entries of the store that can't be reached through any binding anymore are
+ * removed when a binding is removed. Dead properties of files are kept per
+ * binding, because they are stored by name; a new binding starts with a copy of
+ * the properties of the source.
+ */
+
+/**
+ * Name of the store
+ *
+ * @var String
+ */
+exports.STORE = ".jsdav_bindings";
+
+/**
+ * Time in milliseconds an entry of the store is kept after it last changed,
+ * even if it isn't bound, so that bindings that are being created at the same
+ * time are never removed.
+ *
+ * @var Number
+ */
+exports.GRACE_PERIOD = 60000;
+
+/**
+ * Name of the index in the store
+ *
+ * @var String
+ */
+var INDEX = "index.json";
+
+// queues of the updates of the index, per root
+var queues = {};
+
+function getStorePath(root) {
+    return Path.resolve(root, exports.STORE);
+}
+
+/**
+ * Returns the key of a file in the index. All hard links to a file share it.
+ *
+ * @param {fs.Stats} stat
+ * @return {String}
+ */
+function getFileKey(stat) {
+    return "ino:" + stat.dev + ":" + stat.ino;
+}
+
+/**
+ * Returns the path of a binding relative to the (real) root of a tree, as it is
+ * stored in the index. Symbolic links of the parents are resolved, so bindings
+ * inside a bound directory get a path inside its entry of the store.
+ *
+ * @param {String} root
+ * @param {String} path
+ * @return {String}
+ */
+function getIndexPath(root, path, callback) {
+    Fs.realpath(Path.dirname(path), function(err, dir) {
+        if (err)
+            return callback(err);
+        callback(null, Path.relative(root, dir + "/" + Path.basename(path)));
+    });
+}
+
+/**
+ * Returns the entry of the store a symbolic link refers to, or null if the
+ * link refers to something else.
+ *
+ * @param {String} path
+ * @return {String}
+ */
+function readStoreLink(path, callback) {
+    Fs.readlink(path, function(err, target) {
+        if (err)
+            return callback(err);
+        target = Path.resolve(Path.dirname(path), target);
+        callback(null, Path.basename(Path.dirname(target)) == exports.STORE ? target : null);
+    });
+}
+
+/**
+ * Walks through all bindings that can be reached from the root of a tree,
+ * following the links to entries of the store once. 'onBinding' is called
+ * with the real path of each binding, the result of lstat() and, for links,
+ * the entry of the store it refers to.
+ *
+ * @param {String} root
+ * @param {Function} onBinding
+ * @return void
+ */
+function walk(root, onBinding, callback) {
+    var store = getStorePath(root);
+    var visited = {};
+
+    (function walkDirectory(dir, cbwalk) {
+        Fs.readdir(dir, function(err, names) {
+            if (err)
+                return cbwalk(err.code == "ENOENT" ? null : err);
+            Async.list(names)
+                .each(function(name, next) {
+                    var path = dir + "/" + name;
+                    if (name == jsDAV_FS_Properties.SIDECAR || path == store)
+                        return next();
+                    Fs.lstat(path, function(err, stat) {
+                        if (err)
+                            return next(err.code == "ENOENT" ? null : err);
+                        if (stat.isDirectory()) {
+                            onBinding(path, stat, null);
+                            return walkDirectory(path, next);
+                        }
+                        if (!stat.isSymbolicLink()) {
+                            onBinding(path, stat, null);
+                            return next();
+                        }
+                        readStoreLink(path, function(err, entry) {
+                            if (err || !entry)
+                                return next(err);
+                            entry = store + "/" + Path.basename(entry);
+                            onBinding(path, stat, entry);
+                            if (visited[entry])
+                                return next();
+                            visited[entry] = true;
+                            walkDirectory(entry, next);
+                        });
+                    });
+                })
+                .end(cbwalk);
+        });
+    })(root, callback);
+}
+
+/**
+ * Builds the index of a tree by walking through all bindings that can be
+ * reached from its root.
+ *
+ * @param {String} root
+ * @return {Object}
+ */
+function buildIndex(root, callback) {
+    var index = {};
+    walk(root, function(path, stat, entry) {
+        var key = entry
+            ? Path.basename(entry)
+            : stat.isFile() && stat.nlink > 1 ? getFileKey(stat) : null;
+        if (key)
+            addPaths(index, key, [Path.relative(root, path)]);
+    }, function(err) {
+        callback(err, index);
+    });
+}
+
+/**
+ * Reads the index of a tree. The index is empty when nothing was bound yet and
+ * it is rebuilt when the store exists without an (intact) index.
+ *
+ * @param {String} root
+ * @return {Object}
+ */
+function readIndex(root, callback) {
+    var store = getStorePath(root);
+    Fs.readFile(store + "/" + INDEX, "utf8", function(err, data) {
+        if (!err) {
+            try {
+                return callback(null, JSON.parse(data), false);
+            }
+            catch (ex) {}
+        }
+        else if (err.code != "ENOENT") {
+            return callback(err);
+        }
+        Fs.stat(store, function(err) {
+            if (err)
+                return callback(err.code == "ENOENT" ? null : err, {}, false);
+            buildIndex(root, function(err, index) {
+                callback(err, index, true);
+            });
+        });
+    });
+}
+
+function writeIndex(root, index, callback) {
+    var store = getStorePath(root);
+    Fs.mkdir(store, "0755", function(err) {
+        if (err && err.code != "EEXIST")
+            return callback(err);
+        Fs.writeFile(store + "/" + INDEX, JSON.stringify(index), "utf8", callback);
+    });
+}
+
+/**
+ * Passes the index of a tree to 'mutate', which calls back with an error,
+ * whether the index changed and a result for 'callback'. Changes are written
+ * back to the store. Jobs of the same tree are executed one after the other.
+ *
+ * @param {String} root
+ * @param {Function} mutate
+ * @return void
+ */
+function updateIndex(root, mutate, callback) {
+    var queue = queues[root];
+    if (queue)
+        return queue.push([mutate, callback]);
+    queue = queues[root] = [[mutate, callback]];
+
+    (function next() {
+        var job = queue.shift();
+        if (!job) {
+            delete queues[root];
+            return;
+        }
+        readIndex(root, function(err, index, rebuilt) {
+            if (err) {
+                job[1](err);
+                return next();
+            }
+            job[0](index, function(err, changed, result) {
+                if (err || !(changed || rebuilt)) {
+                    job[1](err, result);
+                    return next();
+                }
+                writeIndex(root, index, function(err) {
+                    job[1](err, result);
+                    next();
+                });
+            });
+        });
+    })();
+}
+
+function addPaths(index, key, paths) {
+    var list = index[key] || (index[key] = []);
+    paths.forEach(function(path) {
+        if (list.indexOf(path) === -1)
+            list.push(path);
+    });
+}
+
+/**
+ * Applies 'map' to all paths in the index. Paths for which it returns null are
+ * removed.
+ *
+ * @param {Object} index
+ * @param {Function} map
+ * @return {Boolean} Whether the index changed
+ */
+function mapPaths(index, map) {
+    var changed = false;
+    Object.keys(index).forEach(function(key) {
+        var paths = [];
+        index[key].forEach(function(path) {
+            var newPath = map(path);
+            if (newPath !== path)
+                changed = true;
+            if (newPath !== null && paths.indexOf(newPath) === -1)
+                paths.push(newPath);
+        });
+        if (paths.length)
+            index[key] = paths;
+        else
+            delete index[key];
+    });
+    return changed;
+}
+
+function isInside(path, parent) {
+    return path == parent || path.indexOf(parent + "/") === 0;
+}
+
+/**
+ * Checks whether the path of a binding in the index still refers to the
+ * resource with 'key'.
+ *
+ * @param {String} root
+ * @param {String} key
+ * @param {String} indexPath
+ * @return {Boolean}
+ */
+function checkIndexPath(root, key, indexPath, callback) {
+    var path = root + "/" + indexPath;
+    Fs.lstat(path, function(err, stat) {
+        if (err)
+            return callback(false);
+        if (key.indexOf("ino:") === 0)
+            return callback(stat.isFile() && getFileKey(stat) == key);
+        if (!stat.isSymbolicLink())
+            return callback(false);
+        readStoreLink(path, function(err, entry) {
+            callback(!err && !!entry && Path.basename(entry) == key);
+        });
+    });
+}
+
+/**
+ * Returns the paths relative to the root through which the resource with 'key'
+ * can be reached. Bindings inside entries of the store are expanded with the
+ * paths of the bindings of the entry; 'cache' holds the paths of the resources
+ * that were looked up already, so that loops of bindings end.
+ *
+ * @param {String} root
+ * @param {Object} index
+ * @param {String} key
+ * @param {Object} cache
+ * @return {Array}
+ */
+function getPublicPaths(root, index, key, cache, callback) {
+    if (cache[key])
+        return callback(null, cache[key]);
+    // a binding inside the resource itself can't be used to reach it
+    cache[key] = [];
+
+    var paths = [];
+    Async.list(index[key] || [])
+        .each(function(indexPath, next) {
+            checkIndexPath(root, key, indexPath, function(valid) {
+                if (!valid)
+                    return next();
+                var parts = indexPath.split("/");
+                if (parts[0] != exports.STORE) {
+                    paths.push(indexPath);
+                    return next();
+                }
+                var rest = parts.slice(2).join("/");
+                getPublicPaths(root, index, parts[1], cache, function(err, parentPaths) {
+                    if (err)
+                        return next(err);
+                    parentPaths.forEach(function(parentPath) {
+                        paths.push(parentPath + "/" + rest);
+                    });
+                    next();
+                });
+            });
+        })
+        .end(function(err) {
+            cache[key] = paths;
+            callback(err, paths);
+        });
+}
+
+/**
+ * Removes a file or directory. Links to the store are removed without
+ * touching the directory they refer to.
+ *
+ * @param {String} path
+ * @return void
+ */
+function removePath(path, callback) {
+    Fs.lstat(path, function(err, stat) {
+        if (err)
+            return callback(err);
+        if (!stat.isDirectory())
+            return Fs.unlink(path, callback);
+
+        Fs.readdir(path, function(err, names) {
+            if (err)
+                return callback(err);
+            Async.list(names)
+                .each(function(name, next) {
+                    removePath(path + "/" + name, next);
+                })
+                .end(function(err) {
+                    if (err)
+                        return callback(err);
+                    Fs.rmdir(path, callback);
+                });
+        });
+    });
+}
+
+/**
+ * Returns whether the tree at 'root' has a store, which is the case as soon as
+ * anything was bound in it. Without a store, nothing in the tree is bound.
+ *
+ * @param {String} root May be null when bindings are disabled
+ * @return {Boolean}
+ */
+exports.hasStore = function(root, callback) {
+    if (!root)
+        return callback(false);
+    Fs.stat(getStorePath(root), function(err, stat) {
+        callback(!err && stat.isDirectory());
+    });
+};
+
+/**
+ * Creates a binding at 'destination' to the file or directory at 'source'.
+ * Both are real paths inside the tree at 'root'.
+ *
+ * @param {String} root
+ * @param {String} source
+ * @param {String} destination
+ * @return void
+ */
+exports.bind = function(root, source, destination, callback) {
+    Fs.realpath(root, function(err, root) {
+        if (err)
+            return callback(err);
+        Fs.lstat(source, function(err, stat) {
+            if (err)
+                return callback(err);
+
+            if (stat.isSymbolicLink()) {
+                return readStoreLink(source, function(err, entry) {
+                    if (err)
+                        return callback(err);
+                    if (!entry)
+                        return callback(new Exc.Forbidden("Symbolic links that were not created by the server can not be bound"));
+                    Fs.symlink(entry, destination, afterBind(Path.basename(entry)));
+                });
+            }
+
+            if (!stat.isDirectory()) {
+                return Fs.link(source, destination, function(err) {
+                    if (err)
+                        return callback(err);
+                    jsDAV_FS_Properties.copy(source, destination, false, afterBind(getFileKey(stat)));
+                });
+            }
+
+            var store = getStorePath(root);
+            var name = Util.uuid();
+            var entry = store + "/" + name;
+            Fs.mkdir(store, "0755", function(err) {
+                if (err && err.code != "EEXIST")
+                    return callback(err);
+                Fs.rename(source, entry, function(err) {
+                    if (err)
+                        return callback(err);
+                    Fs.symlink(entry, source, function(err) {
+                        // put the directory back where it was
+                        if (err) {
+                            return Fs.rename(entry, source, function() {
+                                callback(err);
+                            });
+                        }
+                        Fs.symlink(entry, destination, afterBind(name));
+                    });
+                });
+            });
+        });
+
+        function afterBind(key) {
+            return function(err) {
+                if (err)
+                    return callback(err);
+                getIndexPath(root, source, function(err, sourcePath) {
+                    if (err)
+                        return callback(err);
+                    getIndexPath(root, destination, function(err, destinationPath) {
+                        if (err)
+                            return callback(err);
+                        updateIndex(root, function(index, done) {
+                            addPaths(index, key, [sourcePath, destinationPath]);
+                            done(null, true);
+                        }, callback);
+                    });
+                });
+            };
+        }
+    });
+};
+
+/**
+ * Removes a binding. Entries of the store that are not bound anymore are
+ * removed as well.
+ *
+ * @param {String} root Root of the tree, or null when bindings are disabled
+ * @param {String} path
+ * @return void
+ */
+exports.remove = function(root, path, callback) {
+    Fs.lstat(path, function(err, stat) {
+        if (err)
+            return callback(err);
+        if (!root)
+            return remove(null, null);
+        Fs.realpath(root, function(err, root) {
+            if (err)
+                return callback(err);
+            getIndexPath(root, path, function(err, indexPath) {
+                if (err)
+                    return callback(err);
+                remove(root, indexPath);
+            });
+        });
+
+        function remove(root, indexPath) {
+            removePath(path, function(err) {
+                if (err)
+                    return callback(err);
+                if (stat.isFile())
+                    return jsDAV_FS_Properties.remove(path, false, afterRemove);
+                afterRemove();
+            });
+
+            function afterRemove(err) {
+                if (err || !root)
+                    return callback(err);
+                updateIndex(root, function(index, done) {
+                    done(null, mapPaths(index, function(bindingPath) {
+                        return isInside(bindingPath, indexPath) ? null : bindingPath;
+                    }));
+                }, function(err) {
+                    if (err || stat.isFile())
+                        return callback(err);
+                    exports.collect(root, callback);
+                });
+            }
+        }
+    });
+};
+
+/**
+ * Updates the index after a file or directory inside the tree at 'root' was
+ * moved, so that the bindings it contains are found at their new paths.
+ *
+ * @param {String} root Root of the tree, or null when bindings are disabled
+ * @param {String} source
+ * @param {String} destination
+ * @return void
+ */
+exports.move = function(root, source, destination, callback) {
+    if (!root)
+        return callback();
+    Fs.realpath(root, function(err, root) {
+        if (err)
+            return callback(err);
+        getIndexPath(root, source, function(err, sourcePath) {
+            if (err)
+                return callback(err);
+            getIndexPath(root, destination, function(err, destinationPath) {
+                if (err)
+                    return callback(err);
+                updateIndex(root, function(index, done) {
+                    done(null, mapPaths(index, function(bindingPath) {
+                        return isInside(bindingPath, sourcePath)
+                            ? destinationPath + bindingPath.substr(sourcePath.length)
+                            : bindingPath;
+                    }));
+                }, callback);
+            });
+        });
+    });
+};
+
+/**
+ * Removes the entries of the store of a tree that can't be reached through
+ * any binding anymore, and the paths of the index that are no bindings
+ * anymore.
+ *
+ * @param {String} root
+ * @return void
+ */
+exports.collect = function(root, callback) {
+    Fs.realpath(root, function(err, root) {
+        if (err)
+            return callback(err);
+        var store = getStorePath(root);
+        Fs.readdir(store, function(err, names) {
+            if (err)
+                return callback(err.code == "ENOENT" ? null : err);
+
+            updateIndex(root, function(index, done) {
+                var changed = false;
+                var cache = {};
+                var now = Date.now();
+
+                Async.keys(index)
+                    .each(function(key, next) {
+                        var paths = [];
+                        Async.list(index[key])
+                            .each(function(indexPath, nextPath) {
+                                checkIndexPath(root, key, indexPath, function(valid) {
+                                    if (valid)
+                                        paths.push(indexPath);
+                                    nextPath();
+                                });
+                            })
+                            .end(function() {
+                                if (paths.length == index[key].length)
+                                    return next();
+                                changed = true;
+                                if (paths.length)
+                                    index[key] = paths;
+                                else
+                                    delete index[key];
+                                next();
+                            });
+                    })
+                    .end(function(err) {
+                        if (err)
+                            return done(err);
+                        Async.list(names)
+                            .each(function(name, next) {
+                                if (name == INDEX)
+                                    return next();
+                                getPublicPaths(root, index, name, cache, function(err, paths) {
+                                    if (err || paths.length)
+                                        return next(err);
+                                    var entry = store + "/" + name;
+                                    Fs.lstat(entry, function(err, stat) {
+                                        if (err || now - stat.ctime.getTime() < exports.GRACE_PERIOD)
+                                            return next();
+                                        delete index[name];
+                                        changed = true;
+                                        removePath(entry, next);
+                                    });
+                                });
+                            })
+                            .end(function(err) {
+                                done(err, changed);
+                            });
+                    });
+            }, callback);
+        });
+    });
+};
+
+/**
+ * Returns the resource id of the file or directory at a real path. The id is
+ * derived from the inode, which all bindings to a resource share, and its
+ * creation time, to tell it apart from resources that used the inode before.
+ *
+ * @param {String} path
+ * @return {String}
+ */
+exports.getResourceId = function(path, callback) {
+    Fs.stat(path, function(err, stat) {
+        if (err)
+            return callback(err);
+        var hash = Util.md5(stat.dev + ":" + stat.ino + ":" + (stat.birthtime ? stat.birthtime.getTime() : 0));
+        callback(null, "urn:uuid:" + [hash.substr(0, 8), hash.substr(8, 4), hash.substr(12, 4),
+            hash.substr(16, 4), hash.substr(20, 12)].join("-"));
+    });
+};
+
+/**
+ * Returns the paths of all bindings to the file or directory at a real path,
+ * relative to the root of the tree. Nothing is returned when the resource has
+ * only one binding, which is the path itself. The other bindings are looked up
+ * in the index of the store.
+ *
+ * @param {String} root
+ * @param {String} path
+ * @return {Array}
+ */
+exports.getBindings = function(root, path, callback) {
+    Fs.lstat(path, function(err, lstat) {
+        if (err)
+            return callback(err);
+        Fs.stat(path, function(err, stat) {
+            if (err)
+                return callback(err);
+
+            if (stat.isDirectory()) {
+                if (!lstat.isSymbolicLink())
+                    return callback(null, null);
+                return readStoreLink(path, function(err, entry) {
+                    if (err || !entry)
+                        return callback(err, null);
+                    lookup(Path.basename(entry));
+                });
+            }
+
+            if (lstat.isSymbolicLink() || stat.nlink < 2)
+                return callback(null, null);
+            lookup(getFileKey(stat));
+        });
+    });
+
+    function lookup(key) {
+        Fs.realpath(root, function(err, root) {
+            if (err)
+                return callback(err);
+            updateIndex(root, function(index, done) {
+                getPublicPaths(root, index, key, {}, function(err, paths) {
+                    done(err, false, paths);
+                });
+            }, function(err, paths) {
+                callback(err, paths && paths.length ? paths : null);
+            });
+        });
+    }
+};
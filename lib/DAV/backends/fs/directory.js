@@ -8,8 +8,11 @@
 "use strict";
 
 var jsDAV_FS_Node = require("./node");
+var jsDAV_FS_Bindings = require("./bindings");
 var jsDAV_FS_File = require("./file");
+var jsDAV_FS_Properties = require("./properties");
 var jsDAV_Collection = require("./../../collection");
+var jsDAV_iOrderedCollection = require("./../../interfaces/iOrderedCollection");
 var jsDAV_iQuota = require("./../../interfaces/iQuota");
 
 var Fs = require("fs");
@@ -17,9 +20,10 @@ var Async = require("asyncjs");
 var Exc = require("./../../../shared/exceptions");
 var Util = require("./../../../shared/util");
 
-var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection, jsDAV_iQuota, {
-    initialize: function(path) {
+var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection, jsDAV_iQuota, jsDAV_iOrderedCollection, {
+    initialize: function(path, bindingRoot) {
         this.path = path;
+        this.bindingRoot = bindingRoot || null;
     },
 
     /**
@@ -34,6 +38,8 @@ var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection,
      * @return void
      */
     createFile: function(name, data, enc, cbfscreatefile) {
+        if (this.isReservedName(name))
+            return cbfscreatefile(new Exc.Forbidden("The name " + name + " is reserved"));
         var newPath = this.path + "/" + name;
         if (data.length === 0) {
             data = new Buffer(0);
@@ -53,6 +59,8 @@ var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection,
      * @return void
      */
     createFileStream: function(handler, name, enc, cbfscreatefile) {
+        if (this.isReservedName(name))
+            return cbfscreatefile(new Exc.Forbidden("The name " + name + " is reserved"));
         // is it a chunked upload?
         var size = handler.httpRequest.headers["x-file-size"];
         if (size) {
@@ -61,14 +69,20 @@ var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection,
             this.writeFileChunk(handler, enc, cbfscreatefile);
         }
         else {
-            var newPath = this.path + "/" + name;
-            var stream = Fs.createWriteStream(newPath, {
-                encoding: enc
-            });
-            handler.getRequestBody(enc, stream, false, cbfscreatefile);
+            jsDAV_FS_File.new(this.path + "/" + name, this.bindingRoot)
+                .putStream(handler, enc, cbfscreatefile);
         }
     },
 
+    /**
+     * Appends the request body to a file that is uploaded in chunks, using the
+     * X-File-Size and X-File-Name headers.
+     *
+     * @deprecated The upload plugin offers resumable uploads for any tree.
+     * @param {jsDAV_Handler} handler
+     * @param {String} type
+     * @return void
+     */
     writeFileChunk: function(handler, type, cbfswritechunk) {
         var size = handler.httpRequest.headers["x-file-size"];
         if (!size)
@@ -125,6 +139,8 @@ var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection,
      * @return void
      */
     createDirectory: function(name, cbfscreatedir) {
+        if (this.isReservedName(name))
+            return cbfscreatedir(new Exc.Forbidden("The name " + name + " is reserved"));
         var newPath = this.path + "/" + name;
         Fs.mkdir(newPath, "0755", cbfscreatedir);
     },
@@ -138,46 +154,123 @@ var jsDAV_FS_Directory = module.exports = jsDAV_FS_Node.extend(jsDAV_Collection,
      */
     getChild: function(name, cbfsgetchild) {
         var path = this.path + "/" + name;
+        var self = this;
 
         Fs.stat(path, function(err, stat) {
-            if (err || typeof stat == "undefined") {
+            if (err || typeof stat == "undefined" || self.isReservedName(name)) {
                 return cbfsgetchild(new Exc.FileNotFound("File with name "
                     + path + " could not be located"));
             }
             cbfsgetchild(null, stat.isDirectory()
-                ? jsDAV_FS_Directory.new(path)
-                : jsDAV_FS_File.new(path))
+                ? jsDAV_FS_Directory.new(path, self.bindingRoot)
+                : jsDAV_FS_File.new(path, self.bindingRoot))
         });
     },
 
     /**
-     * Returns an array with all the child nodes
+     * Returns an array with all the child nodes. If the directory is ordered,
+     * the nodes are returned in the stored order.
      *
      * @return Sabre_DAV_INode[]
      */
     getChildren: function(cbfsgetchildren) {
+        var self = this;
+        var path = this.path;
         var nodes = [];
-        Async.readdir(this.path)
+        var names = [];
+        Async.readdir(path)
              .stat()
              .each(function(file, cbnextdirch) {
+                 if (self.isReservedName(file.name))
+                     return cbnextdirch();
                  nodes.push(file.stat.isDirectory()
-                     ? jsDAV_FS_Directory.new(file.path)
-                     : jsDAV_FS_File.new(file.path)
+                     ? jsDAV_FS_Directory.new(file.path, self.bindingRoot)
+                     : jsDAV_FS_File.new(file.path, self.bindingRoot)
                  );
+                 names.push(file.name);
                  cbnextdirch();
              })
              .end(function() {
-                 cbfsgetchildren(null, nodes);
+                 jsDAV_FS_Properties.getOrdering(path, function(err, ordering) {
+                     if (err || !ordering)
+                         return cbfsgetchildren(null, nodes);
+
+                     // members that are not part of the order go last, in the
+                     // order they were read in
+                     var positions = {};
+                     ordering.members.forEach(function(name, i) {
+                         positions[name] = i;
+                     });
+                     var indices = names.map(function(name, i) {
+                         return i;
+                     });
+                     indices.sort(function(a, b) {
+                         var posA = positions.hasOwnProperty(names[a]) ? positions[names[a]] : Infinity;
+                         var posB = positions.hasOwnProperty(names[b]) ? positions[names[b]] : Infinity;
+                         return posA == posB ? a - b : posA < posB ? -1 : 1;
+                     });
+                     cbfsgetchildren(null, indices.map(function(i) {
+                         return nodes[i];
+                     }));
+                 });
              });
     },
 
     /**
-     * Deletes all files in this directory, and then itself
+     * Returns the ordering type of the directory
+     *
+     * @return {String}
+     */
+    getOrderingType: function(cbfsordering) {
+        jsDAV_FS_Properties.getOrdering(this.path, function(err, ordering) {
+            cbfsordering(err, ordering ? ordering.type : "DAV:unordered");
+        });
+    },
+
+    /**
+     * Updates the ordering type of the directory
+     *
+     * @param {String} type
+     * @return void
+     */
+    setOrderingType: function(type, cbfsordering) {
+        jsDAV_FS_Properties.updateOrdering(this.path, {type: type}, cbfsordering);
+    },
+
+    /**
+     * Stores the order of the members of the directory
+     *
+     * @param {Array} names
+     * @return void
+     */
+    setOrder: function(names, cbfsordering) {
+        jsDAV_FS_Properties.updateOrdering(this.path, {members: names}, cbfsordering);
+    },
+
+    /**
+     * Deletes all files in this directory, and then itself. If the directory
+     * is a binding to a directory that is bound elsewhere as well, only this
+     * binding is removed. As long as nothing was bound in the tree, the
+     * directory is simply removed recursively.
      *
      * @return void
      */
     "delete": function(cbfsdel) {
-        Async.rmtree(this.path, cbfsdel);
+        var path = this.path;
+        var bindingRoot = this.bindingRoot;
+        Fs.lstat(path, function(err, stat) {
+            if (err)
+                return cbfsdel(err);
+            // a link to the store must not be followed
+            if (stat.isSymbolicLink())
+                return jsDAV_FS_Bindings.remove(bindingRoot, path, cbfsdel);
+            jsDAV_FS_Bindings.hasStore(bindingRoot, function(hasStore) {
+                if (hasStore)
+                    jsDAV_FS_Bindings.remove(bindingRoot, path, cbfsdel);
+                else
+                    Async.rmtree(path, cbfsdel);
+            });
+        });
     },
 
     /**
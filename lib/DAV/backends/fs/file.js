@@ -8,15 +8,18 @@
 "use strict";
 
 var jsDAV_FS_Node = require("./node");
+var jsDAV_FS_Properties = require("./properties");
 var jsDAV_File = require("./../../file");
+var jsDAV_iPatchSupport = require("./../../interfaces/iPatchSupport");
 
 var Fs = require("fs");
 var Exc = require("./../../../shared/exceptions");
 var Util = require("./../../../shared/util");
 
-var jsDAV_FS_File = module.exports = jsDAV_FS_Node.extend(jsDAV_File, {
-    initialize: function(path) {
+var jsDAV_FS_File = module.exports = jsDAV_FS_Node.extend(jsDAV_File, jsDAV_iPatchSupport, {
+    initialize: function(path, bindingRoot) {
         this.path = path;
+        this.bindingRoot = bindingRoot || null;
     },
 
     /**
@@ -52,13 +55,61 @@ var jsDAV_FS_File = module.exports = jsDAV_FS_Node.extend(jsDAV_File, {
             });
         }
         else {
-            var stream = Fs.createWriteStream(path, {
-                encoding: type
+            // The body is written to a temporary file first, so that the
+            // contents of the file are only replaced by a complete body.
+            var tmpPath = Util.splitPath(path)[0] + "/" + this.UPLOAD_PREFIX + Util.uuid();
+            var stream = Fs.createWriteStream(tmpPath, {
+                encoding: type,
+                flags: "wx"
+            });
+            handler.getRequestBody(type, stream, false, function(err) {
+                if (err)
+                    return Fs.unlink(tmpPath, function() { cbfsput(err); });
+                replaceFile(tmpPath, path, cbfsput);
             });
-            handler.getRequestBody(type, stream, false, cbfsput);
         }
     },
 
+    /**
+     * Updates a part of the data, starting at byte 'offset'. An offset of
+     * `null` appends the data to the end of the file.
+     *
+     * @param {Buffer} data
+     * @param {Number} offset
+     * @return void
+     */
+    patch: function(data, offset, cbfspatch) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data);
+        Fs.open(this.path, offset === null ? "a" : "r+", function(err, fd) {
+            if (err)
+                return cbfspatch(err);
+            Fs.write(fd, data, 0, data.length, offset, function(err) {
+                Fs.close(fd, function() {
+                    cbfspatch(err);
+                });
+            });
+        });
+    },
+
+    /**
+     * Updates a part of the data whilst writing the request body to a stream
+     * instead of from Buffer objects that reside in memory.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {Number} offset
+     * @param {String} type
+     * @return void
+     */
+    patchStream: function(handler, offset, type, cbfspatch) {
+        var options = offset === null
+            ? { flags: "a" }
+            : { flags: "r+", start: offset };
+        options.encoding = type;
+        var stream = Fs.createWriteStream(this.path, options);
+        handler.getRequestBody(type, stream, false, cbfspatch);
+    },
+
     /**
      * Returns the data
      *
@@ -98,16 +149,22 @@ var jsDAV_FS_File = module.exports = jsDAV_FS_Node.extend(jsDAV_File, {
      * Returns the data whilst using a ReadStream so that excessive memory usage
      * is prevented.
      *
+     * The 'end' offset is exclusive, contrary to the options of
+     * Fs.createReadStream(). The ReadStream is passed along with each chunk, so
+     * that it can be paused.
+     *
+     * @param {Number} start
+     * @param {Number} end
      * @return Buffer
      */
     getStream: function(start, end, cbfsfileget) {
         var options;
         if (typeof start == "number" && typeof end == "number")
-            options = { start: start, end: end };
+            options = { start: start, end: end - 1 };
         var stream = Fs.createReadStream(this.path, options);
 
         stream.on("data", function(data) {
-            cbfsfileget(null, data);
+            cbfsfileget(null, data, stream);
         });
 
         stream.on("error", function(err) {
@@ -127,7 +184,12 @@ var jsDAV_FS_File = module.exports = jsDAV_FS_Node.extend(jsDAV_File, {
      * @return void
      */
     "delete": function(cbfsfiledel) {
-        Fs.unlink(this.path, cbfsfiledel);
+        var path = this.path;
+        Fs.unlink(path, function(err) {
+            if (err)
+                return cbfsfiledel(err);
+            jsDAV_FS_Properties.remove(path, false, cbfsfiledel);
+        });
     },
 
     /**
@@ -171,3 +233,43 @@ var jsDAV_FS_File = module.exports = jsDAV_FS_Node.extend(jsDAV_File, {
         return cbfsmime(null, Util.mime.type(this.path));
     }
 });
+
+/**
+ * Replaces the file at 'path' with the temporary file at 'tmpPath', keeping
+ * its permissions. The hard links of a file are bindings of the same resource,
+ * so when there is more than one the data is copied into the file instead.
+ *
+ * @param {String} tmpPath
+ * @param {String} path
+ * @return void
+ */
+function replaceFile(tmpPath, path, callback) {
+    Fs.stat(path, function(err, stat) {
+        if (err)
+            return Fs.rename(tmpPath, path, callback);
+        if (stat.nlink < 2) {
+            return Fs.chmod(tmpPath, stat.mode & 511, function() {
+                Fs.rename(tmpPath, path, callback);
+            });
+        }
+
+        var input = Fs.createReadStream(tmpPath);
+        var output = Fs.createWriteStream(path);
+        var done = false;
+        function finish(err) {
+            if (done)
+                return;
+            done = true;
+            input.destroy();
+            Fs.unlink(tmpPath, function() {
+                callback(err);
+            });
+        }
+        input.on("error", finish);
+        output.on("error", finish);
+        output.on("close", function() {
+            finish();
+        });
+        input.pipe(output);
+    });
+}
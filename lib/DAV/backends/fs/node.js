@@ -8,13 +8,46 @@
 "use strict";
 
 var jsDAV_iNode = require("./../../interfaces/iNode");
+var jsDAV_iProperties = require("./../../interfaces/iProperties");
+var jsDAV_iCollection = require("./../../interfaces/iCollection");
+var jsDAV_FS_Properties = require("./properties");
+var jsDAV_FS_Bindings = require("./bindings");
+var jsDAV_Property_Complex = require("./../../property/complex");
 
 var Fs = require("fs");
 var Util = require("./../../../shared/util");
 
-var jsDAV_FS_Node = module.exports = jsDAV_iNode.extend({
-    initialize: function(path) {
+/**
+ * Base class of the files and directories of the filesystem tree.
+ *
+ * @param {String} path
+ * @param {String} [bindingRoot] Root of the tree if bindings are enabled
+ * @constructor
+ */
+var jsDAV_FS_Node = module.exports = jsDAV_iNode.extend(jsDAV_iProperties, {
+    /**
+     * Prefix of the names of the temporary files that request bodies are
+     * written to before they replace a file
+     *
+     * @var String
+     */
+    UPLOAD_PREFIX: ".jsdav_upload_",
+
+    initialize: function(path, bindingRoot) {
         this.path = path;
+        this.bindingRoot = bindingRoot || null;
+    },
+
+    /**
+     * Returns whether a name is reserved for the storage of dead properties,
+     * bindings and uploads in progress, which are not part of the tree.
+     *
+     * @param {String} name
+     * @return {Boolean}
+     */
+    isReservedName: function(name) {
+        return name == jsDAV_FS_Properties.SIDECAR || name == jsDAV_FS_Bindings.STORE
+            || name.indexOf(jsDAV_FS_Node.UPLOAD_PREFIX) === 0;
     },
 
     /**
@@ -41,8 +74,13 @@ var jsDAV_FS_Node = module.exports = jsDAV_iNode.extend({
         Fs.rename(this.path, newPath, function(err) {
             if (err)
                 return cbfssetname(err);
+            var oldPath = self.path;
             self.path = newPath;
-            cbfssetname();
+            jsDAV_FS_Bindings.move(self.bindingRoot, oldPath, newPath, function(err) {
+                if (err)
+                    return cbfssetname(err);
+                jsDAV_FS_Properties.move(oldPath, newPath, self.hasFeature(jsDAV_iCollection), cbfssetname);
+            });
         });
     },
 
@@ -70,4 +108,57 @@ var jsDAV_FS_Node = module.exports = jsDAV_iNode.extend({
     exists: function(cbfsexist) {
         Fs.exists(this.path, cbfsexist);
     },
+
+    /**
+     * Updates the dead properties of this node. The values are stored as XML,
+     * so they're returned as they were set; properties with a value of null
+     * are removed.
+     *
+     * @param {Object} mutations
+     * @return void
+     */
+    updateProperties: function(mutations, cbfsupdateprops) {
+        var result = {"403": {}, "424": {}};
+        var values = {};
+        var failed = false;
+        for (var name in mutations) {
+            values[name] = mutations[name] === null ? null : jsDAV_Property_Complex.toXml(mutations[name]);
+            if (values[name] === null && mutations[name] !== null) {
+                result["403"][name] = null;
+                failed = true;
+            }
+            else {
+                result["424"][name] = null;
+            }
+        }
+        if (failed)
+            return cbfsupdateprops(null, result);
+
+        jsDAV_FS_Properties.update(this.path, this.hasFeature(jsDAV_iCollection), values, function(err) {
+            cbfsupdateprops(err, !err);
+        });
+    },
+
+    /**
+     * Returns the dead properties of this node that were requested. An empty
+     * list of properties returns all of them.
+     *
+     * @param {Array} properties
+     * @return void
+     */
+    getProperties: function(properties, cbfsgetprops) {
+        jsDAV_FS_Properties.get(this.path, this.hasFeature(jsDAV_iCollection), function(err, stored) {
+            if (err)
+                return cbfsgetprops(err);
+            if (!properties || !properties.length)
+                properties = Object.keys(stored);
+
+            var props = {};
+            properties.forEach(function(name) {
+                if (stored.hasOwnProperty(name))
+                    props[name] = jsDAV_Property_Complex.new(stored[name]);
+            });
+            cbfsgetprops(null, props);
+        });
+    }
 });
@@ -0,0 +1,270 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Fs = require("fs");
+var Util = require("./../../../shared/util");
+
+/**
+ * Storage of the dead properties of files and directories on the filesystem.
+ *
+ * Properties are kept in a sidecar file in every directory, which holds the
+ * properties of the files in that directory keyed by their name. The
+ * properties of a directory itself are kept in its own sidecar file, so that
+ * they move, copy and disappear together with the directory. Only the
+ * properties of files need to be handled explicitly. The values of the
+ * properties are fragments of XML.
+ *
+ * The sidecar file of a directory also keeps the order of its members, if it
+ * is an ordered collection (RFC3648).
+ *
+ * The sidecar file is hidden from clients by the filesystem tree.
+ */
+
+/**
+ * Name of the sidecar file
+ *
+ * @var String
+ */
+exports.SIDECAR = ".jsdav_properties";
+
+// Key of the ordering of a directory in its sidecar file. Names of files never
+// contain a slash, so it can't clash with the properties of a file.
+var ORDERING = "/ordering";
+
+// pending updates of sidecar files, to prevent concurrent writes to a file
+var queues = {};
+
+/**
+ * Returns the path of the sidecar file and the key of a file or directory.
+ *
+ * @param {String} path
+ * @param {Boolean} isCollection
+ * @return {Array} [sidecarPath, key]
+ */
+function locate(path, isCollection) {
+    path = path.replace(/[\/]+$/, "");
+    if (isCollection)
+        return [path + "/" + exports.SIDECAR, ""];
+    var parts = Util.splitPath(path);
+    return [parts[0] + "/" + exports.SIDECAR, parts[1]];
+}
+
+function readSidecar(sidecarPath, callback) {
+    Fs.readFile(sidecarPath, "utf8", function(err, data) {
+        if (err)
+            return callback(err.code == "ENOENT" ? null : err, {});
+        var entries;
+        try {
+            entries = JSON.parse(data);
+        }
+        catch (ex) {
+            Util.log("Ignoring corrupt property file " + sidecarPath + ": " + ex.message, "error");
+            entries = {};
+        }
+        callback(null, entries);
+    });
+}
+
+function writeSidecar(sidecarPath, entries, callback) {
+    if (!Object.keys(entries).length) {
+        return Fs.unlink(sidecarPath, function(err) {
+            callback(err && err.code != "ENOENT" ? err : null);
+        });
+    }
+    Fs.writeFile(sidecarPath, JSON.stringify(entries), "utf8", callback);
+}
+
+/**
+ * Applies 'mutate' to the entries of a sidecar file and writes the result.
+ * Updates of the same sidecar file are executed one after the other.
+ *
+ * @param {String} sidecarPath
+ * @param {Function} mutate Receives the entries and returns whether they changed
+ * @return void
+ */
+function updateSidecar(sidecarPath, mutate, callback) {
+    var queue = queues[sidecarPath];
+    if (queue)
+        return queue.push([mutate, callback]);
+    queue = queues[sidecarPath] = [[mutate, callback]];
+
+    (function next() {
+        var job = queue.shift();
+        if (!job) {
+            delete queues[sidecarPath];
+            return;
+        }
+        readSidecar(sidecarPath, function(err, entries) {
+            if (err) {
+                job[1](err);
+                return next();
+            }
+            if (!job[0](entries)) {
+                job[1]();
+                return next();
+            }
+            writeSidecar(sidecarPath, entries, function(err) {
+                job[1](err);
+                next();
+            });
+        });
+    })();
+}
+
+/**
+ * Returns the properties of a file or directory, keyed by their name in
+ * clark-notation.
+ *
+ * @param {String} path
+ * @param {Boolean} isCollection
+ * @return void
+ */
+exports.get = function(path, isCollection, callback) {
+    var location = locate(path, isCollection);
+    readSidecar(location[0], function(err, entries) {
+        if (err)
+            return callback(err);
+        callback(null, entries[location[1]] || {});
+    });
+};
+
+/**
+ * Updates the properties of a file or directory. Properties with a value of
+ * null are removed.
+ *
+ * @param {String} path
+ * @param {Boolean} isCollection
+ * @param {Object} mutations
+ * @return void
+ */
+exports.update = function(path, isCollection, mutations, callback) {
+    var location = locate(path, isCollection);
+    updateSidecar(location[0], function(entries) {
+        var properties = entries[location[1]] || {};
+        for (var name in mutations) {
+            if (mutations[name] === null)
+                delete properties[name];
+            else
+                properties[name] = mutations[name];
+        }
+        if (Object.keys(properties).length)
+            entries[location[1]] = properties;
+        else
+            delete entries[location[1]];
+        return true;
+    }, callback);
+};
+
+/**
+ * Removes the properties of a file. The properties of a directory are removed
+ * together with the directory itself.
+ *
+ * @param {String} path
+ * @param {Boolean} isCollection
+ * @return void
+ */
+exports.remove = function(path, isCollection, callback) {
+    if (isCollection)
+        return callback();
+    var location = locate(path, false);
+    updateSidecar(location[0], function(entries) {
+        if (!entries[location[1]])
+            return false;
+        delete entries[location[1]];
+        return true;
+    }, callback);
+};
+
+/**
+ * Copies the properties of a file to another file, replacing the properties
+ * the other file had. The properties of a directory are copied together with
+ * the directory itself.
+ *
+ * @param {String} source
+ * @param {String} destination
+ * @param {Boolean} isCollection
+ * @return void
+ */
+exports.copy = function(source, destination, isCollection, callback) {
+    if (isCollection)
+        return callback();
+    exports.get(source, false, function(err, properties) {
+        if (err)
+            return callback(err);
+        var location = locate(destination, false);
+        updateSidecar(location[0], function(entries) {
+            if (Object.keys(properties).length)
+                entries[location[1]] = properties;
+            else if (entries[location[1]])
+                delete entries[location[1]];
+            else
+                return false;
+            return true;
+        }, callback);
+    });
+};
+
+/**
+ * Moves the properties of a file to another file. The properties of a
+ * directory are moved together with the directory itself.
+ *
+ * @param {String} source
+ * @param {String} destination
+ * @param {Boolean} isCollection
+ * @return void
+ */
+exports.move = function(source, destination, isCollection, callback) {
+    if (isCollection)
+        return callback();
+    exports.copy(source, destination, false, function(err) {
+        if (err)
+            return callback(err);
+        exports.remove(source, false, callback);
+    });
+};
+
+/**
+ * Returns the ordering of the members of a directory: an object with the
+ * ordering type ('type') and the names of the members in order ('members'),
+ * or null if the directory is unordered.
+ *
+ * @param {String} path
+ * @return void
+ */
+exports.getOrdering = function(path, callback) {
+    readSidecar(locate(path, true)[0], function(err, entries) {
+        if (err)
+            return callback(err);
+        callback(null, entries[ORDERING] || null);
+    });
+};
+
+/**
+ * Updates the ordering of the members of a directory with the 'type' and/ or
+ * 'members' in 'changes'. Setting the type to 'DAV:unordered' removes the
+ * ordering.
+ *
+ * @param {String} path
+ * @param {Object} changes
+ * @return void
+ */
+exports.updateOrdering = function(path, changes, callback) {
+    updateSidecar(locate(path, true)[0], function(entries) {
+        var ordering = Util.extend({type: "DAV:unordered", members: []}, entries[ORDERING] || {}, changes);
+        if (ordering.type == "DAV:unordered") {
+            if (!entries[ORDERING])
+                return false;
+            delete entries[ORDERING];
+        }
+        else {
+            entries[ORDERING] = ordering;
+        }
+        return true;
+    }, callback);
+};
@@ -8,8 +8,11 @@
 "use strict";
 
 var jsDAV_Tree = require("./../../tree");
+var jsDAV_iBindingTree = require("./../../interfaces/iBindingTree");
+var jsDAV_FS_Bindings = require("./bindings");
 var jsDAV_FS_Directory = require("./directory");
 var jsDAV_FS_File = require("./file");
+var jsDAV_FS_Properties = require("./properties");
 
 var Fs = require("fs");
 var Async = require("asyncjs");
@@ -23,11 +26,14 @@ var Exc = require("./../../../shared/exceptions");
  * Supply the path you'd like to share.
  *
  * @param {String} basePath
+ * @param {Object} [options] The 'enableBind' option enables bindings
  * @contructor
  */
-var jsDAV_Tree_Filesystem = module.exports = jsDAV_Tree.extend({
-    initialize: function(basePath) {
+var jsDAV_Tree_Filesystem = module.exports = jsDAV_Tree.extend(jsDAV_iBindingTree, {
+    initialize: function(basePath, options) {
         this.basePath = basePath;
+        // the nodes only need to know the root of the tree for bindings
+        this.bindingRoot = options && options.enableBind ? basePath : null;
     },
 
     /**
@@ -39,15 +45,20 @@ var jsDAV_Tree_Filesystem = module.exports = jsDAV_Tree.extend({
     getNodeForPath: function(path, cbfstree) {
         var realPath = this.getRealPath(path);
         var nicePath = this.stripSandbox(realPath);
+        var self = this;
         if (!this.insideSandbox(realPath))
             return cbfstree(new Exc.Forbidden("You are not allowed to access " + nicePath));
+        // the storage of dead properties and bindings is not part of the tree
+        var name = Util.splitPath(realPath)[1];
+        if (jsDAV_FS_File.isReservedName(name))
+            return cbfstree(new Exc.FileNotFound("File at location " + nicePath + " not found"));
 
         Fs.stat(realPath, function(err, stat) {
             if (!Util.empty(err))
                 return cbfstree(new Exc.FileNotFound("File at location " + nicePath + " not found"));
             cbfstree(null, stat.isDirectory()
-                ? jsDAV_FS_Directory.new(realPath)
-                : jsDAV_FS_File.new(realPath))
+                ? jsDAV_FS_Directory.new(realPath, self.bindingRoot)
+                : jsDAV_FS_File.new(realPath, self.bindingRoot))
         });
     },
 
@@ -93,10 +104,16 @@ var jsDAV_Tree_Filesystem = module.exports = jsDAV_Tree.extend({
         Fs.stat(source, function(err, stat) {
             if (!Util.empty(err))
                 return cbfsrcopy(err);
-            if (stat.isFile())
-                Async.copyfile(source, destination, true, cbfsrcopy);
-            else
+            if (stat.isFile()) {
+                Async.copyfile(source, destination, true, function(err) {
+                    if (err)
+                        return cbfsrcopy(err);
+                    jsDAV_FS_Properties.copy(source, destination, false, cbfsrcopy);
+                });
+            }
+            else {
                 Async.copytree(source, destination, cbfsrcopy);
+            }
         });
     },
 
@@ -116,8 +133,105 @@ var jsDAV_Tree_Filesystem = module.exports = jsDAV_Tree.extend({
             return cbfsmove(new Exc.Forbidden("You are not allowed to move to " +
                 this.stripSandbox(destination)));
         }
-        Fs.rename(source, destination, function(err) {
-            cbfsmove(err, source, destination);
+        var bindingRoot = this.bindingRoot;
+        Fs.stat(source, function(err, stat) {
+            if (err)
+                return cbfsmove(err);
+            Fs.rename(source, destination, function(err) {
+                if (err)
+                    return cbfsmove(err);
+                jsDAV_FS_Bindings.move(bindingRoot, source, destination, function(err) {
+                    if (err)
+                        return cbfsmove(err);
+                    jsDAV_FS_Properties.move(source, destination, stat.isDirectory(), function(err) {
+                        cbfsmove(err, source, destination);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Creates a new binding to a file or directory. Files are bound with hard
+     * links, directories with symbolic links (see jsDAV_FS_Bindings).
+     *
+     * @param {String} sourcePath
+     * @param {String} destinationPath
+     * @return void
+     */
+    bind: function(sourcePath, destinationPath, cbfsbind) {
+        var source      = this.getRealPath(sourcePath);
+        var destination = this.getRealPath(destinationPath);
+        if (!this.insideSandbox(source) || !this.insideSandbox(destination)) {
+            return cbfsbind(new Exc.Forbidden("You are not allowed to bind to " +
+                this.stripSandbox(destination)));
+        }
+        if (!Util.trim(sourcePath, "/"))
+            return cbfsbind(new Exc.Forbidden("The root of the tree can not be bound"));
+        var name = Util.splitPath(destination)[1];
+        if (jsDAV_FS_File.isReservedName(name))
+            return cbfsbind(new Exc.Forbidden("The name " + name + " is reserved"));
+        jsDAV_FS_Bindings.bind(this.basePath, source, destination, cbfsbind);
+    },
+
+    /**
+     * Removes a binding to a file or directory.
+     *
+     * @param {String} path
+     * @return void
+     */
+    unbind: function(path, cbfsunbind) {
+        var realPath = this.getRealPath(path);
+        if (!this.insideSandbox(realPath) || !Util.trim(path, "/")) {
+            return cbfsunbind(new Exc.Forbidden("You are not allowed to unbind " +
+                this.stripSandbox(realPath)));
+        }
+        jsDAV_FS_Bindings.remove(this.basePath, realPath, cbfsunbind);
+    },
+
+    /**
+     * Moves a binding to another location. Renaming a hard or symbolic link
+     * leaves the resource it refers to untouched.
+     *
+     * @param {String} sourcePath
+     * @param {String} destinationPath
+     * @return void
+     */
+    rebind: function(sourcePath, destinationPath, cbfsrebind) {
+        this.move(sourcePath, destinationPath, function(err) {
+            cbfsrebind(err);
+        });
+    },
+
+    /**
+     * Returns the resource id of a file or directory.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getResourceId: function(path, cbfsresourceid) {
+        jsDAV_FS_Bindings.getResourceId(this.getRealPath(path), cbfsresourceid);
+    },
+
+    /**
+     * Returns the parent collections and names of all bindings to a file or
+     * directory.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getParentSet: function(path, cbfsparentset) {
+        path = Util.trim(path, "/");
+        // the root of the tree has no parent
+        if (!path)
+            return cbfsparentset(null, []);
+        jsDAV_FS_Bindings.getBindings(this.basePath, this.getRealPath(path), function(err, paths) {
+            if (err)
+                return cbfsparentset(err);
+            cbfsparentset(null, (paths || [path]).map(function(bindingPath) {
+                var parts = Util.splitPath(bindingPath);
+                return {href: parts[0], segment: parts[1]};
+            }));
         });
     }
 });
@@ -9,12 +9,13 @@
 
 var jsDAV_Ftp_Node = require("./node");
 var jsDAV_File = require("./../../file");
+var jsDAV_iPatchSupport = require("./../../interfaces/iPatchSupport");
 
 var Path = require("path");
 var Exc = require("./../../../shared/exceptions");
 var Util = require("./../../../shared/util");
 
-var jsDAV_Ftp_File = module.exports = jsDAV_Ftp_Node.extend(jsDAV_File, {
+var jsDAV_Ftp_File = module.exports = jsDAV_Ftp_Node.extend(jsDAV_File, jsDAV_iPatchSupport, {
     initialize: function(path, ftp) {
         this.path = path || "";
         this.ftp = ftp;
@@ -46,6 +47,83 @@ var jsDAV_Ftp_File = module.exports = jsDAV_Ftp_Node.extend(jsDAV_File, {
         });
     },
 
+    /**
+     * Updates a part of the data, starting at byte 'offset'. An offset of
+     * `null` appends the data to the end of the file using APPE. Other
+     * offsets are written by reading, modifying and storing the entire file.
+     *
+     * @param {Buffer} data
+     * @param {Number} offset
+     * @return void
+     */
+    patch: function(data, offset, cbftppatch) {
+        var self = this;
+        var path = this.path;
+        var ftp  = this.ftp;
+        var cached = ftp.$cache[path];
+
+        if (offset !== null) {
+            return this.get(function(err, buff) {
+                if (err)
+                    return cbftppatch(err);
+                self.put(Util.spliceBuffer(buff, data, offset), "binary", cbftppatch);
+            });
+        }
+
+        if (cached && cached.$stat && cached.$stat.target)
+            path = Path.resolve(Path.dirname(path), cached.$stat.target);
+
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data, "binary");
+
+        // The data is sent once the server accepted the command with a mark,
+        // and the append is done when both the data connection is closed and
+        // the server confirmed the transfer.
+        // jsftp has no public API for APPE, so this relies on the internals of
+        // jsftp 0.5.9 (getPasvSocket, _enqueueCmd and acceptsMarks), which is
+        // why package.json pins that exact version.
+        ftp.getPasvSocket(function(err, socket) {
+            if (err)
+                return cbftppatch(err);
+
+            var started = false;
+            var closed = false;
+            var confirmed = false;
+            var done = false;
+
+            socket.on("error", finish);
+            socket.on("close", function() {
+                closed = true;
+                if (confirmed)
+                    finish();
+            });
+
+            var cmdCallback = function(err) {
+                if (err) {
+                    socket.destroy();
+                    return finish(err);
+                }
+                if (!started) {
+                    started = true;
+                    return socket.end(data);
+                }
+                confirmed = true;
+                if (closed)
+                    finish();
+            };
+            cmdCallback.acceptsMarks = true;
+            ftp._enqueueCmd("appe " + path, cmdCallback);
+
+            function finish(err) {
+                if (done)
+                    return;
+                done = true;
+                delete ftp.$cache[path];
+                cbftppatch(err);
+            }
+        });
+    },
+
     /**
      * Returns the data
      *
@@ -0,0 +1,48 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Collection = require("./../../collection");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * A collection of a git tree that leads to branches, tags and commits, like
+ * the root of the tree, 'branches' and 'branches/feature'. It can not be
+ * modified.
+ *
+ * @param {jsDAV_Tree_Git} tree
+ * @param {String} path
+ */
+var jsDAV_Git_Collection = module.exports = jsDAV_Collection.extend({
+    initialize: function(tree, path) {
+        this.tree = tree;
+        this.path = path;
+    },
+
+    getName: function() {
+        return Util.splitPath(this.path)[1];
+    },
+
+    getChild: function(name, cbgitgetchild) {
+        this.tree.getNodeForPath(this.path ? this.path + "/" + name : name, cbgitgetchild);
+    },
+
+    getChildren: function(cbgitgetchildren) {
+        this.tree.getRefChildren(this.path, cbgitgetchildren);
+    },
+
+    createFile: function(name, data, enc, cbgitcreatefile) {
+        cbgitcreatefile(new Exc.Forbidden("Files can only be created in a branch"));
+    },
+
+    createDirectory: function(name, cbgitcreatedir) {
+        cbgitcreatedir(new Exc.Forbidden("Branches and tags can not be created over WebDAV"));
+    }
+});
@@ -0,0 +1,110 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Git_Node = require("./node");
+var jsDAV_Collection = require("./../../collection");
+
+var jsDAV_Git_Directory = module.exports = jsDAV_Git_Node.extend(jsDAV_Collection, {
+    /**
+     * Creates a new file in the directory, which is committed to the branch
+     *
+     * @param {String} name Name of the file
+     * @param {Buffer} data Initial payload
+     * @param {String} [enc]
+     * @param {Function} cbgitcreatefile
+     * @return void
+     */
+    createFile: function(name, data, enc, cbgitcreatefile) {
+        var self = this;
+        var err = this.tree.checkWritable(this.ref);
+        if (err)
+            return cbgitcreatefile(err);
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data || "", enc || "utf8");
+        this.tree.repository.writeBlob(data, function(err, sha) {
+            if (err)
+                return cbgitcreatefile(err);
+            self.tree.writeFile(self.ref, self.getChildPath(name), sha, null, cbgitcreatefile);
+        });
+    },
+
+    /**
+     * Creates a new file in the directory with the request body, which is
+     * stored in the repository as it arrives. The commit is only made once the
+     * body was received completely.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} name Name of the file
+     * @param {String} [enc]
+     * @param {Function} cbgitcreatefile
+     * @return void
+     */
+    createFileStream: function(handler, name, enc, cbgitcreatefile) {
+        var self = this;
+        var err = this.tree.checkWritable(this.ref);
+        if (err)
+            return cbgitcreatefile(err);
+        var stream = this.tree.repository.createBlobStream();
+        handler.getRequestBody(enc, stream, false, function(err) {
+            if (err)
+                return cbgitcreatefile(err);
+            self.tree.writeFile(self.ref, self.getChildPath(name), stream.sha, null, cbgitcreatefile);
+        });
+    },
+
+    /**
+     * Creates a new subdirectory, which is committed to the branch
+     *
+     * @param {String} name
+     * @return void
+     */
+    createDirectory: function(name, cbgitcreatedir) {
+        this.tree.createDirectory(this.ref, this.getChildPath(name), cbgitcreatedir);
+    },
+
+    /**
+     * Returns a specific child node, referenced by its name
+     *
+     * @param {String} name
+     * @return void
+     */
+    getChild: function(name, cbgitgetchild) {
+        var self = this;
+        var path = this.getChildPath(name);
+        this.tree.getEntry(this.ref, path, function(err, entry) {
+            if (err)
+                return cbgitgetchild(err);
+            cbgitgetchild(null, self.tree.createNode(self.ref, path, entry));
+        });
+    },
+
+    /**
+     * Returns an array with all the child nodes, except for the '.gitkeep'
+     * files that keep empty directories
+     *
+     * @return void
+     */
+    getChildren: function(cbgitgetchildren) {
+        var self = this;
+        this.tree.listTree(this.ref.commit.sha, this.path, function(err, entries) {
+            if (err)
+                return cbgitgetchildren(err);
+            var nodes = [];
+            entries.forEach(function(entry) {
+                if (entry.name != ".gitkeep" || entry.type != "blob")
+                    nodes.push(self.tree.createNode(self.ref, self.getChildPath(entry.name), entry));
+            });
+            cbgitgetchildren(null, nodes);
+        });
+    },
+
+    getChildPath: function(name) {
+        return this.path ? this.path + "/" + name : name;
+    }
+});
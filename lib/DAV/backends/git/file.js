@@ -0,0 +1,137 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Git_Node = require("./node");
+var jsDAV_File = require("./../../file");
+
+var Util = require("./../../../shared/util");
+
+var jsDAV_Git_File = module.exports = jsDAV_Git_Node.extend(jsDAV_File, {
+    /**
+     * Updates the data, which is committed to the branch
+     *
+     * @param {mixed} data
+     * @return void
+     */
+    put: function(data, type, cbgitput) {
+        var self = this;
+        var err = this.tree.checkWritable(this.ref);
+        if (err)
+            return cbgitput(err);
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data, type || "utf8");
+        this.tree.repository.writeBlob(data, function(err, sha) {
+            if (err)
+                return cbgitput(err);
+            self.commit(sha, data.length, cbgitput);
+        });
+    },
+
+    /**
+     * Updates the data with the request body, which is stored in the
+     * repository as it arrives. The commit is only made once the body was
+     * received completely.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} type
+     * @return void
+     */
+    putStream: function(handler, type, cbgitput) {
+        var self = this;
+        var err = this.tree.checkWritable(this.ref);
+        if (err)
+            return cbgitput(err);
+        var stream = this.tree.repository.createBlobStream();
+        handler.getRequestBody(type, stream, false, function(err) {
+            if (err)
+                return cbgitput(err);
+            self.commit(stream.sha, stream.size, cbgitput);
+        });
+    },
+
+    /**
+     * Commits a new blob as the data of this file.
+     *
+     * @param {String} sha
+     * @param {Number} size
+     * @return void
+     */
+    commit: function(sha, size, callback) {
+        var self = this;
+        this.tree.writeFile(this.ref, this.path, sha, this.entry.mode, function(err) {
+            if (err)
+                return callback(err);
+            self.entry.sha = sha;
+            self.entry.size = size;
+            callback(null, '"' + sha + '"');
+        });
+    },
+
+    /**
+     * Returns the data
+     *
+     * @return Buffer
+     */
+    get: function(cbgitget) {
+        var chunks = [];
+        this.getStream(null, null, function(err, data) {
+            if (err)
+                return cbgitget(err);
+            if (data)
+                return chunks.push(data);
+            cbgitget(null, Buffer.concat(chunks));
+        });
+    },
+
+    /**
+     * Returns the data as git reads it from the blob.
+     *
+     * The 'end' offset is exclusive. The output stream of git is passed along
+     * with each chunk, so that it can be paused.
+     *
+     * @param {Number} start
+     * @param {Number} end
+     * @return void
+     */
+    getStream: function(start, end, cbgitgetstream) {
+        if (typeof start == "number" && typeof end == "number" && end <= start)
+            return cbgitgetstream();
+        // Invoking the callback without error and data means that the callee
+        // can continue handling the request.
+        this.tree.repository.readBlob(this.entry.sha, start, end, cbgitgetstream);
+    },
+
+    /**
+     * Returns the size of the node, in bytes
+     *
+     * @return int
+     */
+    getSize: function(cbgitgetsize) {
+        cbgitgetsize(null, this.entry.size);
+    },
+
+    /**
+     * Returns the ETag for a file, which is the SHA of its blob.
+     *
+     * @return mixed
+     */
+    getETag: function(cbgitgetetag) {
+        cbgitgetetag(null, '"' + this.entry.sha + '"');
+    },
+
+    /**
+     * Returns the mime-type for a file
+     * If null is returned, we'll assume application/octet-stream
+     *
+     * @return mixed
+     */
+    getContentType: function(cbgitmime) {
+        cbgitmime(null, Util.mime.type(this.path));
+    }
+});
@@ -0,0 +1,136 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_iNode = require("./../../interfaces/iNode");
+var jsDAV_iProperties = require("./../../interfaces/iProperties");
+var jsDAV_Property_HrefList = require("./../../property/hrefList");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+var Xml = require("./../../../shared/xml");
+
+var VERSION_HISTORY = "{" + Xml.NS_AJAXORG + "}version-history";
+
+/**
+ * A file or directory in the commit of a branch, tag or commit (see
+ * jsDAV_Tree_Git).
+ *
+ * @param {jsDAV_Tree_Git} tree
+ * @param {Object} ref
+ * @param {String} path The path of the node in the commit
+ * @param {Object} entry The entry of the node in its directory
+ */
+var jsDAV_Git_Node = module.exports = jsDAV_iNode.extend(jsDAV_iProperties, {
+    initialize: function(tree, ref, path, entry) {
+        this.tree = tree;
+        this.ref = ref;
+        this.path = path;
+        this.entry = entry;
+    },
+
+    /**
+     * Returns the name of the node. The root directory of a ref has the last
+     * part of the name of the ref.
+     *
+     * @return {string}
+     */
+    getName: function() {
+        return Util.splitPath(this.path || this.ref.name)[1];
+    },
+
+    /**
+     * Returns the path of the node in the tree.
+     *
+     * @param {String} [path] The path of the node in the commit
+     * @return {String}
+     */
+    getUri: function(path) {
+        if (typeof path != "string")
+            path = this.path;
+        return this.ref.kind + "/" + this.ref.name + (path ? "/" + path : "");
+    },
+
+    /**
+     * Renames the node, which is committed as a move
+     *
+     * @param {string} name The new name
+     * @return void
+     */
+    setName: function(name, cbgitsetname) {
+        if (!this.path)
+            return cbgitsetname(new Exc.Forbidden("Branches, tags and commits can not be renamed"));
+        var self = this;
+        var parentPath = Util.splitPath(this.path)[0];
+        var newName = Util.splitPath(name)[1];
+        var newPath = parentPath ? parentPath + "/" + newName : newName;
+        this.tree.move(this.getUri(), this.getUri(newPath), function(err) {
+            if (err)
+                return cbgitsetname(err);
+            self.path = newPath;
+            cbgitsetname();
+        });
+    },
+
+    /**
+     * Returns the time of the commit the node is part of
+     *
+     * @return {Date}
+     */
+    getLastModified: function(cbgitgetlm) {
+        cbgitgetlm(null, new Date(this.ref.commit.time * 1000));
+    },
+
+    /**
+     * Deletes the node, and everything below it
+     *
+     * @return void
+     */
+    "delete": function(cbgitdel) {
+        this.tree["delete"](this.getUri(), cbgitdel);
+    },
+
+    /**
+     * Git has no place for dead properties, so none can be stored.
+     *
+     * @param {Object} mutations
+     * @return void
+     */
+    updateProperties: function(mutations, cbgitupdateprops) {
+        var result = {"403": {}};
+        for (var name in mutations)
+            result["403"][name] = null;
+        cbgitupdateprops(null, result);
+    },
+
+    /**
+     * Returns the {http://ajax.org/2005/aml}version-history property: the
+     * hrefs of the snapshots of this node in the commits that changed it.
+     * Since it needs the log of the repository, it's only returned when it is
+     * requested by name.
+     *
+     * @param {Array} properties
+     * @return void
+     */
+    getProperties: function(properties, cbgitgetprops) {
+        var self = this;
+        if (!properties || properties.indexOf(VERSION_HISTORY) === -1)
+            return cbgitgetprops(null, {});
+
+        this.tree.getHistory(this.ref, this.path, function(err, commits) {
+            if (err)
+                return cbgitgetprops(err);
+            var path = self.path ? "/" + self.path.split("/").map(encodeURIComponent).join("/") : "";
+            var props = {};
+            props[VERSION_HISTORY] = jsDAV_Property_HrefList.new(commits.map(function(commit) {
+                return "commits/" + commit.sha + path;
+            }));
+            cbgitgetprops(null, props);
+        });
+    }
+});
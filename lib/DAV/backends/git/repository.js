@@ -0,0 +1,504 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+
+var ChildProcess = require("child_process");
+var Fs = require("fs");
+var Os = require("os");
+var Path = require("path");
+var Stream = require("stream");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+var EMPTY_SHA = "0000000000000000000000000000000000000000";
+
+/**
+ * jsDAV_Git_Repository
+ *
+ * Reads and writes the objects and refs of a git repository with the local
+ * 'git' binary. Only the object database and the refs are used, so the
+ * repository is usually a bare one; the working tree and the index of a
+ * repository that has them are left alone.
+ *
+ * @param {Object} options
+ * @contructor
+ */
+var jsDAV_Git_Repository = module.exports = Base.extend({
+    initialize: function(options) {
+        if (!options.path)
+            throw new Error("The git tree needs the path of a repository");
+        var dir = Path.resolve(options.path);
+        // the repository of a working tree is in its .git directory
+        if (Fs.existsSync(Path.join(dir, ".git")))
+            dir = Path.join(dir, ".git");
+        this.dir = dir;
+        this.bin = options.bin || "git";
+    },
+
+    /**
+     * Runs a git command and returns what it wrote to stdout.
+     *
+     * @param {Array} args
+     * @param {Object} [options] 'input' to write to stdin and 'env' to add to
+     *                           the environment of the command
+     * @return void
+     */
+    exec: function(args, options, callback) {
+        if (typeof options == "function") {
+            callback = options;
+            options = {};
+        }
+        var child = this.spawn(args, options.env);
+        var out = [];
+        var errOut = [];
+        var done = false;
+
+        child.stdout.on("data", function(data) {
+            out.push(data);
+        });
+        child.stderr.on("data", function(data) {
+            errOut.push(data);
+        });
+        child.on("error", finish);
+        child.on("close", function(code) {
+            if (code !== 0)
+                return finish(createError(args, Buffer.concat(errOut).toString(), code));
+            finish(null, Buffer.concat(out));
+        });
+        // a command that exits early closes stdin before it's written
+        child.stdin.on("error", function() {});
+        child.stdin.end(options.input || "");
+
+        function finish(err, out) {
+            if (done)
+                return;
+            done = true;
+            callback(err, out);
+        }
+    },
+
+    /**
+     * Starts a git command in this repository.
+     *
+     * @param {Array} args
+     * @param {Object} [env]
+     * @return {ChildProcess}
+     */
+    spawn: function(args, env) {
+        return ChildProcess.spawn(this.bin, ["--git-dir=" + this.dir].concat(args), {
+            env: Util.extend(Util.extend({}, process.env), env || {})
+        });
+    },
+
+    /**
+     * Returns the branches and tags of the repository, by their short names.
+     * Tags are resolved to the commits they point to; tags of other objects
+     * are left out.
+     *
+     * @return void
+     */
+    getRefs: function(callback) {
+        var format = ["%(refname)", "%(objectname)", "%(objecttype)", "%(committerdate:unix)",
+            "%(*objectname)", "%(*objecttype)", "%(*committerdate:unix)"].join("%00");
+        this.exec(["for-each-ref", "--format=" + format, "refs/heads", "refs/tags"], function(err, out) {
+            if (err)
+                return callback(err);
+            var refs = {branches: {}, tags: {}};
+            out.toString().split("\n").forEach(function(line) {
+                var parts = line.split("\0");
+                if (parts.length < 7)
+                    return;
+                // annotated tags are peeled to the object they refer to
+                var peeled = parts[4] ? 4 : 1;
+                if (parts[peeled + 1] != "commit")
+                    return;
+                var commit = {sha: parts[peeled], time: parseInt(parts[peeled + 2], 10)};
+                if (parts[0].indexOf("refs/heads/") === 0)
+                    refs.branches[parts[0].substr(11)] = commit;
+                else
+                    refs.tags[parts[0].substr(10)] = commit;
+            });
+            callback(null, refs);
+        });
+    },
+
+    /**
+     * Returns a commit by its (abbreviated) SHA, or null if the repository
+     * doesn't have it.
+     *
+     * @param {String} sha
+     * @return void
+     */
+    getCommit: function(sha, callback) {
+        if (!/^[0-9a-f]{4,40}$/i.test(sha))
+            return callback(null, null);
+        this.exec(["log", "-1", "--format=%H%x00%ct", sha + "^{commit}", "--"], function(err, out) {
+            // an unknown or ambiguous name
+            if (err)
+                return callback(null, null);
+            callback(null, parseCommits(out)[0] || null);
+        });
+    },
+
+    /**
+     * Returns the SHA of the latest commit of a branch.
+     *
+     * @param {String} branch
+     * @return void
+     */
+    getBranch: function(branch, callback) {
+        this.exec(["rev-parse", "--verify", "refs/heads/" + branch + "^{commit}"], function(err, out) {
+            if (err)
+                return callback(new Exc.FileNotFound("Branch " + branch + " not found"));
+            callback(null, out.toString().trim());
+        });
+    },
+
+    /**
+     * Returns the commits that are reachable from any branch or tag, newest
+     * first.
+     *
+     * @param {Number} limit
+     * @return void
+     */
+    getCommits: function(limit, callback) {
+        this.exec(["log", "--branches", "--tags", "--format=%H%x00%ct", "-n", String(limit), "--"],
+            function(err, out) {
+                if (err)
+                    return callback(err);
+                callback(null, parseCommits(out));
+            }
+        );
+    },
+
+    /**
+     * Returns the commits that changed a path, starting at a commit, newest
+     * first.
+     *
+     * @param {String} commit
+     * @param {String} path
+     * @param {Number} limit
+     * @return void
+     */
+    getHistory: function(commit, path, limit, callback) {
+        var args = ["log", "--format=%H%x00%ct", "-n", String(limit), commit, "--"];
+        if (path)
+            args.push(":(literal)" + path);
+        this.exec(args, function(err, out) {
+            if (err)
+                return callback(err);
+            callback(null, parseCommits(out));
+        });
+    },
+
+    /**
+     * Returns the entries of a directory in a commit: the mode, type, SHA,
+     * size and name of every file and directory in it. Submodules are left
+     * out, since their commits are not part of the repository.
+     *
+     * @param {String} commit
+     * @param {String} path The path of the directory in the commit
+     * @return void
+     */
+    listTree: function(commit, path, callback) {
+        this.exec(["ls-tree", "-l", "-z", commit + ":" + path], function(err, out) {
+            if (err)
+                return callback(new Exc.FileNotFound("Directory " + path + " does not exist in commit " + commit));
+            var entries = [];
+            out.toString().split("\0").forEach(function(line) {
+                // <mode> SP <type> SP <sha> SP+ <size> TAB <name>
+                var match = line.match(/^(\d+) (\w+) ([0-9a-f]+) +(\S+)\t([\s\S]+)$/);
+                if (!match || (match[2] != "blob" && match[2] != "tree"))
+                    return;
+                entries.push({
+                    mode: match[1],
+                    type: match[2],
+                    sha: match[3],
+                    size: match[4] == "-" ? 0 : parseInt(match[4], 10),
+                    name: match[5]
+                });
+            });
+            callback(null, entries);
+        });
+    },
+
+    /**
+     * Returns all the files below a directory in a commit, with their paths
+     * relative to the directory.
+     *
+     * @param {String} commit
+     * @param {String} path
+     * @return void
+     */
+    listFiles: function(commit, path, callback) {
+        this.exec(["ls-tree", "-r", "-z", commit + ":" + path], function(err, out) {
+            if (err)
+                return callback(new Exc.FileNotFound("Directory " + path + " does not exist in commit " + commit));
+            var files = [];
+            out.toString().split("\0").forEach(function(line) {
+                var match = line.match(/^(\d+) blob ([0-9a-f]+)\t([\s\S]+)$/);
+                if (match)
+                    files.push({mode: match[1], sha: match[2], path: match[3]});
+            });
+            callback(null, files);
+        });
+    },
+
+    /**
+     * Streams the contents of a blob. The 'end' offset is exclusive. The output
+     * stream of git is passed along with each chunk, so that it can be paused.
+     *
+     * @param {String} sha
+     * @param {Number} start
+     * @param {Number} end
+     * @return void
+     */
+    readBlob: function(sha, start, end, callback) {
+        var child = this.spawn(["cat-file", "blob", sha]);
+        var offset = 0;
+        var errOut = [];
+        var failed = false;
+        var hasRange = typeof start == "number" && typeof end == "number";
+
+        child.stdout.on("data", function(data) {
+            if (failed)
+                return;
+            if (hasRange) {
+                var chunkStart = offset;
+                offset += data.length;
+                if (offset <= start || chunkStart >= end)
+                    return;
+                data = data.slice(Math.max(0, start - chunkStart), Math.min(data.length, end - chunkStart));
+            }
+            callback(null, data, child.stdout);
+        });
+        child.stderr.on("data", function(data) {
+            errOut.push(data);
+        });
+        child.on("error", fail);
+        child.on("close", function(code) {
+            if (code !== 0)
+                return fail(createError(["cat-file"], Buffer.concat(errOut).toString(), code));
+            if (!failed)
+                callback();
+        });
+        child.stdin.end();
+
+        function fail(err) {
+            if (failed)
+                return;
+            failed = true;
+            callback(err);
+        }
+    },
+
+    /**
+     * Returns a writable stream that stores the data that is written to it as
+     * a blob. Its 'sha' and 'size' are set once the stream has finished.
+     *
+     * @return {Stream.Writable}
+     */
+    createBlobStream: function() {
+        var child = this.spawn(["hash-object", "-w", "--stdin"]);
+        var out = [];
+        var errOut = [];
+        var size = 0;
+        var exited = null;
+        var onExit = null;
+
+        child.stdout.on("data", function(data) {
+            out.push(data);
+        });
+        child.stderr.on("data", function(data) {
+            errOut.push(data);
+        });
+        child.on("error", function(err) {
+            exit(err);
+        });
+        child.on("close", function(code) {
+            exit(code !== 0 ? createError(["hash-object"], Buffer.concat(errOut).toString(), code) : null);
+        });
+        child.stdin.on("error", function() {});
+
+        var stream = new Stream.Writable({
+            write: function(chunk, enc, callback) {
+                if (exited)
+                    return callback(exited.err || new Error("git hash-object exited early"));
+                size += chunk.length;
+                if (child.stdin.write(chunk))
+                    return callback();
+                child.stdin.once("drain", function() {
+                    callback();
+                });
+            },
+            final: function(callback) {
+                onExit = function(err) {
+                    if (err)
+                        return callback(err);
+                    stream.sha = Buffer.concat(out).toString().trim();
+                    stream.size = size;
+                    callback();
+                };
+                child.stdin.end();
+                if (exited)
+                    onExit(exited.err);
+            },
+            destroy: function(err, callback) {
+                if (!exited)
+                    child.kill();
+                callback(err);
+            }
+        });
+        stream.sha = null;
+        stream.size = 0;
+        return stream;
+
+        function exit(err) {
+            if (exited)
+                return;
+            exited = {err: err};
+            if (onExit)
+                onExit(err);
+        }
+    },
+
+    /**
+     * Stores data as a blob and returns its SHA.
+     *
+     * @param {Buffer} data
+     * @return void
+     */
+    writeBlob: function(data, callback) {
+        this.exec(["hash-object", "-w", "--stdin"], {input: data}, function(err, out) {
+            if (err)
+                return callback(err);
+            callback(null, out.toString().trim());
+        });
+    },
+
+    /**
+     * Creates a tree from the tree of a commit, with files added, replaced or
+     * removed. Every change has the 'path' of the file and its new 'sha' and
+     * 'mode'; changes without a SHA remove the file. The index of the
+     * repository isn't touched, a temporary one is used instead.
+     *
+     * @param {String} parent
+     * @param {Array} changes
+     * @return void
+     */
+    writeTree: function(parent, changes, callback) {
+        var self = this;
+        var env = {GIT_INDEX_FILE: Path.join(Os.tmpdir(), "jsdav-git-" + Util.uuid() + ".index")};
+        var input = changes.map(function(change) {
+            if (!change.sha)
+                return "0 " + EMPTY_SHA + "\t" + change.path + "\0";
+            return (change.mode || "100644") + " " + change.sha + "\t" + change.path + "\0";
+        }).join("");
+
+        this.exec(["read-tree", parent], {env: env}, function(err) {
+            if (err)
+                return done(err);
+            self.exec(["update-index", "-z", "--index-info"], {env: env, input: input}, function(err) {
+                if (err)
+                    return done(err);
+                self.exec(["write-tree"], {env: env}, function(err, out) {
+                    done(err, out && out.toString().trim());
+                });
+            });
+        });
+
+        function done(err, tree) {
+            Fs.unlink(env.GIT_INDEX_FILE, function() {
+                callback(err, tree);
+            });
+        }
+    },
+
+    /**
+     * Returns the SHA of the tree of a commit.
+     *
+     * @param {String} commit
+     * @return void
+     */
+    getTree: function(commit, callback) {
+        this.exec(["rev-parse", commit + "^{tree}"], function(err, out) {
+            callback(err, out && out.toString().trim());
+        });
+    },
+
+    /**
+     * Creates a commit of a tree.
+     *
+     * @param {String} tree
+     * @param {String} parent
+     * @param {String} message
+     * @param {Object} author The 'name' and 'email' of the author
+     * @param {Object} committer The 'name' and 'email' of the committer
+     * @return void
+     */
+    commitTree: function(tree, parent, message, author, committer, callback) {
+        this.exec(["commit-tree", tree, "-p", parent], {
+            input: message + "\n",
+            env: {
+                GIT_AUTHOR_NAME: author.name,
+                GIT_AUTHOR_EMAIL: author.email,
+                GIT_COMMITTER_NAME: committer.name,
+                GIT_COMMITTER_EMAIL: committer.email
+            }
+        }, function(err, out) {
+            callback(err, out && out.toString().trim());
+        });
+    },
+
+    /**
+     * Points a branch to a new commit, if it still points to the old one.
+     *
+     * @param {String} branch
+     * @param {String} commit
+     * @param {String} oldCommit
+     * @return void
+     */
+    updateBranch: function(branch, commit, oldCommit, callback) {
+        this.exec(["update-ref", "refs/heads/" + branch, commit, oldCommit], function(err) {
+            if (err)
+                return callback(new Exc.Conflict("Branch " + branch + " was changed by another commit"));
+            callback();
+        });
+    }
+});
+
+/**
+ * Parses the commits that git log printed in the format '%H%x00%ct'.
+ *
+ * @param {Buffer} out
+ * @return {Array}
+ */
+function parseCommits(out) {
+    var commits = [];
+    out.toString().split("\n").forEach(function(line) {
+        var parts = line.split("\0");
+        if (parts.length == 2)
+            commits.push({sha: parts[0], time: parseInt(parts[1], 10)});
+    });
+    return commits;
+}
+
+/**
+ * Creates the error of a git command that failed.
+ *
+ * @param {Array} args
+ * @param {String} stderr
+ * @param {Number} code
+ * @return {Exc.jsDAV_Exception}
+ */
+function createError(args, stderr, code) {
+    return new Exc.jsDAV_Exception("git " + args[0] + " exited with code " + code
+        + (stderr ? ": " + stderr.trim() : ""));
+}
@@ -0,0 +1,671 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Tree = require("./../../tree");
+var jsDAV_Git_Repository = require("./repository");
+var jsDAV_Git_Collection = require("./collection");
+var jsDAV_Git_Directory = require("./directory");
+var jsDAV_Git_File = require("./file");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+var KINDS = ["branches", "tags", "commits"];
+
+/**
+ * jsDAV_Tree_Git
+ *
+ * A tree that shows the branches, tags and commits of a git repository:
+ *
+ *   jsDAV.createServer({
+ *       type: "git",
+ *       git: {
+ *           path: "/var/lib/git/website.git",
+ *           emailDomain: "example.com"
+ *       }
+ *   }, 8000);
+ *
+ * The tree has three collections:
+ *
+ *   - branches/<name>/: the files of the latest commit of a branch. Changes to
+ *     these files are committed to the branch right away.
+ *   - tags/<name>/: the files of the commit of a tag, which can't be changed.
+ *   - commits/<sha>/: the files of any commit, which can't be changed. The
+ *     collection lists the latest commits of all branches and tags.
+ *
+ * Branches and tags with slashes in their names, like 'feature/login', are
+ * nested collections. Branches are created and deleted with git itself.
+ *
+ * Every PUT, MKCOL, DELETE, COPY and MOVE becomes a single commit, by the user
+ * that is logged in. Users are mapped to authors with the 'authors' option,
+ * like {"mike": {name: "Mike de Boer", email: "mike@example.com"}}; other
+ * users get their name and an address at 'emailDomain'. Without a user, the
+ * 'author' option is used. The 'committer' option defaults to the author.
+ *
+ * Git has no empty directories, so MKCOL creates a '.gitkeep' file in the new
+ * directory, which isn't listed. The ETag of a file is the SHA of its blob and
+ * the last modification time of a node is the time of its commit. The
+ * {http://ajax.org/2005/aml}version-history property lists the commits that
+ * changed a file or directory, as the hrefs of its snapshots in commits/; the
+ * 'historyLimit' and 'commitLimit' options limit the number of commits that
+ * are listed there and in commits/.
+ *
+ * Writes move the branch, but leave the working tree and index of a
+ * repository alone, so use a bare repository.
+ *
+ * @param {Object} options
+ * @contructor
+ */
+var jsDAV_Tree_Git = module.exports = jsDAV_Tree.extend({
+    /**
+     * Base path for this tree. Paths can't escape the repository, so it needs
+     * no sandbox.
+     *
+     * @var {String}
+     */
+    basePath: "",
+
+    /**
+     * The handler of the request this tree is bound to, if any.
+     *
+     * @var {jsDAV_Handler}
+     */
+    handler: null,
+
+    /**
+     * Refs and directory listings of the current request. Listings are cached
+     * by commit, since commits never change.
+     *
+     * @var {Object}
+     */
+    cache: null,
+
+    initialize: function(options) {
+        this.options = options.git || {};
+        this.repository = jsDAV_Git_Repository.new(this.options);
+        this.author = this.options.author || {name: "jsDAV", email: "jsdav@localhost"};
+        this.committer = this.options.committer || null;
+        this.authors = this.options.authors || {};
+        this.emailDomain = this.options.emailDomain || "localhost";
+        this.historyLimit = parseInt(this.options.historyLimit, 10) || 100;
+        this.commitLimit = parseInt(this.options.commitLimit, 10) || 100;
+        // commits to a branch are made one at a time
+        this.locks = {};
+    },
+
+    /**
+     * Returns a copy of this tree that commits changes as the user of the
+     * request.
+     *
+     * @param {jsDAV_Handler} handler
+     * @return {jsDAV_Tree_Git}
+     */
+    forRequest: function(handler) {
+        var tree = Object.create(this);
+        tree.handler = handler;
+        tree.cache = {refs: null, listings: {}};
+        return tree;
+    },
+
+    /**
+     * Returns the branches and tags of the repository.
+     *
+     * @return void
+     */
+    getRefs: function(callback) {
+        var cache = this.cache;
+        if (cache && cache.refs)
+            return callback(null, cache.refs);
+        this.repository.getRefs(function(err, refs) {
+            if (err)
+                return callback(err);
+            if (cache)
+                cache.refs = refs;
+            callback(null, refs);
+        });
+    },
+
+    /**
+     * Returns the entries of a directory in a commit.
+     *
+     * @param {String} commit
+     * @param {String} path
+     * @return void
+     */
+    listTree: function(commit, path, callback) {
+        var cache = this.cache;
+        var key = commit + ":" + path;
+        if (cache && cache.listings[key])
+            return callback(null, cache.listings[key]);
+        this.repository.listTree(commit, path, function(err, entries) {
+            if (err)
+                return callback(err);
+            if (cache)
+                cache.listings[key] = entries;
+            callback(null, entries);
+        });
+    },
+
+    /**
+     * Finds the branch, tag or commit of a path and the path of the file in
+     * it. Paths that lead to refs, like 'branches' and 'branches/feature',
+     * have no ref.
+     *
+     * A ref is an object: {kind: "branches", name: String, commit: Object,
+     * writable: Boolean}, with the 'sha' and 'time' of the commit.
+     *
+     * @param {String} path
+     * @return void
+     */
+    resolvePath: function(path, callback) {
+        path = Util.trim(path, "/");
+        var parts = path ? path.split("/") : [];
+        var kind = parts[0];
+        if (parts.length && KINDS.indexOf(kind) === -1)
+            return callback(new Exc.FileNotFound("File at location " + path + " not found"));
+        if (parts.length < 2)
+            return callback(null, null, null);
+
+        if (kind == "commits") {
+            return this.repository.getCommit(parts[1], function(err, commit) {
+                if (err)
+                    return callback(err);
+                if (!commit)
+                    return callback(new Exc.FileNotFound("Commit " + parts[1] + " not found"));
+                callback(null, {kind: kind, name: parts[1], commit: commit, writable: false},
+                    parts.slice(2).join("/"));
+            });
+        }
+
+        this.getRefs(function(err, refs) {
+            if (err)
+                return callback(err);
+            // git doesn't allow a ref name to be a directory of another, so
+            // at most one of the prefixes of the path is a ref
+            refs = refs[kind];
+            for (var name, i = parts.length; i > 1; --i) {
+                name = parts.slice(1, i).join("/");
+                if (refs.hasOwnProperty(name)) {
+                    return callback(null, {kind: kind, name: name, commit: refs[name], writable: kind == "branches"},
+                        parts.slice(i).join("/"));
+                }
+            }
+            var prefix = parts.slice(1).join("/") + "/";
+            for (name in refs) {
+                if (name.indexOf(prefix) === 0)
+                    return callback(null, null, null);
+            }
+            callback(new Exc.FileNotFound("File at location " + path + " not found"));
+        });
+    },
+
+    /**
+     * Returns a new node for the given path
+     *
+     * @param {String} path
+     * @return void
+     */
+    getNodeForPath: function(path, cbgittree) {
+        var self = this;
+        path = Util.trim(path, "/");
+        this.resolvePath(path, function(err, ref, subPath) {
+            if (err)
+                return cbgittree(err);
+            if (!ref)
+                return cbgittree(null, jsDAV_Git_Collection.new(self, path));
+            if (!subPath)
+                return cbgittree(null, self.createNode(ref, "", {type: "tree"}));
+            self.getEntry(ref, subPath, function(err, entry) {
+                if (err)
+                    return cbgittree(err);
+                cbgittree(null, self.createNode(ref, subPath, entry));
+            });
+        });
+    },
+
+    /**
+     * Returns the entry of a file or directory in the commit of a ref.
+     *
+     * @param {Object} ref
+     * @param {String} path
+     * @return void
+     */
+    getEntry: function(ref, path, callback) {
+        var parts = Util.splitPath(path);
+        this.listTree(ref.commit.sha, parts[0], function(err, entries) {
+            if (err)
+                return callback(new Exc.FileNotFound("File at location " + path + " not found"));
+            for (var i = 0, l = entries.length; i < l; ++i) {
+                if (entries[i].name == parts[1])
+                    return callback(null, entries[i]);
+            }
+            callback(new Exc.FileNotFound("File at location " + path + " not found"));
+        });
+    },
+
+    /**
+     * Creates the node of an entry.
+     *
+     * @param {Object} ref
+     * @param {String} path
+     * @param {Object} entry
+     * @return {jsDAV_Git_Node}
+     */
+    createNode: function(ref, path, entry) {
+        if (entry.type == "tree")
+            return jsDAV_Git_Directory.new(this, ref, path, entry);
+        return jsDAV_Git_File.new(this, ref, path, entry);
+    },
+
+    /**
+     * Returns the nodes in a collection that leads to refs: the branches,
+     * tags and commits collections and the collections of the parts of ref
+     * names.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getRefChildren: function(path, callback) {
+        var self = this;
+        var root = {type: "tree"};
+        if (!path) {
+            return callback(null, KINDS.map(function(kind) {
+                return jsDAV_Git_Collection.new(self, kind);
+            }));
+        }
+
+        if (path == "commits") {
+            return this.repository.getCommits(this.commitLimit, function(err, commits) {
+                if (err)
+                    return callback(err);
+                callback(null, commits.map(function(commit) {
+                    return self.createNode({kind: "commits", name: commit.sha, commit: commit, writable: false}, "", root);
+                }));
+            });
+        }
+
+        var parts = path.split("/");
+        var kind = parts[0];
+        var prefix = parts.length > 1 ? parts.slice(1).join("/") + "/" : "";
+        this.getRefs(function(err, refs) {
+            if (err)
+                return callback(err);
+            refs = refs[kind];
+            var nodes = [];
+            var collections = {};
+            Object.keys(refs).sort().forEach(function(name) {
+                if (name.indexOf(prefix) !== 0)
+                    return;
+                var childName = name.substr(prefix.length).split("/")[0];
+                if (prefix + childName == name) {
+                    nodes.push(self.createNode({kind: kind, name: name, commit: refs[name], writable: kind == "branches"},
+                        "", root));
+                }
+                else if (!collections[childName]) {
+                    collections[childName] = true;
+                    nodes.push(jsDAV_Git_Collection.new(self, path + "/" + childName));
+                }
+            });
+            callback(null, nodes);
+        });
+    },
+
+    /**
+     * Returns the files in a commit below a path, which may be a file or a
+     * directory, with their full paths.
+     *
+     * @param {String} commit
+     * @param {String} path
+     * @return void
+     */
+    getFiles: function(commit, path, callback) {
+        var self = this;
+        this.getEntry({commit: {sha: commit}}, path, function(err, entry) {
+            if (err)
+                return callback(err);
+            if (entry.type != "tree")
+                return callback(null, [{mode: entry.mode, sha: entry.sha, path: path}]);
+            self.repository.listFiles(commit, path, function(err, files) {
+                if (err)
+                    return callback(err);
+                files.forEach(function(file) {
+                    file.path = path + "/" + file.path;
+                });
+                callback(null, files);
+            });
+        });
+    },
+
+    /**
+     * Returns the changes that keep the parent directory of a path when the
+     * path is removed and it was the last entry of the directory.
+     *
+     * @param {String} commit
+     * @param {String} path
+     * @return void
+     */
+    keepParent: function(commit, path, callback) {
+        var self = this;
+        var parent = Util.splitPath(path)[0];
+        if (!parent)
+            return callback(null, []);
+        this.repository.listTree(commit, parent, function(err, entries) {
+            if (err || entries.length > 1)
+                return callback(err, []);
+            self.repository.writeBlob(new Buffer(0), function(err, sha) {
+                callback(err, [{sha: sha, path: parent + "/.gitkeep"}]);
+            });
+        });
+    },
+
+    /**
+     * Returns the author and committer of the commits of the current request.
+     *
+     * @return void
+     */
+    getSignature: function(callback) {
+        var self = this;
+        var auth = this.handler && this.handler.plugins.auth;
+        if (!auth)
+            return callback(null, this.author, this.committer || this.author);
+        auth.getCurrentUser(function(err, user) {
+            if (err)
+                return callback(err);
+            var author = !user
+                ? self.author
+                : self.authors.hasOwnProperty(user)
+                    ? self.authors[user]
+                    : {name: user, email: user + "@" + self.emailDomain};
+            callback(null, author, self.committer || author);
+        });
+    },
+
+    /**
+     * Returns an error if the files of a ref can't be changed, because it's
+     * a tag or a commit.
+     *
+     * @param {Object} ref
+     * @return {Exc.Forbidden}
+     */
+    checkWritable: function(ref) {
+        if (ref.writable)
+            return null;
+        return new Exc.Forbidden("The " + (ref.kind == "tags" ? "tag " : "commit ") + ref.name
+            + " can not be changed");
+    },
+
+    /**
+     * Commits changes to the branch of a ref. The changes are determined by
+     * 'getChanges', which gets the latest commit of the branch; commits that
+     * don't change anything are left out.
+     *
+     * @param {Object} ref
+     * @param {String} message
+     * @param {Function} getChanges
+     * @return void
+     */
+    commit: function(ref, message, getChanges, callback) {
+        var err = this.checkWritable(ref);
+        if (err)
+            return callback(err);
+        var self = this;
+        var repository = this.repository;
+        this.lock(ref.name, function(unlock) {
+            var parent;
+            repository.getBranch(ref.name, function(err, sha) {
+                if (err)
+                    return done(err);
+                parent = sha;
+                getChanges(parent, function(err, changes) {
+                    if (err)
+                        return done(err);
+                    repository.writeTree(parent, changes, function(err, tree) {
+                        if (err)
+                            return done(err);
+                        repository.getTree(parent, function(err, parentTree) {
+                            if (err || tree == parentTree)
+                                return done(err, parent);
+                            self.getSignature(function(err, author, committer) {
+                                if (err)
+                                    return done(err);
+                                repository.commitTree(tree, parent, message, author, committer, function(err, commit) {
+                                    if (err)
+                                        return done(err);
+                                    repository.updateBranch(ref.name, commit, parent, function(err) {
+                                        done(err, commit);
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+
+            function done(err, commit) {
+                unlock();
+                if (err)
+                    return callback(err);
+                if (commit != ref.commit.sha) {
+                    ref.commit = {sha: commit, time: Math.floor(Date.now() / 1000)};
+                    if (self.cache && self.cache.refs)
+                        self.cache.refs.branches[ref.name] = ref.commit;
+                }
+                callback();
+            }
+        });
+    },
+
+    /**
+     * Runs 'fn' once the commits to a branch that were started before are
+     * done.
+     *
+     * @param {String} branch
+     * @param {Function} fn Receives the function that releases the lock
+     * @return void
+     */
+    lock: function(branch, fn) {
+        var locks = this.locks;
+        if (locks.hasOwnProperty(branch))
+            return locks[branch].push(fn);
+        locks[branch] = [];
+        fn(unlock);
+
+        function unlock() {
+            var next = locks[branch].shift();
+            if (!next)
+                return delete locks[branch];
+            setImmediate(function() {
+                next(unlock);
+            });
+        }
+    },
+
+    /**
+     * Commits the blob of a file to a branch.
+     *
+     * @param {Object} ref
+     * @param {String} path
+     * @param {String} sha
+     * @param {String} [mode]
+     * @return void
+     */
+    writeFile: function(ref, path, sha, mode, callback) {
+        this.commit(ref, (mode ? "Update " : "Create ") + path, function(parent, next) {
+            next(null, [{mode: mode, sha: sha, path: path}]);
+        }, callback);
+    },
+
+    /**
+     * Commits a new directory to a branch, as a directory with a '.gitkeep'
+     * file.
+     *
+     * @param {Object} ref
+     * @param {String} path
+     * @return void
+     */
+    createDirectory: function(ref, path, callback) {
+        var self = this;
+        this.commit(ref, "Create " + path, function(parent, next) {
+            self.repository.writeBlob(new Buffer(0), function(err, sha) {
+                next(err, [{sha: sha, path: path + "/.gitkeep"}]);
+            });
+        }, callback);
+    },
+
+    /**
+     * Copies a file or directory to a branch. The source may be in any
+     * branch, tag or commit; no data is copied, the new files refer to the
+     * same blobs.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    copy: function(source, destination, cbgitcopy) {
+        var self = this;
+        this.resolveCopy(source, destination, "copy", function(err, from, to) {
+            if (err)
+                return cbgitcopy(err);
+            self.getFiles(from.ref.commit.sha, from.path, function(err, files) {
+                if (err)
+                    return cbgitcopy(err);
+                self.commit(to.ref, "Copy " + from.path + " to " + to.path, function(parent, next) {
+                    next(null, relocate(files, from.path, to.path));
+                }, cbgitcopy);
+            });
+        });
+    },
+
+    /**
+     * Moves a file or directory. A move within a branch is a single commit;
+     * a move to another branch is a copy and a delete.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    move: function(source, destination, cbgitmove) {
+        var self = this;
+        this.resolveCopy(source, destination, "move", function(err, from, to) {
+            if (err)
+                return cbgitmove(err);
+            err = self.checkWritable(from.ref);
+            if (err)
+                return cbgitmove(err);
+            if (from.ref.name != to.ref.name) {
+                return self.copy(source, destination, function(err) {
+                    if (err)
+                        return cbgitmove(err);
+                    self["delete"](source, function(err) {
+                        cbgitmove(err, source, destination);
+                    });
+                });
+            }
+
+            self.commit(to.ref, "Move " + from.path + " to " + to.path, function(parent, next) {
+                self.getFiles(parent, from.path, function(err, files) {
+                    if (err)
+                        return next(err);
+                    var changes = files.map(function(file) {
+                        return {path: file.path};
+                    }).concat(relocate(files, from.path, to.path));
+                    self.keepParent(parent, from.path, function(err, keep) {
+                        next(err, changes.concat(keep));
+                    });
+                });
+            }, function(err) {
+                cbgitmove(err, source, destination);
+            });
+        });
+    },
+
+    /**
+     * Returns the source and destination of a copy or move, which must be a
+     * file or directory in a branch.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @param {String} action
+     * @return void
+     */
+    resolveCopy: function(source, destination, action, callback) {
+        var self = this;
+        this.resolvePath(source, function(err, sourceRef, sourcePath) {
+            if (err)
+                return callback(err);
+            if (!sourceRef || !sourcePath)
+                return callback(new Exc.Forbidden("You are not allowed to " + action + " " + Util.trim(source, "/")));
+            self.resolvePath(destination, function(err, ref, path) {
+                if (err)
+                    return callback(err);
+                if (!ref || !path || !ref.writable) {
+                    return callback(new Exc.Forbidden("You are not allowed to " + action + " to "
+                        + Util.trim(destination, "/")));
+                }
+                if (sourceRef.kind == "branches" && sourceRef.name == ref.name
+                  && (path == sourcePath || path.indexOf(sourcePath + "/") === 0)) {
+                    return callback(new Exc.Forbidden("A collection can not be copied or moved into itself"));
+                }
+                callback(null, {ref: sourceRef, path: sourcePath}, {ref: ref, path: path});
+            });
+        });
+    },
+
+    /**
+     * Deletes a file or directory from a branch, with everything below it.
+     *
+     * @param {String} path
+     * @return void
+     */
+    "delete": function(path, cbgitdelete) {
+        var self = this;
+        this.resolvePath(path, function(err, ref, subPath) {
+            if (err)
+                return cbgitdelete(err);
+            if (!ref || !subPath)
+                return cbgitdelete(new Exc.Forbidden("You are not allowed to delete " + Util.trim(path, "/")));
+            self.commit(ref, "Delete " + subPath, function(parent, next) {
+                self.getFiles(parent, subPath, function(err, files) {
+                    if (err)
+                        return next(err);
+                    self.keepParent(parent, subPath, function(err, keep) {
+                        next(err, files.map(function(file) {
+                            return {path: file.path};
+                        }).concat(keep));
+                    });
+                });
+            }, cbgitdelete);
+        });
+    },
+
+    /**
+     * Returns the commits that changed a file or directory of a ref.
+     *
+     * @param {Object} ref
+     * @param {String} path
+     * @return void
+     */
+    getHistory: function(ref, path, callback) {
+        this.repository.getHistory(ref.commit.sha, path, this.historyLimit, callback);
+    }
+});
+
+/**
+ * Moves files from one path to another.
+ *
+ * @param {Array} files
+ * @param {String} from
+ * @param {String} to
+ * @return {Array}
+ */
+function relocate(files, from, to) {
+    return files.map(function(file) {
+        return {mode: file.mode, sha: file.sha, path: to + file.path.substr(from.length)};
+    });
+}
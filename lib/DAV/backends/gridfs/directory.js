@@ -0,0 +1,93 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_GridFS_Node = require("./node");
+var jsDAV_Collection = require("./../../collection");
+
+var Exc = require("./../../../shared/exceptions");
+
+var jsDAV_GridFS_Directory = module.exports = jsDAV_GridFS_Node.extend(jsDAV_Collection, {
+    /**
+     * Creates a new file in the directory
+     *
+     * @param {String} name Name of the file
+     * @param {Buffer} data Initial payload
+     * @param {String} [enc]
+     * @param {Function} cbgridfscreatefile
+     * @return void
+     */
+    createFile: function(name, data, enc, cbgridfscreatefile) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data || "", enc || "utf8");
+        this.tree.writeFile(this.getChildPath(name), data, cbgridfscreatefile);
+    },
+
+    /**
+     * Creates a new file in the directory whilst writing the request body to
+     * GridFS. The file only appears once the body was stored completely.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} name Name of the file
+     * @param {String} [enc]
+     * @param {Function} cbgridfscreatefile
+     * @return void
+     */
+    createFileStream: function(handler, name, enc, cbgridfscreatefile) {
+        var stream = this.tree.createWriteStream(this.getChildPath(name));
+        handler.getRequestBody(enc, stream, false, cbgridfscreatefile);
+    },
+
+    /**
+     * Creates a new subdirectory
+     *
+     * @param {String} name
+     * @return void
+     */
+    createDirectory: function(name, cbgridfscreatedir) {
+        this.tree.createDirectory(this.getChildPath(name), cbgridfscreatedir);
+    },
+
+    /**
+     * Returns a specific child node, referenced by its name
+     *
+     * @param {String} name
+     * @return void
+     */
+    getChild: function(name, cbgridfsgetchild) {
+        var self = this;
+        var path = this.getChildPath(name);
+        this.tree.getDoc(path, function(err, doc) {
+            if (err)
+                return cbgridfsgetchild(err);
+            if (!doc)
+                return cbgridfsgetchild(new Exc.FileNotFound("File with name " + path + " could not be located"));
+            cbgridfsgetchild(null, self.tree.createNode(doc));
+        });
+    },
+
+    /**
+     * Returns an array with all the child nodes, sorted by name
+     *
+     * @return void
+     */
+    getChildren: function(cbgridfsgetchildren) {
+        var self = this;
+        this.tree.getChildDocs(this.path, function(err, docs) {
+            if (err)
+                return cbgridfsgetchildren(err);
+            cbgridfsgetchildren(null, docs.map(function(doc) {
+                return self.tree.createNode(doc);
+            }));
+        });
+    },
+
+    getChildPath: function(name) {
+        return this.path ? this.path + "/" + name : name;
+    }
+});
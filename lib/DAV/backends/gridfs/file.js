@@ -0,0 +1,123 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_GridFS_Node = require("./node");
+var jsDAV_File = require("./../../file");
+
+var Util = require("./../../../shared/util");
+
+var jsDAV_GridFS_File = module.exports = jsDAV_GridFS_Node.extend(jsDAV_File, {
+    /**
+     * Updates the data
+     *
+     * @param {mixed} data
+     * @return void
+     */
+    put: function(data, type, cbgridfsput) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data, type || "utf8");
+        this.tree.writeFile(this.path, data, cbgridfsput);
+    },
+
+    /**
+     * Updates the data whilst writing the request body to GridFS, instead of
+     * from Buffer objects that reside in memory.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} type
+     * @return void
+     */
+    putStream: function(handler, type, cbgridfsput) {
+        handler.getRequestBody(type, this.tree.createWriteStream(this.path), false, cbgridfsput);
+    },
+
+    /**
+     * Returns the data
+     *
+     * @return Buffer
+     */
+    get: function(cbgridfsget) {
+        var chunks = [];
+        this.getStream(null, null, function(err, data) {
+            if (err)
+                return cbgridfsget(err);
+            if (data)
+                return chunks.push(data);
+            cbgridfsget(null, Buffer.concat(chunks));
+        });
+    },
+
+    /**
+     * Returns the data in the chunks it is stored in by GridFS. An object with
+     * pause() and resume() is passed along with each chunk; the next chunk is
+     * not read while it is paused.
+     *
+     * The 'end' offset is exclusive.
+     *
+     * @param {Number} start
+     * @param {Number} end
+     * @return void
+     */
+    getStream: function(start, end, cbgridfsgetstream) {
+        var paused = false;
+        var readNext = null;
+        var source = {
+            pause: function() {
+                paused = true;
+            },
+            resume: function() {
+                paused = false;
+                var next = readNext;
+                readNext = null;
+                if (next)
+                    next();
+            }
+        };
+        this.tree.readData(this.doc.fileId, start, end, function(chunk, next) {
+            cbgridfsgetstream(null, chunk, source);
+            if (paused)
+                readNext = next;
+            else
+                next();
+        }, function(err) {
+            // Invoking the callback without error and data means that the
+            // callee can continue handling the request.
+            cbgridfsgetstream(err);
+        });
+    },
+
+    /**
+     * Returns the size of the node, in bytes
+     *
+     * @return int
+     */
+    getSize: function(cbgridfsgetsize) {
+        cbgridfsgetsize(null, this.doc.size || 0);
+    },
+
+    /**
+     * Returns the ETag for a file, which is the MD5 checksum that GridFS keeps
+     * of its data.
+     *
+     * @return mixed
+     */
+    getETag: function(cbgridfsgetetag) {
+        cbgridfsgetetag(null, this.doc.md5 ? '"' + this.doc.md5 + '"' : null);
+    },
+
+    /**
+     * Returns the mime-type for a file
+     * If null is returned, we'll assume application/octet-stream
+     *
+     * @return mixed
+     */
+    getContentType: function(cbgridfsmime) {
+        cbgridfsmime(null, Util.mime.type(this.path));
+    }
+});
@@ -0,0 +1,138 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_iNode = require("./../../interfaces/iNode");
+var jsDAV_iProperties = require("./../../interfaces/iProperties");
+var jsDAV_Property_Complex = require("./../../property/complex");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * A node of the GridFS tree, which is described by a document of the tree
+ * collection (see jsDAV_Tree_GridFS).
+ *
+ * @param {jsDAV_Tree_GridFS} tree
+ * @param {String} path
+ * @param {Object} doc
+ */
+var jsDAV_GridFS_Node = module.exports = jsDAV_iNode.extend(jsDAV_iProperties, {
+    initialize: function(tree, path, doc) {
+        this.tree = tree;
+        this.path = path;
+        this.doc = doc;
+    },
+
+    /**
+     * Returns the name of the node
+     *
+     * @return {string}
+     */
+    getName: function() {
+        return Util.splitPath(this.path)[1];
+    },
+
+    /**
+     * Renames the node
+     *
+     * @param {string} name The new name
+     * @return void
+     */
+    setName: function(name, cbgridfssetname) {
+        if (!this.path)
+            return cbgridfssetname(new Exc.Forbidden("The root of the tree can not be renamed"));
+        var self = this;
+        var parentPath = Util.splitPath(this.path)[0];
+        var newName = Util.splitPath(name)[1];
+        var newPath = parentPath ? parentPath + "/" + newName : newName;
+        this.tree.move(this.path, newPath, function(err) {
+            if (err)
+                return cbgridfssetname(err);
+            self.path = newPath;
+            cbgridfssetname();
+        });
+    },
+
+    /**
+     * Returns the last modification time
+     *
+     * @return {Date}
+     */
+    getLastModified: function(cbgridfsgetlm) {
+        cbgridfsgetlm(null, this.doc.modified || new Date());
+    },
+
+    /**
+     * Deletes the node, and everything below it
+     *
+     * @return void
+     */
+    "delete": function(cbgridfsdel) {
+        this.tree["delete"](this.path, cbgridfsdel);
+    },
+
+    /**
+     * Updates the dead properties of this node. The values are stored as XML,
+     * so they're returned as they were set; properties with a value of null
+     * are removed.
+     *
+     * @param {Object} mutations
+     * @return void
+     */
+    updateProperties: function(mutations, cbgridfsupdateprops) {
+        var result = {"403": {}, "424": {}};
+        var values = {};
+        var failed = false;
+        for (var name in mutations) {
+            values[name] = mutations[name] === null ? null : jsDAV_Property_Complex.toXml(mutations[name]);
+            if (values[name] === null && mutations[name] !== null) {
+                result["403"][name] = null;
+                failed = true;
+            }
+            else {
+                result["424"][name] = null;
+            }
+        }
+        if (failed)
+            return cbgridfsupdateprops(null, result);
+
+        // property names contain dots, which can't be used as keys in mongo
+        var properties = (this.doc.properties || []).filter(function(prop) {
+            return !mutations.hasOwnProperty(prop.name);
+        });
+        for (name in values) {
+            if (values[name] !== null)
+                properties.push({name: name, value: values[name]});
+        }
+
+        var self = this;
+        this.tree.updateDoc(this.path, {properties: properties}, function(err) {
+            if (err)
+                return cbgridfsupdateprops(err);
+            self.doc.properties = properties;
+            cbgridfsupdateprops(null, true);
+        });
+    },
+
+    /**
+     * Returns the dead properties of this node that were requested. An empty
+     * list of properties returns all of them.
+     *
+     * @param {Array} properties
+     * @return void
+     */
+    getProperties: function(properties, cbgridfsgetprops) {
+        var props = {};
+        (this.doc.properties || []).forEach(function(prop) {
+            if (!properties || !properties.length || properties.indexOf(prop.name) > -1)
+                props[prop.name] = jsDAV_Property_Complex.new(prop.value);
+        });
+        cbgridfsgetprops(null, props);
+    }
+});
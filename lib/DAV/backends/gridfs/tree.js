@@ -0,0 +1,769 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Tree = require("./../../tree");
+var jsDAV_GridFS_Directory = require("./directory");
+var jsDAV_GridFS_File = require("./file");
+
+var Mongo = require("mongodb");
+var Stream = require("stream");
+var Async = require("asyncjs");
+var Db = require("./../../../shared/backends/mongo");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * jsDAV_Tree_GridFS
+ *
+ * A tree that keeps the data of files in Mongo GridFS and the hierarchy of
+ * files and collections as documents, so that any number of servers can share
+ * the same storage:
+ *
+ *   jsDAV.createServer({
+ *       type: "gridfs",
+ *       mongo: {host: "localhost", port: 27017, db: "jsdav"},
+ *       gridfsRoot: "files"
+ *   }, 8000);
+ *
+ * The 'mongo' option is either an open database or the options to connect to
+ * one with; it defaults to the 'jsdav' database of a local mongod. The
+ * 'gridfsRoot' option is the prefix of the collections that are used, which
+ * defaults to 'jsdav':
+ *
+ *   - <root>.files and <root>.chunks: the data of the files, in GridFS.
+ *   - <root>.moves: the moves that are in progress (see move()).
+ *   - <root>.tree: a document for every file and collection, by its path:
+ *
+ *     {
+ *       path: "dir/file.txt",
+ *       parent: "dir",
+ *       name: "file.txt",
+ *       type: "file",            // or "directory"
+ *       fileId: ObjectID,        // the GridFS file with the data
+ *       size: 1024,
+ *       md5: "...",              // computed by GridFS, used as the ETag
+ *       modified: Date,
+ *       properties: [{name: "{DAV:}displayname", value: "..."}]
+ *     }
+ *
+ * Writes store the data in a new GridFS file and switch the document over to
+ * it once the data is complete, so readers never see partial files. Moves only
+ * rewrite the paths of the documents and leave the data in place; they are not
+ * atomic, but are completed after an interruption.
+ *
+ * @param {Object} options
+ * @contructor
+ */
+var jsDAV_Tree_GridFS = module.exports = jsDAV_Tree.extend({
+    /**
+     * Base path for this tree. Paths are relative to the root document.
+     *
+     * @var {String}
+     */
+    basePath: "",
+
+    initialize: function(options) {
+        options = options || {};
+        this.root = options.gridfsRoot || "jsdav";
+        this.mongoOptions = options.mongo || {};
+        this.db = null;
+        this.pending = null;
+    },
+
+    /**
+     * Returns the database, connecting to it and creating the indexes of the
+     * tree collection on first use.
+     *
+     * @return void
+     */
+    getDb: function(callback) {
+        if (this.db)
+            return callback(null, this.db);
+        if (this.pending)
+            return this.pending.push(callback);
+
+        var self = this;
+        var pending = this.pending = [callback];
+        var done = function(err, db) {
+            self.pending = null;
+            if (!err)
+                self.db = db;
+            pending.forEach(function(cb) {
+                cb(err, db);
+            });
+        };
+
+        var connect = typeof this.mongoOptions.collection == "function"
+            ? function(cb) { cb(null, self.mongoOptions); }
+            : Db.getConnection.bind(Db, this.mongoOptions);
+        connect(function(err, db) {
+            if (err)
+                return done(err);
+            var tree = db.collection(self.root + ".tree");
+            tree.ensureIndex({path: 1}, {unique: true}, function(err) {
+                if (err)
+                    return done(err);
+                tree.ensureIndex({parent: 1}, function(err) {
+                    if (err)
+                        return done(err);
+                    self.finishMoves(db, function(err) {
+                        done(err, db);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Returns the tree collection.
+     *
+     * @return void
+     */
+    getCollection: function(callback) {
+        var self = this;
+        this.getDb(function(err, db) {
+            if (err)
+                return callback(err);
+            callback(null, db.collection(self.root + ".tree"));
+        });
+    },
+
+    /**
+     * Returns the node for a document
+     *
+     * @param {Object} doc
+     * @return {jsDAV_GridFS_Node}
+     */
+    createNode: function(doc) {
+        return doc.type == "file"
+            ? jsDAV_GridFS_File.new(this, doc.path, doc)
+            : jsDAV_GridFS_Directory.new(this, doc.path, doc);
+    },
+
+    /**
+     * Returns the document of a path, or null if there is none. The root of
+     * the tree always exists, even before it has a document.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getDoc: function(path, callback) {
+        path = Util.trim(path, "/");
+        this.getCollection(function(err, coll) {
+            if (err)
+                return callback(err);
+            coll.findOne({path: path}, function(err, doc) {
+                if (err)
+                    return callback(err);
+                if (!doc && !path)
+                    doc = {path: "", type: "directory", properties: []};
+                callback(null, doc || null);
+            });
+        });
+    },
+
+    /**
+     * Returns the documents of the children of a collection, sorted by name.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getChildDocs: function(path, callback) {
+        this.getCollection(function(err, coll) {
+            if (err)
+                return callback(err);
+            coll.find({parent: path, path: {$ne: ""}}).sort({name: 1}).toArray(callback);
+        });
+    },
+
+    /**
+     * Returns the documents of a path and of everything below it, sorted by
+     * path so that parents come before their children.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getSubtreeDocs: function(path, callback) {
+        var self = this;
+        this.getCollection(function(err, coll) {
+            if (err)
+                return callback(err);
+            self.findSubtreeDocs(coll, path, callback);
+        });
+    },
+
+    /**
+     * Finds the documents of a path and of everything below it in the tree
+     * collection 'coll', see getSubtreeDocs().
+     *
+     * @param {Collection} coll
+     * @param {String} path
+     * @return void
+     */
+    findSubtreeDocs: function(coll, path, callback) {
+        coll.find({$or: [
+            {path: path},
+            {path: new RegExp("^" + Util.escapeRegExp(path + "/"))}
+        ]}).sort({path: 1}).toArray(callback);
+    },
+
+    /**
+     * Updates fields of the document of a path.
+     *
+     * @param {String} path
+     * @param {Object} fields
+     * @return void
+     */
+    updateDoc: function(path, fields, callback) {
+        this.getCollection(function(err, coll) {
+            if (err)
+                return callback(err);
+            // the root gets a document once it's changed
+            coll.update({path: path}, {$set: fields}, {upsert: !path}, function(err) {
+                callback(err);
+            });
+        });
+    },
+
+    /**
+     * Marks a collection as modified, after one of its members changed.
+     *
+     * @param {String} path
+     * @return void
+     */
+    touch: function(path, callback) {
+        this.updateDoc(path, {modified: new Date()}, callback);
+    },
+
+    /**
+     * Returns a new node for the given path
+     *
+     * @param {String} path
+     * @return void
+     */
+    getNodeForPath: function(path, cbgridfstree) {
+        var self = this;
+        path = Util.trim(path, "/");
+        this.getDoc(path, function(err, doc) {
+            if (err)
+                return cbgridfstree(err);
+            if (!doc)
+                return cbgridfstree(new Exc.FileNotFound("File at location " + path + " not found"));
+            cbgridfstree(null, self.createNode(doc));
+        });
+    },
+
+    /**
+     * Creates a new collection
+     *
+     * @param {String} path
+     * @return void
+     */
+    createDirectory: function(path, callback) {
+        var self = this;
+        var parts = Util.splitPath(path);
+        this.getCollection(function(err, coll) {
+            if (err)
+                return callback(err);
+            coll.insert({
+                path: path,
+                parent: parts[0],
+                name: parts[1],
+                type: "directory",
+                modified: new Date(),
+                properties: []
+            }, function(err) {
+                if (err)
+                    return callback(isDuplicateKey(err) ? new Exc.MethodNotAllowed("The resource you tried to create already exists") : err);
+                self.touch(parts[0], callback);
+            });
+        });
+    },
+
+    /**
+     * Stores the data of a file at once.
+     *
+     * @param {String} path
+     * @param {Buffer} data
+     * @return void
+     */
+    writeFile: function(path, data, callback) {
+        var stream = this.createWriteStream(path);
+        stream.on("error", callback);
+        stream.on("finish", function() {
+            callback();
+        });
+        stream.end(data);
+    },
+
+    /**
+     * Returns a writable stream that stores the data of the file at 'path' in a
+     * new GridFS file. Once all data was written, the document of the file is
+     * switched over to it and the previous data is removed.
+     *
+     * @param {String} path
+     * @return {Stream.Writable}
+     */
+    createWriteStream: function(path) {
+        var self = this;
+        return this.createDataStream(path, function(file, callback) {
+            self.storeFile(path, file, callback);
+        });
+    },
+
+    /**
+     * Returns a writable stream that stores data in a new GridFS file and
+     * passes the document of that file to 'onStored' once it's complete. The
+     * file is removed again when the stream fails.
+     *
+     * @param {String} filename
+     * @param {Function} onStored
+     * @return {Stream.Writable}
+     */
+    createDataStream: function(filename, onStored) {
+        var self = this;
+        var store = null;
+
+        function open(callback) {
+            if (store)
+                return callback();
+            self.getDb(function(err, db) {
+                if (err)
+                    return callback(err);
+                new Mongo.GridStore(db, new Mongo.ObjectID(), filename, "w", {
+                    root: self.root,
+                    content_type: Util.mime.type(filename)
+                }).open(function(err, gridStore) {
+                    if (err)
+                        return callback(err);
+                    store = gridStore;
+                    callback();
+                });
+            });
+        }
+
+        var stream = new Stream.Writable({
+            write: function(chunk, enc, callback) {
+                if (!Buffer.isBuffer(chunk))
+                    chunk = new Buffer(chunk, enc);
+                open(function(err) {
+                    if (err)
+                        return callback(err);
+                    store.write(chunk, function(err) {
+                        callback(err);
+                    });
+                });
+            },
+            final: function(callback) {
+                open(function(err) {
+                    if (err)
+                        return callback(err);
+                    store.close(function(err, file) {
+                        if (err)
+                            return callback(err);
+                        onStored(file, callback);
+                    });
+                });
+            }
+        });
+        stream.on("error", function() {
+            if (store)
+                self.removeData([store.fileId], function() {});
+        });
+        return stream;
+    },
+
+    /**
+     * Points the document of a file to a GridFS file, creating the document if
+     * the file is new, and removes the data it pointed to before.
+     *
+     * @param {String} path
+     * @param {Object} file The document of the GridFS file
+     * @return void
+     */
+    storeFile: function(path, file, callback) {
+        var self = this;
+        var parts = Util.splitPath(path);
+        this.getCollection(function(err, coll) {
+            if (err)
+                return callback(err);
+            coll.findAndModify({path: path}, [], {$set: {
+                parent: parts[0],
+                name: parts[1],
+                type: "file",
+                fileId: file._id,
+                size: file.length,
+                md5: file.md5,
+                modified: new Date()
+            }}, {upsert: true, "new": false}, function(err, previous) {
+                if (err) {
+                    return self.removeData([file._id], function() {
+                        callback(err);
+                    });
+                }
+                if (previous) {
+                    return self.removeData([previous.fileId], function(err) {
+                        callback(err);
+                    });
+                }
+                self.touch(parts[0], callback);
+            });
+        });
+    },
+
+    /**
+     * Reads the data of a GridFS file from byte 'start' up to, but not
+     * including, byte 'end', one chunk at a time. 'onChunk' receives every
+     * chunk and a function to call for the next one.
+     *
+     * @param {ObjectID} fileId
+     * @param {Number} start
+     * @param {Number} end
+     * @param {Function} onChunk
+     * @return void
+     */
+    readData: function(fileId, start, end, onChunk, callback) {
+        if (!fileId)
+            return callback();
+        var self = this;
+        this.getDb(function(err, db) {
+            if (err)
+                return callback(err);
+            new Mongo.GridStore(db, fileId, "r", {root: self.root}).open(function(err, store) {
+                if (err)
+                    return callback(new Exc.FileNotFound("The data of the file could not be found"));
+
+                var position = typeof start == "number" ? start : 0;
+                var last = typeof end == "number" ? Math.min(end, store.length) : store.length;
+                var done = function(err) {
+                    store.close(function() {
+                        callback(err);
+                    });
+                };
+                var next = function() {
+                    var size = Math.min(store.chunkSize, last - position);
+                    if (size <= 0)
+                        return done();
+                    store.read(size, function(err, data) {
+                        if (err)
+                            return done(err);
+                        position += data.length;
+                        onChunk(data, next);
+                    });
+                };
+                store.seek(position, function(err) {
+                    if (err)
+                        return done(err);
+                    next();
+                });
+            });
+        });
+    },
+
+    /**
+     * Copies the data of a GridFS file to a new one.
+     *
+     * @param {ObjectID} fileId
+     * @param {String} filename
+     * @return void
+     */
+    copyData: function(fileId, filename, callback) {
+        var copied = null;
+        var stream = this.createDataStream(filename, function(file, next) {
+            copied = file;
+            next();
+        });
+        stream.on("error", callback);
+        stream.on("finish", function() {
+            callback(null, copied);
+        });
+        this.readData(fileId, null, null, function(chunk, next) {
+            stream.write(chunk, function(err) {
+                if (!err)
+                    next();
+            });
+        }, function(err) {
+            if (err)
+                return stream.destroy(err);
+            stream.end();
+        });
+    },
+
+    /**
+     * Removes GridFS files.
+     *
+     * @param {Array} fileIds
+     * @return void
+     */
+    removeData: function(fileIds, callback) {
+        fileIds = fileIds.filter(Boolean);
+        if (!fileIds.length)
+            return callback();
+        var self = this;
+        this.getDb(function(err, db) {
+            if (err)
+                return callback(err);
+            db.collection(self.root + ".chunks").remove({files_id: {$in: fileIds}}, function(err) {
+                if (err)
+                    return callback(err);
+                db.collection(self.root + ".files").remove({_id: {$in: fileIds}}, function(err) {
+                    callback(err);
+                });
+            });
+        });
+    },
+
+    /**
+     * Copies a file or directory, with its dead properties.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    copy: function(source, destination, cbgridfscopy) {
+        var self = this;
+        this.getSubtree(source, destination, function(err, docs, coll) {
+            if (err)
+                return cbgridfscopy(err);
+            Async.list(docs)
+                .each(function(doc, next) {
+                    var copy = self.relocate(doc, source, destination);
+                    delete copy._id;
+                    copy.modified = new Date();
+                    if (doc.type != "file")
+                        return coll.insert(copy, next);
+
+                    self.copyData(doc.fileId, copy.path, function(err, file) {
+                        if (err)
+                            return next(err);
+                        copy.fileId = file._id;
+                        copy.md5 = file.md5;
+                        copy.size = file.length;
+                        coll.insert(copy, function(err) {
+                            if (err)
+                                return self.removeData([file._id], next.bind(null, err));
+                            next();
+                        });
+                    });
+                })
+                .end(function(err) {
+                    if (err)
+                        return cbgridfscopy(err);
+                    self.touch(Util.splitPath(destination)[0], cbgridfscopy);
+                });
+        });
+    },
+
+    /**
+     * Moves a file or directory by rewriting the paths of its documents. The
+     * data of the files stays where it is.
+     *
+     * The documents are rewritten one at a time, so a move is not atomic: while
+     * a collection is moved, part of it may be found at the source and part at
+     * the destination. The move is recorded in the <root>.moves collection
+     * before the first document is rewritten, so that a move that was
+     * interrupted is completed when the tree is opened again.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    move: function(source, destination, cbgridfsmove) {
+        var self = this;
+        this.getSubtree(source, destination, function(err, docs, coll) {
+            if (err)
+                return cbgridfsmove(err);
+            var moves = self.db.collection(self.root + ".moves");
+            var move = {
+                _id: new Mongo.ObjectID(),
+                source: Util.trim(source, "/"),
+                destination: Util.trim(destination, "/"),
+                started: new Date()
+            };
+            moves.insert(move, function(err) {
+                if (err)
+                    return cbgridfsmove(err);
+                self.rewritePaths(coll, docs, move.source, move.destination, function(err) {
+                    if (err)
+                        return cbgridfsmove(err);
+                    moves.remove({_id: move._id}, function(err) {
+                        if (err)
+                            return cbgridfsmove(err);
+                        self.touch(Util.splitPath(move.source)[0], function(err) {
+                            if (err)
+                                return cbgridfsmove(err);
+                            self.touch(Util.splitPath(move.destination)[0], function(err) {
+                                cbgridfsmove(err, source, destination);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Rewrites the paths of documents that are moved from below 'source' to
+     * below 'destination'. Documents that were moved already are left alone,
+     * so a move can be repeated safely.
+     *
+     * @param {Collection} coll
+     * @param {Array} docs
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    rewritePaths: function(coll, docs, source, destination, callback) {
+        var self = this;
+        Async.list(docs)
+            .each(function(doc, next) {
+                var moved = self.relocate(doc, source, destination);
+                coll.update({_id: doc._id, path: doc.path}, {$set: {
+                    path: moved.path,
+                    parent: moved.parent,
+                    name: moved.name
+                }}, function(err) {
+                    next(err);
+                });
+            })
+            .end(callback);
+    },
+
+    /**
+     * Completes the moves that were recorded in the <root>.moves collection,
+     * but were never finished because a server stopped halfway. The documents
+     * that are still below the source of a move are moved to its destination.
+     *
+     * @param {Db} db
+     * @return void
+     */
+    finishMoves: function(db, callback) {
+        var self = this;
+        var tree = db.collection(this.root + ".tree");
+        var moves = db.collection(this.root + ".moves");
+        moves.find({}).sort({started: 1}).toArray(function(err, pending) {
+            if (err)
+                return callback(err);
+            Async.list(pending)
+                .each(function(move, next) {
+                    self.findSubtreeDocs(tree, move.source, function(err, docs) {
+                        if (err)
+                            return next(err);
+                        self.rewritePaths(tree, docs, move.source, move.destination, function(err) {
+                            if (err)
+                                return next(err);
+                            moves.remove({_id: move._id}, function(err) {
+                                next(err);
+                            });
+                        });
+                    });
+                })
+                .end(callback);
+        });
+    },
+
+    /**
+     * Returns the documents that are copied or moved from 'source' to
+     * 'destination', after checking that the move can be made.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    getSubtree: function(source, destination, callback) {
+        var self = this;
+        source = Util.trim(source, "/");
+        destination = Util.trim(destination, "/");
+        if (!source)
+            return callback(new Exc.Forbidden("The root of the tree can not be copied or moved"));
+        if (destination == source || destination.indexOf(source + "/") === 0)
+            return callback(new Exc.Forbidden("A collection can not be copied or moved into itself"));
+
+        this.getDoc(Util.splitPath(destination)[0], function(err, parent) {
+            if (err)
+                return callback(err);
+            if (!parent || parent.type == "file")
+                return callback(new Exc.Conflict("The parent of " + destination + " does not exist"));
+            self.getSubtreeDocs(source, function(err, docs) {
+                if (err)
+                    return callback(err);
+                if (!docs.length)
+                    return callback(new Exc.FileNotFound("File at location " + source + " not found"));
+                self.getCollection(function(err, coll) {
+                    callback(err, docs, coll);
+                });
+            });
+        });
+    },
+
+    /**
+     * Returns a copy of a document that is moved from below 'source' to below
+     * 'destination'.
+     *
+     * @param {Object} doc
+     * @param {String} source
+     * @param {String} destination
+     * @return {Object}
+     */
+    relocate: function(doc, source, destination) {
+        var copy = Util.extend({}, doc);
+        copy.path = Util.trim(destination, "/") + doc.path.substr(Util.trim(source, "/").length);
+        var parts = Util.splitPath(copy.path);
+        copy.parent = parts[0];
+        copy.name = parts[1];
+        return copy;
+    },
+
+    /**
+     * Deletes a file or directory, with everything below it.
+     *
+     * @param {String} path
+     * @return void
+     */
+    "delete": function(path, cbgridfsdelete) {
+        var self = this;
+        path = Util.trim(path, "/");
+        if (!path)
+            return cbgridfsdelete(new Exc.Forbidden("The root of the tree can not be deleted"));
+        this.getSubtreeDocs(path, function(err, docs) {
+            if (err)
+                return cbgridfsdelete(err);
+            if (!docs.length)
+                return cbgridfsdelete(new Exc.FileNotFound("File at location " + path + " not found"));
+            self.getCollection(function(err, coll) {
+                if (err)
+                    return cbgridfsdelete(err);
+                coll.remove({_id: {$in: docs.map(function(doc) { return doc._id; })}}, function(err) {
+                    if (err)
+                        return cbgridfsdelete(err);
+                    self.removeData(docs.map(function(doc) { return doc.fileId; }), function(err) {
+                        if (err)
+                            return cbgridfsdelete(err);
+                        self.touch(Util.splitPath(path)[0], cbgridfsdelete);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Closes the connection to the database, if the tree opened it.
+     *
+     * @return void
+     */
+    unmount: function() {
+        if (this.db && this.db !== this.mongoOptions)
+            this.db.close();
+        this.db = null;
+    }
+});
+
+function isDuplicateKey(err) {
+    return err && (err.code == 11000 || err.code == 11001);
+}
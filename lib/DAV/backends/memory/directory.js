@@ -0,0 +1,106 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Memory_Node = require("./node");
+var jsDAV_Memory_File = require("./file");
+var jsDAV_Collection = require("./../../collection");
+var jsDAV_iQuota = require("./../../interfaces/iQuota");
+
+var Exc = require("./../../../shared/exceptions");
+
+var jsDAV_Memory_Directory = module.exports = jsDAV_Memory_Node.extend(jsDAV_Collection, jsDAV_iQuota, {
+    /**
+     * Creates a new file in the directory
+     *
+     * @param {String} name Name of the file
+     * @param {Buffer} data Initial payload
+     * @param {String} [enc]
+     * @param {Function} cbmemcreatefile
+     * @return void
+     */
+    createFile: function(name, data, enc, cbmemcreatefile) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data || "", enc || "utf8");
+        var err = this.tree.checkQuota(data.length);
+        if (err)
+            return cbmemcreatefile(err);
+        this.tree.linkEntry(this.entry, name, this.tree.createEntry("file", data));
+        cbmemcreatefile();
+    },
+
+    /**
+     * Creates a new file in the directory with the request body. The file only
+     * appears once the body was received completely.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} name Name of the file
+     * @param {String} [enc]
+     * @param {Function} cbmemcreatefile
+     * @return void
+     */
+    createFileStream: function(handler, name, enc, cbmemcreatefile) {
+        var self = this;
+        var stream = this.tree.createWriteStream(0, function(data) {
+            self.tree.linkEntry(self.entry, name, self.tree.createEntry("file", data));
+        });
+        handler.getRequestBody(enc, stream, false, cbmemcreatefile);
+    },
+
+    /**
+     * Creates a new subdirectory
+     *
+     * @param {String} name
+     * @return void
+     */
+    createDirectory: function(name, cbmemcreatedir) {
+        this.tree.linkEntry(this.entry, name, this.tree.createEntry("directory"));
+        cbmemcreatedir();
+    },
+
+    /**
+     * Returns a specific child node, referenced by its name
+     *
+     * @param {String} name
+     * @return void
+     */
+    getChild: function(name, cbmemgetchild) {
+        var entry = this.entry.children[name];
+        var path = this.getChildPath(name);
+        if (!entry)
+            return cbmemgetchild(new Exc.FileNotFound("File with name " + path + " could not be located"));
+        cbmemgetchild(null, this.tree.createNode(path, entry));
+    },
+
+    /**
+     * Returns an array with all the child nodes, sorted by name
+     *
+     * @return void
+     */
+    getChildren: function(cbmemgetchildren) {
+        var self = this;
+        var children = this.entry.children;
+        cbmemgetchildren(null, Object.keys(children).sort().map(function(name) {
+            return self.tree.createNode(self.getChildPath(name), children[name]);
+        }));
+    },
+
+    getChildPath: function(name) {
+        return this.path ? this.path + "/" + name : name;
+    },
+
+    /**
+     * Returns the amount of bytes that are used and available. Without a
+     * quota, the available memory of the system is reported.
+     *
+     * @return void
+     */
+    getQuotaInfo: function(cbmemquota) {
+        cbmemquota(null, this.tree.getQuotaInfo());
+    }
+});
@@ -0,0 +1,166 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Memory_Node = require("./node");
+var jsDAV_File = require("./../../file");
+var jsDAV_iPatchSupport = require("./../../interfaces/iPatchSupport");
+
+var Util = require("./../../../shared/util");
+
+/**
+ * Size of the chunks in which files are streamed
+ *
+ * @var {Number}
+ */
+var CHUNK_SIZE = 65536;
+
+var jsDAV_Memory_File = module.exports = jsDAV_Memory_Node.extend(jsDAV_File, jsDAV_iPatchSupport, {
+    /**
+     * Updates the data
+     *
+     * @param {mixed} data
+     * @return void
+     */
+    put: function(data, type, cbmemput) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data, type || "utf8");
+        var err = this.tree.checkQuota(data.length - this.entry.data.length);
+        if (err)
+            return cbmemput(err);
+        this.tree.writeEntry(this.entry, data);
+        cbmemput();
+    },
+
+    /**
+     * Updates the data with the request body. The body is collected before it
+     * replaces the data, so a failed upload leaves the file untouched.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} type
+     * @return void
+     */
+    putStream: function(handler, type, cbmemput) {
+        var self = this;
+        var stream = this.tree.createWriteStream(this.entry.data.length, function(data) {
+            self.tree.writeEntry(self.entry, data);
+        });
+        handler.getRequestBody(type, stream, false, cbmemput);
+    },
+
+    /**
+     * Updates a part of the data, starting at byte 'offset'. An offset of
+     * `null` appends the data to the end of the file.
+     *
+     * @param {Buffer} data
+     * @param {Number} offset
+     * @return void
+     */
+    patch: function(data, offset, cbmempatch) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data);
+        var current = this.entry.data;
+        if (offset === null)
+            offset = current.length;
+        var size = Math.max(current.length, offset + data.length);
+        var err = this.tree.checkQuota(size - current.length);
+        if (err)
+            return cbmempatch(err);
+
+        var patched = new Buffer(size);
+        patched.fill(0);
+        current.copy(patched);
+        data.copy(patched, offset);
+        this.tree.writeEntry(this.entry, patched);
+        cbmempatch();
+    },
+
+    /**
+     * Returns the data
+     *
+     * @return Buffer
+     */
+    get: function(cbmemget) {
+        cbmemget(null, this.entry.data);
+    },
+
+    /**
+     * Returns the data in chunks, like the other backends do, so that large
+     * files don't hold up the server. An object with pause() and resume() is
+     * passed along with each chunk to control the pace.
+     *
+     * The 'end' offset is exclusive.
+     *
+     * @param {Number} start
+     * @param {Number} end
+     * @return void
+     */
+    getStream: function(start, end, cbmemgetstream) {
+        var data = this.entry.data;
+        if (typeof start == "number" && typeof end == "number")
+            data = data.slice(start, end);
+
+        var offset = 0;
+        var paused = false;
+        var waiting = false;
+        var source = {
+            pause: function() {
+                paused = true;
+            },
+            resume: function() {
+                paused = false;
+                if (waiting) {
+                    waiting = false;
+                    setImmediate(next);
+                }
+            }
+        };
+
+        function next() {
+            if (paused) {
+                waiting = true;
+                return;
+            }
+            if (offset >= data.length)
+                return cbmemgetstream();
+            var chunk = data.slice(offset, offset + CHUNK_SIZE);
+            offset += chunk.length;
+            cbmemgetstream(null, chunk, source);
+            setImmediate(next);
+        }
+        next();
+    },
+
+    /**
+     * Returns the size of the node, in bytes
+     *
+     * @return int
+     */
+    getSize: function(cbmemgetsize) {
+        cbmemgetsize(null, this.entry.data.length);
+    },
+
+    /**
+     * Returns the ETag for a file, which is the checksum of its data.
+     *
+     * @return mixed
+     */
+    getETag: function(cbmemgetetag) {
+        cbmemgetetag(null, '"' + Util.md5(this.entry.data) + '"');
+    },
+
+    /**
+     * Returns the mime-type for a file
+     * If null is returned, we'll assume application/octet-stream
+     *
+     * @return mixed
+     */
+    getContentType: function(cbmemmime) {
+        cbmemmime(null, Util.mime.type(this.path));
+    }
+});
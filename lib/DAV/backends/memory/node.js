@@ -0,0 +1,141 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_iNode = require("./../../interfaces/iNode");
+var jsDAV_iProperties = require("./../../interfaces/iProperties");
+var jsDAV_Property_Complex = require("./../../property/complex");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * A node of the memory tree. Nodes are views of the entries the tree keeps
+ * (see jsDAV_Tree_Memory), so any number of nodes may refer to the same entry.
+ *
+ * @param {jsDAV_Tree_Memory} tree
+ * @param {String} path
+ * @param {Object} entry
+ */
+var jsDAV_Memory_Node = module.exports = jsDAV_iNode.extend(jsDAV_iProperties, {
+    initialize: function(tree, path, entry) {
+        this.tree = tree;
+        this.path = path;
+        this.entry = entry;
+    },
+
+    /**
+     * Returns the name of the node
+     *
+     * @return {string}
+     */
+    getName: function() {
+        return Util.splitPath(this.path)[1];
+    },
+
+    /**
+     * Renames the node
+     *
+     * @param {string} name The new name
+     * @return void
+     */
+    setName: function(name, cbmemsetname) {
+        var parentPath = Util.splitPath(this.path)[0];
+        var newName = Util.splitPath(name)[1];
+        var parent = this.tree.getEntry(parentPath);
+        if (!parent || parent.children[this.getName()] !== this.entry)
+            return cbmemsetname(new Exc.FileNotFound("File at location " + this.path + " not found"));
+        if (!this.path)
+            return cbmemsetname(new Exc.Forbidden("The root of the tree can not be renamed"));
+
+        this.tree.unlinkEntry(parent, this.getName());
+        this.tree.linkEntry(parent, newName, this.entry);
+        this.path = parentPath ? parentPath + "/" + newName : newName;
+        cbmemsetname();
+    },
+
+    /**
+     * Returns the last modification time
+     *
+     * @return {Date}
+     */
+    getLastModified: function(cbmemgetlm) {
+        cbmemgetlm(null, new Date(this.entry.modified));
+    },
+
+    /**
+     * Deletes the node, and everything below it
+     *
+     * @return void
+     */
+    "delete": function(cbmemdel) {
+        var parts = Util.splitPath(this.path);
+        var parent = this.tree.getEntry(parts[0]);
+        if (!this.path)
+            return cbmemdel(new Exc.Forbidden("The root of the tree can not be deleted"));
+        if (!parent || parent.children[parts[1]] !== this.entry)
+            return cbmemdel(new Exc.FileNotFound("File at location " + this.path + " not found"));
+
+        this.tree.unlinkEntry(parent, parts[1]);
+        cbmemdel();
+    },
+
+    /**
+     * Updates the dead properties of this node. The values are stored as XML,
+     * so they're returned as they were set; properties with a value of null
+     * are removed.
+     *
+     * @param {Object} mutations
+     * @return void
+     */
+    updateProperties: function(mutations, cbmemupdateprops) {
+        var result = {"403": {}, "424": {}};
+        var values = {};
+        var failed = false;
+        for (var name in mutations) {
+            values[name] = mutations[name] === null ? null : jsDAV_Property_Complex.toXml(mutations[name]);
+            if (values[name] === null && mutations[name] !== null) {
+                result["403"][name] = null;
+                failed = true;
+            }
+            else {
+                result["424"][name] = null;
+            }
+        }
+        if (failed)
+            return cbmemupdateprops(null, result);
+
+        var properties = this.entry.properties;
+        for (name in values) {
+            if (values[name] === null)
+                delete properties[name];
+            else
+                properties[name] = values[name];
+        }
+        cbmemupdateprops(null, true);
+    },
+
+    /**
+     * Returns the dead properties of this node that were requested. An empty
+     * list of properties returns all of them.
+     *
+     * @param {Array} properties
+     * @return void
+     */
+    getProperties: function(properties, cbmemgetprops) {
+        var stored = this.entry.properties;
+        var props = {};
+        if (!properties || !properties.length)
+            properties = Object.keys(stored);
+        properties.forEach(function(name) {
+            if (name in stored)
+                props[name] = jsDAV_Property_Complex.new(stored[name]);
+        });
+        cbmemgetprops(null, props);
+    }
+});
@@ -0,0 +1,351 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+/**
+ * Snapshots of a memory tree (see jsDAV_Tree_Memory), in one of two formats:
+ *
+ *   - json: the entries of the tree as a JSON document, with the data of the
+ *     files encoded in base64.
+ *   - tar: a POSIX (pax) tar archive, which can be read and created with the
+ *     usual tools. The dead properties of a resource are kept in the
+ *     'JSDAV.properties' record of its extended header.
+ */
+
+var BLOCK_SIZE = 512;
+var PROPERTIES_RECORD = "JSDAV.properties";
+
+/**
+ * Returns the format of a snapshot file, by its extension.
+ *
+ * @param {String} path
+ * @return {String}
+ */
+exports.getFormat = function(path) {
+    return /\.tar$/i.test(path) ? "tar" : "json";
+};
+
+/**
+ * Serializes the entries below 'root'.
+ *
+ * @param {Object} root
+ * @param {String} format Either 'json' or 'tar'
+ * @return {Buffer}
+ */
+exports.serialize = function(root, format) {
+    return format == "tar"
+        ? serializeTar(root)
+        : new Buffer(JSON.stringify({version: 1, root: toJSON(root)}), "utf8");
+};
+
+/**
+ * Reads the entries of a snapshot. Entries are created by the tree, so they
+ * have its structure.
+ *
+ * @param {Buffer} buffer
+ * @param {String} format Either 'json' or 'tar'
+ * @param {jsDAV_Tree_Memory} tree
+ * @return {Object} The root entry
+ */
+exports.parse = function(buffer, format, tree) {
+    if (format == "tar")
+        return parseTar(buffer, tree);
+
+    var snapshot = JSON.parse(buffer.toString("utf8"));
+    if (!snapshot || !snapshot.root || snapshot.root.type != "directory")
+        throw new Error("Invalid snapshot, the root of the tree is missing");
+    return fromJSON(snapshot.root, tree);
+};
+
+function toJSON(entry) {
+    var json = {
+        type: entry.type,
+        modified: entry.modified,
+        properties: entry.properties
+    };
+    if (entry.type == "file") {
+        json.data = entry.data.toString("base64");
+    }
+    else {
+        json.children = {};
+        Object.keys(entry.children).sort().forEach(function(name) {
+            json.children[name] = toJSON(entry.children[name]);
+        });
+    }
+    return json;
+}
+
+function fromJSON(json, tree) {
+    var entry = tree.createEntry(json.type == "file" ? "file" : "directory",
+        json.type == "file" ? new Buffer(json.data || "", "base64") : null);
+    entry.modified = json.modified || entry.modified;
+    for (var name in json.properties || {})
+        entry.properties[name] = String(json.properties[name]);
+    if (entry.type == "directory") {
+        for (name in json.children || {})
+            entry.children[name] = fromJSON(json.children[name], tree);
+    }
+    return entry;
+}
+
+function serializeTar(root) {
+    var blocks = [];
+    (function walk(entry, path) {
+        var isFile = entry.type == "file";
+        var data = isFile ? entry.data : null;
+        var records = {
+            path: path,
+            mtime: String(entry.modified / 1000)
+        };
+        if (Object.keys(entry.properties).length)
+            records[PROPERTIES_RECORD] = JSON.stringify(entry.properties);
+
+        blocks.push(createPaxHeader(path, records));
+        blocks.push(createHeader({
+            name: path,
+            mode: isFile ? 420 : 493, // 0644 and 0755
+            size: isFile ? data.length : 0,
+            mtime: Math.floor(entry.modified / 1000),
+            type: isFile ? "0" : "5"
+        }));
+        if (isFile) {
+            blocks.push(data);
+            blocks.push(padding(data.length));
+            return;
+        }
+        Object.keys(entry.children).sort().forEach(function(name) {
+            var child = entry.children[name];
+            walk(child, (path == "./" ? "" : path) + name + (child.type == "file" ? "" : "/"));
+        });
+    })(root, "./");
+
+    // an archive ends with two empty blocks
+    blocks.push(new Buffer(BLOCK_SIZE * 2).fill(0));
+    return Buffer.concat(blocks);
+}
+
+function parseTar(buffer, tree) {
+    var root = tree.createEntry("directory");
+    var pax = {};
+    var globalPax = {};
+    var longName = null;
+    var offset = 0;
+
+    while (offset + BLOCK_SIZE <= buffer.length) {
+        var header = buffer.slice(offset, offset + BLOCK_SIZE);
+        offset += BLOCK_SIZE;
+        if (isEmptyBlock(header))
+            break;
+        if (readOctal(header, 148, 8) !== checksum(header))
+            throw new Error("Invalid snapshot, the tar archive is damaged at byte " + (offset - BLOCK_SIZE));
+
+        var type = String.fromCharCode(header[156] || 48);
+        var size = readOctal(header, 124, 12);
+        var data = buffer.slice(offset, offset + size);
+        offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if (type == "x" || type == "g") {
+            var records = parsePaxRecords(data);
+            var target = type == "x" ? pax : globalPax;
+            for (var key in records)
+                target[key] = records[key];
+            continue;
+        }
+        // GNU long names
+        if (type == "L") {
+            longName = readString(data, 0, data.length);
+            continue;
+        }
+        if (type != "0" && type != "5") {
+            pax = {};
+            longName = null;
+            continue;
+        }
+
+        var attrs = {};
+        for (key in globalPax)
+            attrs[key] = globalPax[key];
+        for (key in pax)
+            attrs[key] = pax[key];
+        pax = {};
+
+        var path = attrs.path || longName || readPath(header);
+        longName = null;
+        var entry = type == "0"
+            ? tree.createEntry("file", new Buffer(data))
+            : tree.createEntry("directory");
+        entry.modified = attrs.mtime
+            ? Math.round(parseFloat(attrs.mtime) * 1000)
+            : readOctal(header, 136, 12) * 1000;
+        if (attrs[PROPERTIES_RECORD]) {
+            var properties = JSON.parse(attrs[PROPERTIES_RECORD]);
+            for (key in properties)
+                entry.properties[key] = String(properties[key]);
+        }
+        addEntry(root, path, entry, tree);
+    }
+    return root;
+}
+
+/**
+ * Adds an entry of an archive to the tree, creating the directories that lead
+ * to it when the archive doesn't list them first.
+ *
+ * @param {Object} root
+ * @param {String} path
+ * @param {Object} entry
+ * @param {jsDAV_Tree_Memory} tree
+ * @return void
+ */
+function addEntry(root, path, entry, tree) {
+    var parts = path.split("/").filter(function(part) {
+        return part && part != ".";
+    });
+    if (parts.some(function(part) { return part == ".."; }))
+        throw new Error("Invalid snapshot, the path " + path + " is outside of the tree");
+
+    if (!parts.length) {
+        if (entry.type == "directory") {
+            root.properties = entry.properties;
+            root.modified = entry.modified;
+        }
+        return;
+    }
+
+    var parent = root;
+    var name = parts.pop();
+    parts.forEach(function(part) {
+        var child = parent.children[part];
+        if (!child || child.type != "directory")
+            child = parent.children[part] = tree.createEntry("directory");
+        parent = child;
+    });
+
+    var existing = parent.children[name];
+    // a directory that was created for one of its children keeps them
+    if (existing && existing.type == "directory" && entry.type == "directory")
+        entry.children = existing.children;
+    parent.children[name] = entry;
+}
+
+function createHeader(fields) {
+    var header = new Buffer(BLOCK_SIZE).fill(0);
+    var name = fields.name;
+    // the full path is part of the extended header
+    while (Buffer.byteLength(name) > 100)
+        name = name.substr(0, name.length - 1);
+
+    header.write(name, 0, 100, "utf8");
+    writeOctal(header, fields.mode, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, fields.size, 124, 12);
+    writeOctal(header, fields.mtime, 136, 12);
+    header.write(fields.type, 156, 1, "ascii");
+    header.write("ustar\u000000", 257, 8, "ascii");
+
+    var sum = checksum(header);
+    header.write(pad(sum.toString(8), 6) + "\u0000 ", 148, 8, "ascii");
+    return header;
+}
+
+function createPaxHeader(path, records) {
+    var body = Buffer.concat(Object.keys(records).map(function(key) {
+        return new Buffer(paxRecord(key, records[key]), "utf8");
+    }));
+    var name = "PaxHeader/" + path.replace(/\/$/, "").split("/").pop();
+    return Buffer.concat([
+        createHeader({name: name, mode: 420, size: body.length, mtime: 0, type: "x"}),
+        body,
+        padding(body.length)
+    ]);
+}
+
+/**
+ * Returns a record of an extended header, which starts with its own length in
+ * bytes.
+ *
+ * @param {String} key
+ * @param {String} value
+ * @return {String}
+ */
+function paxRecord(key, value) {
+    var line = " " + key + "=" + value + "\n";
+    var length = Buffer.byteLength(line);
+    var total = length + String(length).length;
+    if (String(total).length > String(length).length)
+        total += 1;
+    return total + line;
+}
+
+function parsePaxRecords(data) {
+    var records = {};
+    var offset = 0;
+    while (offset < data.length) {
+        var space = data.indexOf(32, offset);
+        if (space === -1)
+            break;
+        var length = parseInt(data.toString("ascii", offset, space), 10);
+        if (!length)
+            break;
+        var record = data.toString("utf8", space + 1, offset + length - 1);
+        var eq = record.indexOf("=");
+        if (eq > -1)
+            records[record.substr(0, eq)] = record.substr(eq + 1);
+        offset += length;
+    }
+    return records;
+}
+
+function readPath(header) {
+    var name = readString(header, 0, 100);
+    var prefix = header.toString("ascii", 257, 262) == "ustar" ? readString(header, 345, 155) : "";
+    return prefix ? prefix + "/" + name : name;
+}
+
+function readString(buffer, offset, length) {
+    var end = offset;
+    while (end < offset + length && buffer[end] !== 0)
+        ++end;
+    return buffer.toString("utf8", offset, end);
+}
+
+function readOctal(buffer, offset, length) {
+    var value = readString(buffer, offset, length).replace(/[^0-7]/g, "");
+    return value ? parseInt(value, 8) : 0;
+}
+
+function writeOctal(buffer, value, offset, length) {
+    buffer.write(pad(value.toString(8), length - 1) + "\u0000", offset, length, "ascii");
+}
+
+function pad(str, length) {
+    while (str.length < length)
+        str = "0" + str;
+    return str;
+}
+
+function checksum(header) {
+    var sum = 0;
+    for (var i = 0; i < BLOCK_SIZE; ++i)
+        sum += i >= 148 && i < 156 ? 32 : header[i];
+    return sum;
+}
+
+function padding(length) {
+    var rest = length % BLOCK_SIZE;
+    return new Buffer(rest ? BLOCK_SIZE - rest : 0).fill(0);
+}
+
+function isEmptyBlock(block) {
+    for (var i = 0; i < BLOCK_SIZE; ++i) {
+        if (block[i] !== 0)
+            return false;
+    }
+    return true;
+}
@@ -0,0 +1,397 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Tree = require("./../../tree");
+var jsDAV_Memory_Directory = require("./directory");
+var jsDAV_Memory_File = require("./file");
+var Snapshot = require("./snapshot");
+
+var Fs = require("fs");
+var Os = require("os");
+var Stream = require("stream");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * jsDAV_Tree_Memory
+ *
+ * A tree that keeps all files, collections and dead properties in memory,
+ * which is useful for tests, demos and scratch space:
+ *
+ *   jsDAV.createServer({
+ *       type: "memory",
+ *       quota: 100 * 1024 * 1024,
+ *       snapshot: "/var/lib/jsdav/scratch.tar"
+ *   }, 8000);
+ *
+ * The 'quota' option limits the amount of bytes the files may use together;
+ * without it, the tree may use all the memory there is. The 'snapshot' option
+ * is the path of a file that the tree is restored from when it's created and
+ * saved to when the server is unmounted. Snapshots are tar archives when the
+ * path ends with '.tar' and JSON documents otherwise (see snapshot.js).
+ *
+ * The tree consists of entries, which are plain objects:
+ *
+ *   {type: "directory", children: {name: entry}, properties: {}, modified: ms}
+ *   {type: "file", data: Buffer, properties: {}, modified: ms}
+ *
+ * @param {Object} options
+ * @contructor
+ */
+var jsDAV_Tree_Memory = module.exports = jsDAV_Tree.extend({
+    /**
+     * Base path for this tree. Memory trees have no location of their own.
+     *
+     * @var {String}
+     */
+    basePath: "",
+
+    initialize: function(options) {
+        options = options || {};
+        this.quota = parseInt(options.quota, 10) || 0;
+        this.snapshot = options.snapshot || null;
+        this.root = this.createEntry("directory");
+        this.used = 0;
+
+        if (this.snapshot && Fs.existsSync(this.snapshot))
+            this.setRoot(Snapshot.parse(Fs.readFileSync(this.snapshot), Snapshot.getFormat(this.snapshot), this));
+    },
+
+    /**
+     * Returns a new entry
+     *
+     * @param {String} type Either 'file' or 'directory'
+     * @param {Buffer} [data] The data of a file
+     * @return {Object}
+     */
+    createEntry: function(type, data) {
+        var entry = {type: type, properties: {}, modified: Date.now()};
+        if (type == "file")
+            entry.data = data || new Buffer(0);
+        else
+            entry.children = Object.create(null);
+        return entry;
+    },
+
+    /**
+     * Returns the node for an entry
+     *
+     * @param {String} path
+     * @param {Object} entry
+     * @return {jsDAV_Memory_Node}
+     */
+    createNode: function(path, entry) {
+        return entry.type == "file"
+            ? jsDAV_Memory_File.new(this, path, entry)
+            : jsDAV_Memory_Directory.new(this, path, entry);
+    },
+
+    /**
+     * Returns the entry at a path, or null if there is none
+     *
+     * @param {String} path
+     * @return {Object}
+     */
+    getEntry: function(path) {
+        var entry = this.root;
+        var parts = Util.trim(path || "", "/").split("/");
+        for (var i = 0, l = parts.length; i < l && entry; ++i) {
+            if (!parts[i])
+                continue;
+            entry = entry.type == "directory" ? entry.children[parts[i]] || null : null;
+        }
+        return entry;
+    },
+
+    /**
+     * Returns a new node for the given path
+     *
+     * @param {String} path
+     * @return void
+     */
+    getNodeForPath: function(path, cbmemtree) {
+        path = Util.trim(path, "/");
+        var entry = this.getEntry(path);
+        if (!entry)
+            return cbmemtree(new Exc.FileNotFound("File at location " + path + " not found"));
+        cbmemtree(null, this.createNode(path, entry));
+    },
+
+    /**
+     * Copies a file or directory, with its dead properties.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    copy: function(source, destination, cbmemcopy) {
+        var self = this;
+        this.getParentEntries(source, destination, function(err, entry, parent, name) {
+            if (err)
+                return cbmemcopy(err);
+            var copy = cloneEntry(entry);
+            err = self.checkQuota(getSize(copy));
+            if (err)
+                return cbmemcopy(err);
+            self.linkEntry(parent, name, copy);
+            cbmemcopy();
+        });
+    },
+
+    /**
+     * Moves a file or directory.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    move: function(source, destination, cbmemmove) {
+        var self = this;
+        this.getParentEntries(source, destination, function(err, entry, parent, name) {
+            if (err)
+                return cbmemmove(err);
+            var parts = Util.splitPath(Util.trim(source, "/"));
+            self.unlinkEntry(self.getEntry(parts[0]), parts[1]);
+            self.linkEntry(parent, name, entry);
+            cbmemmove(null, source, destination);
+        });
+    },
+
+    /**
+     * Returns the entry of the source of a copy or move, and the parent entry
+     * and name of its destination.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    getParentEntries: function(source, destination, callback) {
+        source = Util.trim(source, "/");
+        destination = Util.trim(destination, "/");
+        var entry = this.getEntry(source);
+        if (!entry || !source)
+            return callback(new Exc.FileNotFound("File at location " + source + " not found"));
+        if (destination == source || destination.indexOf(source + "/") === 0)
+            return callback(new Exc.Forbidden("A collection can not be copied or moved into itself"));
+
+        var parts = Util.splitPath(destination);
+        var parent = this.getEntry(parts[0]);
+        if (!parent || parent.type != "directory")
+            return callback(new Exc.Conflict("The parent of " + destination + " does not exist"));
+        callback(null, entry, parent, parts[1]);
+    },
+
+    /**
+     * Adds an entry to a directory, replacing the entry of the same name.
+     *
+     * @param {Object} parent
+     * @param {String} name
+     * @param {Object} entry
+     * @return void
+     */
+    linkEntry: function(parent, name, entry) {
+        if (parent.children[name])
+            this.unlinkEntry(parent, name);
+        parent.children[name] = entry;
+        parent.modified = Date.now();
+        this.used += getSize(entry);
+    },
+
+    /**
+     * Removes an entry from a directory.
+     *
+     * @param {Object} parent
+     * @param {String} name
+     * @return void
+     */
+    unlinkEntry: function(parent, name) {
+        var entry = parent.children[name];
+        if (!entry)
+            return;
+        delete parent.children[name];
+        parent.modified = Date.now();
+        this.used -= getSize(entry);
+    },
+
+    /**
+     * Replaces the data of a file.
+     *
+     * @param {Object} entry
+     * @param {Buffer} data
+     * @return void
+     */
+    writeEntry: function(entry, data) {
+        this.used += data.length - entry.data.length;
+        entry.data = data;
+        entry.modified = Date.now();
+    },
+
+    /**
+     * Returns a writable stream that collects the data of a file and passes it
+     * to 'onFinish' once all of it was written. Writes that exceed the quota
+     * fail the stream.
+     *
+     * @param {Number} replaced Size of the data that is replaced
+     * @param {Function} onFinish
+     * @return {Stream.Writable}
+     */
+    createWriteStream: function(replaced, onFinish) {
+        var self = this;
+        var chunks = [];
+        var size = 0;
+        var stream = new Stream.Writable({
+            write: function(chunk, enc, callback) {
+                if (!Buffer.isBuffer(chunk))
+                    chunk = new Buffer(chunk, enc);
+                size += chunk.length;
+                chunks.push(chunk);
+                callback(self.checkQuota(size - replaced));
+            },
+            final: function(callback) {
+                onFinish(Buffer.concat(chunks, size));
+                callback();
+            }
+        });
+        return stream;
+    },
+
+    /**
+     * Returns an error if the files would exceed the quota after growing by
+     * 'growth' bytes.
+     *
+     * @param {Number} growth
+     * @return {Exc.QuotaNotExceeded}
+     */
+    checkQuota: function(growth) {
+        if (!this.quota || growth <= 0 || this.used + growth <= this.quota)
+            return null;
+        return new Exc.QuotaNotExceeded("Storing " + growth + " more bytes would exceed the quota of "
+            + this.quota + " bytes");
+    },
+
+    /**
+     * Returns the amount of bytes that are used and available.
+     *
+     * @return {Array}
+     */
+    getQuotaInfo: function() {
+        return [
+            this.used,
+            this.quota ? Math.max(0, this.quota - this.used) : Os.freemem()
+        ];
+    },
+
+    /**
+     * Replaces all entries of the tree.
+     *
+     * @param {Object} root
+     * @return void
+     */
+    setRoot: function(root) {
+        this.root = root;
+        this.used = getSize(root);
+    },
+
+    /**
+     * Saves the tree to a snapshot file.
+     *
+     * @param {String} [path] Defaults to the 'snapshot' option
+     * @return void
+     */
+    saveSnapshot: function(path, cbmemsave) {
+        if (typeof path == "function") {
+            cbmemsave = path;
+            path = this.snapshot;
+        }
+        if (!path)
+            return cbmemsave(new Exc.jsDAV_Exception("No snapshot file was given"));
+        var data = Snapshot.serialize(this.root, Snapshot.getFormat(path));
+        // write to a temporary file first, so a failure leaves the previous
+        // snapshot intact
+        var tmpPath = path + "." + Util.uuid(8, 16) + ".tmp";
+        Fs.writeFile(tmpPath, data, function(err) {
+            if (err)
+                return cbmemsave(err);
+            Fs.rename(tmpPath, path, cbmemsave);
+        });
+    },
+
+    /**
+     * Replaces all entries of the tree with those of a snapshot file.
+     *
+     * @param {String} [path] Defaults to the 'snapshot' option
+     * @return void
+     */
+    loadSnapshot: function(path, cbmemload) {
+        if (typeof path == "function") {
+            cbmemload = path;
+            path = this.snapshot;
+        }
+        if (!path)
+            return cbmemload(new Exc.jsDAV_Exception("No snapshot file was given"));
+        var self = this;
+        Fs.readFile(path, function(err, data) {
+            if (err)
+                return cbmemload(err);
+            try {
+                var root = Snapshot.parse(data, Snapshot.getFormat(path), self);
+            }
+            catch (ex) {
+                return cbmemload(ex);
+            }
+            self.setRoot(root);
+            cbmemload();
+        });
+    },
+
+    /**
+     * Saves the tree to the snapshot file, if there is one, when the server is
+     * unmounted.
+     *
+     * @return void
+     */
+    unmount: function() {
+        if (!this.snapshot)
+            return;
+        var tmpPath = this.snapshot + "." + Util.uuid(8, 16) + ".tmp";
+        Fs.writeFileSync(tmpPath, Snapshot.serialize(this.root, Snapshot.getFormat(this.snapshot)));
+        Fs.renameSync(tmpPath, this.snapshot);
+    }
+});
+
+/**
+ * Returns the amount of bytes the files below an entry use.
+ *
+ * @param {Object} entry
+ * @return {Number}
+ */
+function getSize(entry) {
+    if (entry.type == "file")
+        return entry.data.length;
+    var size = 0;
+    for (var name in entry.children)
+        size += getSize(entry.children[name]);
+    return size;
+}
+
+function cloneEntry(entry) {
+    var copy = {type: entry.type, properties: {}, modified: Date.now()};
+    for (var name in entry.properties)
+        copy.properties[name] = entry.properties[name];
+    if (entry.type == "file") {
+        // buffers are never modified in place, so the copy can share them
+        copy.data = entry.data;
+    }
+    else {
+        copy.children = Object.create(null);
+        for (name in entry.children)
+            copy.children[name] = cloneEntry(entry.children[name]);
+    }
+    return copy;
+}
@@ -0,0 +1,563 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+
+var Http = require("http");
+var Https = require("https");
+var Url = require("url");
+var Crypto = require("crypto");
+var Stream = require("stream");
+var DOMParser = require("xmldom").DOMParser;
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+var Xml = require("./../../../shared/xml");
+
+/**
+ * A client for the parts of the S3 API that the S3 tree needs. It works with
+ * Amazon S3 and with S3-compatible object stores, like MinIO, and signs its
+ * requests with AWS Signature Version 4.
+ *
+ * Options:
+ *   - bucket: the name of the bucket (required)
+ *   - region: defaults to 'us-east-1'
+ *   - accessKeyId, secretAccessKey and, for temporary credentials, sessionToken
+ *   - endpoint: the URL of the object store, like 'http://localhost:9000'.
+ *     Defaults to Amazon S3 in the region.
+ *   - forcePathStyle: address the bucket in the path instead of the host
+ *     name. This is the default when an endpoint is given.
+ *   - partSize: size of the parts of multipart uploads, at least 5MB
+ *
+ * @param {Object} options
+ */
+var jsDAV_S3_Client = module.exports = Base.extend({
+    /**
+     * Default size of the parts of multipart uploads, in bytes. Files that are
+     * smaller are uploaded with one request.
+     *
+     * @var {Number}
+     */
+    DEFAULT_PART_SIZE: 8 * 1024 * 1024,
+
+    /**
+     * Minimum size of the parts of multipart uploads, except for the last one
+     *
+     * @var {Number}
+     */
+    MIN_PART_SIZE: 5 * 1024 * 1024,
+
+    /**
+     * Objects that are larger than this are copied in parts
+     *
+     * @var {Number}
+     */
+    MAX_COPY_SIZE: 5 * 1024 * 1024 * 1024,
+
+    /**
+     * Size of the parts of copies in parts
+     *
+     * @var {Number}
+     */
+    COPY_PART_SIZE: 1024 * 1024 * 1024,
+
+    initialize: function(options) {
+        if (!options || !options.bucket)
+            throw new Error("The S3 tree needs the name of a bucket");
+        this.bucket = options.bucket;
+        this.region = options.region || "us-east-1";
+        this.accessKeyId = options.accessKeyId || "";
+        this.secretAccessKey = options.secretAccessKey || "";
+        this.sessionToken = options.sessionToken || null;
+        this.endpoint = Url.parse(options.endpoint || "https://s3." + this.region + ".amazonaws.com");
+        this.pathStyle = typeof options.forcePathStyle == "boolean"
+            ? options.forcePathStyle
+            : !!options.endpoint;
+        this.partSize = Math.max(this.MIN_PART_SIZE, options.partSize || this.DEFAULT_PART_SIZE);
+        this.agent = new (this.endpoint.protocol == "https:" ? Https : Http).Agent({keepAlive: true});
+    },
+
+    /**
+     * Sends a request for an object of the bucket, or for the bucket itself
+     * if 'key' is empty. The response body is passed to the callback as a
+     * Buffer, unless 'options.raw' is set, in which case the response is
+     * passed on as soon as it arrives.
+     *
+     * Options:
+     *   - query: parameters of the query string
+     *   - headers: headers, with lower case names
+     *   - body: a Buffer
+     *   - raw: don't read the response body
+     *
+     * @param {String} method
+     * @param {String} key
+     * @param {Object} options
+     * @return void
+     */
+    request: function(method, key, options, callback) {
+        options = options || {};
+        var query = options.query || {};
+        var headers = Util.extend({}, options.headers || {});
+        var body = options.body || null;
+
+        var path = (this.pathStyle ? "/" + this.bucket : "") + "/" + key.split("/").map(encode).join("/");
+        var search = Object.keys(query).sort().map(function(name) {
+            return encode(name) + "=" + encode(query[name]);
+        }).join("&");
+
+        headers.host = this.pathStyle ? this.endpoint.host : this.bucket + "." + this.endpoint.host;
+        if (body)
+            headers["content-length"] = body.length;
+        else if (method == "PUT" || method == "POST")
+            headers["content-length"] = 0;
+        this.sign(method, path, search, headers, sha256(body || ""));
+
+        var req = (this.endpoint.protocol == "https:" ? Https : Http).request({
+            method: method,
+            hostname: this.pathStyle ? this.endpoint.hostname : this.bucket + "." + this.endpoint.hostname,
+            port: this.endpoint.port,
+            path: path + (search ? "?" + search : ""),
+            headers: headers,
+            agent: this.agent
+        }, function(res) {
+            if (options.raw && res.statusCode < 300)
+                return callback(null, res);
+
+            var chunks = [];
+            res.on("data", function(chunk) {
+                chunks.push(chunk);
+            });
+            res.on("error", callback);
+            res.on("end", function() {
+                var data = Buffer.concat(chunks);
+                // some errors are reported in the body of a successful response
+                if (res.statusCode >= 300 || /^(<\?xml[^>]*>\s*)?<Error>/.test(data.toString("utf8", 0, 512)))
+                    return callback(createError(res, data, key));
+                callback(null, res, data);
+            });
+        });
+        req.on("error", callback);
+        req.end(body);
+    },
+
+    /**
+     * Adds the headers of AWS Signature Version 4 to a request.
+     *
+     * @param {String} method
+     * @param {String} path The encoded path
+     * @param {String} search The canonical query string
+     * @param {Object} headers
+     * @param {String} payloadHash
+     * @return void
+     */
+    sign: function(method, path, search, headers, payloadHash) {
+        var amzDate = new Date().toISOString().replace(/[:\-]|\.\d{3}/g, "");
+        var date = amzDate.substr(0, 8);
+        headers["x-amz-date"] = amzDate;
+        headers["x-amz-content-sha256"] = payloadHash;
+        if (this.sessionToken)
+            headers["x-amz-security-token"] = this.sessionToken;
+
+        var names = Object.keys(headers).filter(function(name) {
+            return name == "host" || name == "content-md5" || name == "content-type" || name.indexOf("x-amz-") === 0;
+        }).sort();
+        var canonicalRequest = [
+            method,
+            path,
+            search,
+            names.map(function(name) {
+                return name + ":" + String(headers[name]).trim().replace(/\s+/g, " ") + "\n";
+            }).join(""),
+            names.join(";"),
+            payloadHash
+        ].join("\n");
+
+        var scope = date + "/" + this.region + "/s3/aws4_request";
+        var stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+        var key = hmac("AWS4" + this.secretAccessKey, date);
+        key = hmac(key, this.region);
+        key = hmac(key, "s3");
+        key = hmac(key, "aws4_request");
+
+        headers.authorization = "AWS4-HMAC-SHA256 Credential=" + this.accessKeyId + "/" + scope
+            + ", SignedHeaders=" + names.join(";")
+            + ", Signature=" + hmac(key, stringToSign).toString("hex");
+    },
+
+    /**
+     * Returns the size, ETag and modification time of an object, or null if
+     * it doesn't exist.
+     *
+     * @param {String} key
+     * @return void
+     */
+    headObject: function(key, callback) {
+        this.request("HEAD", key, null, function(err, res) {
+            if (err)
+                return callback(err instanceof Exc.FileNotFound ? null : err, null);
+            callback(null, {
+                key: key,
+                size: parseInt(res.headers["content-length"], 10) || 0,
+                etag: res.headers["etag"] || null,
+                modified: res.headers["last-modified"] ? new Date(res.headers["last-modified"]) : new Date()
+            });
+        });
+    },
+
+    /**
+     * Returns the response with the data of an object, from byte 'start' up
+     * to, but not including, byte 'end'.
+     *
+     * @param {String} key
+     * @param {Number} start
+     * @param {Number} end
+     * @return void
+     */
+    getObject: function(key, start, end, callback) {
+        var headers = {};
+        if (typeof start == "number" && typeof end == "number")
+            headers.range = "bytes=" + start + "-" + (end - 1);
+        this.request("GET", key, {headers: headers, raw: true}, callback);
+    },
+
+    /**
+     * Stores an object.
+     *
+     * @param {String} key
+     * @param {Buffer} data
+     * @param {String} [contentType]
+     * @return void
+     */
+    putObject: function(key, data, contentType, callback) {
+        var headers = {};
+        if (contentType)
+            headers["content-type"] = contentType;
+        this.request("PUT", key, {headers: headers, body: data}, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Copies an object within the bucket. Objects that are too large to be
+     * copied at once are copied in parts.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @param {Number} size
+     * @return void
+     */
+    copyObject: function(source, destination, size, callback) {
+        var copySource = "/" + this.bucket + "/" + source.split("/").map(encode).join("/");
+        if (size <= this.MAX_COPY_SIZE) {
+            return this.request("PUT", destination, {
+                headers: {"x-amz-copy-source": copySource}
+            }, function(err) {
+                callback(err);
+            });
+        }
+
+        var self = this;
+        var partSize = this.COPY_PART_SIZE;
+        this.createMultipartUpload(destination, null, function(err, uploadId) {
+            if (err)
+                return callback(err);
+            var parts = [];
+            (function next(start) {
+                if (start >= size) {
+                    return self.completeMultipartUpload(destination, uploadId, parts, callback);
+                }
+                var end = Math.min(start + partSize, size) - 1;
+                self.request("PUT", destination, {
+                    query: {partNumber: parts.length + 1, uploadId: uploadId},
+                    headers: {
+                        "x-amz-copy-source": copySource,
+                        "x-amz-copy-source-range": "bytes=" + start + "-" + end
+                    }
+                }, function(err, res, data) {
+                    if (err)
+                        return self.abortMultipartUpload(destination, uploadId, callback.bind(null, err));
+                    parts.push(getElementText(parseXml(data), "ETag"));
+                    next(end + 1);
+                });
+            })(0);
+        });
+    },
+
+    /**
+     * Removes objects, up to a thousand at a time.
+     *
+     * @param {Array} keys
+     * @return void
+     */
+    deleteObjects: function(keys, callback) {
+        if (!keys.length)
+            return callback();
+        var self = this;
+        var batch = keys.slice(0, 1000);
+        var body = new Buffer('<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>'
+            + batch.map(function(key) {
+                return "<Object><Key>" + Xml.escapeXml(key) + "</Key></Object>";
+            }).join("") + "</Delete>", "utf8");
+
+        this.request("POST", "", {
+            query: {"delete": ""},
+            headers: {
+                "content-type": "application/xml",
+                "content-md5": Crypto.createHash("md5").update(body).digest("base64")
+            },
+            body: body
+        }, function(err, res, data) {
+            if (err)
+                return callback(err);
+            var error = parseXml(data).getElementsByTagName("Error")[0];
+            if (error) {
+                return callback(new Exc.jsDAV_Exception("Could not delete " + getElementText(error, "Key")
+                    + " (" + getElementText(error, "Message") + ")"));
+            }
+            self.deleteObjects(keys.slice(1000), callback);
+        });
+    },
+
+    /**
+     * Lists the objects with keys that start with 'prefix'. With a delimiter,
+     * the keys that contain the delimiter after the prefix are grouped by the
+     * part up to the delimiter, which is how collections are listed.
+     *
+     * @param {String} prefix
+     * @param {String} [delimiter]
+     * @param {Number} [maxKeys] Stops listing once this amount of keys is found
+     * @return void
+     */
+    listObjects: function(prefix, delimiter, maxKeys, callback) {
+        var self = this;
+        var result = {objects: [], prefixes: []};
+        (function next(token) {
+            var query = {"list-type": 2, prefix: prefix};
+            if (delimiter)
+                query.delimiter = delimiter;
+            if (maxKeys)
+                query["max-keys"] = maxKeys;
+            if (token)
+                query["continuation-token"] = token;
+            self.request("GET", "", {query: query}, function(err, res, data) {
+                if (err)
+                    return callback(err);
+                var root = parseXml(data);
+                var nodes = root.getElementsByTagName("Contents");
+                for (var i = 0, l = nodes.length; i < l; ++i) {
+                    result.objects.push({
+                        key: getElementText(nodes[i], "Key"),
+                        size: parseInt(getElementText(nodes[i], "Size"), 10) || 0,
+                        etag: getElementText(nodes[i], "ETag") || null,
+                        modified: new Date(getElementText(nodes[i], "LastModified"))
+                    });
+                }
+                nodes = root.getElementsByTagName("CommonPrefixes");
+                for (i = 0, l = nodes.length; i < l; ++i)
+                    result.prefixes.push(getElementText(nodes[i], "Prefix"));
+
+                var found = result.objects.length + result.prefixes.length;
+                if (getElementText(root, "IsTruncated") == "true" && (!maxKeys || found < maxKeys))
+                    return next(getElementText(root, "NextContinuationToken"));
+                callback(null, result);
+            });
+        })(null);
+    },
+
+    /**
+     * Starts a multipart upload.
+     *
+     * @param {String} key
+     * @param {String} [contentType]
+     * @return void
+     */
+    createMultipartUpload: function(key, contentType, callback) {
+        var headers = {};
+        if (contentType)
+            headers["content-type"] = contentType;
+        this.request("POST", key, {query: {uploads: ""}, headers: headers}, function(err, res, data) {
+            if (err)
+                return callback(err);
+            callback(null, getElementText(parseXml(data), "UploadId"));
+        });
+    },
+
+    /**
+     * Uploads a part of a multipart upload and returns its ETag.
+     *
+     * @param {String} key
+     * @param {String} uploadId
+     * @param {Number} partNumber
+     * @param {Buffer} data
+     * @return void
+     */
+    uploadPart: function(key, uploadId, partNumber, data, callback) {
+        this.request("PUT", key, {
+            query: {partNumber: partNumber, uploadId: uploadId},
+            body: data
+        }, function(err, res) {
+            if (err)
+                return callback(err);
+            callback(null, res.headers["etag"]);
+        });
+    },
+
+    /**
+     * Completes a multipart upload with the ETags of its parts, in order.
+     *
+     * @param {String} key
+     * @param {String} uploadId
+     * @param {Array} etags
+     * @return void
+     */
+    completeMultipartUpload: function(key, uploadId, etags, callback) {
+        var body = new Buffer('<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUpload>'
+            + etags.map(function(etag, i) {
+                return "<Part><PartNumber>" + (i + 1) + "</PartNumber><ETag>"
+                    + Xml.escapeXml(etag) + "</ETag></Part>";
+            }).join("") + "</CompleteMultipartUpload>", "utf8");
+        this.request("POST", key, {
+            query: {uploadId: uploadId},
+            headers: {"content-type": "application/xml"},
+            body: body
+        }, function(err) {
+            callback(err);
+        });
+    },
+
+    abortMultipartUpload: function(key, uploadId, callback) {
+        this.request("DELETE", key, {query: {uploadId: uploadId}}, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Returns a writable stream that uploads its data to an object. Data that
+     * fits in one part is uploaded with one request once the stream ends;
+     * larger data is uploaded in parts while it is written. The object only
+     * appears when the stream ended, and an upload that fails is aborted.
+     *
+     * @param {String} key
+     * @param {String} [contentType]
+     * @return {Stream.Writable}
+     */
+    createUploadStream: function(key, contentType) {
+        var self = this;
+        var chunks = [];
+        var buffered = 0;
+        var uploadId = null;
+        var etags = [];
+
+        function uploadPart(callback) {
+            var data = Buffer.concat(chunks, buffered);
+            chunks = [];
+            buffered = 0;
+            var upload = function() {
+                self.uploadPart(key, uploadId, etags.length + 1, data, function(err, etag) {
+                    if (err)
+                        return callback(err);
+                    etags.push(etag);
+                    callback();
+                });
+            };
+            if (uploadId)
+                return upload();
+            self.createMultipartUpload(key, contentType, function(err, id) {
+                if (err)
+                    return callback(err);
+                uploadId = id;
+                upload();
+            });
+        }
+
+        var stream = new Stream.Writable({
+            write: function(chunk, enc, callback) {
+                if (!Buffer.isBuffer(chunk))
+                    chunk = new Buffer(chunk, enc);
+                chunks.push(chunk);
+                buffered += chunk.length;
+                if (buffered < self.partSize)
+                    return callback();
+                uploadPart(callback);
+            },
+            final: function(callback) {
+                if (!uploadId)
+                    return self.putObject(key, Buffer.concat(chunks, buffered), contentType, callback);
+                var complete = function(err) {
+                    if (err)
+                        return callback(err);
+                    self.completeMultipartUpload(key, uploadId, etags, callback);
+                };
+                if (buffered)
+                    uploadPart(complete);
+                else
+                    complete();
+            }
+        });
+        stream.on("error", function() {
+            if (uploadId)
+                self.abortMultipartUpload(key, uploadId, function() {});
+        });
+        return stream;
+    }
+});
+
+/**
+ * Encodes a part of a URI the way AWS Signature Version 4 expects it.
+ *
+ * @param {String} str
+ * @return {String}
+ */
+function encode(str) {
+    return encodeURIComponent(String(str)).replace(/[!'()*]/g, function(c) {
+        return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+function sha256(data) {
+    return Crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+    return Crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function parseXml(data) {
+    return new DOMParser().parseFromString(data.toString("utf8"), "text/xml").documentElement;
+}
+
+function getElementText(node, name) {
+    var element = node && node.getElementsByTagName(name)[0];
+    return element ? Xml.getTextContent(element) : "";
+}
+
+/**
+ * Returns the exception for an error response of the object store.
+ *
+ * @param {http.IncomingMessage} res
+ * @param {Buffer} data
+ * @param {String} key
+ * @return {Exc.jsDAV_Exception}
+ */
+function createError(res, data, key) {
+    var root = data.length ? parseXml(data) : null;
+    var code = getElementText(root, "Code") || String(res.statusCode);
+    var message = getElementText(root, "Message") || Http.STATUS_CODES[res.statusCode] || code;
+
+    if (res.statusCode == 404)
+        return new Exc.FileNotFound("File at location " + key + " not found");
+    if (res.statusCode == 403)
+        return new Exc.Forbidden("The object store denied access to " + key + " (" + message + ")");
+    if (res.statusCode == 412)
+        return new Exc.PreconditionFailed(message);
+    if (code == "EntityTooLarge")
+        return new Exc.RequestEntityTooLarge(message);
+    if (res.statusCode == 503)
+        return new Exc.ServiceUnavailable(message);
+    return new Exc.jsDAV_Exception("The object store failed with " + code + " (" + message + ")");
+}
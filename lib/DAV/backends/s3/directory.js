@@ -0,0 +1,100 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_S3_Node = require("./node");
+var jsDAV_S3_File = require("./file");
+var jsDAV_Collection = require("./../../collection");
+
+var Util = require("./../../../shared/util");
+
+var jsDAV_S3_Directory = module.exports = jsDAV_S3_Node.extend(jsDAV_Collection, {
+    /**
+     * Creates a new file in the directory
+     *
+     * @param {String} name Name of the file
+     * @param {Buffer} data Initial payload
+     * @param {String} [enc]
+     * @param {Function} cbs3createfile
+     * @return void
+     */
+    createFile: function(name, data, enc, cbs3createfile) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data || "", enc || "utf8");
+        var path = this.getChildPath(name);
+        this.tree.client.putObject(this.tree.getKey(path), data, Util.mime.type(path), cbs3createfile);
+    },
+
+    /**
+     * Creates a new file in the directory whilst uploading the request body as
+     * it arrives. The file only appears once the upload is complete.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} name Name of the file
+     * @param {String} [enc]
+     * @param {Function} cbs3createfile
+     * @return void
+     */
+    createFileStream: function(handler, name, enc, cbs3createfile) {
+        var path = this.getChildPath(name);
+        var stream = this.tree.client.createUploadStream(this.tree.getKey(path), Util.mime.type(path));
+        handler.getRequestBody(enc, stream, false, cbs3createfile);
+    },
+
+    /**
+     * Creates a new subdirectory, by storing an empty marker object with the
+     * prefix of the collection as its key.
+     *
+     * @param {String} name
+     * @return void
+     */
+    createDirectory: function(name, cbs3createdir) {
+        this.tree.client.putObject(this.tree.getKey(this.getChildPath(name)) + "/", new Buffer(0), null, cbs3createdir);
+    },
+
+    /**
+     * Returns a specific child node, referenced by its name
+     *
+     * @param {String} name
+     * @return void
+     */
+    getChild: function(name, cbs3getchild) {
+        this.tree.getNodeForPath(this.getChildPath(name), cbs3getchild);
+    },
+
+    /**
+     * Returns an array with all the child nodes
+     *
+     * @return void
+     */
+    getChildren: function(cbs3getchildren) {
+        var self = this;
+        var prefix = this.tree.getPrefix(this.path);
+        this.tree.client.listObjects(prefix, "/", null, function(err, list) {
+            if (err)
+                return cbs3getchildren(err);
+            var nodes = [];
+            list.prefixes.forEach(function(key) {
+                var name = key.substring(prefix.length, key.length - 1);
+                if (name)
+                    nodes.push(jsDAV_S3_Directory.new(self.tree, self.getChildPath(name)));
+            });
+            list.objects.forEach(function(stat) {
+                // skip the marker of this collection
+                var name = stat.key.substr(prefix.length);
+                if (name)
+                    nodes.push(jsDAV_S3_File.new(self.tree, self.getChildPath(name), stat));
+            });
+            cbs3getchildren(null, nodes);
+        });
+    },
+
+    getChildPath: function(name) {
+        return this.path ? this.path + "/" + name : name;
+    }
+});
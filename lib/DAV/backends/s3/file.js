@@ -0,0 +1,115 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_S3_Node = require("./node");
+var jsDAV_File = require("./../../file");
+
+var Util = require("./../../../shared/util");
+
+var jsDAV_S3_File = module.exports = jsDAV_S3_Node.extend(jsDAV_File, {
+    /**
+     * Updates the data
+     *
+     * @param {mixed} data
+     * @return void
+     */
+    put: function(data, type, cbs3put) {
+        if (!Buffer.isBuffer(data))
+            data = new Buffer(data, type || "utf8");
+        this.tree.client.putObject(this.tree.getKey(this.path), data, Util.mime.type(this.path), cbs3put);
+    },
+
+    /**
+     * Updates the data whilst uploading the request body as it arrives,
+     * instead of from Buffer objects that reside in memory.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} type
+     * @return void
+     */
+    putStream: function(handler, type, cbs3put) {
+        var stream = this.tree.client.createUploadStream(this.tree.getKey(this.path), Util.mime.type(this.path));
+        handler.getRequestBody(type, stream, false, cbs3put);
+    },
+
+    /**
+     * Returns the data
+     *
+     * @return Buffer
+     */
+    get: function(cbs3get) {
+        var chunks = [];
+        this.getStream(null, null, function(err, data) {
+            if (err)
+                return cbs3get(err);
+            if (data)
+                return chunks.push(data);
+            cbs3get(null, Buffer.concat(chunks));
+        });
+    },
+
+    /**
+     * Returns the data as it is downloaded. Ranges are requested from the
+     * object store, so only the requested bytes are transferred.
+     *
+     * The 'end' offset is exclusive. The response of the object store is passed
+     * along with each chunk, so that it can be paused.
+     *
+     * @param {Number} start
+     * @param {Number} end
+     * @return void
+     */
+    getStream: function(start, end, cbs3getstream) {
+        if (typeof start == "number" && typeof end == "number" && end <= start)
+            return cbs3getstream();
+        this.tree.client.getObject(this.tree.getKey(this.path), start, end, function(err, res) {
+            if (err)
+                return cbs3getstream(err);
+            res.on("data", function(data) {
+                cbs3getstream(null, data, res);
+            });
+            res.on("error", function(err) {
+                cbs3getstream(err);
+            });
+            res.on("end", function() {
+                // Invoking the callback without error and data means that the
+                // callee can continue handling the request.
+                cbs3getstream();
+            });
+        });
+    },
+
+    /**
+     * Returns the size of the node, in bytes
+     *
+     * @return int
+     */
+    getSize: function(cbs3getsize) {
+        cbs3getsize(null, this.stat ? this.stat.size : 0);
+    },
+
+    /**
+     * Returns the ETag that the object store keeps of the object.
+     *
+     * @return mixed
+     */
+    getETag: function(cbs3getetag) {
+        cbs3getetag(null, this.stat ? this.stat.etag : null);
+    },
+
+    /**
+     * Returns the mime-type for a file
+     * If null is returned, we'll assume application/octet-stream
+     *
+     * @return mixed
+     */
+    getContentType: function(cbs3mime) {
+        cbs3mime(null, Util.mime.type(this.path));
+    }
+});
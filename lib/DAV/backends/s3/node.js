@@ -0,0 +1,77 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_iNode = require("./../../interfaces/iNode");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * A node of the S3 tree. Files are objects; collections are the key prefixes
+ * of the objects below them (see jsDAV_Tree_S3).
+ *
+ * @param {jsDAV_Tree_S3} tree
+ * @param {String} path
+ * @param {Object} [stat] The size, ETag and modification time of the object
+ */
+var jsDAV_S3_Node = module.exports = jsDAV_iNode.extend({
+    initialize: function(tree, path, stat) {
+        this.tree = tree;
+        this.path = path;
+        this.stat = stat || null;
+    },
+
+    /**
+     * Returns the name of the node
+     *
+     * @return {string}
+     */
+    getName: function() {
+        return Util.splitPath(this.path)[1];
+    },
+
+    /**
+     * Renames the node, which copies it to the new key
+     *
+     * @param {string} name The new name
+     * @return void
+     */
+    setName: function(name, cbs3setname) {
+        if (!this.path)
+            return cbs3setname(new Exc.Forbidden("The root of the tree can not be renamed"));
+        var self = this;
+        var parentPath = Util.splitPath(this.path)[0];
+        var newName = Util.splitPath(name)[1];
+        var newPath = parentPath ? parentPath + "/" + newName : newName;
+        this.tree.move(this.path, newPath, function(err) {
+            if (err)
+                return cbs3setname(err);
+            self.path = newPath;
+            cbs3setname();
+        });
+    },
+
+    /**
+     * Returns the last modification time
+     *
+     * @return {Date}
+     */
+    getLastModified: function(cbs3getlm) {
+        cbs3getlm(null, this.stat ? this.stat.modified : new Date());
+    },
+
+    /**
+     * Deletes the node, and everything below it
+     *
+     * @return void
+     */
+    "delete": function(cbs3del) {
+        this.tree["delete"](this.path, cbs3del);
+    }
+});
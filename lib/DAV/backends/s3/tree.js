@@ -0,0 +1,237 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Tree = require("./../../tree");
+var jsDAV_S3_Client = require("./client");
+var jsDAV_S3_Directory = require("./directory");
+var jsDAV_S3_File = require("./file");
+
+var Async = require("asyncjs");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * jsDAV_Tree_S3
+ *
+ * A tree that keeps its files in a bucket of Amazon S3 or of an S3-compatible
+ * object store, like MinIO:
+ *
+ *   jsDAV.createServer({
+ *       type: "s3",
+ *       s3: {
+ *           bucket: "files",
+ *           path: "dav",
+ *           endpoint: "http://localhost:9000",
+ *           accessKeyId: "...",
+ *           secretAccessKey: "..."
+ *       }
+ *   }, 8000);
+ *
+ * Every file is an object, with its path as the key. Collections are the key
+ * prefixes of the objects below them; MKCOL stores an empty marker object
+ * with the prefix as its key, like 'dir/', so that empty collections exist.
+ * The 'path' option is the prefix of all keys, to share only a part of a
+ * bucket. The other options are those of jsDAV_S3_Client.
+ *
+ * Copies and moves are done by the object store, without transferring the
+ * data. Object stores can't move objects, so a move is a copy followed by a
+ * delete.
+ *
+ * @param {Object} options
+ * @contructor
+ */
+var jsDAV_Tree_S3 = module.exports = jsDAV_Tree.extend({
+    /**
+     * Base path for this tree. Keys can't escape the prefix of the tree, so it
+     * needs no sandbox.
+     *
+     * @var {String}
+     */
+    basePath: "",
+
+    initialize: function(options) {
+        this.options = options.s3 || {};
+        this.prefix = Util.trim(this.options.path || "", "/");
+        this.client = jsDAV_S3_Client.new(this.options);
+    },
+
+    /**
+     * Returns the key of the object of a file.
+     *
+     * @param {String} path
+     * @return {String}
+     */
+    getKey: function(path) {
+        path = Util.trim(path || "", "/");
+        return this.prefix && path ? this.prefix + "/" + path : this.prefix || path;
+    },
+
+    /**
+     * Returns the key prefix of the objects inside of a collection, which is
+     * also the key of its marker object.
+     *
+     * @param {String} path
+     * @return {String}
+     */
+    getPrefix: function(path) {
+        var key = this.getKey(path);
+        return key ? key + "/" : "";
+    },
+
+    /**
+     * Returns a new node for the given path. A path is a file if there is an
+     * object with its key, and a collection if there are objects below it.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getNodeForPath: function(path, cbs3tree) {
+        var self = this;
+        path = Util.trim(path, "/");
+        if (!path)
+            return cbs3tree(null, jsDAV_S3_Directory.new(this, ""));
+
+        this.client.headObject(this.getKey(path), function(err, stat) {
+            if (err)
+                return cbs3tree(err);
+            if (stat)
+                return cbs3tree(null, jsDAV_S3_File.new(self, path, stat));
+
+            self.client.listObjects(self.getPrefix(path), null, 1, function(err, list) {
+                if (err)
+                    return cbs3tree(err);
+                if (!list.objects.length)
+                    return cbs3tree(new Exc.FileNotFound("File at location " + path + " not found"));
+                var marker = list.objects[0].key == self.getPrefix(path) ? list.objects[0] : null;
+                cbs3tree(null, jsDAV_S3_Directory.new(self, path, marker));
+            });
+        });
+    },
+
+    /**
+     * Returns the objects of a file or collection: the object of a file, or
+     * all objects below a collection, including its marker.
+     *
+     * @param {String} path
+     * @return void
+     */
+    getObjects: function(path, callback) {
+        var self = this;
+        var key = this.getKey(path);
+        this.client.headObject(key, function(err, stat) {
+            if (err)
+                return callback(err);
+            if (stat)
+                return callback(null, [stat], false);
+
+            self.client.listObjects(self.getPrefix(path), null, null, function(err, list) {
+                if (err)
+                    return callback(err);
+                if (!list.objects.length)
+                    return callback(new Exc.FileNotFound("File at location " + path + " not found"));
+                callback(null, list.objects, true);
+            });
+        });
+    },
+
+    /**
+     * Copies a file or directory with server-side copies of its objects.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    copy: function(source, destination, cbs3copy) {
+        var self = this;
+        source = Util.trim(source, "/");
+        destination = Util.trim(destination, "/");
+        if (!source)
+            return cbs3copy(new Exc.Forbidden("The root of the tree can not be copied or moved"));
+        if (destination == source || destination.indexOf(source + "/") === 0)
+            return cbs3copy(new Exc.Forbidden("A collection can not be copied or moved into itself"));
+
+        var sourceKey = this.getKey(source);
+        var destinationKey = this.getKey(destination);
+        this.getObjects(source, function(err, objects, isCollection) {
+            if (err)
+                return cbs3copy(err);
+            var hasMarker = false;
+            Async.list(objects)
+                .each(function(stat, next) {
+                    var key = destinationKey + stat.key.substr(sourceKey.length);
+                    if (key == destinationKey + "/")
+                        hasMarker = true;
+                    self.client.copyObject(stat.key, key, stat.size, next);
+                })
+                .end(function(err) {
+                    if (err || !isCollection || hasMarker)
+                        return cbs3copy(err);
+                    // a collection without marker would disappear when it
+                    // becomes empty
+                    self.client.putObject(destinationKey + "/", new Buffer(0), null, cbs3copy);
+                });
+        });
+    },
+
+    /**
+     * Moves a file or directory, by copying and then deleting it.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    move: function(source, destination, cbs3move) {
+        var self = this;
+        this.copy(source, destination, function(err) {
+            if (err)
+                return cbs3move(err);
+            self["delete"](source, function(err) {
+                cbs3move(err, source, destination);
+            });
+        });
+    },
+
+    /**
+     * Deletes a file or directory, with everything below it.
+     *
+     * @param {String} path
+     * @return void
+     */
+    "delete": function(path, cbs3delete) {
+        var self = this;
+        path = Util.trim(path, "/");
+        if (!path)
+            return cbs3delete(new Exc.Forbidden("The root of the tree can not be deleted"));
+        this.getObjects(path, function(err, objects) {
+            if (err)
+                return cbs3delete(err);
+            self.client.deleteObjects(objects.map(function(stat) {
+                return stat.key;
+            }), function(err) {
+                if (err)
+                    return cbs3delete(err);
+                // keep the parent collection, which might only have existed
+                // because of the objects that were deleted
+                var parent = Util.splitPath(path)[0];
+                if (!parent)
+                    return cbs3delete();
+                self.client.putObject(self.getPrefix(parent), new Buffer(0), null, cbs3delete);
+            });
+        });
+    },
+
+    /**
+     * Closes the connections to the object store that are kept open.
+     *
+     * @return void
+     */
+    unmount: function() {
+        this.client.agent.destroy();
+    }
+});
@@ -9,11 +9,12 @@
 
 var jsDAV_SFTP_Node = require("./node");
 var jsDAV_File = require("./../../file");
+var jsDAV_iPatchSupport = require("./../../interfaces/iPatchSupport");
 
 var Exc = require("./../../../shared/exceptions");
 var Util = require("./../../../shared/util");
 
-var jsDAV_SFTP_File = module.exports = jsDAV_SFTP_Node.extend(jsDAV_File, {
+var jsDAV_SFTP_File = module.exports = jsDAV_SFTP_Node.extend(jsDAV_File, jsDAV_iPatchSupport, {
     initialize: function(path, sftp) {
         this.path = (path || "").replace(/[\/]+$/, "");
         this.sftp = sftp;
@@ -29,6 +30,25 @@ var jsDAV_SFTP_File = module.exports = jsDAV_SFTP_Node.extend(jsDAV_File, {
         this.sftp.writeFile(this.path, data, type || "utf8", cbfsput);
     },
 
+    /**
+     * Updates a part of the data, starting at byte 'offset'. An offset of
+     * `null` appends the data to the end of the file.
+     * The sftp client is not able to write at an offset, so the file is read,
+     * modified and written back entirely.
+     *
+     * @param {Buffer} data
+     * @param {Number} offset
+     * @return void
+     */
+    patch: function(data, offset, cbfspatch) {
+        var self = this;
+        this.get(function(err, buff) {
+            if (err)
+                return cbfspatch(err);
+            self.put(Util.spliceBuffer(buff, data, offset), "binary", cbfspatch);
+        });
+    },
+
     /**
      * Returns the data
      *
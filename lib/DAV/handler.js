@@ -14,12 +14,14 @@ var jsDAV_Property_Response = require("./property/response");
 var jsDAV_Property_GetLastModified = require("./property/getLastModified");
 var jsDAV_Property_ResourceType = require("./property/resourceType");
 var jsDAV_Property_SupportedReportSet = require("./property/supportedReportSet");
+var jsDAV_Property_Complex = require("./property/complex");
 // interfaces to check for:
 var jsDAV_iFile = require("./interfaces/iFile");
 var jsDAV_iCollection = require("./interfaces/iCollection");
 var jsDAV_iExtendedCollection = require("./interfaces/iExtendedCollection")
 var jsDAV_iQuota = require("./interfaces/iQuota");
 var jsDAV_iProperties = require("./interfaces/iProperties");
+var jsDAV_iBindingTree = require("./interfaces/iBindingTree");
 
 var Url = require("url");
 var Fs = require("fs");
@@ -30,6 +32,7 @@ var Util = require("./../shared/util");
 var Xml = require("./../shared/xml");
 var Async = require("asyncjs");
 var Formidable = require("formidable");
+var Zlib = require("zlib");
 
 var requestCounter = 0;
 
@@ -48,6 +51,7 @@ var jsDAV_Handler = module.exports = function(server, req, resp) {
     this.httpResponse = resp;
     this.plugins      = {};
     this.nodeCache    = {};
+    this.tree         = server.tree.forRequest(this);
 
     for (var plugin in server.plugins) {
         if (typeof server.plugins[plugin] != "object")
@@ -69,6 +73,32 @@ var jsDAV_Handler = module.exports = function(server, req, resp) {
  */
 jsDAV_Handler.DEPTH_INFINITY = -1;
 
+/**
+ * The maximum amount of nodes a single PROPFIND request with a Depth of
+ * 'infinity' may return, unless overridden with the 'maxPropfindNodes' option
+ */
+jsDAV_Handler.MAX_PROPFIND_NODES = 10000;
+
+/**
+ * The maximum amount of ranges a single GET request may ask for, after
+ * overlapping ranges are coalesced, unless overridden with the 'maxRanges' option
+ */
+jsDAV_Handler.MAX_RANGES = 20;
+
+/**
+ * The maximum size in bytes of the (decoded) body of requests other than PUT,
+ * PATCH and POST, which are XML documents, unless overridden with the
+ * 'maxXmlBodySize' option. The size of uploads is only limited when the
+ * 'maxUploadSize' option is set.
+ */
+jsDAV_Handler.MAX_XML_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Content types of responses that are compressed when the 'enableCompression'
+ * option is set and the client accepts a compressed response
+ */
+jsDAV_Handler.COMPRESSIBLE_TYPES = /^(text\/|application\/(.+\+)?(xml|json|javascript)|image\/svg\+xml)/i;
+
 /**
  * Nodes that are files, should have this as the type property
  */
@@ -134,6 +164,20 @@ jsDAV_Handler.STATUS_MAP     = {
 };
 
 (function() {
+    /**
+     * Parses the value of a date header, like If-Modified-Since. Returns null
+     * if the header is missing or doesn't contain a valid date.
+     *
+     * @param {String} value
+     * @return {Date}
+     */
+    function parseHTTPDate(value) {
+        if (!value)
+            return null;
+        var date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
     /**
      * httpResponse
      *
@@ -183,7 +227,19 @@ jsDAV_Handler.STATUS_MAP     = {
         "{DAV:}principal-collection-set",
 
         // RFC5397
-        "{DAV:}current-user-principal"
+        "{DAV:}current-user-principal",
+
+        // RFC3648
+        "{DAV:}ordering-type",
+
+        // RFC3253
+        "{DAV:}checked-in",
+        "{DAV:}version-history",
+        "{DAV:}version-name",
+        "{DAV:}predecessor-set",
+        "{DAV:}successor-set",
+        "{DAV:}version-set",
+        "{DAV:}root-version"
     ];
     
     /**
@@ -239,6 +295,17 @@ jsDAV_Handler.STATUS_MAP     = {
             };
         }
 
+        // Requests that announce a body larger than we accept are refused
+        // right away, before the client sends it.
+        var maxSize = this.getMaxRequestBodySize();
+        var headers = this.httpRequest.headers;
+        var size = Math.max(parseInt(headers["content-length"], 10) || 0,
+            method == "PUT" && parseInt(headers["x-file-size"], 10) || 0);
+        if (maxSize && size > maxSize) {
+            return this.handleError(new Exc.RequestEntityTooLarge("The request body of "
+                + size + " bytes exceeds the maximum of " + maxSize + " bytes"));
+        }
+
         var uri = this.getRequestUri();
         this.dispatchEvent("beforeMethod", method, uri, function(stop) {
             if (stop === true)
@@ -283,7 +350,8 @@ jsDAV_Handler.STATUS_MAP     = {
             xml += '<a:file>' + (e.filename || "") + '</a:file>\n'
                 +  '<a:line>' + (e.line || "") + '</a:line>\n';
         }
-        xml += '<a:jsdav-version>' + jsDAV_Server.VERSION + '</a:jsdav-version>\n';
+        xml += '<a:jsdav-version>' + jsDAV_Server.VERSION + '</a:jsdav-version>\n'
+            +  '<a:request-id>' + this.getRequestId() + '</a:request-id>\n';
 
         var code = 500;
         var self = this;
@@ -300,6 +368,10 @@ jsDAV_Handler.STATUS_MAP     = {
 
         function afterHeaders(headers) {
             headers["Content-Type"] = "application/xml; charset=utf-8";
+            // The client is still waiting to send the request body, or sending
+            // the rest of it, which will not be read anymore.
+            if (self.$bodyUnread || self.httpRequest.$expectContinue && !self.$continueSent)
+                headers["Connection"] = "close";
 
             self.httpResponse.writeHead(code, headers);
             self.httpResponse.end(xml + '</d:error>', "utf-8");
@@ -312,6 +384,67 @@ jsDAV_Handler.STATUS_MAP     = {
         }
     };
 
+    /**
+     * Returns the id of the current request, which identifies it in logs and
+     * error responses. The id is taken from the X-Request-Id header when a
+     * proxy in front of the server already assigned one, otherwise a random
+     * id is generated.
+     *
+     * @return {String}
+     */
+    this.getRequestId = function() {
+        if (!this.requestId) {
+            var id = this.httpRequest.headers["x-request-id"];
+            this.requestId = id && /^[\w\-.:@]{1,128}$/.test(id) ? id : Util.uuid();
+        }
+        return this.requestId;
+    };
+
+    /**
+     * Returns the counters of the bytes of the request body that were received
+     * and the bytes that were sent for the response, including its headers.
+     * The bytes sent are taken from the connection, so they include the data
+     * that is piped into the response. Counting starts with the first call,
+     * so plugins that need the counters should call this method when they are
+     * initialized.
+     *
+     * @return {Object} {bytesIn: Number, bytesOut: Number}
+     */
+    this.getTransferCounters = function() {
+        if (this.transferCounters)
+            return this.transferCounters;
+
+        var counters = this.transferCounters = {bytesIn: 0};
+        var resp = this.httpResponse;
+        var socket = this.httpRequest.socket;
+        // A connection may be used for more than one request, so only the
+        // bytes that are written to it while this response is sent count.
+        var start = socket ? socket.bytesWritten : 0;
+        var bytesOut = null;
+
+        function sent() {
+            return socket ? socket.bytesWritten - start : 0;
+        }
+
+        Object.defineProperty(counters, "bytesOut", {
+            enumerable: true,
+            get: function() {
+                return bytesOut === null ? sent() : bytesOut;
+            }
+        });
+        function stop() {
+            if (bytesOut === null)
+                bytesOut = sent();
+        }
+        resp.on("finish", stop);
+        resp.on("close", stop);
+
+        this.httpRequest.on("data", function(chunk) {
+            counters.bytesIn += chunk.length;
+        });
+        return counters;
+    };
+
     /**
      * Caching version of jsDAV_Server#tree#getNodeForPath(), to make node lookups
      * during the same request (the scope of a handler instance) more cheap.
@@ -325,7 +458,7 @@ jsDAV_Handler.STATUS_MAP     = {
             return cbgetnodefp(null, this.nodeCache[path]);
 
         var self = this;
-        this.server.tree.getNodeForPath(path, function(err, node) {
+        this.tree.getNodeForPath(path, function(err, node) {
             if (err)
                 return cbgetnodefp(err);
             self.nodeCache[path] = node;
@@ -448,13 +581,13 @@ jsDAV_Handler.STATUS_MAP     = {
                     delete httpHeaders["content-length"];
                 }
 
-                var range             = self.getHTTPRange();
+                var ranges            = self.getHTTPRanges();
                 var ifRange           = self.httpRequest.headers["if-range"];
                 var ignoreRangeHeader = false;
 
                 // If ifRange is set, and range is specified, we first need
                 // to check the precondition.
-                if (nodeSize && range && ifRange) {
+                if (nodeSize && ranges && ifRange) {
                     // if IfRange is parsable as a date we'll treat it as a
                     // DateTime otherwise, we must treat it as an etag.
                     try {
@@ -475,59 +608,33 @@ jsDAV_Handler.STATUS_MAP     = {
                         // It's an entity. We can do a simple comparison.
                         if (!httpHeaders["etag"])
                             ignoreRangeHeader = true;
-                        else if (httpHeaders["etag"] !== ifRange)
+                        else if (httpHeaders["etag"] !== self.stripETagEncoding(ifRange))
                             ignoreRangeHeader = true;
                     }
                 }
 
                 // We're only going to support HTTP ranges if the backend
                 // provided a filesize
-                if (!ignoreRangeHeader && nodeSize && range) {
+                if (!ignoreRangeHeader && nodeSize && ranges) {
                     // Determining the exact byte offsets
-                    var start, end;
-                    if (range[0] !== null) {
-                        start = range[0];
-                        // the browser/ client sends 'end' offsets as factor of nodeSize - 1,
-                        // so we need to correct it, because NodeJS streams byte offsets
-                        // are inclusive
-                        end   = range[1] !== null ? range[1] + 1 : nodeSize;
-                        if (start > nodeSize) {
-                            return self.handleError(new Exc.RequestedRangeNotSatisfiable(
-                                "The start offset (" + range[0] + ") exceeded the size of the entity ("
-                                + nodeSize + ")")
-                            );
-                        }
-
-                        if (end < start) {
-                            return self.handleError(new Exc.RequestedRangeNotSatisfiable(
-                                "The end offset (" + range[1] + ") is lower than the start offset ("
-                                + range[0] + ")")
-                            );
-                        }
-                        if (end > nodeSize)
-                            end = nodeSize;
-
+                    var offsets;
+                    try {
+                        offsets = self.getHTTPRangeOffsets(ranges, nodeSize);
                     }
-                    else {
-                        start = nodeSize - range[1];
-                        end   = nodeSize;
-                        if (start < 0)
-                            start = 0;
+                    catch (ex) {
+                        return self.handleError(ex);
                     }
 
+                    if (offsets.length > 1)
+                        return self.sendMultipartRanges(node, offsets, nodeSize, httpHeaders);
+
+                    var start  = offsets[0].start;
+                    var end    = offsets[0].end;
                     var offlen = end - start;
-                    // Prevent buffer error
-                    // https://github.com/joyent/node/blob/v0.4.5/lib/buffer.js#L337
-                    if (end < start) {
-                        var swapTmp = end;
-                        end = start;
-                        start = swapTmp;
-                    }
 
                     // report a different end offset, corrected by 1:
-                    var clientEnd = end > 0 ? end - 1 : end;
                     httpHeaders["content-length"] = offlen;
-                    httpHeaders["content-range"]  = "bytes " + start + "-" + clientEnd + "/" + nodeSize;
+                    httpHeaders["content-range"]  = "bytes " + start + "-" + (end - 1) + "/" + nodeSize;
 
                     if (hasStream) {
                         var writeStreamingHeader = function () {
@@ -565,7 +672,7 @@ jsDAV_Handler.STATUS_MAP     = {
 
                             // New read/write stream
                             var newStream = new Buffer(offlen);
-                            body.copy(newStream, 0, start, offlen);
+                            body.copy(newStream, 0, start, end);
 
                             self.httpResponse.writeHead(206, httpHeaders);
                             self.httpResponse.end(newStream);
@@ -574,7 +681,7 @@ jsDAV_Handler.STATUS_MAP     = {
                 }
                 else {
                     var since        = self.httpRequest.headers["if-modified-since"];
-                    var oldEtag      = self.httpRequest.headers["if-none-match"];
+                    var oldEtag      = self.stripETagEncoding(self.httpRequest.headers["if-none-match"]);
                     var lastModified = httpHeaders["last-modified"];
                     var etag         = httpHeaders["etag"];
                     since = since && Date.parse(since).valueOf();
@@ -583,16 +690,28 @@ jsDAV_Handler.STATUS_MAP     = {
                     if (!((since && lastModified === since) || (etag && oldEtag === etag))) {
                         if (nodeSize)
                             httpHeaders["content-length"] = nodeSize;
+
+                        // The entire file is sent, so it may be compressed.
+                        var out = self.httpResponse;
+                        var coding = self.getResponseEncoding(httpHeaders);
+                        var writeHeader = function(status) {
+                            self.httpResponse.writeHead(status, httpHeaders);
+                            if (coding) {
+                                out = self.createResponseEncoder(coding);
+                                out.pipe(self.httpResponse);
+                            }
+                        };
+
                         if (hasStream) {
                             var writeStreamingHeader = function () {
-                                self.httpResponse.writeHead(200, httpHeaders);
+                                writeHeader(200);
                             };
 
                             // no start or end means: get all file contents.
                             node.getStream(null, null, function(err, data) {
                                 if (err) {
                                     if (!writeStreamingHeader) {
-                                        self.httpResponse.end();
+                                        out.end();
                                         console.error("jsDAV GET error", err);
                                     }
                                     else {
@@ -608,9 +727,9 @@ jsDAV_Handler.STATUS_MAP     = {
                                 }
 
                                 if (!data)
-                                    return self.httpResponse.end();
+                                    return out.end();
 
-                                self.httpResponse.write(data);
+                                out.write(data);
                             });
                         }
                         else {
@@ -618,8 +737,8 @@ jsDAV_Handler.STATUS_MAP     = {
                                 if (!Util.empty(err))
                                     return self.handleError(err);
 
-                                self.httpResponse.writeHead(200, httpHeaders);
-                                self.httpResponse.end(body);
+                                writeHeader(200);
+                                out.end(body);
                             });
                         }
                     }
@@ -669,6 +788,9 @@ jsDAV_Handler.STATUS_MAP     = {
                     headers = headersFetched;
                     if (!headers["content-type"])
                         headers["content-type"] = "application/octet-stream";
+                    // a GET request would receive a compressed response
+                    if (!self.httpRequest.headers["range"])
+                        self.getResponseEncoding(headers);
                     afterHeaders();
                 });
             }
@@ -699,17 +821,27 @@ jsDAV_Handler.STATUS_MAP     = {
             if (!Util.empty(err))
                 return self.handleError(err);
 
-            self.dispatchEvent("beforeUnbind", uri, function(stop) {
-                if (stop === true)
-                    return;
-                node["delete"](function(err) {
-                    if (!Util.empty(err))
-                        return self.handleError(err);
+            self.checkPreconditions(false, function(err, redirected) {
+                if (!Util.empty(err))
+                    return self.handleError(err);
+                if (redirected)
+                    return false;
+
+                self.dispatchEvent("beforeUnbind", uri, function(stop) {
+                    if (stop === true)
+                        return;
+                    node["delete"](function(err) {
+                        if (!Util.empty(err))
+                            return self.handleError(err);
 
-                    self.markDirty(uri);
-                    self.httpResponse.writeHead(204, {"content-length": "0"});
-                    self.httpResponse.end();
-                    self.dispatchEvent("afterDelete", uri);
+                        self.markDirty(uri);
+                        // plugins may clean up after the node, so wait for
+                        // them before responding
+                        self.dispatchEvent("afterDelete", uri, function() {
+                            self.httpResponse.writeHead(204, {"content-length": "0"});
+                            self.httpResponse.end();
+                        });
+                    });
                 });
             });
         });
@@ -735,7 +867,19 @@ jsDAV_Handler.STATUS_MAP     = {
      * @throws {Error}
      */
     this.httpPropfind = function() {
-        var self = this;
+        var self  = this;
+        var depth = this.getHTTPDepth(1);
+        // Traversing an entire tree may be very expensive, so it needs to be
+        // enabled explicitly.
+        if (depth === jsDAV_Handler.DEPTH_INFINITY && !this.server.options.enablePropfindDepthInfinity) {
+            return this.handleError(new Exc.PropfindFiniteDepth(
+                "PROPFIND requests with a Depth of 'infinity' are not allowed on this server"));
+        }
+        // Other than 'infinity', the only two options for the depth of a
+        // propfind are 0 or 1
+        if (depth !== 0 && depth !== jsDAV_Handler.DEPTH_INFINITY)
+            depth = 1;
+
         this.getRequestBody("utf8", null, false, function(err, data) {
             if (!Util.empty(err))
                 return self.handleError(err);
@@ -744,10 +888,6 @@ jsDAV_Handler.STATUS_MAP     = {
             self.parsePropfindRequest(data, function(err, requestedProperties) {
                 if (!Util.empty(err))
                     return self.handleError(err);
-                var depth = self.getHTTPDepth(1);
-                // The only two options for the depth of a propfind is 0 or 1
-                if (depth !== 0)
-                    depth = 1;
 
                 // The requested path
                 var path;
@@ -757,31 +897,25 @@ jsDAV_Handler.STATUS_MAP     = {
                 catch (ex) {
                     return self.handleError(ex);
                 }
-                //if (jsDAV.debugMode)
-                //    Util.log("httpPropfind BEFORE getPropertiesForPath '" + path + "';", requestedProperties);
-                self.getPropertiesForPath(path, requestedProperties, depth, function(err, newProperties) {
-                    if (!Util.empty(err))
-                        return self.handleError(err);
 
-                    // Normally this header is only needed for OPTIONS responses, however..
-                    // iCal seems to also depend on these being set for PROPFIND. Since
-                    // this is not harmful, we'll add it.
-                    var features = ["1", "3", "extended-mkcol"];
-                    for (var plugin in self.plugins) {
-                        if (!self.plugins[plugin].getFeatures)
-                            Util.log("method getFeatures() NOT implemented for plugin " + plugin, "error");
-                        else
-                            features = features.concat(self.plugins[plugin].getFeatures());
-                    }
+                // Normally this header is only needed for OPTIONS responses, however..
+                // iCal seems to also depend on these being set for PROPFIND. Since
+                // this is not harmful, we'll add it.
+                var features = ["1", "3", "extended-mkcol"];
+                for (var plugin in self.plugins) {
+                    if (!self.plugins[plugin].getFeatures)
+                        Util.log("method getFeatures() NOT implemented for plugin " + plugin, "error");
+                    else
+                        features = features.concat(self.plugins[plugin].getFeatures());
+                }
 
-                    // This is a multi-status response.
-                    self.httpResponse.writeHead(207, {
-                        "content-type": "application/xml; charset=utf-8",
-                        "vary": "Brief,Prefer",
-                        "DAV": features.join(",")
-                    });
-                    var prefer = self.getHTTPPrefer();
-                    self.httpResponse.end(self.generateMultiStatus(newProperties, prefer["return-minimal"]));
+                // This is a multi-status response, which is written while the
+                // properties of each node are resolved.
+                var prefer = self.getHTTPPrefer();
+                self.streamMultiStatus(prefer["return-minimal"], {"DAV": features.join(",")}, function(write, cbdone) {
+                    self.streamPropertiesForPath(path, requestedProperties, depth, function(rpath, newProperties, next) {
+                        write(newProperties, next);
+                    }, cbdone);
                 });
             });
         });
@@ -799,46 +933,54 @@ jsDAV_Handler.STATUS_MAP     = {
      */
     this.httpProppatch = function() {
         var self = this;
-        this.getRequestBody("utf8", null, false, function(err, data) {
+
+        this.checkPreconditions(false, function(err, redirected) {
             if (!Util.empty(err))
                 return self.handleError(err);
-            //if (jsDAV.debugMode)
-            //    Util.log("{" + self.id + "}", "data received " + data);
-            self.parseProppatchRequest(data, function(err, newProperties) {
+            if (redirected)
+                return false;
+
+            self.getRequestBody("utf8", null, false, function(err, data) {
                 if (!Util.empty(err))
                     return self.handleError(err);
-                self.updateProperties(self.getRequestUri(), newProperties, function(err, result) {
+                //if (jsDAV.debugMode)
+                //    Util.log("{" + self.id + "}", "data received " + data);
+                self.parseProppatchRequest(data, function(err, newProperties) {
                     if (!Util.empty(err))
                         return self.handleError(err);
+                    self.updateProperties(self.getRequestUri(), newProperties, function(err, result) {
+                        if (!Util.empty(err))
+                            return self.handleError(err);
 
-                    var prefer = self.getHTTPPrefer();
-                    if (prefer["return-minimal"]) {
-                        // If return-minimal is specified, we only have to check if the
-                        // request was succesful, and don't need to return the
-                        // multi-status.
-                        var prop;
-                        var ok = true;
-                        for (var code in result) {
-                            prop = result[code];
-                            if (parseInt(code, 10) > 299) {
-                                ok = false;
-                                break;
+                        var prefer = self.getHTTPPrefer();
+                        if (prefer["return-minimal"]) {
+                            // If return-minimal is specified, we only have to check if the
+                            // request was succesful, and don't need to return the
+                            // multi-status.
+                            var prop;
+                            var ok = true;
+                            for (var code in result) {
+                                prop = result[code];
+                                if (code != "href" && parseInt(code, 10) > 299) {
+                                    ok = false;
+                                    break;
+                                }
+                            }
+                            if (ok) {
+                                self.httpResponse.writeHead(204, {
+                                    "vary": "Brief, Prefer"
+                                });
+                                self.httpResponse.end();
+                                return;
                             }
                         }
-                        if (ok) {
-                            self.httpResponse.writeHead(204, {
-                                "vary": "Brief, Prefer"
-                            });
-                            self.httpResponse.end();
-                            return;
-                        }
-                    }
 
-                    self.httpResponse.writeHead(207, {
-                        "content-type": "application/xml; charset=utf-8",
-                        "vary": "Brief, Prefer"
+                        self.httpResponse.writeHead(207, {
+                            "content-type": "application/xml; charset=utf-8",
+                            "vary": "Brief, Prefer"
+                        });
+                        self.httpResponse.end(self.generateMultiStatus([result]));
                     });
-                    self.httpResponse.end(self.generateMultiStatus(result));
                 });
             });
         });
@@ -880,6 +1022,8 @@ jsDAV_Handler.STATUS_MAP     = {
             Tomcat and others.  Since some clients do use this feature which results
             in unexpected behaviour (cf PEAR::HTTP_WebDAV_Client 1.0.1), we reject
             all PUT requests with a Content-Range for now.
+            The partialupdate plugin handles these requests instead when the
+            'enablePutContentRange' server option is set.
             */
 
             return this.handleError(new Exc.NotImplemented("PUT with Content-Range is not allowed."));
@@ -890,13 +1034,25 @@ jsDAV_Handler.STATUS_MAP     = {
             if (!Util.empty(err)) {
                 if (err instanceof Exc.FileNotFound) {
                     // If we got here, the resource didn't exist yet.
-                    // `data` is set to `null` to use streamed write.
-                    self.createFile(uri, null, "binary", function(err) {
+                    // Checking If-Match and 'If-None-Match: *', which clients
+                    // use to prevent overwriting a resource created by someone
+                    // else in the meantime.
+                    self.checkPreconditions(false, function(err, redirected) {
                         if (!Util.empty(err))
                             return self.handleError(err);
-                        self.httpResponse.writeHead(201, {"content-length": "0"});
-                        self.httpResponse.end();
-                        self.dispatchEvent("afterWriteContent", uri);
+                        if (redirected)
+                            return false;
+                        // `data` is set to `null` to use streamed write.
+                        self.createFile(uri, null, "binary", function(err) {
+                            if (!Util.empty(err))
+                                return self.handleError(err);
+                            // plugins may record the new content, like the
+                            // versioning plugin, so wait for them before responding
+                            self.dispatchEvent("afterWriteContent", uri, function() {
+                                self.httpResponse.writeHead(201, {"content-length": "0"});
+                                self.httpResponse.end();
+                            });
+                        });
                     });
                 }
                 else {
@@ -938,9 +1094,10 @@ jsDAV_Handler.STATUS_MAP     = {
                             var headers = {"content-length": "0"};
                             if (etag)
                                 headers.etag = etag;
-                            self.httpResponse.writeHead(200, headers);
-                            self.httpResponse.end();
-                            self.dispatchEvent("afterWriteContent", uri);
+                            self.dispatchEvent("afterWriteContent", uri, function() {
+                                self.httpResponse.writeHead(200, headers);
+                                self.httpResponse.end();
+                            });
                         }
                     });
                 });
@@ -961,78 +1118,87 @@ jsDAV_Handler.STATUS_MAP     = {
         var self       = this;
         var req        = this.httpRequest;
 
-        this.getRequestBody("utf8", null, false, function(err, requestBody) {
+        this.checkPreconditions(false, function(err, redirected) {
             if (!Util.empty(err))
                 return self.handleError(err);
+            if (redirected)
+                return false;
 
-            if (requestBody) {
-                var contentType = req.headers["content-type"];
-                if (contentType.indexOf("application/xml") !== 0 && contentType.indexOf("text/xml") !== 0) {
-                    // We must throw 415 for unsupported mkcol bodies
-                    return self.handleError(new Exc.UnsupportedMediaType(
-                        "The request body for the MKCOL request must have an xml Content-Type"));
-                }
+            self.getRequestBody("utf8", null, false, function(err, requestBody) {
+                if (!Util.empty(err))
+                    return self.handleError(err);
 
-                Xml.loadDOMDocument(requestBody, self.server.options.parser, function(err, dom) {
-                    var firstChild = dom.firstChild;
-                    if (Xml.toClarkNotation(firstChild) !== "{DAV:}mkcol") {
-                        // We must throw 415 for unsupport mkcol bodies
+                if (requestBody) {
+                    var contentType = req.headers["content-type"];
+                    if (contentType.indexOf("application/xml") !== 0 && contentType.indexOf("text/xml") !== 0) {
+                        // We must throw 415 for unsupported mkcol bodies
                         return self.handleError(new Exc.UnsupportedMediaType(
-                            "The request body for the MKCOL request must be a {DAV:}mkcol request construct."));
+                            "The request body for the MKCOL request must have an xml Content-Type"));
                     }
 
-                    var childNode;
-                    var i = 0;
-                    var c = firstChild.childNodes;
-                    var l = c.length;
-                    for (; i < l; ++i) {
-                        childNode = c[i];
-                        if (Xml.toClarkNotation(childNode) !== "{DAV:}set")
-                            continue;
-                        properties = Util.extend(properties, Xml.parseProperties(childNode, self.propertyMap));
-                    }
-                    if (!properties["{DAV:}resourcetype"]) {
-                        return self.handleError(new Exc.BadRequest(
-                            "The mkcol request must include a {DAV:}resourcetype property")
-                        );
-                    }
+                    Xml.loadDOMDocument(requestBody, self.server.options.parser, self.getXmlLimits(), function(err, dom) {
+                        if (!Util.empty(err))
+                            return self.handleError(err);
+                        var firstChild = dom.firstChild;
+                        if (Xml.toClarkNotation(firstChild) !== "{DAV:}mkcol") {
+                            // We must throw 415 for unsupport mkcol bodies
+                            return self.handleError(new Exc.UnsupportedMediaType(
+                                "The request body for the MKCOL request must be a {DAV:}mkcol request construct."));
+                        }
 
-                    delete properties["{DAV:}resourcetype"];
+                        var childNode;
+                        var i = 0;
+                        var c = firstChild.childNodes;
+                        var l = c.length;
+                        for (; i < l; ++i) {
+                            childNode = c[i];
+                            if (Xml.toClarkNotation(childNode) !== "{DAV:}set")
+                                continue;
+                            properties = Util.extend(properties, Xml.parseProperties(childNode, self.propertyMap, jsDAV_Property_Complex));
+                        }
+                        if (!properties["{DAV:}resourcetype"]) {
+                            return self.handleError(new Exc.BadRequest(
+                                "The mkcol request must include a {DAV:}resourcetype property")
+                            );
+                        }
 
-                    resourceType = [];
-                    // Need to parse out all the resourcetypes
-                    var rtNode = firstChild.getElementsByTagNameNS("urn:DAV", "resourcetype")[0];
-                    for (i = 0, c = rtNode.childNodes, l = c.length; i < l; ++i)
-                        resourceType.push(Xml.toClarkNotation(c[i]));
+                        delete properties["{DAV:}resourcetype"];
 
-                    afterParse();
-                });
-            }
-            else {
-                resourceType = ["{DAV:}collection"];
-                afterParse();
-            }
+                        resourceType = [];
+                        // Need to parse out all the resourcetypes
+                        var rtNode = firstChild.getElementsByTagNameNS("urn:DAV", "resourcetype")[0];
+                        for (i = 0, c = rtNode.childNodes, l = c.length; i < l; ++i)
+                            resourceType.push(Xml.toClarkNotation(c[i]));
 
-            function afterParse() {
-                try {
-                    var uri = self.getRequestUri()
+                        afterParse();
+                    });
                 }
-                catch (ex) {
-                    return self.handleError(ex);
+                else {
+                    resourceType = ["{DAV:}collection"];
+                    afterParse();
                 }
-                self.createCollection(uri, resourceType, properties, function(err, result) {
-                    if (!Util.empty(err))
-                        return self.handleError(err);
-                    if (result && result.length) {
-                        self.httpResponse.writeHead(207, {"content-type": "application/xml; charset=utf-8"});
-                        self.httpResponse.end(self.generateMultiStatus(result));
+
+                function afterParse() {
+                    try {
+                        var uri = self.getRequestUri()
                     }
-                    else {
-                        self.httpResponse.writeHead(201, {"content-length": "0"});
-                        self.httpResponse.end();
+                    catch (ex) {
+                        return self.handleError(ex);
                     }
-                });
-            }
+                    self.createCollection(uri, resourceType, properties, function(err, result) {
+                        if (!Util.empty(err))
+                            return self.handleError(err);
+                        if (result && result.length) {
+                            self.httpResponse.writeHead(207, {"content-type": "application/xml; charset=utf-8"});
+                            self.httpResponse.end(self.generateMultiStatus([result]));
+                        }
+                        else {
+                            self.httpResponse.writeHead(201, {"content-length": "0"});
+                            self.httpResponse.end();
+                        }
+                    });
+                }
+            });
         });
     };
 
@@ -1042,53 +1208,77 @@ jsDAV_Handler.STATUS_MAP     = {
      * This method moves one uri to a different uri. A lot of the actual request
      * processing is done in getCopyMoveInfo
      *
+     * Plugins that handle the MOVE of a resource that is not part of the tree
+     * may pass the function that moves it, which is called with the move info
+     * and a callback. The preconditions, events and response are the same as
+     * for any other MOVE.
+     *
+     * @param {Function} [move]
      * @return {void}
      */
-    this.httpMove = function() {
+    this.httpMove = function(move) {
         var self = this;
+        move = move || function(moveInfo, callback) {
+            self.tree.move(moveInfo.source, moveInfo.destination, callback);
+        };
 
         this.getCopyAndMoveInfo(function(err, moveInfo) {
             if (!Util.empty(err))
                 return self.handleError(err);
-            if (moveInfo.destinationExists) {
-                self.dispatchEvent("beforeUnbind", moveInfo.destination, function(stop) {
-                    if (stop === true)
-                        return false;
-                    moveInfo.destinationNode["delete"](function(err) {
-                        if (!Util.empty(err))
-                            return self.handleError(err);
-                        afterDelete();
-                    });
+            self.checkPreconditions(false, function(err, redirected) {
+                if (!Util.empty(err))
+                    return self.handleError(err);
+                if (redirected)
+                    return false;
+                self.checkDestinationPreconditions(moveInfo, function(err) {
+                    if (!Util.empty(err))
+                        return self.handleError(err);
+                    afterPreconditions();
                 });
-            }
-            else {
-                afterDelete();
-            }
+            });
 
-            function afterDelete() {
-                self.dispatchEvent("beforeUnbind", moveInfo.source, function(stop) {
-                    if (stop === true)
-                        return false;
-                    self.dispatchEvent("beforeBind", moveInfo.destination, function(stop) {
+            function afterPreconditions() {
+                if (moveInfo.destinationExists) {
+                    self.dispatchEvent("beforeUnbind", moveInfo.destination, function(stop) {
                         if (stop === true)
                             return false;
-                        self.server.tree.move(moveInfo.source, moveInfo.destination, function(err, sourceDir, destinationDir) {
+                        moveInfo.destinationNode["delete"](function(err) {
                             if (!Util.empty(err))
                                 return self.handleError(err);
+                            afterDelete();
+                        });
+                    });
+                }
+                else {
+                    afterDelete();
+                }
 
-                            self.markDirty(moveInfo.source);
-                            self.markDirty(moveInfo.destination);
+                function afterDelete() {
+                    self.dispatchEvent("beforeUnbind", moveInfo.source, function(stop) {
+                        if (stop === true)
+                            return false;
+                        self.dispatchEvent("beforeBind", moveInfo.destination, function(stop) {
+                            if (stop === true)
+                                return false;
+                            move(moveInfo, function(err) {
+                                if (!Util.empty(err))
+                                    return self.handleError(err);
 
-                            self.dispatchEvent("afterBind", moveInfo.destination,
-                                Path.join(self.server.tree.basePath, moveInfo.destination));
-                            // If a resource was overwritten we should send a 204, otherwise a 201
-                            self.httpResponse.writeHead(moveInfo.destinationExists ? 204 : 201,
-                                {"content-length": "0"});
-                            self.httpResponse.end();
-                            self.dispatchEvent("afterMove", moveInfo.destination);
+                                self.markDirty(moveInfo.source);
+                                self.markDirty(moveInfo.destination);
+
+                                self.dispatchEvent("afterBind", moveInfo.destination,
+                                    Path.join(self.tree.basePath, moveInfo.destination), function() {
+                                    // If a resource was overwritten we should send a 204, otherwise a 201
+                                    self.httpResponse.writeHead(moveInfo.destinationExists ? 204 : 201,
+                                        {"content-length": "0"});
+                                    self.httpResponse.end();
+                                    self.dispatchEvent("afterMove", moveInfo.destination, moveInfo.source);
+                                });
+                            });
                         });
                     });
-                });
+                }
             }
         });
     };
@@ -1107,41 +1297,55 @@ jsDAV_Handler.STATUS_MAP     = {
         this.getCopyAndMoveInfo(function(err, copyInfo) {
             if (!Util.empty(err))
                 return self.handleError(err);
-            if (copyInfo.destinationExists) {
-                self.dispatchEvent("beforeUnbind", copyInfo.destination, function(stop) {
-                    if (stop === true)
-                        return false;
-                    copyInfo.destinationNode["delete"](function(err) {
-                        if (!Util.empty(err))
-                            return self.handleError(err);
-                        afterDelete();
-                    });
+            self.checkPreconditions(false, function(err, redirected) {
+                if (!Util.empty(err))
+                    return self.handleError(err);
+                if (redirected)
+                    return false;
+                self.checkDestinationPreconditions(copyInfo, function(err) {
+                    if (!Util.empty(err))
+                        return self.handleError(err);
+                    afterPreconditions();
                 });
-            }
-            else {
-                afterDelete();
-            }
+            });
 
-            function afterDelete() {
-                self.dispatchEvent("beforeBind", copyInfo.destination, function(stop) {
-                    if (stop === true)
-                        return false;
-                    self.server.tree.copy(copyInfo.source, copyInfo.destination, function(err) {
-                        if (!Util.empty(err))
-                            return self.handleError(err);
+            function afterPreconditions() {
+                if (copyInfo.destinationExists) {
+                    self.dispatchEvent("beforeUnbind", copyInfo.destination, function(stop) {
+                        if (stop === true)
+                            return false;
+                        copyInfo.destinationNode["delete"](function(err) {
+                            if (!Util.empty(err))
+                                return self.handleError(err);
+                            afterDelete();
+                        });
+                    });
+                }
+                else {
+                    afterDelete();
+                }
 
-                        self.markDirty(copyInfo.destination);
+                function afterDelete() {
+                    self.dispatchEvent("beforeBind", copyInfo.destination, function(stop) {
+                        if (stop === true)
+                            return false;
+                        self.tree.copy(copyInfo.source, copyInfo.destination, function(err) {
+                            if (!Util.empty(err))
+                                return self.handleError(err);
 
-                        self.dispatchEvent("afterBind", copyInfo.destination,
-                            Path.join(self.server.tree.basePath, copyInfo.destination));
+                            self.markDirty(copyInfo.destination);
 
-                        // If a resource was overwritten we should send a 204, otherwise a 201
-                        self.httpResponse.writeHead(copyInfo.destinationExists ? 204 : 201,
-                            {"Content-Length": "0"});
-                        self.httpResponse.end();
-                        self.dispatchEvent("afterCopy", copyInfo.destination);
+                            self.dispatchEvent("afterBind", copyInfo.destination,
+                                Path.join(self.tree.basePath, copyInfo.destination), function() {
+                                // If a resource was overwritten we should send a 204, otherwise a 201
+                                self.httpResponse.writeHead(copyInfo.destinationExists ? 204 : 201,
+                                    {"Content-Length": "0"});
+                                self.httpResponse.end();
+                                self.dispatchEvent("afterCopy", copyInfo.destination, copyInfo.source);
+                            });
+                        });
                     });
-                });
+                }
             }
         });
     };
@@ -1157,12 +1361,17 @@ jsDAV_Handler.STATUS_MAP     = {
     this.httpReport = function() {
         var self = this;
         this.getRequestBody("utf8", null, false, function(err, data) {
-            Xml.loadDOMDocument(data, self.server.options.parser, function(err, dom) {
+            if (!Util.empty(err))
+                return self.handleError(err);
+            Xml.loadDOMDocument(data, self.server.options.parser, self.getXmlLimits(), function(err, dom) {
+                if (!Util.empty(err))
+                    return self.handleError(err);
                 var reportName = Xml.toClarkNotation(dom);
                 self.dispatchEvent("report", reportName, dom, function(stop) {
                     if (stop !== true) {
-                        // if dispatchEvent didn't return true, it means the report was not supported
-                        return self.handleError(new Exc.ReportNotImplemented());
+                        // if dispatchEvent didn't return true, it means the report
+                        // failed or was not supported
+                        return self.handleError(stop || new Exc.ReportNotImplemented());
                     }
                 });
             });
@@ -1256,53 +1465,169 @@ jsDAV_Handler.STATUS_MAP     = {
                 : req.$data.toString(enc));
         }
 
+        this.sendContinue();
+
         if (isStream) {
             var buff = [];
             var contentLength = req.headers["content-length"];
             var lengthCount = 0;
+            var decodedCount = 0;
+            var maxSize = this.getMaxRequestBodySize();
+            var ended = false;
             var err;
 
-            if (stream)
-                stream.on("error", function(ex) { err = ex; });
+            // compressed request bodies are decoded on the fly
+            var decoder = null;
+            var coding = (req.headers["content-encoding"] || "identity").toLowerCase();
+            if (coding == "gzip" || coding == "x-gzip")
+                decoder = Zlib.createGunzip();
+            else if (coding == "deflate")
+                decoder = Zlib.createInflate();
+            else if (coding != "identity")
+                return cbreqbody(new Exc.UnsupportedMediaType("The Content-Encoding '" + coding + "' is not supported"));
+
+            if (stream) {
+                stream.on("error", function(ex) {
+                    err = err || ex;
+                    abort();
+                });
+                // the request is read no faster than the stream is written
+                stream.on("drain", function() {
+                    if (!ended)
+                        req.resume();
+                });
+            }
 
-            req.streambuffer.ondata(function(data) {
-                lengthCount += data.length;
-                if (stream && stream.writable)
-                    stream.write(data);
+            var onData = function(data) {
+                if (ended)
+                    return;
+                // Chunked and compressed bodies can only be checked while
+                // they are received.
+                decodedCount += data.length;
+                if (maxSize && decodedCount > maxSize) {
+                    err = new Exc.RequestEntityTooLarge("The request body exceeds the maximum of "
+                        + maxSize + " bytes");
+                    return abort();
+                }
+                if (self.$bodyLimit && decodedCount > self.$bodyLimit.size) {
+                    err = self.$bodyLimit.err;
+                    return abort();
+                }
+                if (stream) {
+                    if (stream.write(data) === false)
+                        req.pause();
+                }
                 else
                     buff.push(data);
-            });
+            };
 
-            req.streambuffer.onend(function() {
-                // TODO: content-length check and rollback...
+            var onEnd = function() {
+                if (ended)
+                    return;
+                if (contentLength && parseInt(contentLength, 10) != lengthCount) {
+                    err = new Exc.BadRequest("Content-Length mismatch: Request Header claimed "
+                        + contentLength + " bytes, but received " + lengthCount + " bytes");
+                    return abort();
+                }
+                ended = true;
                 if (stream) {
-                    if (err)
-                        return cbreqbody(err);
-
                     stream.on("close", function() {
                         cbreqbody(err);
                     });
                     stream.end();
                 }
-                else {
-                    buff = Util.concatBuffers(buff);
-                    if (contentLength && parseInt(contentLength, 10) != buff.length) {
-                        readDone(new Exc.BadRequest("Content-Length mismatch: Request Header claimed "
-                            + contentLength + " bytes, but received " + buff.length + " bytes"), buff);
-                    }
-                    else
-                        readDone(null, buff);
+                else
+                    readDone(null, Util.concatBuffers(buff));
+            };
+
+            // Stops reading the request body after an error. The stream is
+            // destroyed instead of ended, so that the data written to it so far
+            // doesn't replace the contents of the resource.
+            var abort = function() {
+                if (ended)
+                    return;
+                ended = true;
+                req.pause();
+                // the rest of the body is never read, so the connection can't
+                // be used for another request
+                self.$bodyUnread = true;
+                if (!stream)
+                    return readDone(err, Util.concatBuffers(buff));
+
+                if (stream.closed)
+                    return rollback(stream, appendOffset, done);
+                stream.on("close", function() {
+                    rollback(stream, appendOffset, done);
+                });
+                // File streams of Node 10 don't emit 'close' when they're
+                // destroyed with an error, other streams may need the error
+                // to clean up what they stored so far.
+                stream.destroy(stream instanceof Fs.WriteStream ? undefined : err);
+
+                function done() {
+                    cbreqbody(err);
                 }
+            };
+
+            // The body of a request that was aborted by the client never ends.
+            // Requests that are not read from a connection, like the body of
+            // an upload session, aren't aborted.
+            req.on("close", function() {
+                if (ended || req.complete !== false)
+                    return;
+                err = err || new Exc.BadRequest("The request was aborted before its body was received");
+                abort();
             });
-        }
-        else {
-            var form = new Formidable.IncomingForm();
-            form.uploadDir = this.server.tmpDir;
 
-            form.on("file", function(field, file) {
-                // in the case of a streamed write, we can move the file to its
-                // correct position right away:
-                if (stream) {
+            if (decoder) {
+                decoder.on("data", onData);
+                decoder.on("end", onEnd);
+                decoder.on("error", function(ex) {
+                    err = new Exc.BadRequest("The request body could not be decoded (" + ex.message + ")");
+                    // no more data is produced after an error
+                    abort();
+                });
+            }
+
+            var read = function() {
+                req.streambuffer.ondata(function(data) {
+                    if (ended)
+                        return;
+                    lengthCount += data.length;
+                    if (decoder)
+                        decoder.write(data);
+                    else
+                        onData(data);
+                });
+
+                req.streambuffer.onend(function() {
+                    if (decoder)
+                        decoder.end();
+                    else
+                        onEnd();
+                });
+            };
+
+            // The size of a file that is appended to is needed to roll back
+            // the write, so it's read before anything is written.
+            var appendOffset = -1;
+            if (stream instanceof Fs.WriteStream && stream.flags == "a") {
+                Fs.stat(stream.path, function(ex, stat) {
+                    appendOffset = stat ? stat.size : 0;
+                    read();
+                });
+            }
+            else
+                read();
+        }
+        else {
+            var form = new Formidable.IncomingForm();
+            form.uploadDir = this.server.tmpDir;
+
+            form.on("file", function(field, file) {
+                // in the case of a streamed write, we can move the file to its
+                // correct position right away:
+                if (stream) {
                     stream.on("close", function() {
                         Fs.rename(file.path, stream.path, cbreqbody);
                     });
@@ -1321,6 +1646,24 @@ jsDAV_Handler.STATUS_MAP     = {
             form.parse(req);
         }
 
+        /**
+         * Undoes the partial write to a file stream that appends to a file.
+         * The file is never removed, because it may have existed before the
+         * request; backends that replace files write to a temporary file and
+         * remove it themselves.
+         */
+        function rollback(stream, appendOffset, callback) {
+            if (!(stream instanceof Fs.WriteStream) || !stream.path)
+                return callback();
+            // data that is overwritten at an offset can't be restored, but
+            // appended data can be cut off again
+            if (appendOffset < 0)
+                return callback();
+            Fs.truncate(stream.path, appendOffset, function() {
+                callback();
+            });
+        }
+
         function readDone(err, data) {
             req.$data = data;
             if (err)
@@ -1333,6 +1676,64 @@ jsDAV_Handler.STATUS_MAP     = {
         }
     };
 
+    /**
+     * Returns the maximum size in bytes of the body of the current request,
+     * as configured by the 'maxUploadSize' option for PUT, PATCH and POST
+     * requests and the 'maxXmlBodySize' option for all others. Returns 0 if
+     * the size isn't limited.
+     *
+     * @return {Number}
+     */
+    this.getMaxRequestBodySize = function() {
+        var options = this.server.options;
+        var method = this.httpRequest.method.toUpperCase();
+        if (method == "PUT" || method == "PATCH" || method == "POST")
+            return options.maxUploadSize || 0;
+        return options.maxXmlBodySize || jsDAV_Handler.MAX_XML_BODY_SIZE;
+    };
+
+    /**
+     * Limits the size of the body of the current request further than the
+     * server options do, for example to the storage that is left in a quota.
+     * The body is rejected with 'err' once it exceeds 'size' bytes. When
+     * called more than once, the lowest limit applies.
+     *
+     * @param {Number} size
+     * @param {Exc.jsDAV_Exception} err
+     * @return {void}
+     */
+    this.limitRequestBody = function(size, err) {
+        if (!this.$bodyLimit || size < this.$bodyLimit.size)
+            this.$bodyLimit = {size: size, err: err};
+    };
+
+    /**
+     * Returns the limits that apply to the XML documents in request bodies, as
+     * configured by the 'maxXmlDepth' and 'maxXmlElements' options.
+     *
+     * @return {Object}
+     */
+    this.getXmlLimits = function() {
+        return {
+            maxDepth: this.server.options.maxXmlDepth,
+            maxElements: this.server.options.maxXmlElements
+        };
+    };
+
+    /**
+     * Sends the interim 100 Continue response to a client that sent an
+     * 'Expect: 100-continue' header, to let it know that it can start sending
+     * the request body. This happens only once per request.
+     *
+     * @return {void}
+     */
+    this.sendContinue = function() {
+        if (!this.httpRequest.$expectContinue || this.$continueSent || this.httpResponse.headersSent)
+            return;
+        this.$continueSent = true;
+        this.httpResponse.writeContinue();
+    };
+
     /**
      * Calculates the uri for a request, making sure that the base uri is stripped out
      *
@@ -1376,224 +1777,279 @@ jsDAV_Handler.STATUS_MAP     = {
      *   * If-Modified-Since
      *   * If-Unmodified-Since
      *
-     * The method will return true if all preconditions are met
-     * The method will return false, or throw an exception if preconditions
-     * failed. If false is returned the operation should be aborted, and
-     * the appropriate HTTP response headers are already set.
+     * The callback receives no arguments if all preconditions are met.
+     * If a precondition failed, the operation should be aborted: the callback
+     * either receives an exception, or `true` as its second argument when the
+     * appropriate HTTP response was already sent.
      *
-     * Normally this method will throw 412 Precondition Failed for failures
-     * related to If-None-Match, If-Match and If-Unmodified Since. It will
-     * set the status to 304 Not Modified for If-Modified_since.
+     * Normally this method will pass a 412 Precondition Failed exception for
+     * failures related to If-None-Match, If-Match and If-Unmodified Since.
      *
-     * If the handleAsGET argument is set to true, it will also return 304
-     * Not Modified for failure of the If-None-Match precondition. This is the
-     * desired behaviour for HTTP GET and HTTP HEAD requests.
+     * If the handleAsGET argument is set to true, it will send a 304 Not
+     * Modified response for failure of the If-None-Match precondition and
+     * evaluate If-Modified-Since as well. This is the desired behaviour for
+     * HTTP GET and HTTP HEAD requests.
      *
      * @param  {Boolean}  handleAsGET
      * @param  {Function} cbprecond   Callback that is the return body of this function
      * @return {void}
      */
     this.checkPreconditions = function(handleAsGET, cbprecond) {
-        handleAsGET = handleAsGET || false;
-        var uri, ifMatch, ifNoneMatch, ifModifiedSince, ifUnmodifiedSince;
-        var node    = null;
-        var lastMod = null;
-        var etag    = null;
-        var self    = this;
-
+        var uri;
         try {
             uri = this.getRequestUri();
         }
         catch (ex) {
             return cbprecond(ex);
         }
+        this.checkPreconditionsForPath(uri, handleAsGET, cbprecond);
+    };
 
-        if (ifMatch = this.httpRequest.headers["if-match"]) {
-            // If-Match contains an entity tag. Only if the entity-tag
-            // matches we are allowed to make the request succeed.
-            // If the entity-tag is '*' we are only allowed to make the
-            // request succeed if a resource exists at that url.
-            this.getNodeForPath(uri, function(err, n) {
-                if (!Util.empty(err)) {
+    /**
+     * Checks the main HTTP preconditions against the resource at 'path', like
+     * checkPreconditions does for the request uri. The resource doesn't need
+     * to exist: 'If-None-Match: *' is met and 'If-Match' fails for resources
+     * that are about to be created.
+     *
+     * @param  {String}   path
+     * @param  {Boolean}  handleAsGET
+     * @param  {Function} cbprecond
+     * @return {void}
+     */
+    this.checkPreconditionsForPath = function(path, handleAsGET, cbprecond) {
+        var headers = this.httpRequest.headers;
+        var self    = this;
+
+        if (!headers["if-match"] && !headers["if-none-match"]
+          && !headers["if-modified-since"] && !headers["if-unmodified-since"])
+            return cbprecond(null, false);
+
+        this.getNodeForPath(path, function(err, node) {
+            if (!Util.empty(err)) {
+                if (!(err instanceof Exc.FileNotFound))
+                    return cbprecond(err);
+                return evaluate(null, null, null);
+            }
+            if (!node.getETag)
+                return getLastModified(null);
+            node.getETag(function(err, etag) {
+                if (err)
+                    return cbprecond(err);
+                getLastModified(etag);
+            });
+
+            function getLastModified(etag) {
+                node.getLastModified(function(err, lastMod) {
+                    if (err)
+                        return cbprecond(err);
+                    evaluate(node, etag, lastMod ? new Date(lastMod) : null);
+                });
+            }
+        });
+
+        function evaluate(node, etag, lastMod) {
+            var ifMatch, ifNoneMatch, date;
+            if (ifMatch = headers["if-match"]) {
+                // If-Match contains an entity tag. Only if the entity-tag
+                // matches we are allowed to make the request succeed.
+                // If the entity-tag is '*' we are only allowed to make the
+                // request succeed if a resource exists at that url.
+                if (!node) {
                     return cbprecond(new Exc.PreconditionFailed(
                         "An If-Match header was specified and the resource did not exist",
                         "If-Match"));
                 }
-                node = n;
-                // Only need to check entity tags if they are not *
-                if (ifMatch !== "*") {
-                    node.getETag(function(err, etag) {
-                        if (err)
-                            return cbprecond(err);
-
-                        var haveMatch = false;
-                        // There can be multiple etags
-                        ifMatch = ifMatch.split(",");
-                        var ifMatchItem;
-                        for (var i = 0, l = ifMatch.length; i < l; ++i) {
-                            // Stripping any extra spaces
-                            ifMatchItem = Util.trim(ifMatch[i], " ");
-        
-                            if (etag === ifMatchItem) {
-                                haveMatch = true;
-                                break;
-                            }
-                            else {
-                                // Evolution has a bug where it sometimes prepends the "
-                                // with a \. This is our workaround.
-                                if (ifMatchItem.replace('\\"','"') === etag) {
-                                    haveMatch = true;
-                                    break;
-                                }
-                            }
-                        }
-                        if (!haveMatch) {
-                             return cbprecond(new Exc.PreconditionFailed(
-                                "An If-Match header was specified, but none of the specified the ETags matched",
-                                "If-Match")
-                            );
-                        }
-                        afterIfMatch();
-                    });
-                    return;
+                if (Util.trim(ifMatch, " ") !== "*" && !self.matchETags(ifMatch, etag, false)) {
+                    return cbprecond(new Exc.PreconditionFailed(
+                        "An If-Match header was specified, but none of the specified the ETags matched",
+                        "If-Match"));
                 }
-                afterIfMatch();
-            });
-        }
-        else {
-            afterIfMatch();
-        }
+            }
+            else if (node && lastMod && (date = parseHTTPDate(headers["if-unmodified-since"]))) {
+                // The If-Unmodified-Since will allow the request if the
+                // entity has not changed since the specified date. It is
+                // ignored when an If-Match header was specified.
+                if (Math.floor(lastMod.getTime() / 1000) > Math.floor(date.getTime() / 1000)) {
+                    return cbprecond(new Exc.PreconditionFailed(
+                        "An If-Unmodified-Since header was specified, but the "
+                            + "entity has been changed since the specified date.",
+                        "If-Unmodified-Since"));
+                }
+            }
 
-        function afterIfMatch() {
-            if (ifNoneMatch = self.httpRequest.headers["if-none-match"]) {
+            if (ifNoneMatch = headers["if-none-match"]) {
                 // The If-None-Match header contains an etag.
                 // Only if the ETag does not match the current ETag, the request will succeed
                 // The header can also contain *, in which case the request
                 // will only succeed if the entity does not exist at all.
-                var nodeExists = true;
-                if (!node) {
-                    self.getNodeForPath(uri, function(err, n) {
-                        if (!Util.empty(err))
-                            nodeExists = false;
-                        else
-                            node = n;
-                        if (nodeExists) {
-                            // The Etag is surrounded by double-quotes, so those must be
-                            // stripped.
-                            ifNoneMatch = Util.trim(ifNoneMatch, '"');
-                            node.getETag(function(err, etag) {
-                                if (err)
-                                    return cbprecond(err);
-
-                                if (ifNoneMatch === "*" || etag === ifNoneMatch) {
-                                    if (handleAsGET) {
-                                        self.httpResponse.writeHead(304);
-                                        self.httpResponse.end();
-                                        cbprecond(null, true);
-                                        // @todo call cbprecond() differently here?
-                                    }
-                                    else {
-                                        cbprecond(new Exc.PreconditionFailed(
-                                            "An If-None-Match header was specified, but the ETag "
-                                          + "matched (or * was specified).", "If-None-Match")
-                                        );
-                                    }
-                                }
-                                else {
-                                    afterIfNoneMatch();
-                                }
-                            });
-                            return;
-                        }
-                        else {
-                            afterIfNoneMatch();
-                        }
-                    });
-                }
-                else {
-                    afterIfNoneMatch();
+                if (node && (Util.trim(ifNoneMatch, " ") === "*" || self.matchETags(ifNoneMatch, etag, true))) {
+                    if (handleAsGET)
+                        return notModified();
+                    return cbprecond(new Exc.PreconditionFailed(
+                        "An If-None-Match header was specified, but the ETag "
+                      + "matched (or * was specified).", "If-None-Match"));
                 }
             }
-            else {
-                afterIfNoneMatch();
+            else if (handleAsGET && node && lastMod && (date = parseHTTPDate(headers["if-modified-since"]))) {
+                // The If-Modified-Since header contains a date. We
+                // will only return the entity if it has been changed since
+                // that date. If it hasn't been changed, we return a 304
+                // header
+                // Note that this header only has to be checked if there was no
+                // If-None-Match header as per the HTTP spec.
+                if (Math.floor(lastMod.getTime() / 1000) <= Math.floor(date.getTime() / 1000))
+                    return notModified();
             }
 
-            function afterIfNoneMatch() {
-                if (!ifNoneMatch && (ifModifiedSince = self.httpRequest.headers["if-modified-since"])) {
-                    // The If-Modified-Since header contains a date. We
-                    // will only return the entity if it has been changed since
-                    // that date. If it hasn't been changed, we return a 304
-                    // header
-                    // Note that this header only has to be checked if there was no
-                    // If-None-Match header as per the HTTP spec.
-                    var date = new Date(ifModifiedSince);
-
-                    if (!node)
-                        self.getNodeForPath(uri, function(err, n) {
-                            if (!Util.empty(err))
-                                return cbprecond(err);
-                            node = n;
-                            node.getLastModified(function(err, lastMod) {
-                                if (lastMod) {
-                                    lastMod = new Date("@" + lastMod);
-                                    if (lastMod <= date) {
-                                        self.httpResponse.writeHead(304);
-                                        self.httpResponse.end();
-                                        cbprecond(null, true);
-                                        // @todo call cbprecond() differently here?
-                                        return;
-                                    }
-                                }
-                                afterIfModifiedSince();
-                            });
-                        });
-                }
-                else {
-                    afterIfModifiedSince();
-                }
+            cbprecond(null, false);
+        }
 
-                function afterIfModifiedSince() {
-                    var date;
-                    if (ifUnmodifiedSince = self.httpRequest.headers["if-unmodified-since"]) {
-                        // The If-Unmodified-Since will allow the request if the
-                        // entity has not changed since the specified date.
-                        date = new Date(ifUnmodifiedSince);
-                        if (!node) {
-                            self.getNodeForPath(uri, function(err, n) {
-                                if (!Util.empty(err))
-                                    return cbprecond(err);
-                                node = n;
-                                finale();
-                            });
-                        }
-                        else {
-                            finale();
-                        }
-                    }
-                    else {
-                        cbprecond(null, false);
-                    }
+        function notModified() {
+            self.httpResponse.writeHead(304);
+            self.httpResponse.end();
+            cbprecond(null, true);
+        }
+    };
 
-                    function finale() {
-                        node.getLastModified(function(err, lastMod) {
-                            if (lastMod) {
-                                lastMod = new Date("@" + lastMod);
-                                if (lastMod > date) {
-                                    return cbprecond(new Exc.PreconditionFailed(
-                                        "An If-Unmodified-Since header was specified, but the "
-                                            + "entity has been changed since the specified date.",
-                                        "If-Unmodified-Since")
-                                                    );
-                                }
-                            }
-                            cbprecond(null, false);
-                        });
-                    }
-                }
+    /**
+     * Checks the entity tags the If header specifies for the destination of a
+     * COPY or MOVE request. This allows clients to make sure they don't
+     * overwrite a resource that was changed by someone else since they last
+     * fetched it, for example:
+     *
+     *   If: <http://example.org/dest.txt> (["etag"])
+     *
+     * The condition is met if one of the lists tagged with the destination
+     * matches. Lists that only contain lock tokens are left to the locks
+     * plugin.
+     *
+     * @param  {Object}   info      As returned by getCopyAndMoveInfo
+     * @param  {Function} cbprecond
+     * @return {void}
+     */
+    this.checkDestinationPreconditions = function(info, cbprecond) {
+        var destination = Util.trim(info.destination, "/");
+        var etags = [];
+        var conditions = this.getIfConditions();
+        var condition, uri, token, i, j;
+
+        for (i = 0; i < conditions.length; ++i) {
+            condition = conditions[i];
+            if (!condition.uri)
+                continue;
+            try {
+                uri = this.calculateUri(condition.uri);
             }
+            catch (ex) {
+                continue;
+            }
+            if (Util.trim(uri, "/") !== destination)
+                continue;
+            for (j = 0; j < condition.tokens.length; ++j) {
+                token = condition.tokens[j];
+                // a list without an entity tag doesn't constrain the etag
+                if (!token.etag || token.not)
+                    return cbprecond(null, false);
+                etags.push(token.etag);
+            }
+        }
+        if (!etags.length)
+            return cbprecond(null, false);
+
+        var self = this;
+        if (!info.destinationExists || !info.destinationNode.getETag)
+            return failed();
+        info.destinationNode.getETag(function(err, etag) {
+            if (err)
+                return cbprecond(err);
+            if (!self.matchETags(etags.join(","), etag, false))
+                return failed();
+            cbprecond(null, false);
+        });
+
+        function failed() {
+            cbprecond(new Exc.PreconditionFailed("The entity tags provided in the "
+                + "If header did not match the destination", "If"));
         }
     };
 
+    /**
+     * Returns whether an entity tag matches one of the entity tags in a comma
+     * separated list, as found in the If-Match and If-None-Match headers.
+     * The weak comparison function ignores the weakness indicator.
+     *
+     * @param  {String}  list
+     * @param  {String}  etag
+     * @param  {Boolean} weak
+     * @return {Boolean}
+     */
+    this.matchETags = function(list, etag, weak) {
+        if (!etag)
+            return false;
+        if (weak)
+            etag = etag.replace(/^W\//, "");
+
+        var items = list.split(",");
+        var item;
+        for (var i = 0, l = items.length; i < l; ++i) {
+            // Stripping any extra spaces and the suffix of compressed
+            // representations
+            item = this.stripETagEncoding(Util.trim(items[i], " "));
+            // Evolution has a bug where it sometimes prepends the " with a \.
+            // This is our workaround.
+            item = item.replace(/\\"/g, '"');
+            if (weak)
+                item = item.replace(/^W\//, "");
+            if (item === etag)
+                return true;
+        }
+        return false;
+    };
+
+    /**
+     * This method is created to extract information from the WebDAV HTTP "If:"
+     * header.
+     *
+     * The If header can be quite complex, and has a bunch of features. We're
+     * using a regex to extract all relevant information.
+     * The function will return an array, containg structs with the following keys
+     *
+     *   * uri    - the uri the condition applies to. This can be an empty string
+     *              for "every relevant url"
+     *   * tokens - The lock token. another 2 dimensional array containg 2 elements
+     *              (0 = true/false.. If this is a negative condition its set to
+     *              false, 1 = the actual token)
+     *   * etag   - an etag, if supplied
+     *
+     * @return {Array}
+     */
+    this.getIfConditions = function() {
+        var header = this.httpRequest.headers["if"];
+        if (!header)
+            return [];
+
+        var conditions = [];
+        header.replace(/(?:<(.*?)>\s)?\((Not\s)?(?:<([^>]*)>)?(?:\s?)(?:\[([^\]]*)\])?\)/gi,
+          function(m, uri, not, token, etag) {
+              var token = {
+                  not: !!not,
+                  token: token,
+                  etag: etag ? etag : ""
+              };
+              var condition = {
+                  uri    : uri,
+                  tokens : [token]
+              };
+
+              if (!condition.uri && conditions.length)
+                  conditions[conditions.length - 1].tokens.push(token);
+              else
+                  conditions.push(condition);
+          });
+
+        return conditions;
+    };
+
     /**
      * Generates a WebDAV propfind response body based on a list of nodes
      *
@@ -1601,7 +2057,20 @@ jsDAV_Handler.STATUS_MAP     = {
      * @return {String}
      */
     this.generateMultiStatus = function(fileProperties, strip404s) {
-        var namespace, prefix, entry, href, response;
+        var xml = this.getMultiStatusHead();
+        for (var i in fileProperties)
+            xml += this.serializeMultiStatusEntry(fileProperties[i], strip404s);
+
+        return xml + "</d:multistatus>";
+    };
+
+    /**
+     * Returns the XML declaration and opening tag of a multistatus response
+     *
+     * @return {String}
+     */
+    this.getMultiStatusHead = function() {
+        var namespace, prefix;
         var xml = '<?xml version="1.0" encoding="utf-8"?><d:multistatus';
 
         // Adding in default namespaces
@@ -1610,21 +2079,116 @@ jsDAV_Handler.STATUS_MAP     = {
             xml += ' xmlns:' + prefix + '="' + namespace + '"';
         }
 
-        xml += ">";
+        return xml + ">";
+    };
 
-        for (var i in fileProperties) {
-            entry = fileProperties[i];
-            href = entry["href"];
-            //delete entry["href"];
+    /**
+     * Serializes the properties of a single node to a <d:response> element
+     *
+     * @param  {Object}  entry     Properties of the node, grouped by status
+     * @param  {Boolean} strip404s Whether to leave out properties that were not found
+     * @return {String}
+     */
+    this.serializeMultiStatusEntry = function(entry, strip404s) {
+        if (strip404s && entry["404"])
+            delete entry["404"];
 
-            if (strip404s && entry["404"])
-                delete entry["404"];
+        return jsDAV_Property_Response.new(entry["href"], entry).serialize(this, "");
+    };
+
+    /**
+     * Streams a multistatus response to the client.
+     *
+     * 'producer' is called with a `write(entry, next)` function and a callback
+     * that must be called when all entries are written. `next` is called once
+     * the client has consumed the written data, so that no more than a few
+     * <d:response> elements are buffered at a time. An entry is either a list
+     * of properties, as returned by getPropertiesForPath, or a
+     * jsDAV_Property_Response.
+     * The callback accepts an XML string as its second argument, which is
+     * appended to the response after the last entry.
+     *
+     * The response is compressed when the client accepts it (see
+     * getResponseEncoding).
+     *
+     * The status line and headers are sent along with the first entry, which
+     * means that errors that occur before that are reported with the regular
+     * error handler. Errors that occur later abort the connection, because the
+     * response status can not be changed anymore.
+     *
+     * @param  {Boolean}  strip404s Whether to leave out properties that were not found
+     * @param  {Object}   headers   Additional response headers
+     * @param  {Function} producer
+     * @return {void}
+     */
+    this.streamMultiStatus = function(strip404s, headers, producer) {
+        var self     = this;
+        var res      = this.httpResponse;
+        var out      = res;
+        var started  = false;
+        var closed   = false;
+        var cbdrain  = null;
+
+        function start() {
+            started = true;
+            var resHeaders = Util.extend({
+                "content-type": "application/xml; charset=utf-8",
+                "vary": "Brief,Prefer"
+            }, headers || {});
+            var coding = self.getResponseEncoding(resHeaders);
+            if (coding) {
+                out = self.createResponseEncoder(coding);
+                out.pipe(res);
+            }
 
-            response = jsDAV_Property_Response.new(href, entry);
-            xml = response.serialize(this, xml);
+            out.on("drain", function() {
+                var cb = cbdrain;
+                cbdrain = null;
+                cb && cb();
+            });
+            res.on("close", function() {
+                closed = true;
+                var cb = cbdrain;
+                cbdrain = null;
+                cb && cb(new Exc.jsDAV_Exception("The connection was closed by the client"));
+            });
+            res.writeHead(207, resHeaders);
+            out.write(self.getMultiStatusHead());
         }
 
-        return xml + "</d:multistatus>";
+        producer(function(entry, next) {
+            if (!started)
+                start();
+            if (closed)
+                return next(new Exc.jsDAV_Exception("The connection was closed by the client"));
+
+            var xml;
+            try {
+                xml = entry.hasFeature && entry.hasFeature(jsDAV_Property_Response)
+                    ? entry.serialize(self, "")
+                    : self.serializeMultiStatusEntry(entry, strip404s);
+            }
+            catch (ex) {
+                return next(ex);
+            }
+
+            if (out.write(xml))
+                next();
+            else
+                cbdrain = next;
+        }, function(err, footer) {
+            if (!Util.empty(err)) {
+                if (!started)
+                    return self.handleError(err);
+                Util.log("Multistatus response aborted: " + (err.message || err), "error");
+                if (out !== res)
+                    out.unpipe(res);
+                return res.destroy();
+            }
+            if (!started)
+                start();
+            out.end((footer || "") + "</d:multistatus>");
+        });
     };
 
     /**
@@ -1695,6 +2259,7 @@ jsDAV_Handler.STATUS_MAP     = {
      * is empty 'allprops' is assumed.
      *
      * If a depth of 1 is requested child elements will also be returned.
+     * A depth of jsDAV_Handler.DEPTH_INFINITY returns the entire subtree.
      *
      * @param {String} path
      * @param {Array}  propertyNames
@@ -1702,13 +2267,48 @@ jsDAV_Handler.STATUS_MAP     = {
      * @return {Array}
      */
     this.getPropertiesForPath = function(path, propertyNames, depth, cbgetpropspath) {
+        var returnPropertyList = {};
+        this.streamPropertiesForPath(path, propertyNames, depth, function(rpath, newProperties, next) {
+            returnPropertyList[rpath] = newProperties;
+            next();
+        }, function(err) {
+            if (!Util.empty(err))
+                return cbgetpropspath(err);
+            cbgetpropspath(null, returnPropertyList);
+        });
+    };
+
+    /**
+     * Resolves the properties for a given path, like getPropertiesForPath, but
+     * hands the properties of each node to 'cbprops' as soon as they are
+     * resolved, instead of collecting them all first.
+     *
+     * 'cbprops' is called with the path of the node, its properties and a
+     * callback that must be invoked to continue with the next node.
+     *
+     * Note: with a depth of jsDAV_Handler.DEPTH_INFINITY the nodes of the
+     * subtree, though not their properties, are still collected before the
+     * first one is handed over. A subtree with more nodes than the
+     * 'maxPropfindNodes' server option allows must be refused with a 507
+     * status, which is only possible before the response is started. The
+     * memory this takes is bounded by that same option.
+     *
+     * @param {String}   path
+     * @param {Array}    propertyNames
+     * @param {Number}   depth
+     * @param {Function} cbprops
+     * @param {Function} cbstreamprops
+     * @return {void}
+     */
+    this.streamPropertiesForPath = function(path, propertyNames, depth, cbprops, cbstreamprops) {
         propertyNames = propertyNames || [];
         depth = depth || 0;
-        if (depth !== 0)
+        if (depth !== 0 && depth !== jsDAV_Handler.DEPTH_INFINITY)
             depth = 1;
         path = Util.rtrim(path, "/");
 
-        var returnPropertyList = {};
+        // maps the path of each node to the path it is reported with
+        var resolvedPaths = {};
         var self = this;
         var reportPlugins = [];
         Object.keys(this.plugins).forEach(function(pluginName) {
@@ -1717,23 +2317,21 @@ jsDAV_Handler.STATUS_MAP     = {
         });
         this.getNodeForPath(path, function(err, parentNode) {
             if (!Util.empty(err))
-                return cbgetpropspath(err);
+                return cbstreamprops(err);
 
             var nodes = {};
             var nodesPath = [];
             nodes[path] = parentNode;
             nodesPath.push(path);
+            // collections that are reachable through more than one binding
+            var bindings = {ids: null, reported: {}};
 
             //if (jsDAV.debugMode)
             //    console.log("getPropertiesForPath", depth, parentNode,parentNode.hasFeature(jsDAV_iCollection));
-            if (depth === 1 && parentNode.hasFeature(jsDAV_iCollection)) {
-                parentNode.getChildren(function(err, cNodes) {
+            if (depth !== 0 && parentNode.hasFeature(jsDAV_iCollection)) {
+                self.getNodesForDepth(path, parentNode, depth, nodes, nodesPath, bindings, function(err) {
                     if (!Util.empty(err))
-                        return cbgetpropspath(err);
-                    for (var i = 0, l = cNodes.length; i < l; ++i) {
-                        nodes[path + "/" + cNodes[i].getName()] = cNodes[i];
-                        nodesPath.push(path + "/" + cNodes[i].getName());
-                    }
+                        return cbstreamprops(err);
                     afterGetChildren(nodes, nodesPath);
                 });
             }
@@ -1775,13 +2373,14 @@ jsDAV_Handler.STATUS_MAP     = {
                     if (!allProperties && !newProps["200"][rprop])
                         newProps["404"][rprop] = null;
 
+                    var nodePath = rpath;
                     var node = nodes[rpath];
                     rpath = Util.trim(rpath, "/");
                     self.dispatchEvent("afterGetProperties", rpath, newProps, node, function() {
                         if (parentNode.hasFeature(jsDAV_iCollection)) {
                             // correct href when mountpoint is different than the
                             // absolute location of the path
-                            var s = Util.trim(self.server.tree.basePath, "/");
+                            var s = Util.trim(self.tree.basePath, "/");
                             if (s.charAt(0) != ".") {
                                 rpath = s.indexOf(self.server.baseUri) !== 0
                                     ? rpath.replace(new RegExp("^" + Util.escapeRegExp(s)), "").replace(/^[\/]+/, "")
@@ -1804,7 +2403,7 @@ jsDAV_Handler.STATUS_MAP     = {
                         if (removeRT)
                             delete newProps["200"]["{DAV:}resourcetype"];
 
-                        returnPropertyList[rpath] = newProps;
+                        resolvedPaths[nodePath] = rpath;
                         cbnext();
                     });
                 }
@@ -1925,21 +2524,107 @@ jsDAV_Handler.STATUS_MAP     = {
                                         }
                                     })
                                     .end(function(err) {
-                                        cbnextpfp(err);
+                                        if (!Util.empty(err) || !resolvedPaths.hasOwnProperty(myPath))
+                                            return cbnextpfp(err);
+                                        if (bindings.reported[myPath]) {
+                                            newProperties["208"] = newProperties["200"];
+                                            newProperties["200"] = {};
+                                        }
+                                        cbprops(resolvedPaths[myPath], newProperties, cbnextpfp);
                                     });
                             }
                         });
                     })
                     .end(function(err) {
-                        if (!Util.empty(err))
-                            return cbgetpropspath(err);
-
-                        cbgetpropspath(null, returnPropertyList);
+                        cbstreamprops(Util.empty(err) ? null : err);
                     });
             }
         });
     };
 
+    /**
+     * Collects the child nodes of a collection, keyed by their path.
+     *
+     * With a depth of 1 only the direct children are collected. With a depth
+     * of jsDAV_Handler.DEPTH_INFINITY the entire subtree is traversed, until
+     * the maximum amount of nodes, as set by the 'maxPropfindNodes' server
+     * option, is reached.
+     *
+     * When the tree supports bindings (RFC5842), a collection may be reachable
+     * through more than one path, and bindings may even form a loop. With a
+     * depth of jsDAV_Handler.DEPTH_INFINITY each collection is then traversed
+     * only once. The paths of its other bindings are collected in
+     * 'bindings.reported', to be reported with a 208 Already Reported status.
+     *
+     * @param {String}      path
+     * @param {jsDAV_iNode} parentNode
+     * @param {Number}      depth
+     * @param {Object}      nodes     Map of paths to nodes that will be extended
+     * @param {Array}       nodesPath List of paths that will be extended
+     * @param {Object}      bindings  Object with the resource ids of the
+     *                                traversed collections ('ids', null at
+     *                                first) and the 'reported' paths
+     * @param {Function}    cbnodesdepth
+     * @return {void}
+     */
+    this.getNodesForDepth = function(path, parentNode, depth, nodes, nodesPath, bindings, cbnodesdepth) {
+        var self     = this;
+        var maxNodes = this.server.options.maxPropfindNodes || jsDAV_Handler.MAX_PROPFIND_NODES;
+        var tree     = this.tree;
+        var detectLoops = depth === jsDAV_Handler.DEPTH_INFINITY && tree.hasFeature(jsDAV_iBindingTree);
+
+        if (detectLoops && !bindings.ids) {
+            return tree.getResourceId(path, function(err, id) {
+                if (!Util.empty(err))
+                    return cbnodesdepth(err);
+                bindings.ids = {};
+                bindings.ids[id] = true;
+                self.getNodesForDepth(path, parentNode, depth, nodes, nodesPath, bindings, cbnodesdepth);
+            });
+        }
+
+        parentNode.getChildren(function(err, cNodes) {
+            if (!Util.empty(err))
+                return cbnodesdepth(err);
+
+            var childPath;
+            var collections = [];
+            for (var i = 0, l = cNodes.length; i < l; ++i) {
+                if (depth === jsDAV_Handler.DEPTH_INFINITY && nodesPath.length >= maxNodes) {
+                    return cbnodesdepth(new Exc.InsufficientStorage("The PROPFIND response would "
+                        + "contain more than " + maxNodes + " resources"));
+                }
+                childPath = path + "/" + cNodes[i].getName();
+                nodes[childPath] = cNodes[i];
+                nodesPath.push(childPath);
+                if (depth === jsDAV_Handler.DEPTH_INFINITY && cNodes[i].hasFeature(jsDAV_iCollection))
+                    collections.push(childPath);
+            }
+
+            Async.list(collections)
+                .each(function(collectionPath, cbnextcoll) {
+                    if (!detectLoops) {
+                        return self.getNodesForDepth(collectionPath, nodes[collectionPath], depth,
+                            nodes, nodesPath, bindings, cbnextcoll);
+                    }
+                    tree.getResourceId(collectionPath, function(err, id) {
+                        if (!Util.empty(err))
+                            return cbnextcoll(err);
+                        if (bindings.ids[id]) {
+                            bindings.reported[collectionPath] = true;
+                            return cbnextcoll();
+                        }
+                        bindings.ids[id] = true;
+                        self.getNodesForDepth(collectionPath, nodes[collectionPath], depth,
+                            nodes, nodesPath, bindings, cbnextcoll);
+                    });
+                })
+                .end(function(err) {
+                    cbnodesdepth(err);
+                });
+        });
+    };
+
     /**
      * Returns the HTTP range header
      *
@@ -1954,25 +2639,246 @@ jsDAV_Handler.STATUS_MAP     = {
      * If the first offset is null, the second offset should be used to retrieve
      * the last x bytes of the entity.
      *
+     * Requests for more than one range return null as well, use getHTTPRanges()
+     * to retrieve those.
+     *
      * return mixed
      */
     this.getHTTPRange = function() {
+        var ranges = this.getHTTPRanges();
+        return ranges && ranges.length === 1 ? ranges[0] : null;
+    };
+
+    /**
+     * Returns all the ranges of the HTTP range header
+     *
+     * This method returns null if there is no well-formed HTTP range request
+     * header. Otherwise it returns a list of ranges in the order they were
+     * requested, each in the array(start, end) format of getHTTPRange().
+     *
+     * Example: "Range: bytes=0-99,200-,-50" results in
+     * [[0, 99], [200, null], [null, 50]]
+     *
+     * @return {Array}
+     */
+    this.getHTTPRanges = function() {
         var range = this.httpRequest.headers["range"];
         if (!range)
             return null;
 
-        // Matching "Range: bytes=1234-5678: both numbers are optional
-        var matches = range.match(/^bytes=([0-9]*)-([0-9]*)$/i);
-        if (!matches || !matches.length)
+        var matches = range.match(/^\s*bytes\s*=(.+)$/i);
+        if (!matches)
             return null;
 
-        if (matches[1] === "" && matches[2] === "")
-            return null;
+        var ranges = [];
+        var specs  = matches[1].split(",");
+        for (var i = 0, l = specs.length; i < l; ++i) {
+            var spec = Util.trim(specs[i]);
+            if (!spec)
+                continue;
+            // Matching "1234-5678": both numbers are optional
+            var parts = spec.match(/^([0-9]*)-([0-9]*)$/);
+            if (!parts || (parts[1] === "" && parts[2] === ""))
+                return null;
+
+            ranges.push(parts.slice(1).map(function(rangePart) {
+                rangePart = parseFloat(rangePart);
+                return isNaN(rangePart) ? null : rangePart;
+            }));
+        }
+
+        return ranges.length ? ranges : null;
+    };
+
+    /**
+     * Converts a list of ranges, as returned by getHTTPRanges(), to absolute
+     * byte offsets within an entity of the given size.
+     *
+     * Ranges that start beyond the end of the entity are dropped and
+     * overlapping or adjacent ranges are coalesced, so the result is sorted.
+     * Each offset is an object with a 'start' and an exclusive 'end' property.
+     *
+     * @param  {Array}  ranges
+     * @param  {Number} size
+     * @throws {Exc.RequestedRangeNotSatisfiable}
+     * @return {Array}
+     */
+    this.getHTTPRangeOffsets = function(ranges, size) {
+        var maxRanges = this.server.options.maxRanges || jsDAV_Handler.MAX_RANGES;
+        var offsets   = [];
+
+        ranges.forEach(function(range) {
+            var start, end;
+            if (range[0] !== null) {
+                start = range[0];
+                if (range[1] !== null && range[1] < start) {
+                    throw new Exc.RequestedRangeNotSatisfiable(
+                        "The end offset (" + range[1] + ") is lower than the start offset ("
+                        + range[0] + ")", size);
+                }
+                // the browser/ client sends 'end' offsets as factor of nodeSize - 1,
+                // so we need to correct it to be exclusive.
+                end = range[1] !== null ? Math.min(range[1] + 1, size) : size;
+                if (start >= size)
+                    return;
+            }
+            else {
+                if (range[1] === 0)
+                    return;
+                start = Math.max(size - range[1], 0);
+                end   = size;
+            }
+            offsets.push({start: start, end: end});
+        });
+
+        if (!offsets.length) {
+            throw new Exc.RequestedRangeNotSatisfiable("None of the requested ranges "
+                + "can be satisfied by an entity of " + size + " bytes", size);
+        }
+
+        offsets.sort(function(a, b) {
+            return a.start - b.start;
+        });
 
-        return matches.slice(1).map(function(rangePart) {
-            rangePart = parseFloat(rangePart);
-            return isNaN(rangePart) ? null : rangePart;
+        var last;
+        var coalesced = [offsets[0]];
+        for (var i = 1, l = offsets.length; i < l; ++i) {
+            last = coalesced[coalesced.length - 1];
+            if (offsets[i].start <= last.end)
+                last.end = Math.max(last.end, offsets[i].end);
+            else
+                coalesced.push(offsets[i]);
+        }
+
+        if (coalesced.length > maxRanges) {
+            throw new Exc.RequestedRangeNotSatisfiable("Too many ranges requested, at most "
+                + maxRanges + " are allowed", size);
+        }
+
+        return coalesced;
+    };
+
+    /**
+     * Sends a 206 multipart/byteranges response, containing a part for each
+     * of the byte offsets as returned by getHTTPRangeOffsets().
+     *
+     * @param {jsDAV_iFile} node
+     * @param {Array}       offsets
+     * @param {Number}      nodeSize
+     * @param {Object}      httpHeaders
+     * @return {void}
+     */
+    this.sendMultipartRanges = function(node, offsets, nodeSize, httpHeaders) {
+        var self        = this;
+        var res         = this.httpResponse;
+        var boundary    = "jsDAV-" + Util.uuid(32, 16);
+        var contentType = httpHeaders["content-type"];
+        var trailer     = "\r\n--" + boundary + "--\r\n";
+        var length      = Buffer.byteLength(trailer);
+
+        var parts = offsets.map(function(offset) {
+            var part = {
+                start : offset.start,
+                end   : offset.end,
+                header: "\r\n--" + boundary + "\r\n"
+                    + "Content-Type: " + contentType + "\r\n"
+                    + "Content-Range: bytes " + offset.start + "-" + (offset.end - 1)
+                    + "/" + nodeSize + "\r\n\r\n"
+            };
+            length += Buffer.byteLength(part.header) + part.end - part.start;
+            return part;
         });
+
+        httpHeaders["content-type"]   = "multipart/byteranges; boundary=" + boundary;
+        httpHeaders["content-length"] = length;
+
+        if (node.getStream) {
+            var closed = false;
+            var resume = null;
+            res.on("close", function() {
+                closed = true;
+                // no 'drain' follows a closed connection
+                if (resume)
+                    resume();
+            });
+            res.writeHead(206, httpHeaders);
+            Async.list(parts)
+                .each(function(part, cbnextpart) {
+                    // The source of a part is paused while the response is
+                    // full; chunks of sources that can't be paused wait in
+                    // 'chunks'. A part is only started when the previous one
+                    // was written completely.
+                    var chunks = [part.header];
+                    var source = null;
+                    var ended = false;
+                    var done = false;
+
+                    node.getStream(part.start, part.end, function(err, data, stream) {
+                        if (done)
+                            return;
+                        if (err)
+                            return finish(err);
+                        if (data) {
+                            chunks.push(data);
+                            if (stream && typeof stream.pause == "function")
+                                source = stream;
+                        }
+                        else {
+                            ended = true;
+                        }
+                        write();
+                    });
+                    write();
+
+                    function write() {
+                        if (resume || done)
+                            return;
+                        if (closed)
+                            return finish(new Exc.jsDAV_Exception("The connection was closed"));
+                        while (chunks.length) {
+                            if (!res.write(chunks.shift())) {
+                                if (source && !ended)
+                                    source.pause();
+                                resume = function() {
+                                    res.removeListener("drain", resume);
+                                    resume = null;
+                                    if (source && !ended)
+                                        source.resume();
+                                    write();
+                                };
+                                return res.once("drain", resume);
+                            }
+                        }
+                        if (ended)
+                            finish();
+                    }
+
+                    function finish(err) {
+                        done = true;
+                        cbnextpart(err);
+                    }
+                })
+                .end(function(err) {
+                    if (err) {
+                        Util.log("jsDAV GET error", err, "error");
+                        return res.end();
+                    }
+                    res.end(trailer);
+                });
+        }
+        else {
+            node.get(function(err, body) {
+                if (!Util.empty(err))
+                    return self.handleError(err);
+
+                res.writeHead(206, httpHeaders);
+                parts.forEach(function(part) {
+                    res.write(part.header);
+                    res.write(body.slice(part.start, part.end));
+                });
+                res.end(trailer);
+            });
+        }
     };
 
     /**
@@ -2048,8 +2954,14 @@ jsDAV_Handler.STATUS_MAP     = {
                 // Right now our regex only supports the tokens actually
                 // specified in the draft. We may need to expand this if new
                 // tokens get registered.
-                var matches = parameter.match(/^([a-z0-9\-]+)(?:=([0-9]+))?$/);
-                var token = matches[1];
+                // 'return=minimal' is the syntax of RFC 7240, 'return-minimal'
+                // the one of the drafts that preceded it.
+                var matches = parameter.match(/^([a-z0-9\-]+)(?:=([a-z0-9]+))?$/i);
+                if (!matches)
+                    return;
+                var token = matches[1].toLowerCase();
+                if (token == "return" && matches[2])
+                    token = "return-" + matches[2].toLowerCase();
 
                 switch(token) {
                     case "return-asynch" :
@@ -2073,6 +2985,102 @@ jsDAV_Handler.STATUS_MAP     = {
         return result;
     };
 
+    /**
+     * Returns the content-coding that the client prefers for the response,
+     * based on the Accept-Encoding header. Only 'gzip' and 'deflate' are
+     * supported. If the client does not accept either of them, null is
+     * returned.
+     *
+     * @return {String}
+     */
+    this.getHTTPAcceptEncoding = function() {
+        var header = this.httpRequest.headers["accept-encoding"];
+        if (!header)
+            return null;
+
+        var qualities = {};
+        header.split(",").forEach(function(item) {
+            var parts = item.split(";");
+            var coding = Util.trim(parts[0]).toLowerCase();
+            var q = 1;
+            for (var i = 1; i < parts.length; ++i) {
+                var matches = parts[i].match(/^\s*q\s*=\s*([0-9.]+)\s*$/i);
+                if (matches)
+                    q = parseFloat(matches[1]);
+            }
+            if (coding == "x-gzip")
+                coding = "gzip";
+            qualities[coding] = q;
+        });
+
+        var best = null;
+        var bestQ = 0;
+        ["gzip", "deflate"].forEach(function(coding) {
+            var q = qualities.hasOwnProperty(coding) ? qualities[coding] : qualities["*"];
+            if (q > bestQ) {
+                best = coding;
+                bestQ = q;
+            }
+        });
+        return best;
+    };
+
+    /**
+     * Determines whether a response with the given headers is to be
+     * compressed, and if so, returns the content-coding to use.
+     *
+     * Compression is only applied when the 'enableCompression' server option
+     * is set and the content type is listed in COMPRESSIBLE_TYPES. In that
+     * case the headers are updated for the compressed representation: a Vary
+     * header is added, the Content-Length is removed and the ETag gets a
+     * suffix, because the compressed representation differs from the
+     * uncompressed one.
+     *
+     * @param  {Object} headers
+     * @return {String}
+     */
+    this.getResponseEncoding = function(headers) {
+        if (!this.server.options.enableCompression || headers["content-encoding"])
+            return null;
+        if (!jsDAV_Handler.COMPRESSIBLE_TYPES.test(headers["content-type"] || ""))
+            return null;
+
+        headers["vary"] = headers["vary"] ? headers["vary"] + ",Accept-Encoding" : "Accept-Encoding";
+        var coding = this.getHTTPAcceptEncoding();
+        if (!coding)
+            return null;
+
+        headers["content-encoding"] = coding;
+        delete headers["content-length"];
+        if (headers["etag"])
+            headers["etag"] = headers["etag"].replace(/("?)$/, "-" + coding + "$1");
+        return coding;
+    };
+
+    /**
+     * Returns a stream that compresses the data written to it.
+     *
+     * @param  {String} coding 'gzip' or 'deflate'
+     * @return {Stream}
+     */
+    this.createResponseEncoder = function(coding) {
+        return coding == "gzip" ? Zlib.createGzip() : Zlib.createDeflate();
+    };
+
+    /**
+     * Strips the suffix that getResponseEncoding adds to the ETag of a
+     * compressed response, so that ETags sent back by clients can be compared
+     * to the ETag of a node.
+     *
+     * @param  {String} etag
+     * @return {String}
+     */
+    this.stripETagEncoding = function(etag) {
+        return typeof etag == "string"
+            ? etag.replace(/-(gzip|deflate)("?)$/, "$2")
+            : etag;
+    };
+
     /**
      * This method parses the PROPFIND request and returns its information
      *
@@ -2087,7 +3095,7 @@ jsDAV_Handler.STATUS_MAP     = {
         if (!body)
             return cbpropfindreq(null, []);
 
-        Xml.loadDOMDocument(body, this.server.options.parser, function(err, oXml) {
+        Xml.loadDOMDocument(body, this.server.options.parser, this.getXmlLimits(), function(err, oXml) {
             //Util.log("XML ", oXml);
             if (!Util.empty(err))
                 return cbpropfindreq(err);
@@ -2114,7 +3122,7 @@ jsDAV_Handler.STATUS_MAP     = {
         //in order to make it parsable
         var operation, innerProperties, propertyValue;
         var self = this;
-        Xml.loadDOMDocument(body, this.server.options.parser, function(err, dom) {
+        Xml.loadDOMDocument(body, this.server.options.parser, this.getXmlLimits(), function(err, dom) {
             if (!Util.empty(err))
                 return cbproppatchreq(err);
             var child, propertyName;
@@ -2128,7 +3136,7 @@ jsDAV_Handler.STATUS_MAP     = {
                 if (!operation || operation !== "{DAV:}set" && operation !== "{DAV:}remove")
                     continue;
 
-                innerProperties = Xml.parseProperties(child, self.propertyMap);
+                innerProperties = Xml.parseProperties(child, self.propertyMap, jsDAV_Property_Complex);
                 for (propertyName in innerProperties) {
                     propertyValue = innerProperties[propertyName];
                     if (operation === "{DAV:}remove")
@@ -2150,9 +3158,9 @@ jsDAV_Handler.STATUS_MAP     = {
      * Note that this request should either completely succeed, or
      * completely fail.
      *
-     * The response is an array with statuscodes for keys, which in turn
-     * contain arrays with propertynames. This response can be used
-     * to generate a multistatus body.
+     * The response is an object with statuscodes for keys, which in turn
+     * contain objects with propertynames for keys, and the uri as 'href'.
+     * This response can be used to generate a multistatus body.
      *
      * @param  {String}  uri
      * @param  {Object}  properties
@@ -2161,28 +3169,26 @@ jsDAV_Handler.STATUS_MAP     = {
     this.updateProperties = function(uri, properties, cbupdateprops) {
         // we'll start by grabbing the node, this will throw the appropriate
         // exceptions if it doesn't.
-        var props;
         var self   = this;
-        var result = {};
+        var result = {
+            "href": uri,
+            "200" : {},
+            "403" : {},
+            "424" : {}
+        };
         var remainingProperties = Util.extend({}, properties);
         var hasError            = false;
-        result[uri] = {
-            "200" : [],
-            "403" : [],
-            "424" : []
-        };
 
         this.getNodeForPath(uri, function(err, node) {
             if (!Util.empty(err))
                 return cbupdateprops(err);
             // If the node is not an instance of jsDAV_iProperties, every
             // property is 403 Forbidden
-            // simply return a 405.
             var propertyName;
             if (!node.hasFeature(jsDAV_iProperties)) {
                 hasError = true;
                 for (propertyName in properties)
-                    Util.arrayRemove(result[uri]["403"], propertyName);
+                    result["403"][propertyName] = null;
                 remainingProperties = {};
             }
 
@@ -2190,7 +3196,7 @@ jsDAV_Handler.STATUS_MAP     = {
             if (!hasError) {
                 for (propertyName in properties) {
                     if (self.protectedProperties.indexOf(propertyName) > -1) {
-                        Util.arrayRemove(result[uri]["403"], propertyName);
+                        result["403"][propertyName] = null;
                         delete remainingProperties[propertyName];
                         hasError = true;
                     }
@@ -2198,45 +3204,51 @@ jsDAV_Handler.STATUS_MAP     = {
             }
 
             // Only if there were no errors we may attempt to update the resource
-            if (!hasError) {
-                var updateResult = node.updateProperties(properties);
+            if (hasError)
+                return done();
+
+            node.updateProperties(properties, function(err, updateResult) {
+                if (!Util.empty(err))
+                    return cbupdateprops(err);
                 remainingProperties = {};
 
                 if (updateResult === true) {
                     // success
                     for (propertyName in properties)
-                        Util.arrayRemove(result[uri]["200"], propertyName);
+                        result["200"][propertyName] = null;
                 }
                 else if (updateResult === false) {
                     // The node failed to update the properties for an
                     // unknown reason
                     for (propertyName in properties)
-                        Util.arrayRemove(result[uri]["403"], propertyName);
+                        result["403"][propertyName] = null;
                 }
-                else if (typeof updateResult == "object") {
+                else if (updateResult && typeof updateResult == "object") {
                     // The node has detailed update information
                     result = updateResult;
+                    result["href"] = uri;
                 }
                 else {
                     return cbupdateprops(new Exc.jsDAV_Exception("Invalid result from updateProperties"));
                 }
-            }
+                done();
+            });
+        });
 
-            for (propertyName in remainingProperties) {
+        function done() {
+            for (var propertyName in remainingProperties) {
                 // if there are remaining properties, it must mean
                 // there's a dependency failure
-                Util.arrayRemove(result[uri]["424"], propertyName);
+                result["424"][propertyName] = null;
             }
 
-            // Removing empty array values
-            for (var status in result[uri]) {
-                props = result[uri][status];
-                if (props.length === 0)
-                    delete result[uri][status];
+            // Removing empty groups
+            for (var status in result) {
+                if (status != "href" && !Object.keys(result[status]).length)
+                    delete result[status];
             }
-            result[uri]["href"] = uri;
             cbupdateprops(null, result);
-        });
+        }
     };
 
     /**
@@ -2288,8 +3300,9 @@ jsDAV_Handler.STATUS_MAP     = {
 
                         var path = Path.join(dir, name);
                         self.markDirty(path);
-                        self.dispatchEvent("afterBind", path);
-                        cbcreatefile();
+                        self.dispatchEvent("afterBind", path, function() {
+                            cbcreatefile();
+                        });
                     }
                 });
             });
@@ -2375,9 +3388,9 @@ jsDAV_Handler.STATUS_MAP     = {
                             if (!Util.empty(err))
                                 return cbcreatecoll(err);
 
-                            if (properties.length > 0) {
+                            if (Object.keys(properties).length > 0) {
                                 self.updateProperties(uri, properties, function(err, errorResult) {
-                                    if (err || !errorResult["200"].length)
+                                    if (err || !errorResult["200"])
                                         return rollback(err, errorResult);
                                     onDone();
                                 });
@@ -2386,7 +3399,7 @@ jsDAV_Handler.STATUS_MAP     = {
                                 onDone();
 
                             function rollback(exc, res) {
-                                self.server.tree.getNodeForPath(uri, function(err, node) {
+                                self.tree.getNodeForPath(uri, function(err, node) {
                                     if (err)
                                         return cbcreatecoll(err);
                                     self.dispatchEvent("beforeUnbind", uri, function(stop) {
@@ -2401,8 +3414,11 @@ jsDAV_Handler.STATUS_MAP     = {
                             
                             function onDone() {
                                 self.markDirty(parentUri);
-                                self.dispatchEvent("afterBind", uri, Path.join(parent.path, newName));
-                                cbcreatecoll();
+                                // plugins may set up the new collection after it
+                                // is bound, so wait for them before responding
+                                self.dispatchEvent("afterBind", uri, Path.join(parent.path, newName), function() {
+                                    cbcreatecoll();
+                                });
                             }
                         });
                     }
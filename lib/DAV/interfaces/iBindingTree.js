@@ -0,0 +1,73 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../shared/base");
+var Exc = require("./../../shared/exceptions");
+
+/**
+ * iBindingTree interface
+ *
+ * Implement this interface on a tree to allow a resource to be reachable
+ * through more than one path, as described in RFC5842. Every path to a resource
+ * is a 'binding': a name (the segment) in a collection. A resource exists as
+ * long as it has at least one binding.
+ *
+ * All paths are relative to the root of the tree.
+ */
+var jsDAV_iBindingTree = module.exports = Base.extend({
+    /**
+     * Creates a new binding to the resource at 'sourcePath'. The destination
+     * must not exist, but its parent collection must.
+     *
+     * @param {String} sourcePath
+     * @param {String} destinationPath
+     * @return void
+     */
+    bind: function(sourcePath, destinationPath, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Removes a binding. The resource itself is removed as well when this was
+     * its last binding.
+     *
+     * @param {String} path
+     * @return void
+     */
+    unbind: function(path, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Moves a binding to another location, without changing the identity of
+     * the resource it refers to. The destination must not exist.
+     *
+     * @param {String} sourcePath
+     * @param {String} destinationPath
+     * @return void
+     */
+    rebind: function(sourcePath, destinationPath, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns a URI that uniquely identifies the resource at a path. Every
+     * binding to the same resource returns the same URI, like
+     * 'urn:uuid:c4b7f2e0-...'.
+     *
+     * @param {String} path
+     * @return {String}
+     */
+    getResourceId: function(path, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns the bindings of the resource at a path, as a list of objects with
+     * the path of the parent collection ('href') and the name of the binding in
+     * that collection ('segment'). A parent collection that is itself bound
+     * more than once only needs to be listed with one of its paths.
+     *
+     * @param {String} path
+     * @return {Array}
+     */
+    getParentSet: function(path, callback) { callback(Exc.notImplementedYet()); }
+});
@@ -0,0 +1,47 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../shared/base");
+var Exc = require("./../../shared/exceptions");
+
+/**
+ * iOrderedCollection interface
+ *
+ * Implement this interface on a collection to allow clients to order its
+ * members, as described in RFC3648. An ordered collection MUST return its
+ * children from getChildren() in the stored order; members that are not part
+ * of the stored order yet are returned after the others.
+ */
+var jsDAV_iOrderedCollection = module.exports = Base.extend({
+    /**
+     * Returns the ordering type of the collection: a URI that describes the
+     * semantics of the order, or 'DAV:unordered' if the collection is not
+     * ordered.
+     *
+     * @return {String}
+     */
+    getOrderingType: function(callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Updates the ordering type of the collection. Setting it to
+     * 'DAV:unordered' removes the stored order.
+     *
+     * @param {String} type
+     * @return void
+     */
+    setOrderingType: function(type, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Stores the order of the members of the collection, as a list of names.
+     *
+     * @param {Array} names
+     * @return void
+     */
+    setOrder: function(names, callback) { callback(Exc.notImplementedYet()); }
+});
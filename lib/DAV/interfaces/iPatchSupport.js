@@ -0,0 +1,35 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../shared/base");
+var Exc = require("./../../shared/exceptions");
+
+/**
+ * iPatchSupport interface
+ *
+ * Implement this interface on files that are able to update a part of their
+ * contents without rewriting the entire file. The PartialUpdate plugin uses it
+ * to handle PATCH requests and PUT requests with a Content-Range header.
+ * Files that do not implement this interface are patched by reading the whole
+ * file, modifying it and writing it back.
+ */
+var jsDAV_iPatchSupport = module.exports = Base.extend({
+    /**
+     * Updates a part of the file, starting at byte 'offset'. When 'offset' is
+     * `null` the data is appended to the end of the file.
+     *
+     * A file MAY also implement `patchStream(handler, offset, enc, callback)`,
+     * which writes the request body directly instead of buffering it first.
+     *
+     * @param {Buffer} data
+     * @param {Number} offset
+     * @return void
+     */
+    patch: function(data, offset, callback) { callback(Exc.notImplementedYet()); }
+});
@@ -27,6 +27,7 @@ var jsDAV_iProperties = module.exports = jsDAV_iNode.extend({
      * This method must be atomic. If one property cannot be changed, the
      * entire operation must fail.
      *
+     * The result is passed to the callback as its second argument.
      * If the operation was successful, true can be returned.
      * If the operation failed, false can be returned.
      *
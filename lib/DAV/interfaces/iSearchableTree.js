@@ -0,0 +1,37 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../shared/base");
+var Exc = require("./../../shared/exceptions");
+
+/**
+ * iSearchableTree interface
+ *
+ * Implement this interface on a tree that is able to evaluate SEARCH queries
+ * (RFC5323) itself, for example with the indexes of a database, instead of
+ * having the search plugin visit every resource in the scope of a query.
+ */
+var jsDAV_iSearchableTree = module.exports = Base.extend({
+    /**
+     * Returns the paths of the resources that match a query, as parsed by
+     * jsDAV_Search_QueryParser. The paths MUST be in the scopes of the query
+     * ('scopes', a list of objects with a 'path' and a 'depth') and match its
+     * where clause ('where', null if all resources match). Ordering the results
+     * and applying the limit of the query is optional, the search plugin takes
+     * care of that.
+     *
+     * The callback receives null instead of a list if the tree is not able to
+     * evaluate this query, for example because it uses an operator the tree
+     * does not support. The search plugin then evaluates the query itself.
+     *
+     * @param {Object} query
+     * @return {Array}
+     */
+    search: function(query, callback) { callback(Exc.notImplementedYet()); }
+});
@@ -28,6 +28,16 @@ var jsDAV_ServerPlugin = module.exports = Base.extend({
      */
     initialize: function(server) {},
 
+    /**
+     * This method is called once, when a server that uses the plugin is
+     * created. Plugins can implement it to set up state that is shared by all
+     * requests to the server.
+     *
+     * @param {jsDAV_Server} server
+     * @return void
+     */
+    initServer: function(server) {},
+
     /**
      * This method should return a list of server-features.
      *
@@ -0,0 +1,211 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+
+var Util = require("./../../shared/util");
+
+/**
+ * Access log plugin
+ *
+ * This plugin writes one record for every request the server handled, once
+ * the response was sent or the connection was closed. It is enabled by
+ * passing a sink as the 'accessLog' server option, which is either:
+ *
+ *   * a writable stream, like process.stdout or a file stream, to which each
+ *     record is written as a line
+ *   * a function, which is called with the formatted line and the record
+ *
+ * The 'accessLogFormat' option selects the format of the lines: 'json' for
+ * JSON lines (the default), 'combined' for the Apache combined log format or
+ * a function that receives the record and returns the line.
+ *
+ * A record contains the following fields:
+ *
+ *   * time      - the time the request came in, as an ISO 8601 string
+ *   * id        - the id of the request, see jsDAV_Handler#getRequestId
+ *   * remote    - the address of the client
+ *   * method    - the HTTP method
+ *   * uri       - the path of the requested resource, relative to the base uri
+ *   * depth     - the value of the Depth header, or null
+ *   * principal - the name of the authenticated user, or null
+ *   * status    - the HTTP status code of the response
+ *   * bytesIn   - the amount of bytes of the request body that were received
+ *   * bytesOut  - the amount of bytes that were sent for the response,
+ *                 including its headers
+ *   * duration  - the time it took to respond, in milliseconds
+ *   * aborted   - whether the connection was closed before the response
+ *                 was sent
+ *
+ * The id of the request is also sent to the client in the X-Request-Id header.
+ */
+var jsDAV_AccessLog_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "accesslog",
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.sink = handler.server.options.accessLog || null;
+        if (!this.sink)
+            return;
+
+        this.format = handler.server.options.accessLogFormat || "json";
+        this.start = new Date();
+        this.hrStart = process.hrtime();
+        this.principal = null;
+        this.transfer = handler.getTransferCounters();
+        this.logged = false;
+
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+
+        var self = this;
+        var resp = handler.httpResponse;
+        resp.setHeader("X-Request-Id", handler.getRequestId());
+
+        // A response that was sent emits 'finish' before 'close', so a
+        // connection that closes first was aborted.
+        resp.on("finish", function() {
+            self.log(false);
+        });
+        resp.on("close", function() {
+            self.log(true);
+        });
+    },
+
+    /**
+     * Remembers the authenticated user. The authentication plugin handles this
+     * event with a higher priority, so the user is known at this point.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        var authPlugin = this.handler.plugins.auth;
+        if (!authPlugin)
+            return e.next();
+
+        var self = this;
+        authPlugin.getCurrentUser(function(err, user) {
+            if (!err && user)
+                self.principal = user;
+            e.next();
+        });
+    },
+
+    /**
+     * Writes the record of the request to the sink. This happens only once,
+     * when the response was sent or the connection was closed before.
+     *
+     * @param {Boolean} aborted
+     * @return void
+     */
+    log: function(aborted) {
+        if (this.logged)
+            return;
+        this.logged = true;
+
+        var record = this.getRecord(aborted);
+        var line;
+        try {
+            line = this.formatRecord(record);
+            if (typeof this.sink == "function")
+                this.sink(line, record);
+            else
+                this.sink.write(line + "\n");
+        }
+        catch (ex) {
+            Util.log("Unable to write the access log: " + ex.message, "error");
+        }
+    },
+
+    /**
+     * Returns the record of the current request.
+     *
+     * @param {Boolean} aborted
+     * @return {Object}
+     */
+    getRecord: function(aborted) {
+        var handler = this.handler;
+        var req = handler.httpRequest;
+        var uri;
+        try {
+            uri = "/" + handler.getRequestUri();
+        }
+        catch (ex) {
+            uri = req.url;
+        }
+        var duration = process.hrtime(this.hrStart);
+
+        return {
+            time: this.start.toISOString(),
+            id: handler.getRequestId(),
+            remote: req.socket && req.socket.remoteAddress || null,
+            method: req.method,
+            uri: uri,
+            depth: typeof req.headers.depth != "undefined" ? req.headers.depth : null,
+            principal: this.principal,
+            status: handler.httpResponse.statusCode,
+            bytesIn: this.transfer.bytesIn,
+            bytesOut: this.transfer.bytesOut,
+            duration: Math.round((duration[0] * 1e3 + duration[1] / 1e6) * 1000) / 1000,
+            aborted: aborted
+        };
+    },
+
+    /**
+     * Formats a record according to the 'accessLogFormat' option.
+     *
+     * @param {Object} record
+     * @return {String}
+     */
+    formatRecord: function(record) {
+        if (typeof this.format == "function")
+            return this.format(record);
+        if (this.format == "combined")
+            return this.formatCombined(record);
+        return JSON.stringify(record);
+    },
+
+    /**
+     * Formats a record in the Apache combined log format:
+     *
+     *   %h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-agent}i"
+     *
+     * Unlike in Apache, where %b is the size of the response body alone, %b is
+     * the amount of bytes that were sent for the response, including its
+     * headers: the bytes are counted on the connection (see
+     * jsDAV_Handler#getTransferCounters).
+     *
+     * @param {Object} record
+     * @return {String}
+     */
+    formatCombined: function(record) {
+        var req = this.handler.httpRequest;
+        function quote(value) {
+            return '"' + String(value || "-").replace(/["\\]/g, "\\$&") + '"';
+        }
+
+        return [
+            record.remote || "-",
+            "-",
+            record.principal || "-",
+            "[" + Util.dateFormat(this.start, "dd/mmm/yyyy:HH:MM:ss o") + "]",
+            quote(record.method + " " + req.url + " HTTP/" + req.httpVersion),
+            record.status,
+            record.bytesOut || "-",
+            quote(req.headers.referer),
+            quote(req.headers["user-agent"])
+        ].join(" ");
+    }
+});
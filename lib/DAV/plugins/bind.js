@@ -0,0 +1,378 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_iCollection = require("./../interfaces/iCollection");
+var jsDAV_iBindingTree = require("./../interfaces/iBindingTree");
+var jsDAV_Property_Href = require("./../property/href");
+var jsDAV_Property_ParentSet = require("./../property/parentSet");
+
+var AsyncEventEmitter = require("./../../shared/asyncEvents").EventEmitter;
+var Exc = require("./../../shared/exceptions");
+var Url = require("url");
+var Xml = require("./../../shared/xml");
+
+/**
+ * Bind plugin
+ *
+ * This plugin implements the BIND, UNBIND and REBIND methods of RFC5842, which
+ * make a resource reachable through more than one path:
+ *
+ *   * BIND adds a binding with the name in {DAV:}segment to the collection of
+ *     the request uri, for the resource at {DAV:}href.
+ *   * UNBIND removes the binding with the name in {DAV:}segment from the
+ *     collection of the request uri.
+ *   * REBIND moves the binding at {DAV:}href to the collection of the request
+ *     uri, with the name in {DAV:}segment.
+ *
+ * Resources also get the {DAV:}resource-id and {DAV:}parent-set properties.
+ *
+ * The plugin is enabled by the 'enableBind' server option and requires a tree
+ * that implements jsDAV_iBindingTree.
+ */
+var jsDAV_Bind_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "bind",
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.tree = handler.tree;
+        this.enabled = !!handler.server.options.enableBind && this.tree.hasFeature(jsDAV_iBindingTree);
+        if (!this.enabled)
+            return;
+
+        // Looking up the bindings of a resource involves checking each of them
+        // on disk, so the listeners below are registered without a timeout.
+        handler.addEventListener("unknownMethod", this.unknownMethod.bind(this), AsyncEventEmitter.PRIO_NORMAL, false);
+        handler.addEventListener("beforeGetProperties", this.beforeGetProperties.bind(this), AsyncEventEmitter.PRIO_NORMAL, false);
+    },
+
+    /**
+     * Use this method to tell the server this plugin defines additional
+     * HTTP methods.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iNode} node
+     * @return {Array}
+     */
+    getHTTPMethods: function(uri, node) {
+        if (!this.enabled || !node || !node.hasFeature(jsDAV_iCollection))
+            return [];
+        return ["BIND", "UNBIND", "REBIND"];
+    },
+
+    /**
+     * Returns a list of features for the HTTP OPTIONS Dav: header.
+     *
+     * @return {Array}
+     */
+    getFeatures: function() {
+        return this.enabled ? ["bind"] : [];
+    },
+
+    /**
+     * This method is called by the Server if the user used an HTTP method
+     * the server didn't recognize.
+     *
+     * This plugin intercepts the BIND, UNBIND and REBIND methods.
+     *
+     * @param {String} method
+     * @return void
+     */
+    unknownMethod: function(e, method) {
+        if (method == "BIND" || method == "REBIND")
+            this.httpBind(e, method);
+        else if (method == "UNBIND")
+            this.httpUnbind(e);
+        else
+            e.next();
+    },
+
+    /**
+     * Handles the BIND and REBIND methods.
+     *
+     * @param {String} method
+     * @return void
+     */
+    httpBind: function(e, method) {
+        var self = this;
+        var handler = this.handler;
+        this.getBindInfo(method, function(err, info) {
+            if (err)
+                return e.next(err);
+            if (info.destinationExists && !info.overwrite) {
+                return e.next(new Exc.CanOverwrite("The binding " + info.segment
+                    + " already exists, and the overwrite header is set to false"));
+            }
+            if (info.source == info.destination)
+                return e.next(new Exc.Forbidden("The source and destination of a binding can not be the same"));
+            if (method == "REBIND") {
+                if (!info.source)
+                    return e.next(new Exc.Forbidden("The root of the tree can not be rebound"));
+                if ((info.destination + "/").indexOf(info.source + "/") === 0)
+                    return e.next(new Exc.Forbidden("A collection can not be rebound into itself"));
+            }
+
+            var locked = method == "REBIND" ? [info.source, info.destination] : [info.destination];
+            self.validateLocks(locked, function(err) {
+                if (err)
+                    return e.next(err);
+                if (!info.destinationExists)
+                    return afterUnbind();
+
+                self.dispatchEvent(e, "beforeUnbind", info.destination, function() {
+                    self.tree.unbind(info.destination, function(err) {
+                        if (err)
+                            return e.next(err);
+                        handler.markDirty(info.destination);
+                        afterUnbind();
+                    });
+                });
+            });
+
+            function afterUnbind() {
+                if (method == "BIND")
+                    return self.dispatchEvent(e, "beforeBind", info.destination, bind);
+                self.dispatchEvent(e, "beforeUnbind", info.source, function() {
+                    self.dispatchEvent(e, "beforeBind", info.destination, bind);
+                });
+            }
+
+            function bind() {
+                var action = method == "BIND" ? "bind" : "rebind";
+                self.tree[action](info.source, info.destination, function(err) {
+                    if (err)
+                        return e.next(err);
+                    handler.markDirty(info.source);
+                    handler.markDirty(info.destination);
+
+                    e.stop();
+                    handler.dispatchEvent("afterBind", info.destination, function() {
+                        // If a binding was replaced we should send a 200, otherwise a 201
+                        handler.httpResponse.writeHead(info.destinationExists ? 200 : 201,
+                            {"content-length": "0"});
+                        handler.httpResponse.end();
+                        if (method == "REBIND")
+                            handler.dispatchEvent("afterMove", info.destination, info.source);
+                    });
+                });
+            }
+        });
+    },
+
+    /**
+     * Handles the UNBIND method.
+     *
+     * @return void
+     */
+    httpUnbind: function(e) {
+        var self = this;
+        var handler = this.handler;
+        this.getBindInfo("UNBIND", function(err, info) {
+            if (err)
+                return e.next(err);
+            if (!info.destinationExists) {
+                return e.next(new Exc.BindSourceExists("The binding " + info.segment
+                    + " does not exist", "UNBIND"));
+            }
+
+            self.validateLocks([info.destination], function(err) {
+                if (err)
+                    return e.next(err);
+                self.dispatchEvent(e, "beforeUnbind", info.destination, function() {
+                    self.tree.unbind(info.destination, function(err) {
+                        if (err)
+                            return e.next(err);
+                        handler.markDirty(info.destination);
+                        handler.httpResponse.writeHead(200, {"content-length": "0"});
+                        handler.httpResponse.end();
+                        e.stop();
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Parses the body of a BIND, UNBIND or REBIND request and looks up the
+     * resources involved. The callback receives an object with the following
+     * keys:
+     *
+     *   * segment           - the name of the binding
+     *   * destination       - the path of the binding in the collection of the
+     *                         request uri
+     *   * destinationExists - whether that binding exists already
+     *   * source            - the path in {DAV:}href, if any
+     *   * overwrite         - the value of the Overwrite header
+     *
+     * @param {String} method
+     * @return void
+     */
+    getBindInfo: function(method, callback) {
+        var handler = this.handler;
+        var uri;
+        try {
+            uri = handler.getRequestUri();
+        }
+        catch (ex) {
+            return callback(ex);
+        }
+
+        var overwrite = (handler.httpRequest.headers["overwrite"] || "T").toUpperCase();
+        if (overwrite != "T" && overwrite != "F")
+            return callback(new Exc.BadRequest("The HTTP Overwrite header should be either T or F"));
+
+        handler.getRequestBody("utf8", null, false, function(err, body) {
+            if (err)
+                return callback(err);
+            Xml.loadDOMDocument(body, handler.server.options.parser, handler.getXmlLimits(), function(err, dom) {
+                if (err)
+                    return callback(err);
+                var rootName = "{DAV:}" + method.toLowerCase();
+                if (Xml.toClarkNotation(dom) != rootName)
+                    return callback(new Exc.BadRequest("The request body must be a " + rootName + " element"));
+
+                var segment = null;
+                var href = null;
+                var child, name;
+                for (var i = 0, l = dom.childNodes.length; i < l; ++i) {
+                    child = dom.childNodes[i];
+                    name = Xml.toClarkNotation(child);
+                    if (name == "{DAV:}segment")
+                        segment = Xml.getTextContent(child);
+                    else if (name == "{DAV:}href")
+                        href = Xml.getTextContent(child).trim();
+                }
+
+                if (!segment || segment.indexOf("/") > -1 || segment == "." || segment == "..")
+                    return callback(new Exc.BadRequest("The {DAV:}segment element must contain a single path segment"));
+                if (method != "UNBIND" && !href)
+                    return callback(new Exc.BadRequest("The {DAV:}href element is required"));
+
+                var info = {
+                    segment: segment,
+                    destination: uri ? uri + "/" + segment : segment,
+                    destinationExists: false,
+                    source: null,
+                    overwrite: overwrite == "T"
+                };
+                if (href) {
+                    var host = Url.parse(href).host;
+                    if (host && host != handler.httpRequest.headers["host"])
+                        return callback(new Exc.CrossServerBinding("Resources on other servers can not be bound"));
+                    try {
+                        info.source = handler.calculateUri(href);
+                    }
+                    catch (ex) {
+                        return callback(ex);
+                    }
+                }
+
+                handler.getNodeForPath(uri, function(err, collection) {
+                    if (err)
+                        return callback(err);
+                    if (!collection.hasFeature(jsDAV_iCollection))
+                        return callback(new Exc.BindIntoCollection("The request uri is not a collection", method));
+
+                    handler.getNodeForPath(info.destination, function(err) {
+                        if (err && !(err instanceof Exc.FileNotFound))
+                            return callback(err);
+                        info.destinationExists = !err;
+                        if (info.source === null)
+                            return callback(null, info);
+
+                        handler.getNodeForPath(info.source, function(err) {
+                            if (err) {
+                                return callback(err instanceof Exc.FileNotFound
+                                    ? new Exc.BindSourceExists("The resource " + href + " does not exist", method)
+                                    : err);
+                            }
+                            callback(null, info);
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Checks whether the urls that are about to change are locked, and if so,
+     * whether the client supplied the lock tokens.
+     *
+     * @param {Array} urls
+     * @return void
+     */
+    validateLocks: function(urls, callback) {
+        var locksPlugin = this.handler.plugins.locks;
+        if (!locksPlugin || !locksPlugin.locksBackend)
+            return callback();
+        locksPlugin.validateLock(urls, false, function(err, isValid, lastLock) {
+            callback(err ? err : !isValid ? new Exc.Locked(lastLock) : null);
+        });
+    },
+
+    /**
+     * Dispatches an event of the handler, which is only continued if none of
+     * the listeners stopped or rejected the request.
+     *
+     * @param {String} eventName
+     * @param {String} uri
+     * @return void
+     */
+    dispatchEvent: function(e, eventName, uri, callback) {
+        this.handler.dispatchEvent(eventName, uri, function(stop) {
+            if (stop === true)
+                return e.stop();
+            if (stop)
+                return e.next(stop);
+            callback();
+        });
+    },
+
+    /**
+     * Adds the {DAV:}resource-id and {DAV:}parent-set properties.
+     *
+     * @param {String} path
+     * @param {jsDAV_iNode} node
+     * @param {Object} requestedProperties
+     * @param {Object} returnedProperties
+     * @return void
+     */
+    beforeGetProperties: function(e, path, node, requestedProperties, returnedProperties) {
+        var resourceId = "{DAV:}resource-id";
+        var parentSet = "{DAV:}parent-set";
+        var tree = this.tree;
+
+        function getParentSet() {
+            if (!requestedProperties[parentSet])
+                return e.next();
+            tree.getParentSet(path, function(err, parents) {
+                if (err)
+                    return e.next(err);
+                delete requestedProperties[parentSet];
+                returnedProperties["200"][parentSet] = jsDAV_Property_ParentSet.new(parents);
+                e.next();
+            });
+        }
+
+        if (!requestedProperties[resourceId])
+            return getParentSet();
+        tree.getResourceId(path, function(err, id) {
+            if (err)
+                return e.next(err);
+            delete requestedProperties[resourceId];
+            returnedProperties["200"][resourceId] = jsDAV_Property_Href.new(id, false);
+            getParentSet();
+        });
+    }
+});
@@ -132,6 +132,9 @@ var jsDAV_Locks_Plugin = module.exports = jsDAV_ServerPlugin.extend({
             case "MKCOL" :
             case "PROPPATCH" :
             case "PUT" :
+            case "PATCH" :
+            case "ORDERPATCH" :
+            case "UPDATE" :
                 this.validateLock(null, false, function(err, isValid, lastLock) {
                     e.next(err ? err : !isValid ? new Exc.Locked(lastLock) : null);
                 });
@@ -695,47 +698,13 @@ var jsDAV_Locks_Plugin = module.exports = jsDAV_ServerPlugin.extend({
     },
 
     /**
-     * This method is created to extract information from the WebDAV HTTP "If:"
-     * header.
+     * Returns the conditions of the WebDAV HTTP "If:" header, as parsed by
+     * the handler.
      *
-     * The If header can be quite complex, and has a bunch of features. We're
-     * using a regex to extract all relevant information.
-     * The function will return an array, containg structs with the following keys
-     *
-     *   * uri    - the uri the condition applies to. This can be an empty string
-     *              for "every relevant url"
-     *   * tokens - The lock token. another 2 dimensional array containg 2 elements
-     *              (0 = true/false.. If this is a negative condition its set to
-     *              false, 1 = the actual token)
-     *   * etag   - an etag, if supplied
-     *
-     * @return void
+     * @return {Array}
      */
     getIfConditions: function() {
-        var header = this.handler.httpRequest.headers["if"];
-        if (!header)
-            return [];
-
-        var conditions = [];
-        header.replace(/(?:<(.*?)>\s)?\((Not\s)?(?:<([^>]*)>)?(?:\s?)(?:\[([^\]]*)\])?\)/gi,
-          function(m, uri, not, token, etag) {
-              var token = {
-                  not: !!not,
-                  token: token,
-                  etag: etag ? etag : ""
-              };
-              var condition = {
-                  uri    : uri,
-                  tokens : [token]
-              };
-
-              if (!condition.uri && conditions.length)
-                  conditions[conditions.length - 1].tokens.push(token);
-              else
-                  conditions.push(condition);
-          });
-
-        return conditions;
+        return this.handler.getIfConditions();
     },
 
     /**
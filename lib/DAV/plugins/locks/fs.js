@@ -143,6 +143,41 @@ var jsDAV_Locks_Backend_FS = module.exports = Base.extend({
         });
     },
 
+    /**
+     * Returns the amount of locks that haven't expired yet
+     *
+     * @return {Number}
+     */
+    getLockCount: function(cbcount) {
+        var self  = this;
+        var count = 0;
+        Fs.readdir(this.dataDir, function(err, files) {
+            if (err)
+                return cbcount(err.code == "ENOENT" ? null : err, 0);
+
+            Async.list(files.filter(function(file) { return /^jsdav_.*\.locks$/.test(file); }))
+                .each(function(file, next) {
+                    Fs.readFile(self.dataDir + "/" + file, "utf8", function(err, data) {
+                        var locks;
+                        try {
+                            locks = (err || !data) ? [] : JSON.parse(data);
+                        }
+                        catch (ex) {
+                            locks = [];
+                        }
+                        locks.forEach(function(lock) {
+                            if (Date.now() <= lock.timeout + lock.created)
+                                ++count;
+                        });
+                        next();
+                    });
+                })
+                .end(function(err) {
+                    cbcount(err, count);
+                });
+        });
+    },
+
     /**
      * Returns the stored data for a uri
      *
@@ -0,0 +1,231 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_Server = require("./../server");
+var jsDAV_Metrics_Registry = require("./metrics/registry");
+
+var Http = require("http");
+var Url = require("url");
+var Util = require("./../../shared/util");
+
+/**
+ * Upper bounds of the buckets of the request duration histogram, in seconds
+ */
+var DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Methods that are reported by name. Other methods are reported as 'OTHER',
+ * to prevent clients from creating an unlimited amount of metrics.
+ */
+var METHODS = ["ACL", "BIND", "CHECKIN", "CHECKOUT", "COPY", "DELETE", "GET",
+    "HEAD", "LABEL", "LOCK", "MERGE", "MKCOL", "MOVE", "OPTIONS", "ORDERPATCH",
+    "PATCH", "POST", "PROPFIND", "PROPPATCH", "PUT", "REBIND", "REPORT",
+    "SEARCH", "UNBIND", "UNCHECKOUT", "UNLOCK", "UPDATE", "VERSION-CONTROL"];
+
+/**
+ * Metrics plugin
+ *
+ * This plugin keeps track of the requests a server handles and serves the
+ * metrics in the Prometheus text format. It is enabled by the 'enableMetrics'
+ * server option. The following metrics are available:
+ *
+ *   * jsdav_http_requests_total            - requests by method and status
+ *   * jsdav_http_request_duration_seconds  - histogram of response times
+ *   * jsdav_http_request_bytes_total       - bytes received by method
+ *   * jsdav_http_response_bytes_total      - bytes sent by method
+ *   * jsdav_http_requests_active           - requests being handled
+ *   * jsdav_uploads_active                 - chunked and resumable uploads in
+ *                                            progress
+ *   * jsdav_locks                          - active locks, if the locks backend
+ *                                            is able to count them
+ *
+ * The metrics are served on the path set by the 'metricsPath' option, which
+ * defaults to '/metrics' and is relative to the base uri of the server. The
+ * path is subject to the authentication of the server, unless the
+ * 'metricsPort' option is set: then the metrics are served on a separate port
+ * (and host, set by 'metricsHost') instead, for example for a monitoring
+ * system on an internal network.
+ */
+var jsDAV_Metrics_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "metrics",
+
+    /**
+     * Creates the metrics of a server and starts the separate metrics server,
+     * if a port is configured.
+     *
+     * @param {jsDAV_Server} server
+     * @return void
+     */
+    initServer: function(server) {
+        var options = server.options;
+        if (!options.enableMetrics)
+            return;
+
+        var registry = server.metrics = jsDAV_Metrics_Registry.new();
+        registry.register("counter", "jsdav_http_requests_total",
+            "Requests handled, by method and status code");
+        registry.register("histogram", "jsdav_http_request_duration_seconds",
+            "Time it took to respond to requests, by method", DURATION_BUCKETS);
+        registry.register("counter", "jsdav_http_request_bytes_total",
+            "Bytes of request bodies received, by method");
+        registry.register("counter", "jsdav_http_response_bytes_total",
+            "Bytes of responses sent, including their headers, by method");
+        registry.register("gauge", "jsdav_http_requests_active",
+            "Requests that are being handled");
+        registry.set("jsdav_http_requests_active", null, 0);
+        registry.register("gauge", "jsdav_uploads_active",
+            "Chunked and resumable uploads in progress");
+        registry.register("gauge", "jsdav_locks",
+            "Active locks in the locks backend");
+
+        if (!options.metricsPort)
+            return;
+
+        var self = this;
+        var path = options.metricsPath || "/metrics";
+        var metricsServer = Http.createServer(function(req, resp) {
+            if (Util.trim(Url.parse(req.url).pathname, "/") != Util.trim(path, "/")) {
+                resp.writeHead(404, {"content-type": "text/plain"});
+                return resp.end("Not Found");
+            }
+            self.sendMetrics(server, req, resp);
+        });
+        metricsServer.listen(options.metricsPort, options.metricsHost || jsDAV_Server.DEFAULT_HOST);
+        server.on("close", function() {
+            metricsServer.close();
+        });
+    },
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.registry = handler.server.metrics || null;
+        if (!this.registry)
+            return;
+
+        if (!handler.server.options.metricsPort)
+            handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+
+        var registry = this.registry;
+        var resp = handler.httpResponse;
+        var labels = {method: this.getMethodLabel(handler.httpRequest.method)};
+        var transfer = handler.getTransferCounters();
+        var start = process.hrtime();
+        var done = false;
+
+        registry.inc("jsdav_http_requests_active", null, 1);
+
+        function finish() {
+            if (done)
+                return;
+            done = true;
+
+            var duration = process.hrtime(start);
+            registry.inc("jsdav_http_requests_active", null, -1);
+            registry.inc("jsdav_http_requests_total", {
+                method: labels.method,
+                status: resp.headersSent ? resp.statusCode : "aborted"
+            });
+            registry.observe("jsdav_http_request_duration_seconds", labels,
+                duration[0] + duration[1] / 1e9);
+            registry.inc("jsdav_http_request_bytes_total", labels, transfer.bytesIn);
+            registry.inc("jsdav_http_response_bytes_total", labels, transfer.bytesOut);
+        }
+
+        resp.on("finish", finish);
+        resp.on("close", finish);
+    },
+
+    /**
+     * Serves the metrics on the metrics path of the server.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        var path = this.handler.server.options.metricsPath || "/metrics";
+        if ((method != "GET" && method != "HEAD") || Util.trim(uri, "/") != Util.trim(path, "/"))
+            return e.next();
+
+        this.sendMetrics(this.handler.server, this.handler.httpRequest, this.handler.httpResponse);
+        e.stop();
+    },
+
+    /**
+     * Returns the label of a request method.
+     *
+     * @param {String} method
+     * @return {String}
+     */
+    getMethodLabel: function(method) {
+        method = (method || "").toUpperCase();
+        return METHODS.indexOf(method) > -1 ? method : "OTHER";
+    },
+
+    /**
+     * Updates the gauges that are read from the server and its backends and
+     * sends all metrics of the server.
+     *
+     * @param {jsDAV_Server} server
+     * @param {ServerRequest} req
+     * @param {ServerResponse} resp
+     * @return void
+     */
+    sendMetrics: function(server, req, resp) {
+        var registry = server.metrics;
+        var options = server.options;
+        var pending = 2;
+        var uploads = Object.keys(server.chunkedUploads).length;
+
+        if (options.uploadBackend) {
+            options.uploadBackend.getSessions(function(err, sessions) {
+                if (err)
+                    Util.log("Unable to count the uploads: " + (err.message || err), "error");
+                else
+                    uploads += sessions.length;
+                registry.set("jsdav_uploads_active", null, uploads);
+                done();
+            });
+        }
+        else {
+            registry.set("jsdav_uploads_active", null, uploads);
+            done();
+        }
+
+        if (options.locksBackend && typeof options.locksBackend.getLockCount == "function") {
+            options.locksBackend.getLockCount(function(err, count) {
+                if (err)
+                    Util.log("Unable to count the locks: " + (err.message || err), "error");
+                else
+                    registry.set("jsdav_locks", null, count);
+                done();
+            });
+        }
+        else {
+            done();
+        }
+
+        function done() {
+            if (--pending)
+                return;
+            var body = registry.serialize();
+            resp.writeHead(200, {
+                "content-type": "text/plain; version=0.0.4; charset=utf-8",
+                "content-length": Buffer.byteLength(body)
+            });
+            resp.end(req.method == "HEAD" ? "" : body);
+        }
+    }
+});
@@ -0,0 +1,150 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+
+/**
+ * Collection of counters, gauges and histograms that can be serialized in the
+ * Prometheus text exposition format.
+ *
+ * Metrics are identified by their name and keep a value for every combination
+ * of label values they were updated with.
+ */
+var jsDAV_Metrics_Registry = module.exports = Base.extend({
+    initialize: function() {
+        this.metrics = {};
+    },
+
+    /**
+     * Registers a metric. Registering a metric that already exists does
+     * nothing.
+     *
+     * @param {String} type    'counter', 'gauge' or 'histogram'
+     * @param {String} name
+     * @param {String} help
+     * @param {Array}  buckets Upper bounds of the buckets of a histogram
+     * @return void
+     */
+    register: function(type, name, help, buckets) {
+        if (this.metrics[name])
+            return;
+        this.metrics[name] = {
+            type: type,
+            help: help,
+            buckets: buckets || null,
+            values: {}
+        };
+    },
+
+    /**
+     * Increments a counter or gauge by 'value', which defaults to 1.
+     *
+     * @param {String} name
+     * @param {Object} labels
+     * @param {Number} value
+     * @return void
+     */
+    inc: function(name, labels, value) {
+        var values = this.metrics[name].values;
+        var key = serializeLabels(labels);
+        values[key] = (values[key] || 0) + (typeof value == "number" ? value : 1);
+    },
+
+    /**
+     * Sets the value of a gauge.
+     *
+     * @param {String} name
+     * @param {Object} labels
+     * @param {Number} value
+     * @return void
+     */
+    set: function(name, labels, value) {
+        this.metrics[name].values[serializeLabels(labels)] = value;
+    },
+
+    /**
+     * Adds an observation to a histogram.
+     *
+     * @param {String} name
+     * @param {Object} labels
+     * @param {Number} value
+     * @return void
+     */
+    observe: function(name, labels, value) {
+        var metric = this.metrics[name];
+        var key = serializeLabels(labels);
+        var entry = metric.values[key];
+        if (!entry) {
+            entry = metric.values[key] = {
+                counts: metric.buckets.map(function() { return 0; }),
+                sum: 0,
+                count: 0
+            };
+        }
+        for (var i = 0, l = metric.buckets.length; i < l; ++i) {
+            if (value <= metric.buckets[i])
+                ++entry.counts[i];
+        }
+        entry.sum += value;
+        ++entry.count;
+    },
+
+    /**
+     * Returns all metrics in the Prometheus text exposition format.
+     *
+     * @return {String}
+     */
+    serialize: function() {
+        var lines = [];
+        var name, metric, key, entry, i;
+        for (name in this.metrics) {
+            metric = this.metrics[name];
+            lines.push("# HELP " + name + " " + metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"));
+            lines.push("# TYPE " + name + " " + metric.type);
+            for (key in metric.values) {
+                if (metric.type != "histogram") {
+                    lines.push(name + wrapLabels(key) + " " + formatValue(metric.values[key]));
+                    continue;
+                }
+                entry = metric.values[key];
+                for (i = 0; i < metric.buckets.length; ++i) {
+                    lines.push(name + "_bucket" + wrapLabels(key, 'le="' + formatValue(metric.buckets[i]) + '"')
+                        + " " + entry.counts[i]);
+                }
+                lines.push(name + "_bucket" + wrapLabels(key, 'le="+Inf"') + " " + entry.count);
+                lines.push(name + "_sum" + wrapLabels(key) + " " + formatValue(entry.sum));
+                lines.push(name + "_count" + wrapLabels(key) + " " + entry.count);
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+});
+
+function serializeLabels(labels) {
+    return Object.keys(labels || {}).sort().map(function(label) {
+        var value = String(labels[label])
+            .replace(/\\/g, "\\\\")
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, "\\n");
+        return label + '="' + value + '"';
+    }).join(",");
+}
+
+function wrapLabels(key, extra) {
+    var labels = [key, extra].filter(Boolean).join(",");
+    return labels ? "{" + labels + "}" : "";
+}
+
+function formatValue(value) {
+    if (value === Infinity)
+        return "+Inf";
+    if (value === -Infinity)
+        return "-Inf";
+    return String(value);
+}
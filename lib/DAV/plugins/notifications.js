@@ -0,0 +1,400 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_Notifications_EventBus = require("./notifications/eventBus");
+
+var AsyncEventEmitter = require("./../../shared/asyncEvents").EventEmitter;
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+
+/**
+ * Notifications plugin
+ *
+ * This plugin lets clients follow the changes that are made to a part of the
+ * tree as they happen, with Server-Sent Events. A client subscribes to a
+ * collection, and everything below it, with a GET request that accepts
+ * 'text/event-stream', for example with the EventSource API of browsers. The
+ * response stays open and receives a message for every change, of which the
+ * data is a JSON object:
+ *
+ *   {
+ *     "type": "created",     // created, modified, deleted, moved or copied
+ *     "uri": "dir/file.txt", // the resource that changed
+ *     "source": "file.txt",  // the original resource of a move or copy
+ *     "time": 1350000000000  // timestamp in milliseconds
+ *   }
+ *
+ * Subscribers only receive changes to resources they are allowed to read, if
+ * the ACL plugin is used. Deleted resources are checked through their parent.
+ * A move or copy of which only the source can be read is sent as a deletion
+ * of the source, one of which only the destination can be read as a creation.
+ *
+ * Every message has an id. A client that reconnects with a 'Last-Event-ID'
+ * header receives the changes it missed, as long as the server still keeps
+ * them; otherwise it receives a message of the type 'reset', after which it
+ * should read the subtree again. A client that falls behind by more changes
+ * than are kept receives a 'reset' as well, after which its stream is closed.
+ *
+ * The plugin is enabled by the 'enableNotifications' server option. The
+ * 'notificationsBacklog' option sets the amount of changes that are kept for
+ * clients that reconnect and the 'notificationsHeartbeat' option the interval
+ * in seconds of the comments that keep idle connections open.
+ */
+var jsDAV_Notifications_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "notifications",
+
+    /**
+     * Default amount of changes that are kept for clients that reconnect
+     *
+     * @var Number
+     */
+    DEFAULT_BACKLOG: 1000,
+
+    /**
+     * Default interval of the heartbeat comments, in seconds
+     *
+     * @var Number
+     */
+    DEFAULT_HEARTBEAT: 30,
+
+    /**
+     * Creates the event bus of a server.
+     *
+     * @param {jsDAV_Server} server
+     * @return void
+     */
+    initServer: function(server) {
+        var options = server.options;
+        if (!options.enableNotifications)
+            return;
+
+        var bus = server.notifications = jsDAV_Notifications_EventBus.new(
+            options.notificationsBacklog || this.DEFAULT_BACKLOG);
+        // A server only emits 'close' once all connections ended, which
+        // subscribers never do by themselves.
+        if (typeof server.close == "function") {
+            var close = server.close;
+            server.close = function() {
+                bus.close();
+                return close.apply(this, arguments);
+            };
+        }
+    },
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.bus = handler.server.notifications || null;
+        if (!this.bus)
+            return;
+
+        // resources that were created during this request
+        this.created = {};
+
+        // Run before the browser plugin, which answers GET requests on
+        // collections, but after authentication.
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this), AsyncEventEmitter.PRIO_HIGH);
+        handler.addEventListener("afterWriteContent", this.afterWriteContent.bind(this));
+        handler.addEventListener("afterBind", this.afterBind.bind(this));
+        handler.addEventListener("afterDelete", this.afterDelete.bind(this));
+        handler.addEventListener("afterMove", this.afterMove.bind(this));
+        handler.addEventListener("afterCopy", this.afterCopy.bind(this));
+    },
+
+    /**
+     * Subscribes GET requests that accept an event stream.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        var accept = this.handler.httpRequest.headers["accept"] || "";
+        if (method != "GET" || accept.indexOf("text/event-stream") === -1)
+            return e.next();
+
+        var self = this;
+        uri = Util.trim(uri, "/");
+        this.handler.getNodeForPath(uri, function(err) {
+            if (err)
+                return e.next(err);
+            self.canRead(uri, function(err, canRead) {
+                if (err)
+                    return e.next(err);
+                if (!canRead)
+                    return e.next(new Exc.NeedPrivileges(uri, ["{DAV:}read"]));
+                e.stop();
+                self.subscribe(uri);
+            });
+        });
+    },
+
+    /**
+     * Starts the event stream of a subscriber of the subtree at 'uri'. Changes
+     * are checked and sent one at a time, so they arrive in order. The next
+     * change is only sent once the client has read the previous ones; if more
+     * changes than the backlog of the server wait, the client is sent a reset
+     * and disconnected, so that it reconnects from the latest change.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    subscribe: function(uri) {
+        var self = this;
+        var bus = this.bus;
+        var resp = this.handler.httpResponse;
+        var queue = [];
+        var busy = false;
+        var closed = false;
+
+        var subscriber = {
+            notify: function(event) {
+                if (closed || !self.isInSubtree(uri, event))
+                    return;
+                if (queue.length >= bus.backlog) {
+                    queue = [];
+                    self.write({id: bus.lastId, type: "reset", uri: uri, time: Date.now()});
+                    return close();
+                }
+                queue.push(event);
+                next();
+            },
+            close: close
+        };
+
+        function next() {
+            if (busy || closed || !queue.length)
+                return;
+            busy = true;
+            self.filterEvent(queue.shift(), function(err, event) {
+                if (closed)
+                    return;
+                // a change that was rewritten may not concern the subtree
+                if (err || !event || !self.isInSubtree(uri, event) || self.write(event)) {
+                    busy = false;
+                    return next();
+                }
+                resp.once("drain", function() {
+                    busy = false;
+                    next();
+                });
+            });
+        }
+
+        function close() {
+            if (closed)
+                return;
+            closed = true;
+            clearInterval(heartbeat);
+            bus.unsubscribe(subscriber);
+            resp.end();
+        }
+
+        resp.writeHead(200, {
+            "content-type": "text/event-stream",
+            "cache-control": "no-cache",
+            "x-accel-buffering": "no"
+        });
+
+        var lastId = this.handler.httpRequest.headers["last-event-id"];
+        // subscribing and reading the backlog at once makes sure no change is
+        // missed or sent twice
+        bus.subscribe(subscriber);
+        if (typeof lastId != "undefined") {
+            var missed = bus.getEventsSince(parseInt(lastId, 10));
+            if (missed)
+                missed.forEach(subscriber.notify);
+            else
+                this.write({id: bus.lastId, type: "reset", uri: uri, time: Date.now()});
+        }
+        else {
+            // tell the client where it is, in case it reconnects before the
+            // first change
+            resp.write("id: " + bus.lastId + "\n\n");
+        }
+
+        var interval = this.handler.server.options.notificationsHeartbeat || this.DEFAULT_HEARTBEAT;
+        var heartbeat = setInterval(function() {
+            // a client that doesn't read doesn't need to be kept alive
+            if (!busy)
+                resp.write(":\n\n");
+        }, interval * 1000);
+
+        this.handler.httpRequest.on("close", close);
+    },
+
+    /**
+     * Writes a change to the event stream of this request. Returns false when
+     * the data was queued in memory, like a writable stream does.
+     *
+     * @param {Object} event
+     * @return {Boolean}
+     */
+    write: function(event) {
+        var data = {type: event.type, uri: event.uri};
+        if (event.source)
+            data.source = event.source;
+        data.time = event.time;
+        return this.handler.httpResponse.write("id: " + event.id + "\ndata: " + JSON.stringify(data) + "\n\n");
+    },
+
+    /**
+     * Returns a change as the user of this request may see it, or null if the
+     * user may not see it at all. Resources that are gone are checked through
+     * their parent. A move or copy of which the user can't read the source
+     * becomes a creation; a move of which the user can only read the source
+     * becomes a deletion.
+     *
+     * @param {Object} event
+     * @return {Object}
+     */
+    filterEvent: function(event, callback) {
+        var self = this;
+        var uri = event.type == "deleted" ? Util.splitPath(event.uri)[0] : event.uri;
+        this.canRead(uri, function(err, canRead) {
+            if (err)
+                return callback(err);
+            if (!event.source)
+                return callback(null, canRead ? event : null);
+
+            var source = event.type == "moved" ? Util.splitPath(event.source)[0] : event.source;
+            self.canRead(source, function(err, canReadSource) {
+                if (err)
+                    return callback(err);
+                if (canRead && canReadSource)
+                    return callback(null, event);
+                if (canRead)
+                    return callback(null, {id: event.id, type: "created", uri: event.uri, time: event.time});
+                if (canReadSource && event.type == "moved")
+                    return callback(null, {id: event.id, type: "deleted", uri: event.source, time: event.time});
+                callback(null, null);
+            });
+        });
+    },
+
+    /**
+     * Returns whether a change concerns the subtree at 'uri'. A move also
+     * concerns the subtree it moved out of.
+     *
+     * @param {String} uri
+     * @param {Object} event
+     * @return {Boolean}
+     */
+    isInSubtree: function(uri, event) {
+        function inSubtree(path) {
+            return !uri || path == uri || path.indexOf(uri + "/") === 0;
+        }
+        return inSubtree(event.uri) || !!event.source && inSubtree(event.source);
+    },
+
+    /**
+     * Returns whether the user of this request may read a resource. Nodes are
+     * looked up again for every check, because the tree changes while the
+     * request lasts.
+     *
+     * @param {String} uri
+     * @return {Boolean}
+     */
+    canRead: function(uri, callback) {
+        var aclPlugin = this.handler.plugins.acl;
+        if (!aclPlugin)
+            return callback(null, true);
+
+        this.handler.markDirty(uri);
+        aclPlugin.checkPrivileges(uri, "{DAV:}read", null, function(err, hasPriv) {
+            if (err && !(err instanceof Exc.NeedPrivileges) && !(err instanceof Exc.FileNotFound))
+                return callback(err);
+            callback(null, !err && !!hasPriv);
+        });
+    },
+
+    /**
+     * Passes a change that was made by this request on to the subscribers.
+     *
+     * @param {String} type
+     * @param {String} uri
+     * @param {String} source
+     * @return void
+     */
+    publish: function(type, uri, source) {
+        var event = {type: type, uri: Util.trim(uri, "/"), time: Date.now()};
+        if (source)
+            event.source = Util.trim(source, "/");
+        this.bus.publish(event);
+    },
+
+    /**
+     * This method is triggered whenever the contents of a file changed.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterWriteContent: function(e, uri) {
+        // the content of a new file is part of its creation
+        if (!this.created[Util.trim(uri, "/")])
+            this.publish("modified", uri);
+        e.next();
+    },
+
+    /**
+     * This method is triggered whenever a resource was created. Moves and
+     * copies are published once they are complete.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterBind: function(e, uri) {
+        var method = this.handler.httpRequest.method;
+        if (method != "MOVE" && method != "COPY" && method != "REBIND") {
+            this.created[Util.trim(uri, "/")] = true;
+            this.publish("created", uri);
+        }
+        e.next();
+    },
+
+    /**
+     * This method is triggered after a resource was deleted.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterDelete: function(e, uri) {
+        this.publish("deleted", uri);
+        e.next();
+    },
+
+    /**
+     * This method is triggered after a resource was moved or rebound.
+     *
+     * @param {String} uri
+     * @param {String} source
+     * @return void
+     */
+    afterMove: function(e, uri, source) {
+        this.publish("moved", uri, source);
+        e.next();
+    },
+
+    /**
+     * This method is triggered after a resource was copied.
+     *
+     * @param {String} uri
+     * @param {String} source
+     * @return void
+     */
+    afterCopy: function(e, uri, source) {
+        this.publish("copied", uri, source);
+        e.next();
+    }
+});
@@ -0,0 +1,91 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+
+/**
+ * The event bus of a server, which passes the changes that are made by one
+ * request on to the subscribers of other requests.
+ *
+ * Every event gets a number, which is higher than that of the events before.
+ * The most recent events are kept, so that a subscriber that reconnects can
+ * receive the events it missed.
+ *
+ * A subscriber is an object with two methods: 'notify(event)', which is called
+ * for every event, and 'close()', which is called when the server closes.
+ *
+ * @param {Number} backlog Amount of events to keep
+ */
+var jsDAV_Notifications_EventBus = module.exports = Base.extend({
+    initialize: function(backlog) {
+        this.backlog = backlog;
+        this.lastId = 0;
+        this.events = [];
+        this.subscribers = [];
+    },
+
+    /**
+     * Numbers an event, keeps it and passes it on to all subscribers.
+     *
+     * @param {Object} event
+     * @return {Object}
+     */
+    publish: function(event) {
+        event.id = ++this.lastId;
+        this.events.push(event);
+        if (this.events.length > this.backlog)
+            this.events.splice(0, this.events.length - this.backlog);
+
+        // subscribers may unsubscribe while they are notified
+        this.subscribers.slice().forEach(function(subscriber) {
+            subscriber.notify(event);
+        });
+        return event;
+    },
+
+    /**
+     * Returns the events that were published after the event with the given
+     * number, or null if some of them aren't kept anymore, or if the number
+     * wasn't handed out by this bus.
+     *
+     * @param {Number} id
+     * @return {Array}
+     */
+    getEventsSince: function(id) {
+        if (isNaN(id) || id < 0 || id > this.lastId)
+            return null;
+
+        var first = this.lastId - this.events.length + 1;
+        if (id < first - 1)
+            return null;
+        return this.events.slice(id - first + 1);
+    },
+
+    subscribe: function(subscriber) {
+        this.subscribers.push(subscriber);
+    },
+
+    unsubscribe: function(subscriber) {
+        var index = this.subscribers.indexOf(subscriber);
+        if (index > -1)
+            this.subscribers.splice(index, 1);
+    },
+
+    /**
+     * Closes all subscribers.
+     *
+     * @return void
+     */
+    close: function() {
+        this.subscribers.slice().forEach(function(subscriber) {
+            subscriber.close();
+        });
+        this.subscribers = [];
+    }
+});
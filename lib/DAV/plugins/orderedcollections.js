@@ -0,0 +1,593 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_iCollection = require("./../interfaces/iCollection");
+var jsDAV_iOrderedCollection = require("./../interfaces/iOrderedCollection");
+var jsDAV_Property_Href = require("./../property/href");
+var jsDAV_Property_Response = require("./../property/response");
+
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+var Xml = require("./../../shared/xml");
+
+/**
+ * Ordered collections plugin
+ *
+ * This plugin implements ordered collections, as described in RFC3648. The
+ * members of an ordered collection are listed in an order that is maintained
+ * by the clients:
+ *
+ *   * MKCOL accepts the Ordering-Type header, to create an ordered collection.
+ *   * ORDERPATCH changes the ordering type of a collection and the position of
+ *     its members.
+ *   * PUT, MKCOL, COPY, MOVE, BIND and REBIND accept the Position header, to
+ *     position the new member. Members without a position are added last.
+ *   * Collections get the {DAV:}ordering-type property.
+ *
+ * The plugin is enabled by the 'enableOrderedCollections' server option and
+ * works with collections that implement jsDAV_iOrderedCollection. Node doesn't
+ * accept ORDERPATCH requests, so clients send them as a POST request with the
+ * header 'X-HTTP-Method-Override: ORDERPATCH', which the plugin allows when it
+ * is enabled (see jsDAV_Server#exec).
+ */
+var jsDAV_OrderedCollections_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "orderedcollections",
+
+    /**
+     * Allows ORDERPATCH requests to be sent as POST requests.
+     *
+     * @param {jsDAV_Server} server
+     * @return void
+     */
+    initServer: function(server) {
+        if (server.options.enableOrderedCollections)
+            server.allowMethodOverride("ORDERPATCH");
+    },
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.enabled = !!handler.server.options.enableOrderedCollections;
+        if (!this.enabled)
+            return;
+
+        // position of the new member, from the Position header
+        this.position = null;
+        // ordering type of the new collection, from the Ordering-Type header
+        this.orderingType = null;
+        // positions of the members that were unbound during this request, so
+        // that a member that is replaced keeps its position
+        this.unbound = {};
+
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+        handler.addEventListener("unknownMethod", this.unknownMethod.bind(this));
+        handler.addEventListener("beforeBind", this.beforeBind.bind(this));
+        handler.addEventListener("beforeUnbind", this.beforeUnbind.bind(this));
+        handler.addEventListener("afterBind", this.afterBind.bind(this));
+        handler.addEventListener("beforeGetProperties", this.beforeGetProperties.bind(this));
+    },
+
+    /**
+     * Use this method to tell the server this plugin defines additional
+     * HTTP methods.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iNode} node
+     * @return {Array}
+     */
+    getHTTPMethods: function(uri, node) {
+        if (!this.enabled || !node || !node.hasFeature(jsDAV_iOrderedCollection))
+            return [];
+        return ["ORDERPATCH"];
+    },
+
+    /**
+     * Returns a list of features for the HTTP OPTIONS Dav: header.
+     *
+     * @return {Array}
+     */
+    getFeatures: function() {
+        return this.enabled ? ["ordered-collections"] : [];
+    },
+
+    /**
+     * Parses the Position and Ordering-Type headers and checks whether the
+     * collection they apply to supports them.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        var self = this;
+        var handler = this.handler;
+        var headers = handler.httpRequest.headers;
+
+        if (headers["ordering-type"] && method == "MKCOL") {
+            this.orderingType = headers["ordering-type"].trim();
+            if (!this.orderingType || /\s/.test(this.orderingType))
+                return e.next(new Exc.BadRequest("The Ordering-Type header must contain a single URI"));
+        }
+
+        if (headers["position"]) {
+            this.position = this.parsePosition(headers["position"]);
+            if (!this.position) {
+                return e.next(new Exc.BadRequest("The Position header must be 'first', 'last', "
+                    + "'before <segment>' or 'after <segment>'"));
+            }
+        }
+
+        var destination = uri;
+        if (method == "COPY" || method == "MOVE") {
+            try {
+                destination = headers["destination"] ? handler.calculateUri(headers["destination"]) : null;
+            }
+            catch (ex) {
+                destination = null;
+            }
+        }
+        // the new members of BIND and REBIND are named in the request body,
+        // so their position is checked when they are bound
+        else if (method != "PUT" && method != "MKCOL") {
+            destination = null;
+        }
+        if (!destination)
+            return e.next();
+
+        var parentUri = Util.splitPath(destination)[0];
+        if (this.orderingType) {
+            return handler.getNodeForPath(parentUri, function(err, parent) {
+                // the MKCOL request itself reports a missing parent
+                if (err)
+                    return e.next();
+                if (!parent.hasFeature(jsDAV_iOrderedCollection))
+                    return e.next(new Exc.Forbidden("Ordered collections can not be created in " + parentUri));
+                checkPosition();
+            });
+        }
+        checkPosition();
+
+        function checkPosition() {
+            if (!self.position)
+                return e.next();
+            self.getOrder(parentUri, function(err, names) {
+                if (err)
+                    return e.next(err instanceof Exc.FileNotFound ? null : err);
+                e.next(self.getPositionError(parentUri, names, Util.splitPath(destination)[1]));
+            });
+        }
+    },
+
+    /**
+     * Parses the value of a Position header. Returns an object with the
+     * position ('first', 'last', 'before' or 'after') and, for the latter two,
+     * the segment it is relative to, or null if the value is invalid.
+     *
+     * @param {String} value
+     * @return {Object}
+     */
+    parsePosition: function(value) {
+        var match = value.trim().match(/^(first|last|before|after)(?:\s+(\S+))?$/i);
+        if (!match)
+            return null;
+
+        var type = match[1].toLowerCase();
+        var segment = null;
+        if (type == "before" || type == "after") {
+            if (!match[2])
+                return null;
+            try {
+                segment = decodeURIComponent(match[2]);
+            }
+            catch (ex) {
+                return null;
+            }
+        }
+        else if (match[2]) {
+            return null;
+        }
+        return {type: type, segment: segment};
+    },
+
+    /**
+     * Returns the names of the members of a collection in their current order,
+     * or null if the collection is not ordered.
+     *
+     * @param {String} uri
+     * @return {Array}
+     */
+    getOrder: function(uri, callback) {
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return callback(err);
+            if (!node.hasFeature(jsDAV_iOrderedCollection))
+                return callback(null, null);
+            node.getOrderingType(function(err, type) {
+                if (err || type == "DAV:unordered")
+                    return callback(err, null);
+                node.getChildren(function(err, children) {
+                    if (err)
+                        return callback(err);
+                    callback(null, children.map(function(child) {
+                        return child.getName();
+                    }));
+                });
+            });
+        });
+    },
+
+    /**
+     * Returns the error for positioning the member 'name' in the collection at
+     * 'uri' according to the Position header, if any.
+     *
+     * @param {String} uri
+     * @param {Array} names The order of the collection, as returned by getOrder
+     * @param {String} name
+     * @return {Exc.jsDAV_Exception}
+     */
+    getPositionError: function(uri, names, name) {
+        if (!names)
+            return new Exc.CollectionMustBeOrdered("The collection " + uri + " is not ordered");
+        var segment = this.position.segment;
+        if (segment !== null && (segment == name || names.indexOf(segment) == -1))
+            return new Exc.SegmentMustIdentifyMember("The segment " + segment + " is not a member of " + uri);
+        return null;
+    },
+
+    /**
+     * Moves the member 'name' to a position in the list 'names'.
+     *
+     * @param {Array} names
+     * @param {String} name
+     * @param {String} type 'first', 'last', 'before' or 'after'
+     * @param {String} segment
+     * @return {Boolean} false if 'segment' is not in the list
+     */
+    insert: function(names, name, type, segment) {
+        var index = names.indexOf(name);
+        if (index > -1)
+            names.splice(index, 1);
+        if (type == "first") {
+            index = 0;
+        }
+        else if (type == "last") {
+            index = names.length;
+        }
+        else {
+            index = names.indexOf(segment);
+            if (index == -1)
+                return false;
+            if (type == "after")
+                ++index;
+        }
+        names.splice(index, 0, name);
+        return true;
+    },
+
+    /**
+     * Adds a new member to the order of its collection, at the position of
+     * the Position header, at the position of the member it replaces, or last.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    beforeBind: function(e, uri) {
+        var self = this;
+        var parts = Util.splitPath(uri);
+        this.getOrder(parts[0], function(err, names) {
+            if (err) {
+                Util.log("Unable to read the order of " + parts[0] + ": " + (err.message || err), "error");
+                return e.next();
+            }
+            if (!self.position) {
+                if (!names)
+                    return e.next();
+                var index = names.indexOf(parts[1]);
+                if (index > -1)
+                    names.splice(index, 1);
+                else if (self.unbound.hasOwnProperty(uri))
+                    index = Math.min(self.unbound[uri], names.length);
+                else
+                    index = names.length;
+                names.splice(index, 0, parts[1]);
+                return self.storeOrder(parts[0], names, e);
+            }
+
+            var error = self.getPositionError(parts[0], names, parts[1]);
+            if (error)
+                return e.next(error);
+            self.insert(names, parts[1], self.position.type, self.position.segment);
+            self.storeOrder(parts[0], names, e);
+        });
+    },
+
+    /**
+     * Remembers the position of a member that is unbound, in case it is
+     * replaced during the same request. Members that don't exist anymore are
+     * left out of the order the next time it is stored.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    beforeUnbind: function(e, uri) {
+        var self = this;
+        var parts = Util.splitPath(uri);
+        this.getOrder(parts[0], function(err, names) {
+            if (!err && names && names.indexOf(parts[1]) > -1)
+                self.unbound[uri] = names.indexOf(parts[1]);
+            e.next();
+        });
+    },
+
+    /**
+     * Stores the order of a collection. Failures are logged, because the new
+     * member is bound regardless.
+     *
+     * @param {String} uri
+     * @param {Array} names
+     * @return void
+     */
+    storeOrder: function(uri, names, e) {
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return e.next();
+            node.setOrder(names, function(err) {
+                if (err)
+                    Util.log("Unable to store the order of " + uri + ": " + (err.message || err), "error");
+                e.next();
+            });
+        });
+    },
+
+    /**
+     * Sets the ordering type of a collection that was created with the
+     * Ordering-Type header.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterBind: function(e, uri) {
+        var handler = this.handler;
+        if (!this.orderingType || handler.httpRequest.method != "MKCOL" || uri != handler.getRequestUri())
+            return e.next();
+
+        var type = this.orderingType;
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err || !node.hasFeature(jsDAV_iOrderedCollection))
+                return e.next();
+            node.setOrderingType(type, function(err) {
+                if (err)
+                    Util.log("Unable to set the ordering type of " + uri + ": " + (err.message || err), "error");
+                e.next();
+            });
+        });
+    },
+
+    /**
+     * This method is called by the Server if the user used an HTTP method
+     * the server didn't recognize.
+     *
+     * This plugin intercepts the ORDERPATCH method.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    unknownMethod: function(e, method, uri) {
+        if (method != "ORDERPATCH")
+            return e.next();
+
+        var self = this;
+        var handler = this.handler;
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return e.next(err);
+            if (!node.hasFeature(jsDAV_iCollection) || !node.hasFeature(jsDAV_iOrderedCollection))
+                return e.next(new Exc.MethodNotAllowed("The resource " + uri + " can not be ordered"));
+
+            handler.checkPreconditions(false, function(err, redirected) {
+                if (err)
+                    return e.next(err);
+                if (redirected)
+                    return e.stop();
+
+                self.parseOrderPatch(function(err, patch) {
+                    if (err)
+                        return e.next(err);
+                    node.getOrderingType(function(err, currentType) {
+                        if (err)
+                            return e.next(err);
+                        node.getChildren(function(err, children) {
+                            if (err)
+                                return e.next(err);
+                            var names = children.map(function(child) {
+                                return child.getName();
+                            });
+                            self.orderPatch(e, uri, node, currentType, names, patch);
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Applies the changes of an ORDERPATCH request. Either all changes are
+     * applied, or none are: if any member can not be positioned, a
+     * multistatus response is sent with the member that failed (409) and the
+     * others (424).
+     *
+     * @param {String} uri
+     * @param {jsDAV_iOrderedCollection} node
+     * @param {String} currentType
+     * @param {Array} names
+     * @param {Object} patch As returned by parseOrderPatch
+     * @return void
+     */
+    orderPatch: function(e, uri, node, currentType, names, patch) {
+        var self = this;
+        var handler = this.handler;
+        var type = patch.type || currentType;
+        if (type == "DAV:unordered" && patch.members.length)
+            return e.next(new Exc.CollectionMustBeOrdered("The collection " + uri + " is not ordered"));
+
+        var failed = -1;
+        patch.members.forEach(function(member, i) {
+            if (failed > -1)
+                return;
+            if (names.indexOf(member.segment) == -1
+              || !self.insert(names, member.segment, member.type, member.segment == member.relativeTo ? null : member.relativeTo)) {
+                failed = i;
+            }
+        });
+
+        if (failed > -1) {
+            return handler.streamMultiStatus(false, null, function(write, cbdone) {
+                var i = 0;
+                (function next() {
+                    var member = patch.members[i];
+                    if (!member)
+                        return cbdone();
+                    write(jsDAV_Property_Response.new(
+                        (uri ? uri + "/" : "") + member.segment, {}, i++ == failed ? 409 : 424), next);
+                })();
+            });
+        }
+
+        if (type == currentType)
+            return setOrder();
+        node.setOrderingType(type, function(err) {
+            if (err)
+                return e.next(err);
+            setOrder();
+        });
+
+        function setOrder() {
+            if (type == "DAV:unordered")
+                return done();
+            node.setOrder(names, function(err) {
+                if (err)
+                    return e.next(err);
+                done();
+            });
+        }
+
+        function done() {
+            handler.httpResponse.writeHead(200, {"content-length": "0"});
+            handler.httpResponse.end();
+            e.stop();
+        }
+    },
+
+    /**
+     * Parses the body of an ORDERPATCH request. The callback receives an object
+     * with the new ordering type ('type'), if any, and the list of members to
+     * position ('members'), each with a 'segment', a position 'type' and, for
+     * positions before or after another member, the segment of that member
+     * ('relativeTo').
+     *
+     * @return void
+     */
+    parseOrderPatch: function(callback) {
+        var handler = this.handler;
+        handler.getRequestBody("utf8", null, false, function(err, body) {
+            if (err)
+                return callback(err);
+            Xml.loadDOMDocument(body, handler.server.options.parser, handler.getXmlLimits(), function(err, dom) {
+                if (err)
+                    return callback(err);
+                if (Xml.toClarkNotation(dom) != "{DAV:}orderpatch")
+                    return callback(new Exc.BadRequest("The request body must be a {DAV:}orderpatch element"));
+
+                var patch = {type: null, members: []};
+                var child, name, href, member;
+                for (var i = 0, l = dom.childNodes.length; i < l; ++i) {
+                    child = dom.childNodes[i];
+                    name = Xml.toClarkNotation(child);
+                    if (name == "{DAV:}ordering-type") {
+                        href = getChild(child, "{DAV:}href");
+                        patch.type = href ? Xml.getTextContent(href).trim() : "";
+                        if (!patch.type)
+                            return callback(new Exc.BadRequest("The {DAV:}ordering-type element must contain a {DAV:}href"));
+                    }
+                    else if (name == "{DAV:}order-member") {
+                        member = parseMember(child);
+                        if (!member)
+                            return callback(new Exc.BadRequest("A {DAV:}order-member element must contain a "
+                                + "{DAV:}segment and a valid {DAV:}position"));
+                        patch.members.push(member);
+                    }
+                }
+                callback(null, patch);
+            });
+        });
+
+        function getChild(node, name) {
+            for (var i = 0, l = node.childNodes.length; i < l; ++i) {
+                if (Xml.toClarkNotation(node.childNodes[i]) == name)
+                    return node.childNodes[i];
+            }
+            return null;
+        }
+
+        function parseMember(node) {
+            var segment = getChild(node, "{DAV:}segment");
+            var position = getChild(node, "{DAV:}position");
+            if (!segment || !position)
+                return null;
+
+            var member = {segment: Xml.getTextContent(segment), type: null, relativeTo: null};
+            var child, name;
+            for (var i = 0, l = position.childNodes.length; i < l && !member.type; ++i) {
+                child = position.childNodes[i];
+                name = Xml.toClarkNotation(child);
+                if (name == "{DAV:}first" || name == "{DAV:}last") {
+                    member.type = name.substr(6);
+                }
+                else if (name == "{DAV:}before" || name == "{DAV:}after") {
+                    segment = getChild(child, "{DAV:}segment");
+                    if (!segment)
+                        return null;
+                    member.type = name.substr(6);
+                    member.relativeTo = Xml.getTextContent(segment);
+                }
+            }
+            return member.segment && member.type ? member : null;
+        }
+    },
+
+    /**
+     * Adds the {DAV:}ordering-type property to collections that can be
+     * ordered.
+     *
+     * @param {String} path
+     * @param {jsDAV_iNode} node
+     * @param {Object} requestedProperties
+     * @param {Object} returnedProperties
+     * @return void
+     */
+    beforeGetProperties: function(e, path, node, requestedProperties, returnedProperties) {
+        var orderingType = "{DAV:}ordering-type";
+        if (!requestedProperties[orderingType] || !node.hasFeature(jsDAV_iOrderedCollection))
+            return e.next();
+
+        node.getOrderingType(function(err, type) {
+            if (err)
+                return e.next(err);
+            delete requestedProperties[orderingType];
+            returnedProperties["200"][orderingType] = jsDAV_Property_Href.new(type, false);
+            e.next();
+        });
+    }
+});
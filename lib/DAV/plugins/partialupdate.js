@@ -0,0 +1,403 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_iFile = require("./../interfaces/iFile");
+var jsDAV_iPatchSupport = require("./../interfaces/iPatchSupport");
+
+var AsyncEventEmitter = require("./../../shared/asyncEvents").EventEmitter;
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+
+/**
+ * Partial update plugin (Patch method)
+ *
+ * This plugin provides a way to modify only part of a target resource.
+ * It may be used to update a file chunk, upload big files into smaller
+ * chunks or resume an upload.
+ *
+ * Two request formats are supported:
+ *
+ *   * PATCH with the 'application/x-sabredav-partialupdate' content type and
+ *     an X-Update-Range header. The header may have the following values:
+ *       - 'bytes=<start>-<end>' to update the given (inclusive) byte range
+ *       - 'bytes=<start>-' to write the data starting at byte <start>
+ *       - 'bytes=-<count>' to write the data starting <count> bytes before the
+ *         end of the file
+ *       - 'append' to append the data to the end of the file
+ *   * PUT with a Content-Range header ('bytes <start>-<end>/<total>'), which
+ *     is how clients like curl resume an interrupted upload. PUT requests with
+ *     a Content-Range header are rejected by the server (see jsDAV_Handler#httpPut),
+ *     unless the 'enablePutContentRange' server option is set.
+ *
+ * Files that implement jsDAV_iPatchSupport are updated in-place; all other files
+ * are read entirely, modified and written back.
+ *
+ * The PATCH method is available by default; set the 'enablePatch' server option
+ * to `false` to turn it off.
+ */
+var jsDAV_PartialUpdate_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "partialupdate",
+
+    /**
+     * The content type that is required for PATCH requests
+     *
+     * @var String
+     */
+    PATCH_CONTENTTYPE: "application/x-sabredav-partialupdate",
+
+    RANGE_APPEND: 1,
+    RANGE_START: 2,
+    RANGE_END: 3,
+
+    initialize: function(handler) {
+        this.handler = handler;
+        var enablePatch = handler.server.options.enablePatch;
+        this.enablePatch = typeof enablePatch == "boolean" ? enablePatch : true;
+
+        // Uploads may take longer than the default event timeout, so the
+        // listeners below are registered without one.
+        handler.addEventListener("unknownMethod", this.unknownMethod.bind(this), AsyncEventEmitter.PRIO_NORMAL, false);
+        // Run after other plugins (locks, ACL) had the chance to reject the PUT.
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this), AsyncEventEmitter.PRIO_LOW, false);
+    },
+
+    /**
+     * Use this method to tell the server this plugin defines additional
+     * HTTP methods.
+     *
+     * PATCH is only available for files.
+     *
+     * @param {String} uri
+     * @return array
+     */
+    getHTTPMethods: function(uri, node) {
+        if (this.enablePatch && node && node.hasFeature(jsDAV_iFile))
+            return ["PATCH"];
+        return [];
+    },
+
+    /**
+     * Returns a list of features for the HTTP OPTIONS Dav: header.
+     *
+     * @return array
+     */
+    getFeatures: function() {
+        return this.enablePatch ? ["sabredav-partialupdate"] : [];
+    },
+
+    /**
+     * This method is called by the Server if the user used an HTTP method
+     * the server didn't recognize.
+     *
+     * This plugin intercepts the PATCH method.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    unknownMethod: function(e, method, uri) {
+        if (method != "PATCH" || !this.enablePatch)
+            return e.next();
+        this.httpPatch(e, uri);
+    },
+
+    /**
+     * This method is called before the logic for any HTTP method is
+     * handled.
+     *
+     * This plugin intercepts PUT requests that carry a Content-Range header,
+     * when the server is configured to accept them.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        if (method != "PUT" || !this.handler.httpRequest.headers["content-range"]
+          || !this.handler.server.options.enablePutContentRange)
+            return e.next();
+        this.httpPutRange(e, uri);
+    },
+
+    /**
+     * Patch an uri
+     *
+     * The WebDAV patch request can be used to modify only a part of an
+     * existing resource. If the resource does not exist yet and the first
+     * offset is not 0, the request fails.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    httpPatch: function(e, uri) {
+        var self = this;
+        var req = this.handler.httpRequest;
+
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return e.next(err);
+
+            if (!node.hasFeature(jsDAV_iFile))
+                return e.next(new Exc.MethodNotAllowed("The target resource does not support the PATCH method."));
+
+            var range = self.getHTTPUpdateRange();
+            if (!range)
+                return e.next(new Exc.BadRequest("No valid 'X-Update-Range' found in the headers"));
+
+            var contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+            if (contentType != self.PATCH_CONTENTTYPE) {
+                return e.next(new Exc.UnsupportedMediaType("Unknown Content-Type header. "
+                    + "Only '" + self.PATCH_CONTENTTYPE + "' is supported"));
+            }
+
+            var len = self.getContentLength();
+            if (len === null)
+                return e.next(new Exc.LengthRequired("A Content-Length header is required"));
+
+            if (range[0] == self.RANGE_START && range[2] !== null) {
+                if (range[2] < range[1])
+                    return e.next(new Exc.RequestedRangeNotSatisfiable("The end offset (" + range[2]
+                        + ") is lower than the start offset (" + range[1] + ")"));
+                if (range[2] - range[1] + 1 != len)
+                    return e.next(new Exc.RequestedRangeNotSatisfiable("Actual data length (" + len
+                        + ") is not consistent with begin (" + range[1] + ") and end (" + range[2] + ") offsets"));
+            }
+
+            if (range[0] == self.RANGE_APPEND)
+                return self.updateFile(e, uri, node, null);
+
+            node.getSize(function(err, size) {
+                if (err)
+                    return e.next(err);
+
+                var offset = range[0] == self.RANGE_END ? size - range[1] : range[1];
+                if (offset < 0 || offset > size) {
+                    return e.next(new Exc.RequestedRangeNotSatisfiable("The requested range lies outside of the file ("
+                        + size + " bytes)", size));
+                }
+                self.updateFile(e, uri, node, offset);
+            });
+        });
+    },
+
+    /**
+     * Handles a PUT request with a Content-Range header.
+     *
+     * When the resource does not exist yet, it may only be created by the
+     * first part of the upload (the range that starts at byte 0).
+     *
+     * @param {String} uri
+     * @return void
+     */
+    httpPutRange: function(e, uri) {
+        var self = this;
+        var handler = this.handler;
+
+        var range = this.getHTTPContentRange();
+        if (!range)
+            return e.next(new Exc.BadRequest("The Content-Range header is malformed"));
+        if (range[1] < range[0] || (range[2] !== null && range[1] >= range[2]))
+            return e.next(new Exc.RequestedRangeNotSatisfiable("The Content-Range header is not satisfiable"));
+
+        var len = this.getContentLength();
+        if (len === null)
+            return e.next(new Exc.LengthRequired("A Content-Length header is required"));
+        if (range[1] - range[0] + 1 != len) {
+            return e.next(new Exc.RequestedRangeNotSatisfiable("Actual data length (" + len
+                + ") is not consistent with the Content-Range header"));
+        }
+
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err) {
+                if (!(err instanceof Exc.FileNotFound) || range[0] !== 0)
+                    return e.next(err);
+
+                // The first part of an upload creates the resource.
+                // `data` is set to `null` to use streamed write.
+                return handler.createFile(uri, null, "binary", function(err) {
+                    if (err)
+                        return e.next(err);
+                    e.stop();
+                    handler.dispatchEvent("afterWriteContent", uri, function() {
+                        handler.httpResponse.writeHead(201, {"content-length": "0"});
+                        handler.httpResponse.end();
+                    });
+                });
+            }
+
+            if (!node.hasFeature(jsDAV_iFile))
+                return e.next(new Exc.Conflict("PUT is not allowed on non-files."));
+
+            node.getSize(function(err, size) {
+                if (err)
+                    return e.next(err);
+                if (range[0] > size) {
+                    return e.next(new Exc.RequestedRangeNotSatisfiable("The requested range lies outside of the file ("
+                        + size + " bytes)", size));
+                }
+                self.updateFile(e, uri, node, range[0]);
+            });
+        });
+    },
+
+    /**
+     * Writes the request body into the file, starting at byte 'offset' and
+     * sends the response. An offset of `null` appends the request body.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iFile} node
+     * @param {Number} offset
+     * @return void
+     */
+    updateFile: function(e, uri, node, offset) {
+        var self = this;
+        var handler = this.handler;
+
+        // Checking If-None-Match and related headers.
+        handler.checkPreconditions(false, function(err, redirected) {
+            if (err)
+                return e.next(err);
+            if (redirected)
+                return e.stop();
+
+            handler.dispatchEvent("beforeWriteContent", uri, node, function(stop) {
+                if (stop === true)
+                    return e.stop();
+                if (stop)
+                    return e.next(stop);
+
+                if (node.hasFeature(jsDAV_iPatchSupport) && node.patchStream) {
+                    node.patchStream(handler, offset, "binary", afterPatch);
+                }
+                else {
+                    handler.getRequestBody("binary", null, false, function(err, body) {
+                        if (err)
+                            return e.next(err);
+
+                        if (node.hasFeature(jsDAV_iPatchSupport))
+                            node.patch(body, offset, afterPatch);
+                        else
+                            self.patchFallback(node, body, offset, afterPatch);
+                    });
+                }
+
+                function afterPatch(err, etag) {
+                    if (err)
+                        return e.next(err);
+
+                    var headers = {"content-length": "0"};
+                    if (etag)
+                        headers.etag = etag;
+                    e.stop();
+                    handler.dispatchEvent("afterWriteContent", uri, function() {
+                        handler.httpResponse.writeHead(204, headers);
+                        handler.httpResponse.end();
+                    });
+                }
+            });
+        });
+    },
+
+    /**
+     * Updates a part of a file that doesn't implement jsDAV_iPatchSupport by
+     * reading its contents, modifying them and writing them back.
+     *
+     * @param {jsDAV_iFile} node
+     * @param {Buffer} data
+     * @param {Number} offset
+     * @return void
+     */
+    patchFallback: function(node, data, offset, cbpatch) {
+        node.get(function(err, buffer) {
+            if (err)
+                return cbpatch(err);
+            node.put(Util.spliceBuffer(buffer, data, offset), "binary", cbpatch);
+        });
+    },
+
+    /**
+     * Returns the value of the Content-Length header as a Number, or null when
+     * the header is absent or invalid.
+     *
+     * @return {Number}
+     */
+    getContentLength: function() {
+        var len = this.handler.httpRequest.headers["content-length"];
+        if (typeof len == "undefined" || !/^\d+$/.test(len))
+            return null;
+        return parseInt(len, 10);
+    },
+
+    /**
+     * Returns the HTTP custom update range header
+     *
+     * This method returns null if there is no well-formed HTTP range request
+     * header or array(type, start, end) otherwise.
+     *
+     * The first number is the type of the range: RANGE_APPEND, RANGE_START or
+     * RANGE_END. For RANGE_START the second number is the offset of the first
+     * byte and the third number the (inclusive) offset of the last byte, or null
+     * when it was omitted. For RANGE_END the second number is the amount of
+     * bytes counted from the end of the file.
+     *
+     * @return {Array}
+     */
+    getHTTPUpdateRange: function() {
+        var range = this.handler.httpRequest.headers["x-update-range"];
+        if (!range)
+            return null;
+
+        range = range.trim();
+        if (range.toLowerCase() == "append")
+            return [this.RANGE_APPEND, null, null];
+
+        var matches = range.match(/^bytes=(?:(\d+)-(\d+)?|-(\d+))$/i);
+        if (!matches)
+            return null;
+
+        if (typeof matches[3] != "undefined")
+            return [this.RANGE_END, parseInt(matches[3], 10), null];
+        return [
+            this.RANGE_START,
+            parseInt(matches[1], 10),
+            typeof matches[2] != "undefined" ? parseInt(matches[2], 10) : null
+        ];
+    },
+
+    /**
+     * Returns the Content-Range header of a PUT request
+     *
+     * This method returns null if there is no well-formed Content-Range header
+     * or array(start, end, total) otherwise. 'end' is inclusive and 'total' is
+     * null when the total size is unknown ('*').
+     *
+     * @return {Array}
+     */
+    getHTTPContentRange: function() {
+        var range = this.handler.httpRequest.headers["content-range"];
+        if (!range)
+            return null;
+
+        var matches = range.trim().match(/^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i);
+        if (!matches)
+            return null;
+
+        return [
+            parseInt(matches[1], 10),
+            parseInt(matches[2], 10),
+            matches[3] == "*" ? null : parseInt(matches[3], 10)
+        ];
+    }
+});
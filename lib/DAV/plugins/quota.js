@@ -0,0 +1,546 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_iFile = require("./../interfaces/iFile");
+var jsDAV_iCollection = require("./../interfaces/iCollection");
+var jsDAV_iQuota = require("./../interfaces/iQuota");
+
+var AsyncEventEmitter = require("./../../shared/asyncEvents").EventEmitter;
+var Async = require("asyncjs");
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+
+/**
+ * Methods that add bindings to existing resources, instead of writing data
+ */
+var BINDING_METHODS = {"BIND": 1, "MOVE": 1, "REBIND": 1};
+
+/**
+ * Quota plugin
+ *
+ * This plugin rejects requests that would store more data than the quota
+ * allows with a 507 Insufficient Storage response and the
+ * {DAV:}quota-not-exceeded precondition, as defined in RFC4331. The size of a
+ * request is determined before its body is received, if possible: the
+ * Content-Length of PUT and PATCH requests, the Upload-Length of resumable
+ * uploads and the size of the source of a COPY request. In addition, the body
+ * of PUT and PATCH requests is limited to the storage that is left while it's
+ * received, which catches requests of which the size is unknown, like chunked
+ * PUT requests.
+ *
+ * Two kinds of quota are supported:
+ *
+ *   1. The quota of the collection a resource is written to, if it implements
+ *      jsDAV_iQuota. This is enabled by the 'enableQuota' server option.
+ *   2. The quota of the authenticated user. This is enabled by passing a usage
+ *      store as the 'quotaBackend' server option (see jsDAV_Quota_iBackend).
+ *      The plugin keeps track of the storage used by every user and reports
+ *      it through the {DAV:}quota-used-bytes and {DAV:}quota-available-bytes
+ *      properties of collections.
+ *
+ * Bindings that are added or removed with the BIND, REBIND and UNBIND methods
+ * (see jsDAV_Bind_Plugin) don't change the storage used.
+ */
+var jsDAV_Quota_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "quota",
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.quotaBackend = handler.server.options.quotaBackend || null;
+        this.enableQuota = !!handler.server.options.enableQuota;
+        // sizes of the resources before they were written to in this request
+        this.sizes = {};
+        // sizes of the resources that were looked up in this request, so that
+        // a collection is walked only once
+        this.nodeSizes = {};
+        this.copySource = null;
+        this.user = undefined;
+
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+        handler.addEventListener("beforeGetProperties", this.beforeGetProperties.bind(this));
+        handler.addEventListener("beforeWriteContent", this.beforeWriteContent.bind(this));
+        handler.addEventListener("afterWriteContent", this.afterWrite.bind(this));
+        handler.addEventListener("afterBind", this.afterWrite.bind(this));
+        handler.addEventListener("afterCopy", this.afterWrite.bind(this));
+        // Only account for deletions that other plugins didn't prevent.
+        handler.addEventListener("beforeUnbind", this.beforeUnbind.bind(this), AsyncEventEmitter.PRIO_LOW);
+    },
+
+    /**
+     * This method is called before the logic for any HTTP method is
+     * handled, to reject requests that exceed the quota before their body is
+     * received.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        if (!this.enableQuota && !this.quotaBackend)
+            return e.next();
+
+        var self = this;
+        this.getExpectedGrowth(method, uri, function(err, growth, target) {
+            // errors are reported by the method itself
+            if (err || !growth || growth <= 0)
+                return limit();
+            self.checkQuota(target, growth, function(err) {
+                if (err)
+                    return e.next(err);
+                limit();
+            });
+        });
+
+        // the size of the body may be unknown, so it's checked while it's
+        // received as well
+        function limit() {
+            self.limitRequestBody(method, uri, function() {
+                e.next();
+            });
+        }
+    },
+
+    /**
+     * Limits the body of PUT and PATCH requests to the storage that is left,
+     * plus the bytes of the resource it overwrites.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    limitRequestBody: function(method, uri, callback) {
+        var headers = this.handler.httpRequest.headers;
+        // the chunks of a resumable upload were accounted for when the
+        // upload was created
+        if (method != "PUT" && method != "PATCH" || headers["upload-id"])
+            return callback();
+
+        var self = this;
+        this.getAvailableBytes(uri, function(err, available, owner) {
+            if (err || available === null)
+                return callback();
+            self.getOverwrittenBytes(method, uri, function(overwritten) {
+                self.handler.limitRequestBody(available + overwritten,
+                    new Exc.QuotaNotExceeded("The request body exceeds " + owner));
+                callback();
+            });
+        });
+    },
+
+    /**
+     * Returns the amount of bytes of an existing resource that a PUT or PATCH
+     * request replaces, which don't count as growth.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return {Number}
+     */
+    getOverwrittenBytes: function(method, uri, callback) {
+        var partialUpdate = this.handler.plugins.partialupdate;
+        var range = method == "PATCH"
+            ? partialUpdate && partialUpdate.getHTTPUpdateRange()
+            : partialUpdate && this.handler.httpRequest.headers["content-range"]
+                && partialUpdate.getHTTPContentRange();
+        if (method == "PATCH" && (!range || range[0] == partialUpdate.RANGE_APPEND))
+            return callback(0);
+
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err || !node.hasFeature(jsDAV_iFile))
+                return callback(0);
+            node.getSize(function(err, size) {
+                size = parseInt(size, 10) || 0;
+                if (err || !size)
+                    return callback(0);
+                if (!range)
+                    return callback(size);
+                if (method == "PUT")
+                    return callback(Math.max(0, size - range[0]));
+                if (range[0] == partialUpdate.RANGE_END)
+                    return callback(Math.min(size, range[1]));
+                callback(Math.max(0, size - range[1]));
+            });
+        });
+    },
+
+    /**
+     * Returns the amount of bytes a request is about to add to the tree and
+     * the uri of the resource it writes to. The amount is 0 when it is unknown.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return {Number}
+     */
+    getExpectedGrowth: function(method, uri, callback) {
+        var headers = this.handler.httpRequest.headers;
+        var self = this;
+
+        function growth(size) {
+            self.getSize(uri, function(err, existing) {
+                callback(null, Math.max(0, size - (existing || 0)), uri);
+            });
+        }
+
+        var length = parseInt(headers["content-length"], 10) || 0;
+        var partialUpdate = this.handler.plugins.partialupdate;
+        var range;
+        switch (method) {
+            case "PUT" :
+                // the chunks of a resumable upload were accounted for when the
+                // upload was created
+                if (headers["upload-id"])
+                    return callback(null, 0);
+                if (headers["content-range"]) {
+                    range = partialUpdate && partialUpdate.getHTTPContentRange();
+                    return range ? growth(range[1] + 1) : callback(null, 0);
+                }
+                // chunked uploads of the filesystem tree announce the total size
+                return growth(parseInt(headers["x-file-size"], 10) || length);
+            case "PATCH" :
+                range = partialUpdate && partialUpdate.getHTTPUpdateRange();
+                if (!range)
+                    return callback(null, 0);
+                if (range[0] == partialUpdate.RANGE_APPEND)
+                    return callback(null, length, uri);
+                if (range[0] == partialUpdate.RANGE_END) {
+                    // the range counts back from the end of the resource
+                    return this.getSize(uri, function(err, existing) {
+                        callback(null, Math.max(0, length - Math.min(existing || 0, range[1])), uri);
+                    });
+                }
+                return growth(range[1] + length);
+            case "POST" :
+                if (!this.handler.plugins.upload || typeof headers["upload-length"] == "undefined")
+                    return callback(null, 0);
+                return growth(parseInt(headers["upload-length"], 10) || 0);
+            case "COPY" :
+                return this.handler.getCopyAndMoveInfo(function(err, info) {
+                    if (err)
+                        return callback(err);
+                    // the copy is as large as its source
+                    self.copySource = info.source;
+                    self.getSize(info.source, function(err, size) {
+                        if (err)
+                            return callback(err);
+                        self.getSize(info.destination, function(err, existing) {
+                            callback(null, Math.max(0, size - (existing || 0)), info.destination);
+                        });
+                    });
+                });
+            default :
+                return callback(null, 0);
+        }
+    },
+
+    /**
+     * Checks whether 'growth' bytes can be written to 'uri' without exceeding
+     * the quota of its parent collection or of the current user.
+     *
+     * @param {String} uri
+     * @param {Number} growth
+     * @return void
+     */
+    checkQuota: function(uri, growth, callback) {
+        this.getAvailableBytes(uri, function(err, available, owner) {
+            if (err)
+                return callback(err);
+            if (available !== null && growth > available) {
+                return callback(new Exc.QuotaNotExceeded("Storing " + growth
+                    + " bytes would exceed " + owner));
+            }
+            callback();
+        });
+    },
+
+    /**
+     * Returns the amount of bytes that can still be written to 'uri', which
+     * is the lowest of the quota of its parent collection and the quota of the
+     * current user, and a description of the quota it was taken from. The
+     * amount is null if neither quota is limited.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getAvailableBytes: function(uri, callback) {
+        var self = this;
+        var parentUri = Util.splitPath(Util.trim(uri, "/"))[0];
+        var available = null;
+        var owner = null;
+
+        this.handler.getNodeForPath(parentUri, function(err, parent) {
+            if (err || !self.enableQuota || !parent.hasFeature(jsDAV_iQuota))
+                return checkUser();
+
+            parent.getQuotaInfo(function(err, quotaInfo) {
+                if (err)
+                    return callback(err);
+                // [0, 0] means that the quota is unknown
+                if (quotaInfo[0] || quotaInfo[1]) {
+                    available = Math.max(0, quotaInfo[1]);
+                    owner = "the quota of the collection";
+                }
+                checkUser();
+            });
+        });
+
+        function checkUser() {
+            self.getUserQuota(function(err, quota) {
+                if (err)
+                    return callback(err);
+                if (quota && quota.limit !== null) {
+                    var left = Math.max(0, quota.limit - quota.used);
+                    if (available === null || left < available) {
+                        available = left;
+                        owner = "your quota";
+                    }
+                }
+                callback(null, available, owner);
+            });
+        }
+    },
+
+    /**
+     * Returns the quota of the current user, or nothing if there is no usage
+     * store or no user logged in.
+     *
+     * @return {Object}
+     */
+    getUserQuota: function(callback) {
+        var self = this;
+        this.getCurrentUser(function(err, user) {
+            if (err || !user)
+                return callback(err);
+            self.quotaBackend.getQuota(user, callback);
+        });
+    },
+
+    /**
+     * Returns the name of the user that is logged in, if there's a usage
+     * store to keep track of its storage.
+     *
+     * @return {String}
+     */
+    getCurrentUser: function(callback) {
+        var authPlugin = this.handler.plugins.auth;
+        if (!this.quotaBackend || !authPlugin)
+            return callback();
+        if (typeof this.user != "undefined")
+            return callback(null, this.user);
+
+        var self = this;
+        authPlugin.getCurrentUser(function(err, user) {
+            if (err)
+                return callback(err);
+            self.user = user || null;
+            callback(null, self.user);
+        });
+    },
+
+    /**
+     * Returns the size of a resource in bytes. The size of a collection is the
+     * size of all its members together, which is only computed once per
+     * request.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getSize: function(uri, callback) {
+        uri = Util.trim(uri, "/");
+        if (this.nodeSizes.hasOwnProperty(uri))
+            return callback(null, this.nodeSizes[uri]);
+
+        var self = this;
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return callback(err);
+            self.getNodeSize(node, function(err, size) {
+                if (!err)
+                    self.nodeSizes[uri] = size;
+                callback(err, size);
+            });
+        });
+    },
+
+    /**
+     * Forgets the sizes of a resource, its members and the collections it is
+     * a member of, after it changed.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    forgetSize: function(uri) {
+        uri = Util.trim(uri, "/");
+        for (var path in this.nodeSizes) {
+            if (!path || path == uri || path.indexOf(uri + "/") === 0 || uri.indexOf(path + "/") === 0)
+                delete this.nodeSizes[path];
+        }
+    },
+
+    getNodeSize: function(node, callback) {
+        if (node.hasFeature(jsDAV_iFile)) {
+            return node.getSize(function(err, size) {
+                callback(err, parseInt(size, 10) || 0);
+            });
+        }
+        if (!node.hasFeature(jsDAV_iCollection))
+            return callback(null, 0);
+
+        var self = this;
+        var total = 0;
+        node.getChildren(function(err, children) {
+            if (err)
+                return callback(err);
+            Async.list(children)
+                .each(function(child, next) {
+                    self.getNodeSize(child, function(err, size) {
+                        total += size || 0;
+                        next(err);
+                    });
+                })
+                .end(function(err) {
+                    callback(err, total);
+                });
+        });
+    },
+
+    /**
+     * Updates the storage used by the current user.
+     *
+     * @param {Number} delta
+     * @return void
+     */
+    addUsage: function(delta, callback) {
+        var self = this;
+        this.getCurrentUser(function(err, user) {
+            if (err || !user || !delta)
+                return callback(err);
+            self.quotaBackend.addUsage(user, delta, callback);
+        });
+    },
+
+    /**
+     * Remembers the size of a file before its contents are replaced.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iFile} node
+     * @return void
+     */
+    beforeWriteContent: function(e, uri, node) {
+        if (!this.quotaBackend)
+            return e.next();
+
+        var self = this;
+        this.getNodeSize(node, function(err, size) {
+            if (!err)
+                self.sizes[Util.trim(uri, "/")] = size;
+            e.next();
+        });
+    },
+
+    /**
+     * Adds the storage taken by a resource that was written to the storage
+     * used by the current user.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterWrite: function(e, uri) {
+        // moving or binding a resource doesn't change the storage used
+        if (!this.quotaBackend || typeof uri != "string" || BINDING_METHODS[this.handler.httpRequest.method])
+            return e.next();
+
+        var self = this;
+        uri = Util.trim(uri, "/");
+        this.forgetSize(uri);
+        // the source of a copy didn't change, so its size is still known
+        var method = this.handler.httpRequest.method;
+        this.getSize(method == "COPY" && this.copySource || uri, function(err, size) {
+            if (err)
+                return e.next();
+            self.nodeSizes[uri] = size;
+            var delta = size - (self.sizes[uri] || 0);
+            // a resource may be reported more than once per request
+            self.sizes[uri] = size;
+            self.addUsage(delta, function(err) {
+                if (err)
+                    Util.log("Unable to update the storage used: " + (err.message || err), "error");
+                e.next();
+            });
+        });
+    },
+
+    /**
+     * Frees the storage taken by a resource that is about to be deleted.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    beforeUnbind: function(e, uri) {
+        var method = this.handler.httpRequest.method;
+        // Other bindings may still refer to the resource (RFC5842).
+        if (!this.quotaBackend || method == "UNBIND" || method == "REBIND")
+            return e.next();
+        // Only the resource that is overwritten by a move is freed.
+        if (method == "MOVE" && Util.trim(uri, "/") == Util.trim(this.handler.getRequestUri(), "/"))
+            return e.next();
+
+        var self = this;
+        this.getSize(uri, function(err, size) {
+            if (err)
+                return e.next();
+            delete self.sizes[Util.trim(uri, "/")];
+            self.forgetSize(uri);
+            self.addUsage(-size, function(err) {
+                if (err)
+                    Util.log("Unable to update the storage used: " + (err.message || err), "error");
+                e.next();
+            });
+        });
+    },
+
+    /**
+     * Reports the quota of the current user through the quota properties of
+     * collections, if the user has a limit.
+     *
+     * @param {String} path
+     * @param {jsDAV_iNode} node
+     * @param {Object} requestedProperties
+     * @param {Object} returnedProperties
+     * @return void
+     */
+    beforeGetProperties: function(e, path, node, requestedProperties, returnedProperties) {
+        var used = "{DAV:}quota-used-bytes";
+        var available = "{DAV:}quota-available-bytes";
+        if (!this.quotaBackend || !node.hasFeature(jsDAV_iCollection)
+          || !requestedProperties[used] && !requestedProperties[available])
+            return e.next();
+
+        this.getUserQuota(function(err, quota) {
+            if (err)
+                return e.next(err);
+            if (!quota || quota.limit === null)
+                return e.next();
+
+            if (requestedProperties[used]) {
+                delete requestedProperties[used];
+                returnedProperties["200"][used] = quota.used;
+            }
+            if (requestedProperties[available]) {
+                delete requestedProperties[available];
+                returnedProperties["200"][available] = Math.max(0, quota.limit - quota.used);
+            }
+            e.next();
+        });
+    }
+});
@@ -0,0 +1,52 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * This is the interface for the store that keeps track of the storage used by
+ * every user, and of their quota.
+ *
+ * The quota of a user is a plain object:
+ *
+ * {
+ *   used: 1048576,    // amount of bytes the user stored
+ *   limit: 10485760   // amount of bytes the user may store, null if unlimited
+ * }
+ */
+var jsDAV_Quota_iBackend = module.exports = Base.extend({
+    /**
+     * Returns the quota of a user.
+     *
+     * @param {String} user
+     * @return {Object}
+     */
+    getQuota: function(user, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Adds 'delta' bytes to the storage used by a user. A negative delta
+     * frees storage.
+     *
+     * @param {String} user
+     * @param {Number} delta
+     * @return void
+     */
+    addUsage: function(user, delta, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Sets the amount of bytes a user may store. A limit of null removes the
+     * quota of the user.
+     *
+     * @param {String} user
+     * @param {Number} limit
+     * @return void
+     */
+    setLimit: function(user, limit, callback) { callback(Exc.notImplementedYet()); }
+});
@@ -0,0 +1,66 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Quota_iBackend = require("./iBackend");
+
+/**
+ * This store keeps the quota of users in memory. The storage used is counted
+ * from the moment the server started, so it is mainly useful for testing and
+ * for servers that start with an empty tree.
+ *
+ * @param {Object} limits       Amount of bytes every user may store, keyed by user
+ * @param {Number} defaultLimit Amount of bytes users without a limit may store
+ */
+var jsDAV_Quota_Backend_Memory = module.exports = jsDAV_Quota_iBackend.extend({
+    initialize: function(limits, defaultLimit) {
+        this.limits = limits || {};
+        this.defaultLimit = typeof defaultLimit == "number" ? defaultLimit : null;
+        this.usage = {};
+    },
+
+    /**
+     * Returns the quota of a user.
+     *
+     * @param {String} user
+     * @return {Object}
+     */
+    getQuota: function(user, callback) {
+        callback(null, {
+            used: this.usage[user] || 0,
+            limit: this.limits.hasOwnProperty(user) ? this.limits[user] : this.defaultLimit
+        });
+    },
+
+    /**
+     * Adds 'delta' bytes to the storage used by a user.
+     *
+     * @param {String} user
+     * @param {Number} delta
+     * @return void
+     */
+    addUsage: function(user, delta, callback) {
+        this.usage[user] = Math.max(0, (this.usage[user] || 0) + delta);
+        callback();
+    },
+
+    /**
+     * Sets the amount of bytes a user may store.
+     *
+     * @param {String} user
+     * @param {Number} limit
+     * @return void
+     */
+    setLimit: function(user, limit, callback) {
+        if (limit === null)
+            delete this.limits[user];
+        else
+            this.limits[user] = limit;
+        callback();
+    }
+});
@@ -0,0 +1,80 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Quota_iBackend = require("./iBackend");
+
+/**
+ * This store keeps the storage used by a user and its limit in a document per
+ * user.
+ */
+var jsDAV_Quota_Backend_Mongo = module.exports = jsDAV_Quota_iBackend.extend({
+    initialize: function(mongo, tableName, defaultLimit) {
+        this.mongo = mongo;
+        this.tableName = tableName || "quota";
+        this.defaultLimit = typeof defaultLimit == "number" ? defaultLimit : null;
+    },
+
+    /**
+     * Returns the quota of a user.
+     *
+     * @param {String} user
+     * @return {Object}
+     */
+    getQuota: function(user, callback) {
+        var self = this;
+        this.mongo.collection(this.tableName).findOne({
+            _id: user
+        }, function(err, doc) {
+            if (err)
+                return callback(err);
+            callback(null, {
+                used: doc ? Math.max(0, doc.used || 0) : 0,
+                limit: doc && typeof doc.limit == "number" ? doc.limit : self.defaultLimit
+            });
+        });
+    },
+
+    /**
+     * Adds 'delta' bytes to the storage used by a user.
+     *
+     * @param {String} user
+     * @param {Number} delta
+     * @return void
+     */
+    addUsage: function(user, delta, callback) {
+        this.mongo.collection(this.tableName).update({
+            _id: user
+        }, {
+            $inc: {used: delta}
+        }, {
+            upsert: true
+        }, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Sets the amount of bytes a user may store.
+     *
+     * @param {String} user
+     * @param {Number} limit
+     * @return void
+     */
+    setLimit: function(user, limit, callback) {
+        this.mongo.collection(this.tableName).update({
+            _id: user
+        }, limit === null
+            ? {$unset: {limit: 1}}
+            : {$set: {limit: limit}}, {
+            upsert: true
+        }, function(err) {
+            callback(err);
+        });
+    }
+});
@@ -0,0 +1,77 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Quota_iBackend = require("./iBackend");
+
+var Db = require("./../../../shared/backends/redis");
+
+/**
+ * This store keeps the storage used by users and their limits in two redis
+ * hashes, keyed by user.
+ */
+var jsDAV_Quota_Backend_Redis = module.exports = jsDAV_Quota_iBackend.extend({
+    initialize: function(redis, tableName, defaultLimit) {
+        this.redis = redis;
+        this.tableName = tableName || "quota";
+        this.defaultLimit = typeof defaultLimit == "number" ? defaultLimit : null;
+    },
+
+    /**
+     * Returns the quota of a user.
+     *
+     * @param {String} user
+     * @return {Object}
+     */
+    getQuota: function(user, callback) {
+        var self = this;
+        this.redis.multi([
+            ["HGET", this.tableName + "/used", user],
+            ["HGET", this.tableName + "/limit", user]
+        ]).exec(function(err, res) {
+            if (err)
+                return callback(err);
+
+            res = Db.fromMultiBulk(res);
+            callback(null, {
+                used: Math.max(0, parseInt(res[0], 10) || 0),
+                limit: res[1] === null ? self.defaultLimit : parseInt(res[1], 10)
+            });
+        });
+    },
+
+    /**
+     * Adds 'delta' bytes to the storage used by a user.
+     *
+     * @param {String} user
+     * @param {Number} delta
+     * @return void
+     */
+    addUsage: function(user, delta, callback) {
+        this.redis.hincrby(this.tableName + "/used", user, delta, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Sets the amount of bytes a user may store.
+     *
+     * @param {String} user
+     * @param {Number} limit
+     * @return void
+     */
+    setLimit: function(user, limit, callback) {
+        var done = function(err) {
+            callback(err);
+        };
+        if (limit === null)
+            this.redis.hdel(this.tableName + "/limit", user, done);
+        else
+            this.redis.hset(this.tableName + "/limit", user, limit, done);
+    }
+});
@@ -0,0 +1,581 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_Search_QueryParser = require("./search/queryParser");
+var jsDAV_iFile = require("./../interfaces/iFile");
+var jsDAV_iSearchableTree = require("./../interfaces/iSearchableTree");
+
+var Async = require("asyncjs");
+var Exc = require("./../../shared/exceptions");
+var Url = require("url");
+var Util = require("./../../shared/util");
+var Xml = require("./../../shared/xml");
+
+/**
+ * Search plugin
+ *
+ * This plugin implements the SEARCH method of RFC5323 (DASL) with the
+ * {DAV:}basicsearch grammar. Queries may select properties, search one or more
+ * scopes, filter on properties (eq, lt, lte, gt, gte, like, is-defined),
+ * collections (is-collection) and content (contains), order the results and
+ * limit their number.
+ *
+ * Queries are evaluated for any tree, by visiting every resource in their
+ * scopes. Trees that implement jsDAV_iSearchableTree evaluate queries
+ * themselves, when they are able to.
+ *
+ * Resources that have no {DAV:}displayname are matched and ordered by their
+ * name, so that clients can search for file names. A condition on a property
+ * that is not defined for a resource is neither true nor false, but unknown,
+ * as RFC5323 section 5.5 prescribes.
+ *
+ * The plugin is enabled by the 'enableSearch' server option.
+ */
+var jsDAV_Search_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "search",
+
+    /**
+     * Files larger than this number of bytes are not searched by the
+     * 'contains' condition, unless the 'maxSearchContentSize' option says
+     * otherwise.
+     *
+     * @var Number
+     */
+    MAX_CONTENT_SIZE: 1048576,
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.enabled = !!handler.server.options.enableSearch;
+        if (!this.enabled)
+            return;
+
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+        handler.addEventListener("unknownMethod", this.unknownMethod.bind(this));
+    },
+
+    /**
+     * Use this method to tell the server this plugin defines additional
+     * HTTP methods.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iNode} node
+     * @return {Array}
+     */
+    getHTTPMethods: function(uri, node) {
+        return this.enabled ? ["SEARCH"] : [];
+    },
+
+    /**
+     * Returns a list of features for the HTTP OPTIONS Dav: header.
+     *
+     * @return {Array}
+     */
+    getFeatures: function() {
+        return [];
+    },
+
+    /**
+     * Advertises the supported query grammar in the response to OPTIONS
+     * requests, with the DASL header.
+     *
+     * @param {String} method
+     * @return void
+     */
+    beforeMethod: function(e, method) {
+        if (method == "OPTIONS")
+            this.handler.httpResponse.setHeader("DASL", "<DAV:basicsearch>");
+        e.next();
+    },
+
+    /**
+     * This method is called by the Server if the user used an HTTP method
+     * the server didn't recognize.
+     *
+     * This plugin intercepts the SEARCH method.
+     *
+     * @param {String} method
+     * @return void
+     */
+    unknownMethod: function(e, method) {
+        if (method != "SEARCH")
+            return e.next();
+
+        var self = this;
+        var handler = this.handler;
+        handler.getRequestBody("utf8", null, false, function(err, body) {
+            if (err)
+                return e.next(err);
+            Xml.loadDOMDocument(body, handler.server.options.parser, handler.getXmlLimits(), function(err, dom) {
+                if (err)
+                    return e.next(err);
+
+                var parser = jsDAV_Search_QueryParser.new(dom);
+                try {
+                    parser.parse();
+                }
+                catch (ex) {
+                    return e.next(ex);
+                }
+
+                var query = {
+                    select: parser.select,
+                    scopes: parser.scopes,
+                    where: parser.where,
+                    orderBy: parser.orderBy,
+                    limit: parser.limit
+                };
+                self.resolveScopes(query.scopes, function(err) {
+                    if (err)
+                        return e.next(err);
+                    self.search(query, function(err, results) {
+                        if (err)
+                            return e.next(err);
+                        self.sendResults(e, query, results);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Adds the path of each scope, relative to the base uri of the server, and
+     * checks whether the scopes exist.
+     *
+     * @param {Array} scopes
+     * @return void
+     */
+    resolveScopes: function(scopes, callback) {
+        var handler = this.handler;
+        Async.list(scopes)
+            .each(function(scope, next) {
+                // relative hrefs are relative to the request uri
+                var href = Url.resolve(handler.httpRequest.url, scope.href);
+                var host = Url.parse(href).host;
+                if (host && host != handler.httpRequest.headers["host"])
+                    return next(new Exc.SearchScopeValid("The scope " + scope.href + " is on another server"));
+                try {
+                    scope.path = handler.calculateUri(href);
+                }
+                catch (ex) {
+                    return next(new Exc.SearchScopeValid("The scope " + scope.href + " is outside of this server"));
+                }
+                handler.getNodeForPath(scope.path, function(err) {
+                    if (err instanceof Exc.FileNotFound)
+                        err = new Exc.SearchScopeValid("The scope " + scope.href + " does not exist");
+                    next(err);
+                });
+            })
+            .end(callback);
+    },
+
+    /**
+     * Returns the resources that match a query, in order. Each result is an
+     * object with its 'path' and the properties that are used to order them
+     * ('properties').
+     *
+     * @param {Object} query
+     * @return {Array}
+     */
+    search: function(query, callback) {
+        var self = this;
+        var handler = this.handler;
+        var tree = handler.tree;
+        var orderProperties = query.orderBy.map(function(order) {
+            return order.property;
+        });
+
+        if (!tree.hasFeature(jsDAV_iSearchableTree))
+            return this.evaluate(query, finish);
+
+        tree.search(query, function(err, paths) {
+            if (err)
+                return callback(err);
+            if (!paths)
+                return self.evaluate(query, finish);
+
+            var results = [];
+            Async.list(paths)
+                .each(function(path, next) {
+                    if (!orderProperties.length) {
+                        results.push({path: path, properties: null});
+                        return next();
+                    }
+                    handler.streamPropertiesForPath(path, orderProperties.concat(), 0, function(rpath, properties, cbnext) {
+                        results.push({path: rpath, properties: properties});
+                        cbnext();
+                    }, function(err) {
+                        // the resource was removed in the meantime
+                        next(err instanceof Exc.FileNotFound ? null : err);
+                    });
+                })
+                .end(function(err) {
+                    finish(err, results);
+                });
+        });
+
+        function finish(err, results) {
+            if (err)
+                return callback(err);
+            if (query.orderBy.length)
+                results = self.sort(results, query.orderBy);
+            if (query.limit !== null)
+                results = results.slice(0, query.limit);
+            callback(null, results);
+        }
+    },
+
+    /**
+     * Visits all resources in the scopes of a query and returns the ones that
+     * match its where clause. Resources that are reachable through more than
+     * one scope or binding are returned once.
+     *
+     * @param {Object} query
+     * @return {Array}
+     */
+    evaluate: function(query, callback) {
+        var self = this;
+        var handler = this.handler;
+        var properties = ["{DAV:}resourcetype"];
+        query.orderBy.forEach(function(order) {
+            properties.push(order.property);
+        });
+        if (query.where)
+            this.getConditionProperties(query.where, properties);
+
+        var results = [];
+        var found = {};
+        Async.list(query.scopes)
+            .each(function(scope, next) {
+                handler.streamPropertiesForPath(scope.path, properties.concat(), scope.depth, function(rpath, props, cbnext) {
+                    var path = Util.trim(rpath, "/");
+                    // collections that were already reported through another
+                    // binding have their properties in the '208' group
+                    if (found[path] || props["208"])
+                        return cbnext();
+                    var result = {path: path, properties: props};
+                    if (!query.where) {
+                        found[path] = true;
+                        results.push(result);
+                        return cbnext();
+                    }
+                    self.matches(query.where, result, function(err, match) {
+                        if (err)
+                            return cbnext(err);
+                        if (match === true) {
+                            found[path] = true;
+                            results.push(result);
+                        }
+                        cbnext();
+                    });
+                }, next);
+            })
+            .end(function(err) {
+                callback(err, results);
+            });
+    },
+
+    /**
+     * Adds the properties a condition refers to to a list
+     *
+     * @param {Object} condition
+     * @param {Array} properties
+     * @return void
+     */
+    getConditionProperties: function(condition, properties) {
+        if (condition.property && properties.indexOf(condition.property) === -1)
+            properties.push(condition.property);
+        (condition.operands || (condition.operand ? [condition.operand] : [])).forEach(function(operand) {
+            this.getConditionProperties(operand, properties);
+        }, this);
+    },
+
+    /**
+     * Evaluates a condition for a result. The callback receives true, false or
+     * null, if the outcome is unknown.
+     *
+     * @param {Object} condition
+     * @param {Object} result
+     * @return void
+     */
+    matches: function(condition, result, callback) {
+        var self = this;
+        var operator = condition.operator;
+        var value, comparison;
+
+        switch (operator) {
+            case "and":
+            case "or":
+                // the outcome is decided by the first operand that is false
+                // (for 'and') or true (for 'or'); otherwise it is unknown if
+                // any operand is unknown
+                var decisive = operator == "or";
+                var outcome = !decisive;
+                return Async.list(condition.operands)
+                    .each(function(operand, next) {
+                        self.matches(operand, result, function(err, match) {
+                            if (err)
+                                return next(err);
+                            if (match === decisive) {
+                                outcome = decisive;
+                                return next(true);
+                            }
+                            if (match === null)
+                                outcome = null;
+                            next();
+                        });
+                    })
+                    .end(function(err) {
+                        callback(err === true ? null : err, outcome);
+                    });
+            case "not":
+                return this.matches(condition.operand, result, function(err, match) {
+                    callback(err, match === null ? null : !match);
+                });
+            case "is-collection":
+                value = result.properties["200"]["{DAV:}resourcetype"];
+                return callback(null, !!value && value.is("{DAV:}collection"));
+            case "is-defined":
+                return callback(null, this.getValue(result, condition.property) !== undefined);
+            case "contains":
+                return this.contains(result.path, condition.literal, callback);
+            case "like":
+                value = this.getValue(result, condition.property);
+                if (value === undefined)
+                    return callback(null, null);
+                return callback(null, this.likeToRegExp(condition.literal, condition.caseless).test(String(value)));
+            default:
+                value = this.getValue(result, condition.property);
+                if (value === undefined)
+                    return callback(null, null);
+                comparison = this.compare(value, condition.literal, condition.caseless);
+                callback(null, operator == "eq" ? comparison === 0
+                    : operator == "lt" ? comparison < 0
+                    : operator == "lte" ? comparison <= 0
+                    : operator == "gt" ? comparison > 0
+                    : comparison >= 0);
+        }
+    },
+
+    /**
+     * Returns the value of a property of a result as a string, number or Date,
+     * or undefined if the property is not defined.
+     *
+     * @param {Object} result
+     * @param {String} property
+     * @return {mixed}
+     */
+    getValue: function(result, property) {
+        var value = result.properties["200"][property];
+        if (value === undefined) {
+            if (property == "{DAV:}displayname")
+                return Util.splitPath(result.path)[1] || "";
+            return undefined;
+        }
+        if (value === null)
+            return "";
+        if (typeof value != "object")
+            return value;
+        if (value instanceof Date)
+            return value;
+        if (typeof value.getTime == "function")
+            return value.getTime();
+        if (typeof value.getHref == "function")
+            return value.getHref();
+        if (typeof value.getValue == "function")
+            return [].concat(value.getValue()).join(" ");
+        return undefined;
+    },
+
+    /**
+     * Compares a value with a literal. Dates and numbers are compared by their
+     * value, other values as strings.
+     *
+     * @param {mixed} value
+     * @param {String} literal
+     * @param {Boolean} caseless
+     * @return {Number} Negative if the value is smaller than the literal, 0 if
+     *                  they are equal, positive otherwise
+     */
+    compare: function(value, literal, caseless) {
+        var other;
+        if (value instanceof Date) {
+            other = Date.parse(literal);
+            if (!isNaN(other))
+                return value.getTime() - other;
+        }
+        else if (isNumeric(value) && isNumeric(literal)) {
+            return parseFloat(value) - parseFloat(literal);
+        }
+        return compareStrings(String(value), literal, caseless);
+    },
+
+    /**
+     * Converts the pattern of a like condition to a regular expression. In the
+     * pattern '%' matches any string, '_' matches a single character and '\'
+     * escapes the character that follows it.
+     *
+     * @param {String} pattern
+     * @param {Boolean} caseless
+     * @return {RegExp}
+     */
+    likeToRegExp: function(pattern, caseless) {
+        var source = "";
+        var c;
+        for (var i = 0, l = pattern.length; i < l; ++i) {
+            c = pattern.charAt(i);
+            if (c == "\\" && i + 1 < l)
+                source += Util.escapeRegExp(pattern.charAt(++i));
+            else if (c == "%")
+                source += "[\\s\\S]*";
+            else if (c == "_")
+                source += "[\\s\\S]";
+            else
+                source += Util.escapeRegExp(c);
+        }
+        return new RegExp("^" + source + "$", caseless ? "i" : "");
+    },
+
+    /**
+     * Checks whether the content of a file contains a string, ignoring case.
+     * The outcome is unknown for files that are too large to search.
+     *
+     * @param {String} path
+     * @param {String} literal
+     * @return void
+     */
+    contains: function(path, literal, callback) {
+        var maxSize = this.handler.server.options.maxSearchContentSize || this.MAX_CONTENT_SIZE;
+        this.handler.getNodeForPath(path, function(err, node) {
+            if (err)
+                return callback(err);
+            if (!node.hasFeature(jsDAV_iFile))
+                return callback(null, false);
+            node.getSize(function(err, size) {
+                if (err)
+                    return callback(err);
+                if (size > maxSize)
+                    return callback(null, null);
+                node.get(function(err, data) {
+                    if (err)
+                        return callback(err);
+                    if (typeof data != "string" && !Buffer.isBuffer(data))
+                        return callback(null, null);
+                    callback(null, data.toString("utf8").toLowerCase().indexOf(literal.toLowerCase()) > -1);
+                });
+            });
+        });
+    },
+
+    /**
+     * Sorts results by the sort keys of a query. Results for which a property
+     * is not defined are ordered last.
+     *
+     * @param {Array} results
+     * @param {Array} orderBy
+     * @return {Array}
+     */
+    sort: function(results, orderBy) {
+        var self = this;
+        var keys = results.map(function(result, index) {
+            return {
+                result: result,
+                index: index,
+                values: orderBy.map(function(order) {
+                    return self.getValue(result, order.property);
+                })
+            };
+        });
+        keys.sort(function(a, b) {
+            var comparison, valueA, valueB, order;
+            for (var i = 0, l = orderBy.length; i < l; ++i) {
+                order = orderBy[i];
+                valueA = a.values[i];
+                valueB = b.values[i];
+                if (valueA === undefined || valueB === undefined) {
+                    if (valueA !== valueB)
+                        return valueA === undefined ? 1 : -1;
+                    continue;
+                }
+                if (valueA instanceof Date && valueB instanceof Date)
+                    comparison = valueA.getTime() - valueB.getTime();
+                else if (isNumeric(valueA) && isNumeric(valueB))
+                    comparison = parseFloat(valueA) - parseFloat(valueB);
+                else
+                    comparison = compareStrings(String(valueA), String(valueB), order.caseless);
+                if (comparison)
+                    return order.ascending ? comparison : -comparison;
+            }
+            return a.index - b.index;
+        });
+        return keys.map(function(key) {
+            return key.result;
+        });
+    },
+
+    /**
+     * Sends the selected properties of the results in a multistatus response.
+     *
+     * @param {Object} query
+     * @param {Array} results
+     * @return void
+     */
+    sendResults: function(e, query, results) {
+        var handler = this.handler;
+        var prefer = handler.getHTTPPrefer();
+        e.stop();
+        handler.streamMultiStatus(prefer["return-minimal"], null, function(write, cbdone) {
+            Async.list(results)
+                .each(function(result, next) {
+                    handler.streamPropertiesForPath(result.path, query.select.concat(), 0, function(rpath, properties, cbnext) {
+                        write(properties, cbnext);
+                    }, function(err) {
+                        // the resource was removed in the meantime
+                        next(err instanceof Exc.FileNotFound ? null : err);
+                    });
+                })
+                .end(function(err) {
+                    cbdone(err);
+                });
+        });
+    }
+});
+
+/**
+ * Checks whether a value is a number, or a string that represents one
+ *
+ * @param {mixed} value
+ * @return {Boolean}
+ */
+function isNumeric(value) {
+    if (typeof value == "number")
+        return !isNaN(value);
+    return typeof value == "string" && /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value);
+}
+
+/**
+ * Compares two strings, optionally ignoring case
+ *
+ * @param {String} a
+ * @param {String} b
+ * @param {Boolean} caseless
+ * @return {Number}
+ */
+function compareStrings(a, b, caseless) {
+    if (caseless) {
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
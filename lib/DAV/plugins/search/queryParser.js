@@ -0,0 +1,348 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Handler = require("./../../handler");
+
+var Base = require("./../../../shared/base");
+var Exc = require("./../../../shared/exceptions");
+var Xml = require("./../../../shared/xml");
+
+/**
+ * Parses the body of a SEARCH request with the {DAV:}basicsearch grammar, as
+ * described in RFC5323 section 5.
+ *
+ * The where clause is parsed into a tree of plain objects, which all have an
+ * 'operator' (the local name of the element, like 'and', 'eq' or 'like'):
+ *
+ *   * and, or      - 'operands', a list of conditions
+ *   * not          - 'operand', a single condition
+ *   * eq, lt, lte,
+ *     gt, gte      - 'property' in clark notation, the 'literal' to compare it
+ *                    with and whether the comparison is 'caseless'
+ *   * like         - 'property', the 'literal' pattern and 'caseless'
+ *   * is-defined   - 'property'
+ *   * contains     - the 'literal' to look for in the content of a resource
+ *   * is-collection
+ */
+var jsDAV_Search_QueryParser = module.exports = Base.extend({
+    COMPARISONS: ["eq", "lt", "lte", "gt", "gte", "like"],
+
+    /**
+     * List of properties to return for each result. An empty list means that
+     * all properties were requested.
+     *
+     * @var Array
+     */
+    select: [],
+
+    /**
+     * List of scopes to search, as objects with an 'href' and a 'depth'.
+     *
+     * @var Array
+     */
+    scopes: [],
+
+    /**
+     * The condition results must match, or null if all resources match.
+     *
+     * @var Object
+     */
+    where: null,
+
+    /**
+     * List of sort keys, as objects with a 'property' in clark notation and
+     * whether the order is 'ascending' and 'caseless'.
+     *
+     * @var Array
+     */
+    orderBy: [],
+
+    /**
+     * The maximum number of results, or null if there is no limit.
+     *
+     * @var Number
+     */
+    limit: null,
+
+    /**
+     * DOM Document
+     *
+     * @var DOMDocument
+     */
+    dom: null,
+
+    /**
+     * Creates the parser
+     *
+     * @param DOMDocument dom
+     */
+    initialize: function(dom) {
+        this.dom = dom;
+        this.select = [];
+        this.scopes = [];
+        this.orderBy = [];
+    },
+
+    /**
+     * Parses the request.
+     *
+     * @return void
+     * @throws Exc.BadRequest
+     */
+    parse: function() {
+        if (Xml.toClarkNotation(this.dom) != "{DAV:}searchrequest")
+            throw new Exc.BadRequest("The request body must be a {DAV:}searchrequest element");
+
+        var grammars = getElements(this.dom);
+        if (grammars.length != 1 || Xml.toClarkNotation(grammars[0]) != "{DAV:}basicsearch")
+            throw new Exc.SearchGrammarSupported("Only the {DAV:}basicsearch grammar is supported");
+
+        var select = null;
+        var from = null;
+        var where = null;
+        var orderBy = null;
+        var limit = null;
+        getElements(grammars[0]).forEach(function(child) {
+            switch (Xml.toClarkNotation(child)) {
+                case "{DAV:}select":
+                    select = child;
+                    break;
+                case "{DAV:}from":
+                    from = child;
+                    break;
+                case "{DAV:}where":
+                    where = child;
+                    break;
+                case "{DAV:}orderby":
+                    orderBy = child;
+                    break;
+                case "{DAV:}limit":
+                    limit = child;
+                    break;
+            }
+        });
+
+        if (!select || !from)
+            throw new Exc.BadRequest("A {DAV:}basicsearch element must contain a {DAV:}select and a {DAV:}from element");
+
+        this.parseSelect(select);
+        this.parseFrom(from);
+        if (where) {
+            var conditions = getElements(where);
+            if (conditions.length != 1)
+                throw new Exc.BadRequest("The {DAV:}where element must contain a single condition");
+            this.where = this.parseCondition(conditions[0]);
+        }
+        if (orderBy)
+            this.parseOrderBy(orderBy);
+        if (limit)
+            this.parseLimit(limit);
+    },
+
+    /**
+     * Parses the select element
+     *
+     * @param DOMElement node
+     * @return void
+     * @throws Exc.BadRequest
+     */
+    parseSelect: function(node) {
+        var children = getElements(node);
+        if (children.length == 1 && Xml.toClarkNotation(children[0]) == "{DAV:}allprop")
+            return;
+        if (children.length != 1 || Xml.toClarkNotation(children[0]) != "{DAV:}prop")
+            throw new Exc.BadRequest("The {DAV:}select element must contain a {DAV:}prop or {DAV:}allprop element");
+        this.select = Object.keys(Xml.parseProperties(node));
+    },
+
+    /**
+     * Parses the from element
+     *
+     * @param DOMElement node
+     * @return void
+     * @throws Exc.BadRequest
+     */
+    parseFrom: function(node) {
+        var self = this;
+        getElements(node).forEach(function(scope) {
+            if (Xml.toClarkNotation(scope) != "{DAV:}scope")
+                return;
+
+            var href = null;
+            var depth = jsDAV_Handler.DEPTH_INFINITY;
+            getElements(scope).forEach(function(child) {
+                var name = Xml.toClarkNotation(child);
+                if (name == "{DAV:}href") {
+                    href = Xml.getTextContent(child).trim();
+                }
+                else if (name == "{DAV:}depth") {
+                    var value = Xml.getTextContent(child).trim().toLowerCase();
+                    if (value != "0" && value != "1" && value != "infinity")
+                        throw new Exc.BadRequest("The depth of a scope must be '0', '1' or 'infinity'");
+                    depth = value == "infinity" ? jsDAV_Handler.DEPTH_INFINITY : parseInt(value, 10);
+                }
+                else if (name == "{DAV:}include-versions") {
+                    throw new Exc.BadRequest("Searching versions is not supported");
+                }
+            });
+            if (!href)
+                throw new Exc.BadRequest("A {DAV:}scope element must contain a {DAV:}href element");
+            self.scopes.push({href: href, depth: depth});
+        });
+
+        if (!this.scopes.length)
+            throw new Exc.BadRequest("The {DAV:}from element must contain at least one {DAV:}scope element");
+    },
+
+    /**
+     * Parses a condition of the where element
+     *
+     * @param DOMElement node
+     * @return Object
+     * @throws Exc.BadRequest
+     */
+    parseCondition: function(node) {
+        var name = Xml.toClarkNotation(node);
+        if (name.indexOf("{DAV:}") !== 0)
+            throw new Exc.BadRequest("Unknown search condition " + name);
+
+        var operator = name.substr(6);
+        var children = getElements(node);
+        var condition = {operator: operator};
+        switch (operator) {
+            case "and":
+            case "or":
+                condition.operands = children.map(this.parseCondition, this);
+                if (!condition.operands.length)
+                    throw new Exc.BadRequest("The " + name + " condition must contain at least one condition");
+                break;
+            case "not":
+                if (children.length != 1)
+                    throw new Exc.BadRequest("The " + name + " condition must contain a single condition");
+                condition.operand = this.parseCondition(children[0]);
+                break;
+            case "is-collection":
+                break;
+            case "is-defined":
+                condition.property = parseProperty(node);
+                break;
+            case "contains":
+                condition.literal = Xml.getTextContent(node);
+                break;
+            default:
+                if (this.COMPARISONS.indexOf(operator) === -1)
+                    throw new Exc.BadRequest("Unknown search condition " + name);
+                condition.property = parseProperty(node);
+                condition.literal = parseLiteral(node);
+                condition.caseless = node.getAttribute("caseless") == "yes";
+                break;
+        }
+        return condition;
+    },
+
+    /**
+     * Parses the orderby element
+     *
+     * @param DOMElement node
+     * @return void
+     * @throws Exc.BadRequest
+     */
+    parseOrderBy: function(node) {
+        var self = this;
+        getElements(node).forEach(function(order) {
+            if (Xml.toClarkNotation(order) != "{DAV:}order")
+                return;
+
+            var property = null;
+            var ascending = true;
+            getElements(order).forEach(function(child) {
+                var name = Xml.toClarkNotation(child);
+                if (name == "{DAV:}prop")
+                    property = parseProperty(order);
+                else if (name == "{DAV:}descending")
+                    ascending = false;
+            });
+            // ordering by relevance ({DAV:}score) is not supported, and the
+            // results of a basicsearch are all equally relevant anyway
+            if (!property)
+                return;
+            self.orderBy.push({
+                property: property,
+                ascending: ascending,
+                caseless: order.getAttribute("caseless") == "yes"
+            });
+        });
+    },
+
+    /**
+     * Parses the limit element
+     *
+     * @param DOMElement node
+     * @return void
+     * @throws Exc.BadRequest
+     */
+    parseLimit: function(node) {
+        var self = this;
+        getElements(node).forEach(function(child) {
+            if (Xml.toClarkNotation(child) != "{DAV:}nresults")
+                return;
+            var value = Xml.getTextContent(child).trim();
+            if (!/^\d+$/.test(value) || parseInt(value, 10) === 0)
+                throw new Exc.BadRequest("The {DAV:}nresults element must contain a positive integer");
+            self.limit = parseInt(value, 10);
+        });
+    }
+});
+
+/**
+ * Returns the child elements of a node
+ *
+ * @param DOMElement node
+ * @return Array
+ */
+function getElements(node) {
+    var elements = [];
+    for (var i = 0, l = node.childNodes.length; i < l; ++i) {
+        if (node.childNodes[i].nodeType == 1)
+            elements.push(node.childNodes[i]);
+    }
+    return elements;
+}
+
+/**
+ * Returns the name of the single property in the prop element of a node, in
+ * clark notation
+ *
+ * @param DOMElement node
+ * @return String
+ * @throws Exc.BadRequest
+ */
+function parseProperty(node) {
+    var properties = Object.keys(Xml.parseProperties(node));
+    if (properties.length != 1)
+        throw new Exc.BadRequest("The " + Xml.toClarkNotation(node) + " element must contain a {DAV:}prop element with a single property");
+    return properties[0];
+}
+
+/**
+ * Returns the value of the literal or typed-literal element of a node
+ *
+ * @param DOMElement node
+ * @return String
+ * @throws Exc.BadRequest
+ */
+function parseLiteral(node) {
+    var children = getElements(node);
+    for (var name, i = 0, l = children.length; i < l; ++i) {
+        name = Xml.toClarkNotation(children[i]);
+        if (name == "{DAV:}literal" || name == "{DAV:}typed-literal")
+            return Xml.getTextContent(children[i]);
+    }
+    throw new Exc.BadRequest("The " + Xml.toClarkNotation(node) + " element must contain a {DAV:}literal element");
+}
@@ -0,0 +1,446 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Handler = require("./../handler");
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_Property_Response = require("./../property/response");
+var jsDAV_iCollection = require("./../interfaces/iCollection");
+
+var Async = require("asyncjs");
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+var Xml = require("./../../shared/xml");
+
+/**
+ * Collection synchronization plugin
+ *
+ * This plugin implements the {DAV:}sync-collection REPORT and the
+ * {DAV:}sync-token property, as defined in RFC6578, for any tree. Clients use
+ * it to fetch the members of a collection that changed since their last sync.
+ *
+ * Changes are recorded in a change log while the server handles requests. The
+ * plugin is enabled by passing a change log as the 'syncBackend' server option
+ * (see jsDAV_Sync_iBackend). Changes made to the tree without going through
+ * the server are not noticed.
+ *
+ * The change log is kept for the entire tree, but every collection has its own
+ * sync-token: the token of the most recent change within that collection, at
+ * any depth. A change in one collection thus leaves the sync-token of the
+ * others as it is.
+ */
+var jsDAV_Sync_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "sync",
+
+    /**
+     * Sync-tokens are URIs; this prefix is followed by the token of the change
+     * log.
+     *
+     * @var String
+     */
+    SYNCTOKEN_PREFIX: Xml.NS_AJAXORG + "/ns/sync/",
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.syncBackend = handler.server.options.syncBackend || null;
+        // changes that were recorded during this request
+        this.recorded = {};
+
+        handler.addEventListener("report", this.report.bind(this));
+        handler.addEventListener("beforeGetProperties", this.beforeGetProperties.bind(this));
+        handler.addEventListener("afterBind", this.afterBind.bind(this));
+        handler.addEventListener("afterWriteContent", this.afterWriteContent.bind(this));
+        handler.addEventListener("afterMove", this.afterMove.bind(this));
+        handler.addEventListener("afterCopy", this.afterCopy.bind(this));
+        handler.addEventListener("beforeUnbind", this.beforeUnbind.bind(this));
+    },
+
+    /**
+     * Returns a list of reports this plugin supports.
+     *
+     * This will be used in the {DAV:}supported-report-set property.
+     *
+     * @param {String} uri
+     * @return array
+     */
+    getSupportedReportSet: function(uri, callback) {
+        if (!this.syncBackend)
+            return callback(null, []);
+
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return callback(err);
+            callback(null, node.hasFeature(jsDAV_iCollection) ? ["{DAV:}sync-collection"] : []);
+        });
+    },
+
+    /**
+     * This method is triggered whenever a resource was created.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterBind: function(e, uri) {
+        this.addChange(e, uri, "added");
+    },
+
+    /**
+     * This method is triggered whenever the contents of a file changed.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterWriteContent: function(e, uri) {
+        this.addChange(e, uri, "modified");
+    },
+
+    /**
+     * This method is triggered after a resource was moved. The source was
+     * removed and the destination was created.
+     *
+     * @param {String} destination
+     * @param {String} source
+     * @return void
+     */
+    afterMove: function(e, destination, source) {
+        var self = this;
+        this.recordChange(source, "deleted", function() {
+            self.addChange(e, destination, "added");
+        });
+    },
+
+    /**
+     * This method is triggered after a resource was copied.
+     *
+     * @param {String} destination
+     * @return void
+     */
+    afterCopy: function(e, destination) {
+        this.addChange(e, destination, "added");
+    },
+
+    /**
+     * This method is triggered before a resource is deleted.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    beforeUnbind: function(e, uri) {
+        this.addChange(e, uri, "deleted");
+    },
+
+    /**
+     * Records a change in the change log and continues with the next listener
+     * of the event.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return void
+     */
+    addChange: function(e, uri, type) {
+        this.recordChange(uri, type, function() {
+            e.next();
+        });
+    },
+
+    /**
+     * Records a change in the change log. A change is recorded only once per
+     * request, because some operations trigger multiple events for the same
+     * resource. Failures to record a change are logged, but do not let the
+     * request fail.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return void
+     */
+    recordChange: function(uri, type, callback) {
+        if (!this.syncBackend || typeof uri != "string")
+            return callback();
+
+        uri = Util.trim(uri, "/");
+        // a resource that was created is always modified as well
+        if (this.recorded[uri] === type || this.recorded[uri] == "added" && type == "modified")
+            return callback();
+        this.recorded[uri] = type;
+
+        this.syncBackend.addChange(uri, type, function(err) {
+            if (err)
+                Util.log("Unable to record change of '" + uri + "' in the change log: " + (err.message || err), "error");
+            callback();
+        });
+    },
+
+    /**
+     * Adds the {DAV:}sync-token property to collections.
+     *
+     * @param {String} path
+     * @param {jsDAV_iNode} node
+     * @param {Object} requestedProperties
+     * @param {Object} returnedProperties
+     * @return void
+     */
+    beforeGetProperties: function(e, path, node, requestedProperties, returnedProperties) {
+        if (!this.syncBackend || !requestedProperties["{DAV:}sync-token"] || !node.hasFeature(jsDAV_iCollection))
+            return e.next();
+
+        var self = this;
+        this.syncBackend.getCurrentToken(Util.trim(path, "/"), function(err, token) {
+            if (err)
+                return e.next(err);
+            delete requestedProperties["{DAV:}sync-token"];
+            returnedProperties["200"]["{DAV:}sync-token"] = self.SYNCTOKEN_PREFIX + token;
+            e.next();
+        });
+    },
+
+    /**
+     * This functions handles REPORT requests specific to the sync plugin
+     *
+     * @param {String} reportName
+     * @param {DOMNode} dom
+     * @return void
+     */
+    report: function(e, reportName, dom) {
+        if (reportName != "{DAV:}sync-collection" || !this.syncBackend)
+            return e.next();
+        this.syncCollectionReport(e, dom);
+    },
+
+    /**
+     * Handles the {DAV:}sync-collection REPORT.
+     *
+     * Without a sync-token all members of the collection are returned. With a
+     * sync-token only the members that changed since, of which removed members
+     * are reported with a 404 status. The response ends with a new sync-token.
+     *
+     * The {DAV:}limit element is honored for requests with a sync-token only.
+     *
+     * @param {DOMNode} dom
+     * @return void
+     */
+    syncCollectionReport: function(e, dom) {
+        var self = this;
+        var handler = this.handler;
+        var uri = Util.trim(handler.getRequestUri(), "/");
+
+        var request = this.parseSyncCollectionRequest(dom);
+        if (!request)
+            return e.next(new Exc.BadRequest("The sync-level element must be either '1' or 'infinite'"));
+
+        var token = null;
+        if (request.token) {
+            token = this.parseSyncToken(request.token);
+            if (token === null)
+                return e.next(new Exc.InvalidSyncToken("The sync-token '" + request.token + "' is not valid"));
+        }
+
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return e.next(err);
+            if (!node.hasFeature(jsDAV_iCollection))
+                return e.next(new Exc.ReportNotImplemented("The sync-collection report is only supported on collections"));
+
+            var prefer = handler.getHTTPPrefer();
+            var depth = request.level == "infinite" ? jsDAV_Handler.DEPTH_INFINITY : 1;
+
+            if (token === null) {
+                return self.syncBackend.getCurrentToken(uri, function(err, current) {
+                    if (err)
+                        return e.next(err);
+
+                    e.stop();
+                    handler.streamMultiStatus(prefer["return-minimal"], null, function(write, cbdone) {
+                        handler.streamPropertiesForPath(uri, request.properties, depth, function(rpath, props, next) {
+                            // the collection itself is not reported
+                            if (rpath === uri)
+                                return next();
+                            write(props, next);
+                        }, function(err) {
+                            cbdone(err, self.serializeSyncToken(current));
+                        });
+                    });
+                });
+            }
+
+            self.syncBackend.getChanges(uri, token, function(err, changes) {
+                if (err)
+                    return e.next(err);
+                if (!changes)
+                    return e.next(new Exc.InvalidSyncToken("The sync-token '" + request.token + "' is not valid anymore"));
+
+                var result = self.getChangedMembers(uri, depth, changes, request.limit);
+                var newToken = result.token === null ? token : result.token;
+
+                e.stop();
+                handler.streamMultiStatus(prefer["return-minimal"], null, function(write, cbdone) {
+                    Async.list(result.members)
+                        .each(function(member, next) {
+                            if (member.type == "deleted")
+                                return write(jsDAV_Property_Response.new(member.uri, {}, 404), next);
+
+                            // the members of a collection that was added are new as well
+                            var memberDepth = depth === jsDAV_Handler.DEPTH_INFINITY && member.type == "added"
+                                ? jsDAV_Handler.DEPTH_INFINITY
+                                : 0;
+                            handler.streamPropertiesForPath(member.uri, request.properties, memberDepth, function(rpath, props, next) {
+                                write(props, next);
+                            }, function(err) {
+                                // the member was removed in the meantime
+                                if (err instanceof Exc.FileNotFound)
+                                    return write(jsDAV_Property_Response.new(member.uri, {}, 404), next);
+                                next(err);
+                            });
+                        })
+                        .end(function(err) {
+                            if (err)
+                                return cbdone(err);
+                            if (!result.truncated)
+                                return cbdone(null, self.serializeSyncToken(newToken));
+
+                            // RFC6578 section 3.6: a truncated result is marked with
+                            // a 507 response for the request-URI.
+                            write(jsDAV_Property_Response.new(uri, {}, 507), function(err) {
+                                cbdone(err, self.serializeSyncToken(newToken));
+                            });
+                        });
+                });
+            });
+        });
+    },
+
+    /**
+     * Reduces a list of changes to the members of a collection that changed,
+     * in the order in which they first changed. Every member is listed once,
+     * with the type of change that describes its state best.
+     *
+     * When more members changed than 'limit', the list is truncated and the
+     * returned token points to the last change that was taken into account.
+     *
+     * @param {String} uri      Uri of the collection
+     * @param {Number} depth    1 or jsDAV_Handler.DEPTH_INFINITY
+     * @param {Array}  changes  Changes from the change log, oldest first
+     * @param {Number} limit
+     * @return {Object} {members: [{uri, type}], token: Number, truncated: Boolean}
+     */
+    getChangedMembers: function(uri, depth, changes, limit) {
+        var members = [];
+        var index = {};
+        var token = null;
+        var truncated = false;
+        var prefix = uri ? uri + "/" : "";
+
+        for (var change, member, i = 0, l = changes.length; i < l; ++i) {
+            change = changes[i];
+            var inScope = change.uri !== uri && change.uri.indexOf(prefix) === 0
+                && (depth === jsDAV_Handler.DEPTH_INFINITY || change.uri.substr(prefix.length).indexOf("/") === -1);
+
+            if (inScope) {
+                member = index[change.uri];
+                if (!member) {
+                    if (limit && members.length >= limit) {
+                        truncated = true;
+                        break;
+                    }
+                    member = index[change.uri] = {uri: change.uri, type: change.type};
+                    members.push(member);
+                }
+                else if (change.type == "deleted") {
+                    member.type = "deleted";
+                }
+                else if (member.type == "deleted") {
+                    member.type = "added";
+                }
+                else if (member.type != "added") {
+                    member.type = change.type;
+                }
+            }
+            token = change.token;
+        }
+
+        return {
+            members: members,
+            token: token,
+            truncated: truncated
+        };
+    },
+
+    /**
+     * Parses the body of a sync-collection REPORT. Returns null when the
+     * request is invalid.
+     *
+     * @param {DOMNode} dom
+     * @return {Object} {token: String, level: String, limit: Number, properties: Array}
+     */
+    parseSyncCollectionRequest: function(dom) {
+        var request = {
+            token: null,
+            level: "1",
+            limit: null,
+            properties: Object.keys(Xml.parseProperties(dom))
+        };
+
+        for (var child, name, i = 0, l = dom.childNodes.length; i < l; ++i) {
+            child = dom.childNodes[i];
+            name = Xml.toClarkNotation(child);
+            if (name == "{DAV:}sync-token") {
+                request.token = getText(child) || null;
+            }
+            else if (name == "{DAV:}sync-level") {
+                request.level = getText(child);
+                if (request.level != "1" && request.level != "infinite")
+                    return null;
+            }
+            else if (name == "{DAV:}limit") {
+                for (var j = 0; j < child.childNodes.length; ++j) {
+                    if (Xml.toClarkNotation(child.childNodes[j]) == "{DAV:}nresults")
+                        request.limit = parseInt(getText(child.childNodes[j]), 10) || null;
+                }
+            }
+        }
+
+        return request;
+    },
+
+    /**
+     * Returns the token of the change log for a sync-token, or null if the
+     * sync-token was not handed out by this plugin.
+     *
+     * @param {String} syncToken
+     * @return {Number}
+     */
+    parseSyncToken: function(syncToken) {
+        if (syncToken.indexOf(this.SYNCTOKEN_PREFIX) !== 0)
+            return null;
+        var token = syncToken.substr(this.SYNCTOKEN_PREFIX.length);
+        return /^\d+$/.test(token) ? parseInt(token, 10) : null;
+    },
+
+    /**
+     * Serializes a token of the change log to a {DAV:}sync-token element.
+     *
+     * @param {Number} token
+     * @return {String}
+     */
+    serializeSyncToken: function(token) {
+        return "<d:sync-token>" + Xml.escapeXml(this.SYNCTOKEN_PREFIX + token) + "</d:sync-token>";
+    }
+});
+
+function getText(node) {
+    var text = "";
+    for (var i = 0, l = node.childNodes.length; i < l; ++i) {
+        if (node.childNodes[i].nodeType == 3 || node.childNodes[i].nodeType == 4)
+            text += node.childNodes[i].nodeValue;
+    }
+    return Util.trim(text);
+}
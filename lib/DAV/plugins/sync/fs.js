@@ -0,0 +1,165 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Sync_Backend_Memory = require("./memory");
+var jsDAV_Server = require("./../../server");
+
+var Fs = require("fs");
+var Async = require("asyncjs");
+
+/**
+ * This change log stores all changes in a file, one JSON encoded change per
+ * line. By default it will do this in the system's standard temporary
+ * directory, but this can be overriden by specifiying an alternative path in
+ * the contructor.
+ *
+ * Writes are serialized within the process, so the file must not be shared
+ * between multiple processes. Once the file is read, changes are looked up in
+ * memory, like the memory change log does.
+ */
+var jsDAV_Sync_Backend_FS = module.exports = jsDAV_Sync_Backend_Memory.extend({
+    initialize: function(dataDir, maxChanges) {
+        this.dataDir = dataDir || jsDAV_Server.DEFAULT_TMPDIR + "/jsdav";
+        this.path = this.dataDir + "/jsdav_changes.log";
+        this.maxChanges = maxChanges || this.MAX_CHANGES;
+        // the log is read once and kept in memory afterwards
+        this.changes = null;
+        this.token = 0;
+        this.queue = [];
+        // ensure that the path is there
+        Async.makePath(this.dataDir, function() {});
+    },
+
+    /**
+     * Reads the log from disk, if that didn't happen yet.
+     *
+     * @return void
+     */
+    load: function(cbload) {
+        if (this.changes)
+            return cbload();
+
+        var self = this;
+        Fs.readFile(this.path, "utf8", function(err, data) {
+            if (err && err.code != "ENOENT")
+                return cbload(err);
+
+            var changes = [];
+            (data || "").split("\n").forEach(function(line) {
+                if (!line)
+                    return;
+                try {
+                    changes.push(JSON.parse(line));
+                }
+                catch (ex) {}
+            });
+            // another call may have loaded the log in the meantime
+            if (!self.changes) {
+                self.changes = changes;
+                self.token = changes.length ? changes[changes.length - 1].token : 0;
+            }
+            cbload();
+        });
+    },
+
+    /**
+     * Returns the token of the most recent change of a collection.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getCurrentToken: function(uri, callback) {
+        var self = this;
+        this.load(function(err) {
+            if (err)
+                return callback(err);
+            jsDAV_Sync_Backend_Memory.getCurrentToken.call(self, uri, callback);
+        });
+    },
+
+    /**
+     * Records a change and returns its token. Changes are appended to the file
+     * one at a time; when the log grows beyond twice the maximum amount of
+     * changes, the file is rewritten with the most recent changes only.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return {Number}
+     */
+    addChange: function(uri, type, callback) {
+        var self = this;
+        this.queue.push([uri, type, callback]);
+        if (this.queue.length > 1)
+            return;
+
+        this.load(function(err) {
+            if (err) {
+                var queue = self.queue;
+                self.queue = [];
+                return queue.forEach(function(item) {
+                    item[2](err);
+                });
+            }
+            next();
+        });
+
+        function next() {
+            var item = self.queue[0];
+            if (!item)
+                return;
+
+            var change = {
+                token: self.token + 1,
+                uri: item[0],
+                type: item[1]
+            };
+
+            function done(err) {
+                if (!err) {
+                    self.token = change.token;
+                    self.changes.push(change);
+                }
+                self.queue.shift();
+                // the callback may record another change, which must not be
+                // picked up twice
+                next();
+                item[2](err, err ? null : change.token);
+            }
+
+            if (self.changes.length + 1 > self.maxChanges * 2) {
+                var changes = self.changes.slice(self.changes.length + 1 - self.maxChanges).concat(change);
+                Fs.writeFile(self.path, changes.map(JSON.stringify).join("\n") + "\n", "utf8", function(err) {
+                    if (!err)
+                        self.changes = changes.slice(0, -1);
+                    done(err);
+                });
+            }
+            else {
+                Fs.appendFile(self.path, JSON.stringify(change) + "\n", "utf8", done);
+            }
+        }
+    },
+
+    /**
+     * Returns the changes of a collection that were recorded after the given
+     * token.
+     *
+     * @param {String} uri
+     * @param {Number} token
+     * @return {Array}
+     */
+    getChanges: function(uri, token, callback) {
+        var self = this;
+        this.load(function(err) {
+            if (err)
+                return callback(err);
+            jsDAV_Sync_Backend_Memory.getChanges.call(self, uri, token, callback);
+        });
+    }
+});
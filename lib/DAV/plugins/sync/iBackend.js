@@ -0,0 +1,64 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * This is the interface for the change log that backs the sync-collection
+ * REPORT.
+ *
+ * The change log is a list of changes, ordered by a sequence number that
+ * doubles as the sync-token. Every change is a plain object:
+ *
+ * {
+ *   token: 42,                // sequence number of the change
+ *   uri: "path/to/file.txt",  // uri of the resource that changed
+ *   type: "modified"          // one of "added", "modified" or "deleted"
+ * }
+ *
+ * Backends may discard old changes to limit the size of the log. Tokens that
+ * precede the discarded changes are no longer valid.
+ *
+ * Changes are looked up per collection: the changes of a collection are the
+ * changes of the collection itself and of all resources below it. An empty
+ * uri stands for the entire tree.
+ */
+var jsDAV_Sync_iBackend = module.exports = Base.extend({
+    /**
+     * Returns the token of the most recent change of a collection. If the
+     * collection didn't change since the oldest change in the log, the token
+     * that precedes the oldest change is returned, so that the token is still
+     * valid. If nothing changed yet, 0 is returned.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getCurrentToken: function(uri, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Records a change and returns its token.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return {Number}
+     */
+    addChange: function(uri, type, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns the changes of a collection that were recorded after the given
+     * token, oldest first. If the changes since the token are not available
+     * anymore, or the token is unknown, null must be returned.
+     *
+     * @param {String} uri
+     * @param {Number} token
+     * @return {Array}
+     */
+    getChanges: function(uri, token, callback) { callback(Exc.notImplementedYet()); }
+});
@@ -0,0 +1,95 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Sync_iBackend = require("./iBackend");
+
+/**
+ * This change log keeps all changes in memory. The log is lost when the process
+ * exits, which invalidates all sync-tokens handed out before.
+ */
+var jsDAV_Sync_Backend_Memory = module.exports = jsDAV_Sync_iBackend.extend({
+    /**
+     * Default maximum amount of changes to keep
+     *
+     * @var Number
+     */
+    MAX_CHANGES: 10000,
+
+    initialize: function(maxChanges) {
+        this.maxChanges = maxChanges || this.MAX_CHANGES;
+        this.changes = [];
+        this.token = 0;
+    },
+
+    /**
+     * Returns the token of the most recent change of a collection.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getCurrentToken: function(uri, callback) {
+        var changes = this.changes;
+        if (!changes.length)
+            return callback(null, this.token);
+
+        for (var i = changes.length - 1; i >= 0; --i) {
+            if (isInCollection(changes[i].uri, uri))
+                return callback(null, changes[i].token);
+        }
+        callback(null, changes[0].token - 1);
+    },
+
+    /**
+     * Records a change and returns its token.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return {Number}
+     */
+    addChange: function(uri, type, callback) {
+        var change = {
+            token: ++this.token,
+            uri: uri,
+            type: type
+        };
+        this.changes.push(change);
+        if (this.changes.length > this.maxChanges)
+            this.changes.splice(0, this.changes.length - this.maxChanges);
+        callback(null, change.token);
+    },
+
+    /**
+     * Returns the changes of a collection that were recorded after the given
+     * token.
+     *
+     * @param {String} uri
+     * @param {Number} token
+     * @return {Array}
+     */
+    getChanges: function(uri, token, callback) {
+        if (token > this.token || (this.changes.length && token < this.changes[0].token - 1))
+            return callback(null, null);
+
+        callback(null, this.changes.filter(function(change) {
+            return change.token > token && isInCollection(change.uri, uri);
+        }));
+    }
+});
+
+/**
+ * Returns whether a resource is the collection at 'uri' or one of the resources
+ * below it.
+ *
+ * @param {String} changeUri
+ * @param {String} uri
+ * @return {Boolean}
+ */
+function isInCollection(changeUri, uri) {
+    return !uri || changeUri === uri || changeUri.indexOf(uri + "/") === 0;
+}
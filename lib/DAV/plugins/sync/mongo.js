@@ -0,0 +1,151 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Sync_iBackend = require("./iBackend");
+
+var Util = require("./../../../shared/util");
+
+/**
+ * This change log stores every change as a document in a mongo collection.
+ * The current token is kept in a counter document in a second collection.
+ */
+var jsDAV_Sync_Backend_Mongo = module.exports = jsDAV_Sync_iBackend.extend({
+    /**
+     * Default maximum amount of changes to keep
+     *
+     * @var Number
+     */
+    MAX_CHANGES: 10000,
+
+    initialize: function(mongo, tableName, countersTableName, maxChanges) {
+        this.mongo = mongo;
+        this.tableName = tableName || "changes";
+        this.countersTableName = countersTableName || "counters";
+        this.maxChanges = maxChanges || this.MAX_CHANGES;
+    },
+
+    /**
+     * Returns the token of the most recent change of a collection.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getCurrentToken: function(uri, callback) {
+        var changes = this.mongo.collection(this.tableName);
+        changes.find(getCollectionQuery(uri)).sort({token: -1}).limit(1).toArray(function(err, latest) {
+            if (err)
+                return callback(err);
+            if (latest.length)
+                return callback(null, latest[0].token);
+
+            changes.find({}).sort({token: 1}).limit(1).toArray(function(err, oldest) {
+                if (err)
+                    return callback(err);
+                callback(null, oldest.length ? oldest[0].token - 1 : 0);
+            });
+        });
+    },
+
+    /**
+     * Records a change and returns its token.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return {Number}
+     */
+    addChange: function(uri, type, callback) {
+        var self = this;
+        this.mongo.collection(this.countersTableName).findAndModify({
+            _id: this.tableName
+        }, [], {
+            $inc: {token: 1}
+        }, {
+            "new": true,
+            upsert: true
+        }, function(err, doc) {
+            if (err)
+                return callback(err);
+
+            var token = doc.token;
+            var changes = self.mongo.collection(self.tableName);
+            changes.insert({
+                token: token,
+                uri: uri,
+                type: type
+            }, function(err) {
+                if (err)
+                    return callback(err);
+
+                changes.remove({
+                    token: {$lte: token - self.maxChanges}
+                }, function(err) {
+                    callback(err, err ? null : token);
+                });
+            });
+        });
+    },
+
+    /**
+     * Returns the changes of a collection that were recorded after the given
+     * token.
+     *
+     * @param {String} uri
+     * @param {Number} token
+     * @return {Array}
+     */
+    getChanges: function(uri, token, callback) {
+        var self = this;
+        this.mongo.collection(this.countersTableName).findOne({
+            _id: this.tableName
+        }, function(err, counter) {
+            if (err)
+                return callback(err);
+            if (token > (counter ? counter.token : 0))
+                return callback(null, null);
+
+            var changes = self.mongo.collection(self.tableName);
+            changes.find({}).sort({token: 1}).limit(1).toArray(function(err, oldest) {
+                if (err)
+                    return callback(err);
+                if (oldest.length && token < oldest[0].token - 1)
+                    return callback(null, null);
+
+                var query = getCollectionQuery(uri);
+                query.token = {$gt: token};
+                changes.find(query).sort({token: 1}).toArray(function(err, docs) {
+                    if (err)
+                        return callback(err);
+                    callback(null, docs.map(function(doc) {
+                        return {
+                            token: doc.token,
+                            uri: doc.uri,
+                            type: doc.type
+                        };
+                    }));
+                });
+            });
+        });
+    }
+});
+
+/**
+ * Returns a query that matches the changes of the collection at 'uri' and of
+ * the resources below it.
+ *
+ * @param {String} uri
+ * @return {Object}
+ */
+function getCollectionQuery(uri) {
+    if (!uri)
+        return {};
+    return {$or: [
+        {uri: uri},
+        {uri: new RegExp("^" + Util.escapeRegExp(uri + "/"))}
+    ]};
+}
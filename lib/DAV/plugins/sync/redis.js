@@ -0,0 +1,130 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Sync_iBackend = require("./iBackend");
+
+var Db = require("./../../../shared/backends/redis");
+
+/**
+ * This change log stores all changes in a redis sorted set, scored by their
+ * token. The current token is kept in a separate counter. The token of the most
+ * recent change of every collection is kept in a hash, with a field for every
+ * resource that changed and each of its ancestors.
+ */
+var jsDAV_Sync_Backend_Redis = module.exports = jsDAV_Sync_iBackend.extend({
+    /**
+     * Default maximum amount of changes to keep
+     *
+     * @var Number
+     */
+    MAX_CHANGES: 10000,
+
+    initialize: function(redis, tableName, maxChanges) {
+        this.redis = redis;
+        this.tableName = tableName || "changes";
+        this.maxChanges = maxChanges || this.MAX_CHANGES;
+    },
+
+    /**
+     * Returns the token of the most recent change of a collection.
+     *
+     * @param {String} uri
+     * @return {Number}
+     */
+    getCurrentToken: function(uri, callback) {
+        this.redis.multi([
+            ["HGET", this.tableName + "/collections", uri],
+            ["ZRANGE", this.tableName, 0, 0, "WITHSCORES"],
+            ["GET", this.tableName + "/token"]
+        ]).exec(function(err, res) {
+            if (err)
+                return callback(err);
+
+            res = Db.fromMultiBulk(res);
+            if (!res[1].length)
+                return callback(null, parseInt(res[2], 10) || 0);
+            // changes that were discarded from the log are not of interest
+            callback(null, Math.max(parseInt(res[0], 10) || 0, parseInt(res[1][1], 10) - 1));
+        });
+    },
+
+    /**
+     * Records a change and returns its token.
+     *
+     * @param {String} uri
+     * @param {String} type
+     * @return {Number}
+     */
+    addChange: function(uri, type, callback) {
+        var self = this;
+        this.redis.incr(this.tableName + "/token", function(err, token) {
+            if (err)
+                return callback(err);
+
+            token = parseInt(token, 10);
+            var change = JSON.stringify({
+                token: token,
+                uri: uri,
+                type: type
+            });
+            var commands = [
+                ["ZADD", self.tableName, token, change],
+                ["ZREMRANGEBYRANK", self.tableName, 0, -(self.maxChanges + 1)],
+                ["HSET", self.tableName + "/collections", "", token]
+            ];
+            uri.split("/").reduce(function(parent, name) {
+                var path = parent ? parent + "/" + name : name;
+                commands.push(["HSET", self.tableName + "/collections", path, token]);
+                return path;
+            }, "");
+            self.redis.multi(commands).exec(function(err) {
+                callback(err, err ? null : token);
+            });
+        });
+    },
+
+    /**
+     * Returns the changes of a collection that were recorded after the given
+     * token.
+     *
+     * @param {String} uri
+     * @param {Number} token
+     * @return {Array}
+     */
+    getChanges: function(uri, token, callback) {
+        this.redis.multi([
+            ["GET", this.tableName + "/token"],
+            ["ZRANGE", this.tableName, 0, 0, "WITHSCORES"],
+            ["ZRANGEBYSCORE", this.tableName, "(" + token, "+inf"]
+        ]).exec(function(err, res) {
+            if (err)
+                return callback(err);
+
+            res = Db.fromMultiBulk(res);
+            var current = parseInt(res[0], 10) || 0;
+            var oldest = res[1].length ? parseInt(res[1][1], 10) : null;
+            if (token > current || (oldest !== null && token < oldest - 1))
+                return callback(null, null);
+
+            var changes = [];
+            res[2].forEach(function(data) {
+                var change;
+                try {
+                    change = JSON.parse(data);
+                }
+                catch (ex) {
+                    return;
+                }
+                if (!uri || change.uri === uri || change.uri.indexOf(uri + "/") === 0)
+                    changes.push(change);
+            });
+            callback(null, changes);
+        });
+    }
+});
@@ -0,0 +1,396 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_Property_GetLastModified = require("./../property/getLastModified");
+var jsDAV_Property_Href = require("./../property/href");
+var jsDAV_Trash_Collection = require("./trash/collection");
+
+var AsyncEventEmitter = require("./../../shared/asyncEvents").EventEmitter;
+var Async = require("asyncjs");
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+var Xml = require("./../../shared/xml");
+
+/**
+ * Trash plugin
+ *
+ * This plugin moves resources that are deleted with DELETE to a trash, instead
+ * of removing them for good:
+ *
+ *   * Every user has a trash of its own, the read-only collection at
+ *     '<trashPath>'. It contains the deleted resources, named after the id of
+ *     their trash item, with the {http://ajax.org/2005/aml}trash-original-location
+ *     and {http://ajax.org/2005/aml}trash-deletion-time properties. The
+ *     {DAV:}displayname is the original name.
+ *   * A resource is restored by moving it out of the trash, usually to its
+ *     original location.
+ *   * A resource is purged by deleting it from the trash; deleting the trash
+ *     itself purges all of its resources.
+ *   * Resources are purged automatically once they have been in the trash for
+ *     longer than the retention period. Expired resources are hidden right
+ *     away, but the trash is checked for them at most once per purge interval.
+ *
+ * The plugin is enabled by passing a trash store as the 'trashBackend' server
+ * option (see jsDAV_Trash_iBackend). The 'trashPath' option sets the
+ * collection of the trash, '.trash' by default; it hides a resource with the
+ * same name in the tree. The 'trashRetention' option sets the retention period
+ * in seconds, 30 days by default, or 0 to keep resources until they are
+ * purged.
+ */
+var jsDAV_Trash_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "trash",
+
+    /**
+     * Default path of the trash collection
+     *
+     * @var String
+     */
+    TRASH_PATH: ".trash",
+
+    /**
+     * Default retention period of resources in the trash, in seconds
+     *
+     * @var Number
+     */
+    DEFAULT_RETENTION: 2592000,
+
+    /**
+     * Minimum time between two purges of expired resources, in seconds
+     *
+     * @var Number
+     */
+    PURGE_INTERVAL: 3600,
+
+    /**
+     * Methods that are allowed on the trash and its resources, besides DELETE
+     * and MOVE
+     *
+     * @var Array
+     */
+    READ_METHODS: ["GET", "HEAD", "OPTIONS", "PROPFIND"],
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.trashBackend = handler.server.options.trashBackend || null;
+        if (!this.trashBackend)
+            return;
+
+        this.trashPath = Util.trim(handler.server.options.trashPath || this.TRASH_PATH, "/");
+
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+        handler.addEventListener("beforeGetProperties", this.beforeGetProperties.bind(this));
+        // Run after other plugins had the chance to keep track of the
+        // resource. Moving a large collection may take a while.
+        handler.addEventListener("beforeUnbind", this.beforeUnbind.bind(this), AsyncEventEmitter.PRIO_LOW, false);
+    },
+
+    /**
+     * Returns whether a uri points into the trash.
+     *
+     * @param {String} uri
+     * @return {Boolean}
+     */
+    isTrashUri: function(uri) {
+        uri = Util.trim(uri, "/");
+        return uri == this.trashPath || uri.indexOf(this.trashPath + "/") === 0;
+    },
+
+    /**
+     * Returns the name of the user that is logged in, or null if there is no
+     * authentication.
+     *
+     * @return {String}
+     */
+    getCurrentUser: function(callback) {
+        var authPlugin = this.handler.plugins.auth;
+        if (!authPlugin)
+            return callback(null, null);
+        if (typeof this.user != "undefined")
+            return callback(null, this.user);
+
+        var self = this;
+        authPlugin.getCurrentUser(function(err, user) {
+            if (err)
+                return callback(err);
+            self.user = user || null;
+            callback(null, self.user);
+        });
+    },
+
+    /**
+     * Returns the trash of the user that is logged in, without the resources
+     * that expired.
+     *
+     * @return {jsDAV_Trash_Collection}
+     */
+    getTrash: function(callback) {
+        var self = this;
+        this.removeExpiredItems();
+        this.getCurrentUser(function(err, user) {
+            if (err)
+                return callback(err);
+            self.trashBackend.getItems(function(err, items) {
+                if (err)
+                    return callback(err);
+                items = items.filter(function(item) {
+                    return item.owner === user && !self.isExpired(item);
+                }).sort(function(a, b) {
+                    return a.deleted - b.deleted;
+                });
+                callback(null, jsDAV_Trash_Collection.new(self.trashBackend,
+                    Util.splitPath(self.trashPath)[1], items));
+            });
+        });
+    },
+
+    /**
+     * Resolves requests for the trash and its resources, which are not part of
+     * the tree, and refuses requests that would modify them.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        var self = this;
+        var handler = this.handler;
+        var destination = handler.httpRequest.headers["destination"];
+        if ((method == "COPY" || method == "MOVE") && destination) {
+            try {
+                if (this.isTrashUri(handler.calculateUri(destination)))
+                    return e.next(new Exc.Forbidden("Resources can only be moved to the trash by deleting them"));
+            }
+            catch (ex) {
+                // the request itself reports an invalid destination
+            }
+        }
+
+        if (!this.isTrashUri(uri))
+            return e.next();
+
+        var parts = Util.trim(uri, "/").substr(this.trashPath.length + 1).split("/");
+        this.getTrash(function(err, trash) {
+            if (err)
+                return e.next(err);
+            // the nodes are picked up from the cache by the handler and the
+            // other plugins
+            handler.nodeCache[self.trashPath] = handler.nodeCache[uri] = trash;
+            if (!parts[0]) {
+                if (method == "DELETE")
+                    return self.purge(e, trash.items);
+                if (self.READ_METHODS.indexOf(method) === -1)
+                    return e.next(new Exc.Forbidden("The trash can not be modified"));
+                return e.next();
+            }
+
+            var item = trash.getItem(parts[0]);
+            if (!item)
+                return e.next(new Exc.FileNotFound("Trash item " + parts[0] + " not found"));
+            if (parts.length == 1 && method == "DELETE")
+                return self.purge(e, [item]);
+            if (self.READ_METHODS.indexOf(method) === -1 && (parts.length > 1 || method != "MOVE"))
+                return e.next(new Exc.Forbidden("Resources in the trash can not be modified"));
+
+            var path = self.trashPath;
+            var node = trash;
+            Async.list(parts)
+                .each(function(name, next) {
+                    node.getChild(name, function(err, child) {
+                        if (err)
+                            return next(err);
+                        path += "/" + name;
+                        node = handler.nodeCache[path] = child;
+                        next();
+                    });
+                })
+                .end(function(err) {
+                    if (err)
+                        return e.next(err);
+                    handler.nodeCache[uri] = node;
+                    if (method == "MOVE")
+                        return self.restore(e, item);
+                    e.next();
+                });
+        });
+    },
+
+    /**
+     * Moves a resource to the trash when it is deleted with DELETE.
+     * Resources that are overwritten or unbound are not moved to the trash.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    beforeUnbind: function(e, uri) {
+        var handler = this.handler;
+        uri = Util.trim(uri, "/");
+        if (handler.httpRequest.method != "DELETE" || uri != Util.trim(handler.getRequestUri(), "/")
+          || this.isTrashUri(uri))
+            return e.next();
+
+        var self = this;
+        this.removeExpiredItems();
+        this.getCurrentUser(function(err, user) {
+            if (err)
+                return e.next(err);
+            handler.getNodeForPath(uri, function(err, node) {
+                if (err)
+                    return e.next(err);
+                self.trashBackend.addItem(user, uri, node, function(err) {
+                    if (err)
+                        return e.next(err);
+                    handler.markDirty(uri);
+                    e.stop();
+                    handler.dispatchEvent("afterDelete", uri, function() {
+                        handler.httpResponse.writeHead(204, {"content-length": "0"});
+                        handler.httpResponse.end();
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Handles a MOVE of a resource out of the trash, which restores it at the
+     * destination.
+     *
+     * @param {Object} item
+     * @return void
+     */
+    restore: function(e, item) {
+        var self = this;
+        var handler = this.handler;
+        e.stop();
+        handler.httpMove(function(info, callback) {
+            var parts = Util.splitPath(info.destination);
+            handler.getNodeForPath(parts[0], function(err, parent) {
+                if (err)
+                    return callback(err);
+                self.trashBackend.restoreItem(item, parent, parts[1], callback);
+            });
+        });
+    },
+
+    /**
+     * Removes resources from the trash for good.
+     *
+     * @param {Array} items
+     * @return void
+     */
+    purge: function(e, items) {
+        var self = this;
+        var handler = this.handler;
+        Async.list(items)
+            .each(function(item, next) {
+                self.trashBackend.deleteItem(item, next);
+            })
+            .end(function(err) {
+                if (err)
+                    return e.next(err);
+                handler.markDirty(handler.getRequestUri());
+                e.stop();
+                handler.httpResponse.writeHead(204, {"content-length": "0"});
+                handler.httpResponse.end();
+            });
+    },
+
+    /**
+     * Returns whether an item has been in the trash for longer than the
+     * retention period.
+     *
+     * @param {Object} item
+     * @return {Boolean}
+     */
+    isExpired: function(item) {
+        var retention = this.handler.server.options.trashRetention;
+        if (typeof retention != "number")
+            retention = this.DEFAULT_RETENTION;
+        return retention > 0 && Date.now() > item.deleted + (retention * 1000);
+    },
+
+    /**
+     * Purges the resources of all users that have been in the trash for longer
+     * than the retention period, unless the trash store was checked less than
+     * PURGE_INTERVAL seconds ago. Failures are logged, because they don't
+     * affect the request.
+     *
+     * @param {Function} [callback]
+     * @return void
+     */
+    removeExpiredItems: function(callback) {
+        callback = callback || function() {};
+        var backend = this.trashBackend;
+        var now = Date.now();
+        if (backend.$lastPurge && now - backend.$lastPurge < this.PURGE_INTERVAL * 1000)
+            return callback();
+        backend.$lastPurge = now;
+
+        var self = this;
+        backend.getItems(function(err, items) {
+            if (err) {
+                Util.log("Unable to read the trash: " + (err.message || err), "error");
+                return callback();
+            }
+
+            Async.list(items)
+                .filter(function(item) {
+                    return self.isExpired(item);
+                })
+                .each(function(item, next) {
+                    backend.deleteItem(item, function(err) {
+                        if (err)
+                            Util.log("Unable to purge trash item " + item.id + ": " + (err.message || err), "error");
+                        next();
+                    });
+                })
+                .end(function() {
+                    callback();
+                });
+        });
+    },
+
+    /**
+     * Adds the original location, name and deletion time to the resources in
+     * the trash.
+     *
+     * @param {String} path
+     * @param {jsDAV_iNode} node
+     * @param {Object} requestedProperties
+     * @param {Object} returnedProperties
+     * @return void
+     */
+    beforeGetProperties: function(e, path, node, requestedProperties, returnedProperties) {
+        path = Util.trim(path, "/");
+        var parts = Util.splitPath(path);
+        if (parts[0] != this.trashPath)
+            return e.next();
+
+        var trash = this.handler.nodeCache[this.trashPath];
+        var item = trash && trash.getItem && trash.getItem(parts[1]);
+        if (!item)
+            return e.next();
+
+        function setProperty(name, value) {
+            if (!requestedProperties[name])
+                return;
+            delete requestedProperties[name];
+            returnedProperties["200"][name] = value;
+        }
+        setProperty("{DAV:}displayname", item.name);
+        setProperty("{" + Xml.NS_AJAXORG + "}trash-original-location", jsDAV_Property_Href.new(encodeURI(item.uri)));
+        setProperty("{" + Xml.NS_AJAXORG + "}trash-deletion-time", jsDAV_Property_GetLastModified.new(item.deleted));
+        e.next();
+    }
+});
@@ -0,0 +1,79 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Collection = require("./../../collection");
+
+var Async = require("asyncjs");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * The trash of a user, as a read-only collection that contains the deleted
+ * resources, named after the ids of their items.
+ *
+ * @param {jsDAV_Trash_iBackend} backend
+ * @param {String} name  Name of the collection
+ * @param {Array}  items Items of the user, as returned by the backend
+ */
+var jsDAV_Trash_Collection = module.exports = jsDAV_Collection.extend({
+    initialize: function(backend, name, items) {
+        this.backend = backend;
+        this.name = name;
+        this.items = items;
+    },
+
+    getName: function() {
+        return this.name;
+    },
+
+    getChild: function(name, cbgetchild) {
+        var item = this.getItem(name);
+        if (!item)
+            return cbgetchild(new Exc.FileNotFound("Trash item " + name + " not found"));
+        this.backend.getNode(item, cbgetchild);
+    },
+
+    getChildren: function(cbgetchildren) {
+        var backend = this.backend;
+        var nodes = [];
+        Async.list(this.items)
+            .each(function(item, next) {
+                backend.getNode(item, function(err, node) {
+                    // items of which the resource is gone are skipped
+                    if (!err)
+                        nodes.push(node);
+                    next();
+                });
+            })
+            .end(function(err) {
+                cbgetchildren(err, nodes);
+            });
+    },
+
+    getLastModified: function(cbgetlm) {
+        var deleted = this.items.map(function(item) {
+            return item.deleted;
+        });
+        cbgetlm(null, new Date(deleted.length ? Math.max.apply(Math, deleted) : 0));
+    },
+
+    /**
+     * Returns the item with the given id, or null if it isn't part of this
+     * trash.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getItem: function(id) {
+        for (var i = 0, l = this.items.length; i < l; ++i) {
+            if (this.items[i].id === id)
+                return this.items[i];
+        }
+        return null;
+    }
+});
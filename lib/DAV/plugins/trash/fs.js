@@ -0,0 +1,261 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Trash_iBackend = require("./iBackend");
+var jsDAV_FS_Bindings = require("./../../backends/fs/bindings");
+var jsDAV_FS_Directory = require("./../../backends/fs/directory");
+var jsDAV_FS_File = require("./../../backends/fs/file");
+var jsDAV_FS_Properties = require("./../../backends/fs/properties");
+var jsDAV_iCollection = require("./../../interfaces/iCollection");
+
+var Fs = require("fs");
+var Async = require("asyncjs");
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * This trash store works with the filesystem tree. Resources are moved from the
+ * tree to a directory of the store, along with their dead properties, and
+ * every item is described by a separate JSON file. The directory is passed to
+ * the constructor. There is no default, since deleted resources must survive
+ * the cleaning of temporary directories. Resources are renamed when the
+ * directory is on the same device as the tree and copied otherwise.
+ *
+ * A directory that is bound more than once is copied to the trash, so that its
+ * other bindings stay intact.
+ */
+var jsDAV_Trash_Backend_FS = module.exports = jsDAV_Trash_iBackend.extend({
+    initialize: function(dataDir) {
+        if (!dataDir)
+            throw new Error("The fs trash store needs the 'dataDir' to keep deleted resources in");
+        this.dataDir = dataDir;
+        // ensure that the path is there
+        Async.makePath(this.dataDir, function() {});
+    },
+
+    getPathForId: function(id) {
+        return this.dataDir + "/" + id;
+    },
+
+    getFilenameForId: function(id) {
+        return this.dataDir + "/" + id + ".json";
+    },
+
+    /**
+     * Returns a list of all items.
+     *
+     * @return {Array}
+     */
+    getItems: function(cbgetitems) {
+        var self = this;
+        Fs.readdir(this.dataDir, function(err, files) {
+            if (err)
+                return cbgetitems(err);
+
+            var items = [];
+            Async.list(files)
+                .filter(function(file) {
+                    return /^[a-zA-Z0-9]+\.json$/.test(file);
+                })
+                .each(function(file, next) {
+                    self.getItem(file.replace(/\.json$/, ""), function(err, item) {
+                        // items that can't be read are skipped
+                        if (!err && item)
+                            items.push(item);
+                        next();
+                    });
+                })
+                .end(function(err) {
+                    cbgetitems(err, items);
+                });
+        });
+    },
+
+    /**
+     * Returns the item with the given id, or null if it doesn't exist.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getItem: function(id, cbgetitem) {
+        if (!/^[a-zA-Z0-9]+$/.test(id))
+            return cbgetitem(null, null);
+
+        Fs.readFile(this.getFilenameForId(id), "utf8", function(err, data) {
+            if (err)
+                return cbgetitem(err.code == "ENOENT" ? null : err, null);
+
+            var item;
+            try {
+                item = JSON.parse(data);
+            }
+            catch (ex) {
+                return cbgetitem(ex);
+            }
+            cbgetitem(null, item);
+        });
+    },
+
+    /**
+     * Moves a resource out of the tree, into the trash, and returns the new
+     * item.
+     *
+     * @param {String} owner
+     * @param {String} uri
+     * @param {jsDAV_iNode} node
+     * @return {Object}
+     */
+    addItem: function(owner, uri, node, cbadditem) {
+        if (!node.path)
+            return cbadditem(new Exc.NotImplemented("Only resources of the filesystem tree can be moved to the trash"));
+
+        var self = this;
+        var item = {
+            id: Util.uuid(32, 16),
+            owner: owner || null,
+            uri: uri,
+            name: Util.splitPath(uri)[1],
+            collection: node.hasFeature(jsDAV_iCollection),
+            deleted: Date.now()
+        };
+        var path = this.getPathForId(item.id);
+
+        Fs.lstat(node.path, function(err, stat) {
+            if (err)
+                return cbadditem(err);
+            if (!stat.isSymbolicLink())
+                return moveData(node.path, path, item.collection, afterMove);
+
+            // a directory that is bound more than once
+            Fs.realpath(node.path, function(err, realPath) {
+                if (err)
+                    return cbadditem(err);
+                Async.copytree(realPath, path, function(err) {
+                    if (err)
+                        return cbadditem(err);
+                    jsDAV_FS_Bindings.remove(node.bindingRoot, node.path, afterMove);
+                });
+            });
+        });
+
+        function afterMove(err) {
+            if (err)
+                return cbadditem(err);
+            Fs.writeFile(self.getFilenameForId(item.id), JSON.stringify(item), "utf8", function(err) {
+                cbadditem(err, err ? null : item);
+            });
+        }
+    },
+
+    /**
+     * Returns a node for the resource of an item.
+     *
+     * @param {Object} item
+     * @return {jsDAV_iNode}
+     */
+    getNode: function(item, cbgetnode) {
+        var path = this.getPathForId(item.id);
+        Fs.stat(path, function(err, stat) {
+            if (err)
+                return cbgetnode(new Exc.FileNotFound("The resource of trash item " + item.id + " not found"));
+            cbgetnode(null, stat.isDirectory() ? jsDAV_FS_Directory.new(path) : jsDAV_FS_File.new(path));
+        });
+    },
+
+    /**
+     * Moves the resource of an item back into the tree and removes the item.
+     *
+     * @param {Object} item
+     * @param {jsDAV_iCollection} parent
+     * @param {String} name
+     * @return void
+     */
+    restoreItem: function(item, parent, name, cbrestore) {
+        if (!parent.path)
+            return cbrestore(new Exc.NotImplemented("Only resources of the filesystem tree can be restored from the trash"));
+
+        var self = this;
+        moveData(this.getPathForId(item.id), parent.path + "/" + name, item.collection, function(err) {
+            if (err)
+                return cbrestore(err);
+            Fs.unlink(self.getFilenameForId(item.id), function(err) {
+                cbrestore(err && err.code != "ENOENT" ? err : null);
+            });
+        });
+    },
+
+    /**
+     * Removes an item and its resource for good.
+     *
+     * @param {Object} item
+     * @return void
+     */
+    deleteItem: function(item, cbdelitem) {
+        var self = this;
+        var path = this.getPathForId(item.id);
+        removeData(path, function(err) {
+            if (err)
+                return cbdelitem(err);
+            jsDAV_FS_Properties.remove(path, item.collection, function(err) {
+                if (err)
+                    return cbdelitem(err);
+                Fs.unlink(self.getFilenameForId(item.id), function(err) {
+                    cbdelitem(err && err.code != "ENOENT" ? err : null);
+                });
+            });
+        });
+    }
+});
+
+/**
+ * Moves a file or directory, along with its dead properties. Data is copied
+ * when it is moved to another device.
+ *
+ * @param {String} source
+ * @param {String} destination
+ * @param {Boolean} isCollection
+ * @return void
+ */
+function moveData(source, destination, isCollection, callback) {
+    Fs.rename(source, destination, function(err) {
+        if (err && err.code == "EXDEV")
+            return copyData();
+        if (err)
+            return callback(err);
+        jsDAV_FS_Properties.move(source, destination, isCollection, callback);
+    });
+
+    function copyData() {
+        var copy = isCollection
+            ? Async.copytree.bind(Async, source, destination)
+            : Async.copyfile.bind(Async, source, destination, true);
+        copy(function(err) {
+            if (err)
+                return callback(err);
+            jsDAV_FS_Properties.move(source, destination, isCollection, function(err) {
+                if (err)
+                    return callback(err);
+                removeData(source, callback);
+            });
+        });
+    }
+}
+
+function removeData(path, callback) {
+    Fs.lstat(path, function(err, stat) {
+        if (err)
+            return callback(err.code == "ENOENT" ? null : err);
+        if (stat.isDirectory())
+            Async.rmtree(path, function(err) {
+                callback(err);
+            });
+        else
+            Fs.unlink(path, callback);
+    });
+}
@@ -0,0 +1,84 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * This is the interface for any trash store of the trash plugin.
+ *
+ * A trash store takes resources out of the tree and keeps them until they are
+ * restored or purged. Every resource in the trash is described by an item,
+ * which is a plain object that can be serialized to JSON:
+ *
+ * {
+ *   id: "a1b2c3...",           // unique id of the item
+ *   owner: "alice",            // user that deleted the resource, or null
+ *   uri: "path/to/file.txt",   // the uri the resource was deleted from
+ *   name: "file.txt",          // the name of the resource
+ *   collection: false,         // whether the resource is a collection
+ *   deleted: 1350000000000     // timestamp in milliseconds
+ * }
+ */
+var jsDAV_Trash_iBackend = module.exports = Base.extend({
+    /**
+     * Returns a list of all items.
+     *
+     * @return {Array}
+     */
+    getItems: function(callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns the item with the given id, or null if it doesn't exist.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getItem: function(id, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Moves a resource out of the tree, into the trash, and returns the new
+     * item.
+     *
+     * @param {String} owner
+     * @param {String} uri
+     * @param {jsDAV_iNode} node
+     * @return {Object}
+     */
+    addItem: function(owner, uri, node, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns a node for the resource of an item, which is named after the id
+     * of the item. The node is used to browse the trash, it is never modified.
+     *
+     * @param {Object} item
+     * @return {jsDAV_iNode}
+     */
+    getNode: function(item, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Moves the resource of an item back into the tree, as the member 'name'
+     * of the collection 'parent', and removes the item. The destination does
+     * not exist.
+     *
+     * @param {Object} item
+     * @param {jsDAV_iCollection} parent
+     * @param {String} name
+     * @return void
+     */
+    restoreItem: function(item, parent, name, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Removes an item and its resource for good.
+     *
+     * @param {Object} item
+     * @return void
+     */
+    deleteItem: function(item, callback) { callback(Exc.notImplementedYet()); }
+});
@@ -0,0 +1,607 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_iFile = require("./../interfaces/iFile");
+
+var Fs = require("fs");
+var Async = require("asyncjs");
+var AsyncEventEmitter = require("./../../shared/asyncEvents").EventEmitter;
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+
+/**
+ * Resumable upload plugin
+ *
+ * This plugin allows clients to upload a file in multiple chunks, spread over
+ * several requests, and to resume an upload after the connection dropped. The
+ * chunks are assembled in a local temporary file and the result is stored in
+ * the tree once the last chunk arrived, so it works with any tree.
+ *
+ * The plugin is enabled by passing an upload session store as the
+ * 'uploadBackend' server option (see jsDAV_Upload_iBackend).
+ *
+ * The protocol works as follows:
+ *
+ *   1. POST <uri> with an 'Upload-Length: <size>' header creates an upload
+ *      session. The response (201) carries the 'Upload-Id' header.
+ *   2. PUT <uri> with the 'Upload-Id' and 'Upload-Offset' headers appends the
+ *      request body to the upload. The offset must be equal to the amount of
+ *      bytes received so far. The response carries the new 'Upload-Offset'.
+ *      When the upload is complete, the file is stored at <uri>.
+ *   3. HEAD <uri> with the 'Upload-Id' header returns the current
+ *      'Upload-Offset' and 'Upload-Length', so a client can resume an upload.
+ *   4. DELETE <uri> with the 'Upload-Id' header cancels the upload.
+ *
+ * Sessions that didn't receive any data for 'uploadTimeout' seconds expire.
+ * Only the user that created a session can use it, and its chunks are
+ * received one at a time: a chunk that arrives while another one is received
+ * is refused with 409 Conflict.
+ */
+var jsDAV_Upload_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "upload",
+
+    /**
+     * Amount of seconds after which an upload session without activity
+     * expires, unless the 'uploadTimeout' server option is set.
+     *
+     * @var Number
+     */
+    DEFAULT_TIMEOUT: 86400,
+
+    /**
+     * Amount of seconds after which a chunk that is still being received no
+     * longer blocks the other chunks of its upload.
+     *
+     * @var Number
+     */
+    LOCK_TIMEOUT: 600,
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.uploadBackend = handler.server.options.uploadBackend || null;
+
+        // Run after other plugins (locks, ACL) had the chance to reject the
+        // request. Uploads may take longer than the default event timeout.
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this), AsyncEventEmitter.PRIO_LOW, false);
+    },
+
+    /**
+     * Use this method to tell the server this plugin defines additional
+     * HTTP methods.
+     *
+     * @param {String} uri
+     * @return array
+     */
+    getHTTPMethods: function(uri, node) {
+        if (this.uploadBackend && (!node || node.hasFeature(jsDAV_iFile)))
+            return ["POST"];
+        return [];
+    },
+
+    /**
+     * This method is called before the logic for any HTTP method is
+     * handled.
+     *
+     * This plugin intercepts all requests that carry an 'Upload-Id' header and
+     * POST requests that carry an 'Upload-Length' header.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        if (!this.uploadBackend)
+            return e.next();
+
+        var headers = this.handler.httpRequest.headers;
+        var id = headers["upload-id"];
+        if (!id) {
+            if (method == "POST" && typeof headers["upload-length"] != "undefined")
+                return this.httpCreate(e, uri);
+            return e.next();
+        }
+
+        switch (method) {
+            case "PUT" :
+                this.httpAppend(e, uri, id);
+                break;
+            case "HEAD" :
+                this.httpStatus(e, uri, id);
+                break;
+            case "DELETE" :
+                this.httpCancel(e, uri, id);
+                break;
+            default:
+                e.next();
+                break;
+        }
+    },
+
+    /**
+     * Creates a new upload session for a uri.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    httpCreate: function(e, uri) {
+        var self = this;
+        var handler = this.handler;
+        var length = handler.httpRequest.headers["upload-length"];
+
+        if (!/^\d+$/.test(length))
+            return e.next(new Exc.BadRequest("The Upload-Length header must be a non-negative integer"));
+
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err) {
+                if (!(err instanceof Exc.FileNotFound))
+                    return e.next(err);
+                // the file will be created; make sure its parent exists.
+                return handler.getNodeForPath(Util.splitPath(uri)[0], function(err) {
+                    if (err)
+                        return e.next(new Exc.Conflict("The parent collection of '" + uri + "' does not exist"));
+                    createSession();
+                });
+            }
+            if (!node.hasFeature(jsDAV_iFile))
+                return e.next(new Exc.Conflict("Uploads are not allowed on non-files."));
+            createSession();
+        });
+
+        function createSession() {
+            // clean up after abandoned uploads first. Failures are not fatal.
+            self.removeExpiredSessions(function() {
+                self.getCurrentUser(function(err, user) {
+                    if (err)
+                        return e.next(err);
+                    storeSession(user);
+                });
+            });
+        }
+
+        function storeSession(user) {
+            var id = Util.uuid(32, 16);
+            var now = Date.now();
+            var session = {
+                id: id,
+                uri: uri,
+                length: parseInt(length, 10),
+                path: handler.server.tmpDir + "/jsdav_upload_" + id,
+                owner: user,
+                created: now,
+                updated: now
+            };
+
+            Fs.writeFile(session.path, "", function(err) {
+                if (err)
+                    return e.next(err);
+
+                self.uploadBackend.putSession(session, function(err) {
+                    if (err)
+                        return e.next(err);
+
+                    if (session.length === 0) {
+                        return self.finalize(e, session, function() {
+                            self.sendStatus(e, 201, session, 0);
+                        });
+                    }
+                    self.sendStatus(e, 201, session, 0);
+                });
+            });
+        }
+    },
+
+    /**
+     * Appends the request body to an upload and stores the file in the tree
+     * when the upload is complete.
+     *
+     * @param {String} uri
+     * @param {String} id
+     * @return void
+     */
+    httpAppend: function(e, uri, id) {
+        var self = this;
+        var handler = this.handler;
+        var headers = handler.httpRequest.headers;
+
+        if (!/^\d+$/.test(headers["upload-offset"] || ""))
+            return e.next(new Exc.BadRequest("The Upload-Offset header must be a non-negative integer"));
+        if (!/^\d+$/.test(headers["content-length"] || ""))
+            return e.next(new Exc.LengthRequired("A Content-Length header is required"));
+
+        var offset = parseInt(headers["upload-offset"], 10);
+        var len = parseInt(headers["content-length"], 10);
+
+        this.getSessionForUri(id, uri, function(err, session) {
+            if (err)
+                return e.next(err);
+            // the offset is only checked once other chunks are done
+            self.lockSession(e, session, function(e) {
+                append(e, session);
+            });
+        });
+
+        function append(e, session) {
+            self.getOffset(session, function(err, current) {
+                if (err)
+                    return e.next(err);
+                if (offset !== current) {
+                    return e.next(new Exc.Conflict("The Upload-Offset header (" + offset
+                        + ") does not match the amount of bytes received so far (" + current + ")"));
+                }
+                if (offset + len > session.length) {
+                    return e.next(new Exc.RequestedRangeNotSatisfiable("The chunk exceeds the Upload-Length of "
+                        + session.length + " bytes"));
+                }
+
+                var stream = Fs.createWriteStream(session.path, {flags: "a"});
+                handler.getRequestBody("binary", stream, true, function(err) {
+                    if (err)
+                        return e.next(err);
+
+                    self.getOffset(session, function(err, current) {
+                        if (err)
+                            return e.next(err);
+
+                        session.updated = Date.now();
+                        self.uploadBackend.putSession(session, function(err) {
+                            if (err)
+                                return e.next(err);
+
+                            if (current < session.length)
+                                return self.sendStatus(e, 204, session, current);
+
+                            self.finalize(e, session, function(created) {
+                                self.sendStatus(e, created ? 201 : 204, session, current);
+                            });
+                        });
+                    });
+                });
+            });
+        }
+    },
+
+    /**
+     * Reports the amount of bytes received for an upload, so that a client
+     * knows where to resume it.
+     *
+     * @param {String} uri
+     * @param {String} id
+     * @return void
+     */
+    httpStatus: function(e, uri, id) {
+        var self = this;
+        this.getSessionForUri(id, uri, function(err, session) {
+            if (err)
+                return e.next(err);
+
+            self.getOffset(session, function(err, current) {
+                if (err)
+                    return e.next(err);
+                self.sendStatus(e, 200, session, current);
+            });
+        });
+    },
+
+    /**
+     * Cancels an upload and removes the data received so far.
+     *
+     * @param {String} uri
+     * @param {String} id
+     * @return void
+     */
+    httpCancel: function(e, uri, id) {
+        var self = this;
+        this.getSessionForUri(id, uri, function(err, session) {
+            if (err)
+                return e.next(err);
+
+            // a chunk that is being received would recreate the data
+            self.lockSession(e, session, function(e) {
+                self.removeSession(session, function(err) {
+                    if (err)
+                        return e.next(err);
+                    self.handler.httpResponse.writeHead(204, {"content-length": "0"});
+                    self.handler.httpResponse.end();
+                    e.stop();
+                });
+            });
+        });
+    },
+
+    /**
+     * Marks an upload session as busy for the rest of the request. The
+     * callback receives an object that replaces 'e': its next() and stop()
+     * methods release the session before they continue.
+     *
+     * @param {Object} session
+     * @return void
+     */
+    lockSession: function(e, session, callback) {
+        var backend = this.uploadBackend;
+        backend.lockSession(session.id, this.LOCK_TIMEOUT * 1000, function(err, locked) {
+            if (err)
+                return e.next(err);
+            if (!locked) {
+                return e.next(new Exc.Conflict("Another request for upload session '" + session.id
+                    + "' is in progress"));
+            }
+
+            function unlock(callback) {
+                backend.unlockSession(session.id, function(err) {
+                    if (err)
+                        Util.log("Unable to unlock upload session '" + session.id + "': " + (err.message || err), "error");
+                    callback();
+                });
+            }
+
+            callback({
+                next: function(err) {
+                    unlock(function() {
+                        e.next(err);
+                    });
+                },
+                stop: function() {
+                    unlock(function() {
+                        e.stop();
+                    });
+                }
+            });
+        });
+    },
+
+    /**
+     * Returns the name of the user that is logged in, or null if there is
+     * none.
+     *
+     * @return {String}
+     */
+    getCurrentUser: function(callback) {
+        var authPlugin = this.handler.plugins.auth;
+        if (!authPlugin)
+            return callback(null, null);
+        authPlugin.getCurrentUser(function(err, user) {
+            callback(err, user || null);
+        });
+    },
+
+    /**
+     * Stores the assembled file at the uri of the upload session and removes
+     * the session afterwards. The callback receives `true` when a new file
+     * was created.
+     *
+     * The file is streamed into the tree the same way as the body of a PUT
+     * request, see createSessionHandler().
+     *
+     * @param {Object} session
+     * @return void
+     */
+    finalize: function(e, session, cbfinalize) {
+        var self = this;
+        var handler = this.handler;
+        var uri = session.uri;
+
+        handler.getNodeForPath(uri, function(err, node) {
+            var view;
+            if (err) {
+                if (!(err instanceof Exc.FileNotFound))
+                    return e.next(err);
+
+                view = self.createSessionHandler(session);
+                return view.createFile(uri, null, "binary", function(err) {
+                    err = err || view.httpRequest.err;
+                    if (err)
+                        return e.next(err);
+                    handler.dispatchEvent("afterWriteContent", uri, function() {
+                        done(true);
+                    });
+                });
+            }
+
+            if (!node.hasFeature(jsDAV_iFile))
+                return e.next(new Exc.Conflict("Uploads are not allowed on non-files."));
+
+            handler.dispatchEvent("beforeWriteContent", uri, node, function(stop) {
+                if (stop === true)
+                    return e.stop();
+                if (stop)
+                    return e.next(stop);
+
+                view = self.createSessionHandler(session);
+                if (node.putStream) {
+                    node.putStream(view, "binary", afterPut);
+                }
+                else {
+                    view.getRequestBody("binary", null, false, function(err, body) {
+                        if (err)
+                            return e.next(err);
+                        node.put(body, "binary", afterPut);
+                    });
+                }
+
+                function afterPut(err) {
+                    err = err || view.httpRequest.err;
+                    if (err)
+                        return e.next(err);
+                    handler.dispatchEvent("afterWriteContent", uri, function() {
+                        done(false);
+                    });
+                }
+            });
+        });
+
+        function done(created) {
+            self.removeSession(session, function(err) {
+                if (err)
+                    return e.next(err);
+                cbfinalize(created);
+            });
+        }
+    },
+
+    /**
+     * Returns a view of the handler of which the request body is the assembled
+     * file of an upload session. This allows the file to be passed to the
+     * streaming methods of the tree, like putStream() and createFileStream(),
+     * without reading it into memory. A read error is set as the 'err'
+     * property of the request.
+     *
+     * @param {Object} session
+     * @return {jsDAV_Handler}
+     */
+    createSessionHandler: function(session) {
+        var handler = this.handler;
+        var body = Fs.createReadStream(session.path);
+        body.method = "PUT";
+        body.url = handler.httpRequest.url;
+        body.headers = {"content-length": String(session.length)};
+        body.streambuffer = {
+            ondata: function(fn) {
+                body.on("data", fn);
+            },
+            onend: function(fn) {
+                body.on("end", fn);
+                // the body is ended early, so that the request completes
+                body.on("error", function(err) {
+                    body.err = err;
+                    fn();
+                });
+            }
+        };
+
+        var view = Object.create(handler);
+        view.httpRequest = body;
+        return view;
+    },
+
+    /**
+     * Sends a response that describes the state of an upload session.
+     *
+     * @param {Number} code
+     * @param {Object} session
+     * @param {Number} offset
+     * @return void
+     */
+    sendStatus: function(e, code, session, offset) {
+        this.handler.httpResponse.writeHead(code, {
+            "upload-id": session.id,
+            "upload-offset": String(offset),
+            "upload-length": String(session.length),
+            "cache-control": "no-store",
+            "content-length": "0"
+        });
+        this.handler.httpResponse.end();
+        e.stop();
+    },
+
+    /**
+     * Fetches an upload session from the backend and verifies that it belongs
+     * to the given uri and the current user and did not expire yet.
+     *
+     * @param {String} id
+     * @param {String} uri
+     * @return {Object}
+     */
+    getSessionForUri: function(id, uri, cbgetsession) {
+        var self = this;
+        var notFound = new Exc.FileNotFound("Upload session '" + id + "' not found");
+        // session ids are always generated by Util.uuid()
+        if (!/^[a-zA-Z0-9]+$/.test(id))
+            return cbgetsession(notFound);
+
+        this.uploadBackend.getSession(id, function(err, session) {
+            if (err)
+                return cbgetsession(err);
+            if (!session)
+                return cbgetsession(notFound);
+            if (session.uri != uri)
+                return cbgetsession(new Exc.Conflict("Upload session '" + id + "' belongs to a different resource"));
+            if (self.isExpired(session)) {
+                return self.removeSession(session, function() {
+                    cbgetsession(notFound);
+                });
+            }
+            self.getCurrentUser(function(err, user) {
+                if (err)
+                    return cbgetsession(err);
+                if ((session.owner || null) !== user)
+                    return cbgetsession(new Exc.Forbidden("Upload session '" + id + "' belongs to a different user"));
+                cbgetsession(null, session);
+            });
+        });
+    },
+
+    /**
+     * Returns the amount of bytes received for an upload session. The size of
+     * the local file is leading. The data of a chunk that was interrupted is
+     * cut off again, so a client resumes after the last complete chunk.
+     *
+     * @param {Object} session
+     * @return {Number}
+     */
+    getOffset: function(session, cbgetoffset) {
+        Fs.stat(session.path, function(err, stat) {
+            if (err)
+                return cbgetoffset(err.code == "ENOENT" ? null : err, 0);
+            cbgetoffset(null, stat.size);
+        });
+    },
+
+    /**
+     * Returns true when an upload session didn't receive any data for longer
+     * than the configured timeout.
+     *
+     * @param {Object} session
+     * @return {Boolean}
+     */
+    isExpired: function(session) {
+        var timeout = this.handler.server.options.uploadTimeout || this.DEFAULT_TIMEOUT;
+        return Date.now() > session.updated + (timeout * 1000);
+    },
+
+    /**
+     * Removes an upload session and the data received so far.
+     *
+     * @param {Object} session
+     * @return void
+     */
+    removeSession: function(session, cbremove) {
+        var self = this;
+        Fs.unlink(session.path, function() {
+            self.uploadBackend.deleteSession(session.id, cbremove);
+        });
+    },
+
+    /**
+     * Removes all upload sessions that expired.
+     *
+     * @return void
+     */
+    removeExpiredSessions: function(cbremove) {
+        var self = this;
+        this.uploadBackend.getSessions(function(err, sessions) {
+            if (err)
+                return cbremove(err);
+
+            Async.list(sessions)
+                .filter(function(session) {
+                    return self.isExpired(session);
+                })
+                .each(function(session, next) {
+                    self.removeSession(session, next);
+                })
+                .end(cbremove);
+        });
+    }
+});
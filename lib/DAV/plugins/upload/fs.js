@@ -0,0 +1,151 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Upload_iBackend = require("./iBackend");
+var jsDAV_Server = require("./../../server");
+
+var Fs = require("fs");
+var Async = require("asyncjs");
+
+/**
+ * This upload session store keeps every session in a separate JSON file. By
+ * default it will do this in the system's standard temporary directory, but
+ * this can be overriden by specifiying an alternative path in the contructor.
+ */
+var jsDAV_Upload_Backend_FS = module.exports = jsDAV_Upload_iBackend.extend({
+    initialize: function(dataDir) {
+        this.dataDir = dataDir || jsDAV_Server.DEFAULT_TMPDIR + "/jsdav";
+        // ensure that the path is there
+        Async.makePath(this.dataDir, function() {});
+    },
+
+    getFilenameForId: function(id) {
+        return this.dataDir + "/jsdav_" + id + ".upload";
+    },
+
+    /**
+     * Returns the session with the given id, or null if it doesn't exist.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getSession: function(id, cbgetsession) {
+        Fs.readFile(this.getFilenameForId(id), "utf8", function(err, data) {
+            if (err)
+                return cbgetsession(err.code == "ENOENT" ? null : err, null);
+
+            var session;
+            try {
+                session = JSON.parse(data);
+            }
+            catch (ex) {
+                return cbgetsession(ex);
+            }
+            cbgetsession(null, session);
+        });
+    },
+
+    /**
+     * Returns a list of all sessions.
+     *
+     * @return {Array}
+     */
+    getSessions: function(cbgetsessions) {
+        var self = this;
+        Fs.readdir(this.dataDir, function(err, files) {
+            if (err)
+                return cbgetsessions(err);
+
+            var sessions = [];
+            Async.list(files)
+                .filter(function(file) {
+                    return /^jsdav_[a-zA-Z0-9]+\.upload$/.test(file);
+                })
+                .each(function(file, next) {
+                    self.getSession(file.replace(/^jsdav_|\.upload$/g, ""), function(err, session) {
+                        // sessions that can't be read are skipped
+                        if (!err && session)
+                            sessions.push(session);
+                        next();
+                    });
+                })
+                .end(function(err) {
+                    cbgetsessions(err, sessions);
+                });
+        });
+    },
+
+    /**
+     * Creates or updates a session.
+     *
+     * @param {Object} session
+     * @return void
+     */
+    putSession: function(session, cbputsession) {
+        Fs.writeFile(this.getFilenameForId(session.id), JSON.stringify(session), "utf8", cbputsession);
+    },
+
+    /**
+     * Removes a session.
+     *
+     * @param {String} id
+     * @return void
+     */
+    deleteSession: function(id, cbdelsession) {
+        Fs.unlink(this.getFilenameForId(id), function(err) {
+            cbdelsession(err && err.code != "ENOENT" ? err : null);
+        });
+    },
+
+    /**
+     * Marks a session as busy by creating a lock file next to it, which fails
+     * if the file exists already.
+     *
+     * @param {String} id
+     * @param {Number} timeout
+     * @return {Boolean}
+     */
+    lockSession: function(id, timeout, cblocksession) {
+        var path = this.getFilenameForId(id) + ".lock";
+        function create(cbcreate) {
+            Fs.writeFile(path, String(Date.now()), {flag: "wx"}, function(err) {
+                if (err && err.code != "EEXIST")
+                    return cblocksession(err);
+                cbcreate(!err);
+            });
+        }
+
+        create(function(locked) {
+            if (locked)
+                return cblocksession(null, true);
+            Fs.stat(path, function(err, stat) {
+                // the lock was removed in the meantime
+                if (err)
+                    return create(cblocksession.bind(null, null));
+                if (Date.now() - stat.mtime.getTime() < timeout)
+                    return cblocksession(null, false);
+                Fs.unlink(path, function() {
+                    create(cblocksession.bind(null, null));
+                });
+            });
+        });
+    },
+
+    /**
+     * Removes the mark of lockSession().
+     *
+     * @param {String} id
+     * @return void
+     */
+    unlockSession: function(id, cbunlocksession) {
+        Fs.unlink(this.getFilenameForId(id) + ".lock", function(err) {
+            cbunlocksession(err && err.code != "ENOENT" ? err : null);
+        });
+    }
+});
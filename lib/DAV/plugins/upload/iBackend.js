@@ -0,0 +1,82 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * This is the interface for any resumable upload session store.
+ *
+ * A session is a plain object that can be serialized to JSON:
+ *
+ * {
+ *   id: "a1b2c3...",          // unique id of the upload session
+ *   uri: "path/to/file.bin",   // the uri the file will be stored at
+ *   length: 1048576,           // total size of the upload, in bytes
+ *   path: "/tmp/jsdav_...",    // local file the chunks are assembled in
+ *   owner: "alice",            // user that created the session, or null
+ *   created: 1350000000000,    // timestamps in milliseconds
+ *   updated: 1350000000000
+ * }
+ *
+ * Backends that store their data outside of the process (on disk, in redis or
+ * in mongo) allow uploads to be resumed after the server was restarted.
+ */
+var jsDAV_Upload_iBackend = module.exports = Base.extend({
+    /**
+     * Returns the session with the given id, or null if it doesn't exist.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getSession: function(id, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns a list of all sessions.
+     *
+     * @return {Array}
+     */
+    getSessions: function(callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Creates or updates a session.
+     *
+     * @param {Object} session
+     * @return void
+     */
+    putSession: function(session, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Removes a session. Removing a session that doesn't exist is not an error.
+     *
+     * @param {String} id
+     * @return void
+     */
+    deleteSession: function(id, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Marks a session as busy, so that the chunks of an upload are received
+     * one at a time. Passes `false` if the session is busy already. A mark
+     * older than 'timeout' milliseconds is taken over, so that a request that
+     * never finished doesn't block the upload forever.
+     *
+     * @param {String} id
+     * @param {Number} timeout
+     * @return {Boolean}
+     */
+    lockSession: function(id, timeout, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Removes the mark of lockSession().
+     *
+     * @param {String} id
+     * @return void
+     */
+    unlockSession: function(id, callback) { callback(Exc.notImplementedYet()); }
+});
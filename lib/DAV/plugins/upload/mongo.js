@@ -0,0 +1,125 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Upload_iBackend = require("./iBackend");
+
+/**
+ * This upload session store keeps every session as a document in a mongo
+ * collection.
+ */
+var jsDAV_Upload_Backend_Mongo = module.exports = jsDAV_Upload_iBackend.extend({
+    initialize: function(mongo, tableName) {
+        this.mongo = mongo;
+        this.tableName = tableName || "uploads";
+    },
+
+    /**
+     * Returns the session with the given id, or null if it doesn't exist.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getSession: function(id, callback) {
+        this.mongo.collection(this.tableName).findOne({
+            id: id
+        }, function(err, doc) {
+            if (err)
+                return callback(err);
+            callback(null, doc ? toSession(doc) : null);
+        });
+    },
+
+    /**
+     * Returns a list of all sessions.
+     *
+     * @return {Array}
+     */
+    getSessions: function(callback) {
+        this.mongo.collection(this.tableName).find({}).toArray(function(err, docs) {
+            if (err)
+                return callback(err);
+            callback(null, docs.map(toSession));
+        });
+    },
+
+    /**
+     * Creates or updates a session.
+     *
+     * @param {Object} session
+     * @return void
+     */
+    putSession: function(session, callback) {
+        // the mark of lockSession() is kept
+        this.mongo.collection(this.tableName).update({
+            id: session.id
+        }, {$set: toSession(session)}, {
+            upsert: true
+        }, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Removes a session.
+     *
+     * @param {String} id
+     * @return void
+     */
+    deleteSession: function(id, callback) {
+        this.mongo.collection(this.tableName).remove({
+            id: id
+        }, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Marks a session as busy by setting the time it was locked in its
+     * document, if it isn't set or is older than 'timeout' milliseconds.
+     *
+     * @param {String} id
+     * @param {Number} timeout
+     * @return {Boolean}
+     */
+    lockSession: function(id, timeout, callback) {
+        var now = Date.now();
+        this.mongo.collection(this.tableName).findAndModify({
+            id: id,
+            $or: [{locked: null}, {locked: {$lt: now - timeout}}]
+        }, [], {$set: {locked: now}}, {}, function(err, doc) {
+            callback(err, !!doc);
+        });
+    },
+
+    /**
+     * Removes the mark of lockSession().
+     *
+     * @param {String} id
+     * @return void
+     */
+    unlockSession: function(id, callback) {
+        this.mongo.collection(this.tableName).update({
+            id: id
+        }, {$unset: {locked: 1}}, function(err) {
+            callback(err);
+        });
+    }
+});
+
+function toSession(doc) {
+    return {
+        id: doc.id,
+        uri: doc.uri,
+        length: doc.length,
+        path: doc.path,
+        owner: doc.owner || null,
+        created: doc.created,
+        updated: doc.updated
+    };
+}
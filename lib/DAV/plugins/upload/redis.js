@@ -0,0 +1,118 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Upload_iBackend = require("./iBackend");
+
+var Db = require("./../../../shared/backends/redis");
+
+/**
+ * This upload session store keeps all sessions in a single redis hash, keyed
+ * by session id.
+ */
+var jsDAV_Upload_Backend_Redis = module.exports = jsDAV_Upload_iBackend.extend({
+    initialize: function(redis, tableName) {
+        this.redis = redis;
+        this.tableName = tableName || "uploads";
+    },
+
+    /**
+     * Returns the session with the given id, or null if it doesn't exist.
+     *
+     * @param {String} id
+     * @return {Object}
+     */
+    getSession: function(id, callback) {
+        this.redis.hget(this.tableName, id, function(err, res) {
+            if (err)
+                return callback(err);
+            if (!res)
+                return callback(null, null);
+
+            var session;
+            try {
+                session = JSON.parse(res.toString("utf8"));
+            }
+            catch (ex) {
+                return callback(ex);
+            }
+            callback(null, session);
+        });
+    },
+
+    /**
+     * Returns a list of all sessions.
+     *
+     * @return {Array}
+     */
+    getSessions: function(callback) {
+        this.redis.hvals(this.tableName, function(err, res) {
+            if (err)
+                return callback(err);
+
+            var sessions = [];
+            Db.fromMultiBulk(res).forEach(function(data) {
+                try {
+                    sessions.push(JSON.parse(data));
+                }
+                catch (ex) {}
+            });
+            callback(null, sessions);
+        });
+    },
+
+    /**
+     * Creates or updates a session.
+     *
+     * @param {Object} session
+     * @return void
+     */
+    putSession: function(session, callback) {
+        this.redis.hset(this.tableName, session.id, JSON.stringify(session), function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Removes a session.
+     *
+     * @param {String} id
+     * @return void
+     */
+    deleteSession: function(id, callback) {
+        this.redis.hdel(this.tableName, id, function(err) {
+            callback(err);
+        });
+    },
+
+    /**
+     * Marks a session as busy with a key that expires after 'timeout'
+     * milliseconds. The key is only set if it doesn't exist yet.
+     *
+     * @param {String} id
+     * @param {Number} timeout
+     * @return {Boolean}
+     */
+    lockSession: function(id, timeout, callback) {
+        this.redis.set(this.tableName + "/lock/" + id, String(Date.now()), "NX", "PX", timeout, function(err, res) {
+            callback(err, !!res);
+        });
+    },
+
+    /**
+     * Removes the mark of lockSession().
+     *
+     * @param {String} id
+     * @return void
+     */
+    unlockSession: function(id, callback) {
+        this.redis.del(this.tableName + "/lock/" + id, function(err) {
+            callback(err);
+        });
+    }
+});
@@ -0,0 +1,762 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_ServerPlugin = require("./../plugin");
+var jsDAV_Property_Href = require("./../property/href");
+var jsDAV_Property_HrefList = require("./../property/hrefList");
+var jsDAV_Property_Response = require("./../property/response");
+var jsDAV_iFile = require("./../interfaces/iFile");
+var jsDAV_Versioning_Version = require("./versioning/version");
+var jsDAV_Versioning_VersionHistory = require("./versioning/versionHistory");
+
+var Async = require("asyncjs");
+var Exc = require("./../../shared/exceptions");
+var Util = require("./../../shared/util");
+var Xml = require("./../../shared/xml");
+
+/**
+ * Versioning plugin
+ *
+ * This plugin keeps the history of files, with a subset of the versioning
+ * features of RFC3253 (DeltaV):
+ *
+ *   * Every write to a file, with PUT, PATCH or COPY, is stored as a new
+ *     version (auto-versioning). Files that existed before are put under
+ *     version control by their first write, or with VERSION-CONTROL.
+ *   * The version history of the file at 'path' is a read-only collection at
+ *     '<versionsPath>/path', which contains the versions as files named after
+ *     their number. Versions can be retrieved with GET and PROPFIND.
+ *   * The {DAV:}version-tree REPORT lists the versions of a file.
+ *   * A version is restored by copying it to the file, which stores its
+ *     content as a new version, or with UPDATE, which makes the file point at
+ *     the old version again instead.
+ *   * Files get the {DAV:}checked-in and {DAV:}version-history properties;
+ *     versions and version histories get the properties that describe them.
+ *
+ * Histories follow their files when they are moved and are removed when the
+ * files are deleted.
+ *
+ * The plugin is enabled by passing a version store as the 'versionsBackend'
+ * server option (see jsDAV_Versioning_iBackend). The 'versionsPath' option sets
+ * the collection that holds the histories, '.versions' by default; it hides a
+ * resource with the same name in the tree. Node doesn't accept VERSION-CONTROL
+ * and UPDATE requests, so clients send them as a POST request with the header
+ * 'X-HTTP-Method-Override: UPDATE', which the plugin allows when it is enabled
+ * (see jsDAV_Server#exec).
+ */
+var jsDAV_Versioning_Plugin = module.exports = jsDAV_ServerPlugin.extend({
+    /**
+     * Plugin name
+     *
+     * @var String
+     */
+    name: "versioning",
+
+    /**
+     * Default path of the collection that holds the version histories
+     *
+     * @var String
+     */
+    VERSIONS_PATH: ".versions",
+
+    /**
+     * Methods that are allowed on version histories and versions, which can
+     * not be modified
+     *
+     * @var Array
+     */
+    READ_METHODS: ["GET", "HEAD", "OPTIONS", "PROPFIND", "REPORT", "COPY"],
+
+    /**
+     * Allows VERSION-CONTROL and UPDATE requests to be sent as POST requests.
+     *
+     * @param {jsDAV_Server} server
+     * @return void
+     */
+    initServer: function(server) {
+        if (!server.options.versionsBackend)
+            return;
+        server.allowMethodOverride("VERSION-CONTROL");
+        server.allowMethodOverride("UPDATE");
+    },
+
+    initialize: function(handler) {
+        this.handler = handler;
+        this.versionsBackend = handler.server.options.versionsBackend || null;
+        if (!this.versionsBackend)
+            return;
+
+        this.versionsPath = Util.trim(handler.server.options.versionsPath || this.VERSIONS_PATH, "/");
+        // files of which a version was recorded during this request
+        this.recorded = {};
+        // uris that were unbound during this request, the last one is the
+        // source of a MOVE or REBIND
+        this.unbound = [];
+
+        handler.resourceTypeMapping["{DAV:}version-history"] = jsDAV_Versioning_VersionHistory;
+
+        handler.addEventListener("beforeMethod", this.beforeMethod.bind(this));
+        handler.addEventListener("unknownMethod", this.unknownMethod.bind(this));
+        handler.addEventListener("report", this.report.bind(this));
+        handler.addEventListener("beforeGetProperties", this.beforeGetProperties.bind(this));
+        handler.addEventListener("afterWriteContent", this.afterWriteContent.bind(this));
+        handler.addEventListener("afterBind", this.afterBind.bind(this));
+        handler.addEventListener("beforeUnbind", this.beforeUnbind.bind(this));
+        handler.addEventListener("afterDelete", this.afterDelete.bind(this));
+    },
+
+    /**
+     * Use this method to tell the server this plugin defines additional
+     * HTTP methods.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iNode} node
+     * @return {Array}
+     */
+    getHTTPMethods: function(uri, node) {
+        if (!this.versionsBackend || !node || !node.hasFeature(jsDAV_iFile) || this.isVersionsUri(uri))
+            return [];
+        return ["VERSION-CONTROL", "UPDATE"];
+    },
+
+    /**
+     * Returns a list of features for the HTTP OPTIONS Dav: header.
+     *
+     * @return {Array}
+     */
+    getFeatures: function() {
+        return this.versionsBackend ? ["version-control", "version-history", "update"] : [];
+    },
+
+    /**
+     * Returns a list of reports this plugin supports.
+     *
+     * This will be used in the {DAV:}supported-report-set property.
+     *
+     * @param {String} uri
+     * @return array
+     */
+    getSupportedReportSet: function(uri, callback) {
+        if (!this.versionsBackend)
+            return callback(null, []);
+        if (this.isVersionsUri(uri))
+            return callback(null, ["{DAV:}version-tree"]);
+
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return callback(err);
+            callback(null, node.hasFeature(jsDAV_iFile) ? ["{DAV:}version-tree"] : []);
+        });
+    },
+
+    /**
+     * Returns whether a uri points into the collection of version histories.
+     *
+     * @param {String} uri
+     * @return {Boolean}
+     */
+    isVersionsUri: function(uri) {
+        uri = Util.trim(uri, "/");
+        return uri == this.versionsPath || uri.indexOf(this.versionsPath + "/") === 0;
+    },
+
+    /**
+     * Returns the uri of the version history of a file, or of one of its
+     * versions.
+     *
+     * @param {String} uri
+     * @param {Number} id
+     * @return {String}
+     */
+    getVersionsUri: function(uri, id) {
+        return this.versionsPath + "/" + uri + (id ? "/" + id : "");
+    },
+
+    /**
+     * Returns the version history or version for a uri in the collection of
+     * version histories.
+     *
+     * @param {String} uri
+     * @return {jsDAV_iNode}
+     */
+    getVersionsNode: function(uri, callback) {
+        var backend = this.versionsBackend;
+        var path = Util.trim(uri, "/").substr(this.versionsPath.length + 1);
+        var notFound = new Exc.FileNotFound("No version history found at " + uri);
+        if (!path)
+            return callback(notFound);
+
+        backend.getHistory(path, function(err, history) {
+            if (err)
+                return callback(err);
+            if (history)
+                return callback(null, jsDAV_Versioning_VersionHistory.new(backend, path, history));
+
+            // not a history, but maybe a version in one
+            var parts = Util.splitPath(path);
+            if (!parts[0] || !/^\d+$/.test(parts[1]))
+                return callback(notFound);
+            backend.getHistory(parts[0], function(err, history) {
+                if (err)
+                    return callback(err);
+                if (!history)
+                    return callback(notFound);
+                jsDAV_Versioning_VersionHistory.new(backend, parts[0], history).getChild(parts[1], callback);
+            });
+        });
+    },
+
+    /**
+     * Resolves requests for version histories and versions, which are not part
+     * of the tree, and refuses requests that would modify them.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    beforeMethod: function(e, method, uri) {
+        var self = this;
+        var handler = this.handler;
+        var destination = handler.httpRequest.headers["destination"];
+        if ((method == "COPY" || method == "MOVE") && destination) {
+            try {
+                if (this.isVersionsUri(handler.calculateUri(destination)))
+                    return e.next(new Exc.Forbidden("Versions can not be modified"));
+            }
+            catch (ex) {
+                // the request itself reports an invalid destination
+            }
+        }
+
+        if (!this.isVersionsUri(uri))
+            return e.next();
+        if (this.READ_METHODS.indexOf(method) === -1)
+            return e.next(new Exc.Forbidden("Versions can not be modified"));
+
+        this.getVersionsNode(uri, function(err, node) {
+            if (err)
+                return e.next(err);
+            // the node is picked up from the cache by the handler and the
+            // other plugins
+            handler.nodeCache[uri] = node;
+            if (method != "COPY")
+                return e.next();
+            if (!node.hasFeature(jsDAV_Versioning_Version))
+                return e.next(new Exc.Forbidden("Version histories can not be copied"));
+            self.restore(e, node);
+        });
+    },
+
+    /**
+     * Handles a COPY of a version: its content is written to the destination,
+     * which records a new version of the destination.
+     *
+     * @param {jsDAV_Versioning_Version} version
+     * @return void
+     */
+    restore: function(e, version) {
+        var handler = this.handler;
+        handler.getCopyAndMoveInfo(function(err, info) {
+            if (err)
+                return e.next(err);
+            if (info.destinationExists && !info.destinationNode.hasFeature(jsDAV_iFile))
+                return e.next(new Exc.Conflict("A version can only be restored to a file"));
+
+            handler.checkPreconditions(false, function(err, redirected) {
+                if (err)
+                    return e.next(err);
+                if (redirected)
+                    return e.stop();
+                handler.checkDestinationPreconditions(info, function(err) {
+                    if (err)
+                        return e.next(err);
+                    version.get(function(err, data) {
+                        if (err)
+                            return e.next(err);
+                        if (info.destinationExists)
+                            return write(data);
+
+                        handler.createFile(info.destination, data, "binary", function(err) {
+                            if (err)
+                                return e.next(err);
+                            e.stop();
+                            handler.httpResponse.writeHead(201, {"content-length": "0"});
+                            handler.httpResponse.end();
+                        });
+                    });
+                });
+            });
+
+            function write(data) {
+                handler.dispatchEvent("beforeWriteContent", info.destination, info.destinationNode, function(stop) {
+                    if (stop === true)
+                        return e.stop();
+                    if (stop)
+                        return e.next(stop);
+
+                    info.destinationNode.put(data, "binary", function(err) {
+                        if (err)
+                            return e.next(err);
+                        handler.markDirty(info.destination);
+                        e.stop();
+                        handler.dispatchEvent("afterWriteContent", info.destination, function() {
+                            handler.httpResponse.writeHead(204, {"content-length": "0"});
+                            handler.httpResponse.end();
+                        });
+                    });
+                });
+            }
+        });
+    },
+
+    /**
+     * Handles the VERSION-CONTROL and UPDATE methods.
+     *
+     * @param {String} method
+     * @param {String} uri
+     * @return void
+     */
+    unknownMethod: function(e, method, uri) {
+        if (method != "VERSION-CONTROL" && method != "UPDATE")
+            return e.next();
+
+        var self = this;
+        var handler = this.handler;
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return e.next(err);
+            if (!node.hasFeature(jsDAV_iFile) || self.isVersionsUri(uri))
+                return e.next(new Exc.MethodNotAllowed("The resource " + uri + " can not be put under version control"));
+
+            self.versionsBackend.getHistory(uri, function(err, history) {
+                if (err)
+                    return e.next(err);
+                if (method == "UPDATE")
+                    return self.httpUpdate(e, uri, node, history);
+
+                // putting a version-controlled resource under version control
+                // has no effect
+                if (history)
+                    return done();
+                self.addVersion(uri, function(err) {
+                    if (err)
+                        return e.next(err);
+                    done();
+                });
+            });
+        });
+
+        function done() {
+            e.stop();
+            handler.httpResponse.writeHead(200, {"content-length": "0"});
+            handler.httpResponse.end();
+        }
+    },
+
+    /**
+     * Handles the UPDATE method, which replaces the content of a file with one
+     * of its versions. The version becomes the checked-in version of the file,
+     * so the version that is recorded next is a new branch of the version tree.
+     *
+     * The response contains the properties that were requested in the request
+     * body, if any.
+     *
+     * @param {String} uri
+     * @param {jsDAV_iFile} node
+     * @param {Object} history
+     * @return void
+     */
+    httpUpdate: function(e, uri, node, history) {
+        var self = this;
+        var handler = this.handler;
+        if (!history)
+            return e.next(new Exc.MustBeCheckedInVersionControlledResource("The resource " + uri + " is not under version control"));
+
+        handler.checkPreconditions(false, function(err, redirected) {
+            if (err)
+                return e.next(err);
+            if (redirected)
+                return e.stop();
+
+            self.parseUpdate(function(err, update) {
+                if (err)
+                    return e.next(err);
+
+                var id = self.getVersionId(uri, history, update.href);
+                if (id === null) {
+                    return e.next(new Exc.MustSelectVersionInHistory("The version " + update.href
+                        + " is not part of the version history of " + uri));
+                }
+
+                self.versionsBackend.getVersionData(uri, id, function(err, data) {
+                    if (err)
+                        return e.next(err);
+                    if (!data)
+                        return e.next(new Exc.FileNotFound("Version " + id + " of '" + uri + "' not found"));
+
+                    handler.dispatchEvent("beforeWriteContent", uri, node, function(stop) {
+                        if (stop === true)
+                            return e.stop();
+                        if (stop)
+                            return e.next(stop);
+
+                        node.put(data, "binary", function(err) {
+                            if (err)
+                                return e.next(err);
+                            handler.markDirty(uri);
+                            // the content is that of an existing version
+                            self.recorded[uri] = true;
+                            self.versionsBackend.setCheckedIn(uri, id, function(err) {
+                                if (err)
+                                    return e.next(err);
+                                handler.dispatchEvent("afterWriteContent", uri, function() {
+                                    sendResponse(update.properties);
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        function sendResponse(properties) {
+            e.stop();
+            handler.streamMultiStatus(handler.getHTTPPrefer()["return-minimal"], null, function(write, cbdone) {
+                if (!properties.length)
+                    return write(jsDAV_Property_Response.new(uri, {}, 200), cbdone);
+                handler.streamPropertiesForPath(uri, properties, 0, function(rpath, props, next) {
+                    write(props, next);
+                }, function(err) {
+                    cbdone(err);
+                });
+            });
+        }
+    },
+
+    /**
+     * Parses the body of an UPDATE request.
+     *
+     * @return {Object} {href: String, properties: Array}
+     */
+    parseUpdate: function(callback) {
+        var handler = this.handler;
+        handler.getRequestBody("utf8", null, false, function(err, body) {
+            if (err)
+                return callback(err);
+            Xml.loadDOMDocument(body, handler.server.options.parser, handler.getXmlLimits(), function(err, dom) {
+                if (err)
+                    return callback(err);
+                if (Xml.toClarkNotation(dom) != "{DAV:}update")
+                    return callback(new Exc.BadRequest("The request body must be a {DAV:}update element"));
+
+                var href = null;
+                for (var child, i = 0, l = dom.childNodes.length; i < l; ++i) {
+                    child = dom.childNodes[i];
+                    if (Xml.toClarkNotation(child) != "{DAV:}version")
+                        continue;
+                    for (var j = 0; j < child.childNodes.length; ++j) {
+                        if (Xml.toClarkNotation(child.childNodes[j]) == "{DAV:}href")
+                            href = Xml.getTextContent(child.childNodes[j]).trim();
+                    }
+                }
+                if (!href)
+                    return callback(new Exc.BadRequest("The {DAV:}update element must contain a {DAV:}version with a {DAV:}href"));
+
+                callback(null, {
+                    href: href,
+                    properties: Object.keys(Xml.parseProperties(dom))
+                });
+            });
+        });
+    },
+
+    /**
+     * Returns the id of the version in the history of 'uri' that 'href'
+     * points at, or null if it doesn't point at one.
+     *
+     * @param {String} uri
+     * @param {Object} history
+     * @param {String} href
+     * @return {Number}
+     */
+    getVersionId: function(uri, history, href) {
+        try {
+            href = this.handler.calculateUri(href);
+        }
+        catch (ex) {
+            return null;
+        }
+        var prefix = this.getVersionsUri(uri) + "/";
+        if (href.indexOf(prefix) !== 0)
+            return null;
+        var version = jsDAV_Versioning_VersionHistory.new(this.versionsBackend, uri, history)
+            .getVersion(href.substr(prefix.length));
+        return version ? version.id : null;
+    },
+
+    /**
+     * Stores the current content of a file as a new version.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    addVersion: function(uri, callback) {
+        var backend = this.versionsBackend;
+        this.recorded[uri] = true;
+        this.handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return callback(err);
+            // only files are versioned
+            if (!node.hasFeature(jsDAV_iFile))
+                return callback();
+
+            node.get(function(err, data) {
+                if (err)
+                    return callback(err);
+                node.getContentType(function(err, contentType) {
+                    if (err)
+                        return callback(err);
+                    backend.addVersion(uri, Buffer.isBuffer(data) ? data : new Buffer(data || ""),
+                        {contentType: contentType}, callback);
+                });
+            });
+        });
+    },
+
+    /**
+     * Records a new version of a file, once per request. Failures are logged,
+     * because the content was written regardless.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    recordVersion: function(e, uri) {
+        uri = Util.trim(uri, "/");
+        if (this.recorded[uri] || this.isVersionsUri(uri))
+            return e.next();
+
+        this.addVersion(uri, function(err) {
+            if (err)
+                Util.log("Unable to record a version of '" + uri + "': " + (err.message || err), "error");
+            e.next();
+        });
+    },
+
+    /**
+     * This method is triggered whenever the contents of a file changed.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterWriteContent: function(e, uri) {
+        this.recordVersion(e, uri);
+    },
+
+    /**
+     * This method is triggered before a resource is deleted, moved or
+     * overwritten.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    beforeUnbind: function(e, uri) {
+        this.unbound.push(Util.trim(uri, "/"));
+        e.next();
+    },
+
+    /**
+     * Removes the history of a file that was deleted.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterDelete: function(e, uri) {
+        this.unbound = [];
+        this.deleteHistories([Util.trim(uri, "/")], function() {
+            e.next();
+        });
+    },
+
+    /**
+     * This method is triggered whenever a resource was created. The history
+     * of a resource that was moved is moved along and the histories of
+     * resources that were overwritten are removed. New files are put under
+     * version control right away.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    afterBind: function(e, uri) {
+        var self = this;
+        var method = this.handler.httpRequest.method;
+        var unbound = this.unbound;
+        this.unbound = [];
+        uri = Util.trim(uri, "/");
+
+        var source = method == "MOVE" || method == "REBIND" ? unbound.pop() : null;
+        this.deleteHistories(unbound, function() {
+            if (!source) {
+                // a new binding of an existing resource doesn't change it
+                if (method == "BIND")
+                    return e.next();
+                return self.recordVersion(e, uri);
+            }
+            self.versionsBackend.moveHistory(source, uri, function(err) {
+                if (err)
+                    Util.log("Unable to move the version history of '" + source + "': " + (err.message || err), "error");
+                e.next();
+            });
+        });
+    },
+
+    /**
+     * Removes the histories of resources that don't exist anymore. Failures
+     * are logged.
+     *
+     * @param {Array} uris
+     * @return void
+     */
+    deleteHistories: function(uris, callback) {
+        var backend = this.versionsBackend;
+        Async.list(uris)
+            .each(function(uri, next) {
+                backend.deleteHistory(uri, function(err) {
+                    if (err)
+                        Util.log("Unable to remove the version history of '" + uri + "': " + (err.message || err), "error");
+                    next();
+                });
+            })
+            .end(function() {
+                callback();
+            });
+    },
+
+    /**
+     * Adds the versioning properties to files, version histories and
+     * versions.
+     *
+     * @param {String} path
+     * @param {jsDAV_iNode} node
+     * @param {Object} requestedProperties
+     * @param {Object} returnedProperties
+     * @return void
+     */
+    beforeGetProperties: function(e, path, node, requestedProperties, returnedProperties) {
+        if (!this.versionsBackend)
+            return e.next();
+
+        var self = this;
+        function setProperty(name, value) {
+            if (!requestedProperties[name])
+                return;
+            delete requestedProperties[name];
+            returnedProperties["200"][name] = value;
+        }
+        function getHrefs(uri, ids) {
+            return ids.map(function(id) {
+                return encodeURI(self.getVersionsUri(uri, id));
+            });
+        }
+
+        if (node.hasFeature(jsDAV_Versioning_Version)) {
+            setProperty("{DAV:}version-name", node.getName());
+            setProperty("{DAV:}predecessor-set", jsDAV_Property_HrefList.new(getHrefs(node.uri, node.version.predecessors)));
+            setProperty("{DAV:}successor-set", jsDAV_Property_HrefList.new(getHrefs(node.uri, node.getSuccessors())));
+            setProperty("{DAV:}version-history", jsDAV_Property_Href.new(encodeURI(this.getVersionsUri(node.uri))));
+            return e.next();
+        }
+        if (node.hasFeature(jsDAV_Versioning_VersionHistory)) {
+            var ids = node.history.versions.map(function(version) {
+                return version.id;
+            });
+            setProperty("{DAV:}version-set", jsDAV_Property_HrefList.new(getHrefs(node.uri, ids)));
+            if (ids.length)
+                setProperty("{DAV:}root-version", jsDAV_Property_Href.new(getHrefs(node.uri, ids.slice(0, 1))[0]));
+            return e.next();
+        }
+
+        if (!node.hasFeature(jsDAV_iFile)
+          || !requestedProperties["{DAV:}checked-in"] && !requestedProperties["{DAV:}version-history"])
+            return e.next();
+
+        path = Util.trim(path, "/");
+        this.versionsBackend.getHistory(path, function(err, history) {
+            if (err)
+                return e.next(err);
+            if (history) {
+                setProperty("{DAV:}checked-in", jsDAV_Property_Href.new(getHrefs(path, [history.checkedIn])[0]));
+                setProperty("{DAV:}version-history", jsDAV_Property_Href.new(encodeURI(self.getVersionsUri(path))));
+            }
+            e.next();
+        });
+    },
+
+    /**
+     * This functions handles REPORT requests specific to the versioning plugin
+     *
+     * @param {String} reportName
+     * @param {DOMNode} dom
+     * @return void
+     */
+    report: function(e, reportName, dom) {
+        if (reportName != "{DAV:}version-tree" || !this.versionsBackend)
+            return e.next();
+        this.versionTreeReport(e, dom);
+    },
+
+    /**
+     * Handles the {DAV:}version-tree REPORT, which returns the requested
+     * properties of all versions in the history of a file. The report can be
+     * requested on the file, its version history or any of its versions.
+     *
+     * @param {DOMNode} dom
+     * @return void
+     */
+    versionTreeReport: function(e, dom) {
+        var self = this;
+        var handler = this.handler;
+        var uri = Util.trim(handler.getRequestUri(), "/");
+        var properties = Object.keys(Xml.parseProperties(dom));
+
+        handler.getNodeForPath(uri, function(err, node) {
+            if (err)
+                return e.next(err);
+            if (node.hasFeature(jsDAV_Versioning_Version) || node.hasFeature(jsDAV_Versioning_VersionHistory))
+                return sendVersions(node.uri);
+            if (!node.hasFeature(jsDAV_iFile))
+                return e.next(new Exc.ReportNotImplemented("The version-tree report is only supported on files and versions"));
+            sendVersions(uri);
+        });
+
+        function sendVersions(path) {
+            var historyUri = self.getVersionsUri(path);
+            self.getVersionsNode(historyUri, function(err, history) {
+                if (err && !(err instanceof Exc.FileNotFound))
+                    return e.next(err);
+                if (!history) {
+                    return e.next(new Exc.ReportNotImplemented("The resource " + path
+                        + " is not under version control"));
+                }
+
+                handler.nodeCache[historyUri] = history;
+                e.stop();
+                handler.streamMultiStatus(handler.getHTTPPrefer()["return-minimal"], null, function(write, cbdone) {
+                    handler.streamPropertiesForPath(historyUri, properties, 1, function(rpath, props, next) {
+                        // the version history itself is not reported
+                        if (rpath === historyUri)
+                            return next();
+                        write(props, next);
+                    }, function(err) {
+                        cbdone(err);
+                    });
+                });
+            });
+        }
+    }
+});
@@ -0,0 +1,243 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Versioning_iBackend = require("./iBackend");
+
+var Fs = require("fs");
+var Path = require("path");
+var Async = require("asyncjs");
+
+/**
+ * This version store mirrors the tree on disk: the history of a resource is
+ * kept in a directory at the same path, which holds a JSON file that describes
+ * the history and a file with the content of each version. Moving or deleting
+ * the histories of a collection is a single rename or removal of a directory.
+ *
+ * The directory is passed to the constructor. There is no default, since the
+ * histories must survive the cleaning of temporary directories.
+ *
+ * Writes are serialized within the process, so the directory must not be
+ * shared between multiple processes.
+ */
+var jsDAV_Versioning_Backend_FS = module.exports = jsDAV_Versioning_iBackend.extend({
+    initialize: function(dataDir) {
+        if (!dataDir)
+            throw new Error("The fs version store needs the 'dataDir' to keep the histories in");
+        this.dataDir = dataDir;
+        this.queue = [];
+        // ensure that the path is there
+        Async.makePath(this.dataDir, function() {});
+    },
+
+    /**
+     * Returns the directory the history of a resource is kept in.
+     *
+     * @param {String} uri
+     * @return {String}
+     */
+    getDirForUri: function(uri) {
+        // uris are normalized by the handler already, this keeps a malformed
+        // uri from escaping the data directory
+        return Path.join(this.dataDir, Path.normalize("/" + uri));
+    },
+
+    getHistoryFilename: function(uri) {
+        return this.getDirForUri(uri) + "/jsdav_history.json";
+    },
+
+    getVersionFilename: function(uri, id) {
+        return this.getDirForUri(uri) + "/" + id + ".version";
+    },
+
+    /**
+     * Runs write operations one at a time, so that concurrent requests don't
+     * overwrite each other's changes to a history.
+     *
+     * @param {Function} fn       Receives a callback to call when it's done
+     * @param {Function} callback
+     * @return void
+     */
+    enqueue: function(fn, callback) {
+        var self = this;
+        this.queue.push([fn, callback]);
+        if (this.queue.length > 1)
+            return;
+        next();
+
+        function next() {
+            var item = self.queue[0];
+            if (!item)
+                return;
+            item[0](function() {
+                self.queue.shift();
+                item[1].apply(null, arguments);
+                next();
+            });
+        }
+    },
+
+    /**
+     * Returns the version history of a resource, or null if the resource is
+     * not under version control.
+     *
+     * @param {String} uri
+     * @return {Object}
+     */
+    getHistory: function(uri, cbgethistory) {
+        Fs.readFile(this.getHistoryFilename(uri), "utf8", function(err, data) {
+            if (err)
+                return cbgethistory(err.code == "ENOENT" || err.code == "ENOTDIR" ? null : err, null);
+
+            var history;
+            try {
+                history = JSON.parse(data);
+            }
+            catch (ex) {
+                return cbgethistory(ex);
+            }
+            cbgethistory(null, history);
+        });
+    },
+
+    /**
+     * Stores the content of a resource as a new version and returns it.
+     *
+     * @param {String} uri
+     * @param {Buffer} data
+     * @param {Object} meta
+     * @return {Object}
+     */
+    addVersion: function(uri, data, meta, cbaddversion) {
+        var self = this;
+        this.enqueue(function(done) {
+            self.getHistory(uri, function(err, history) {
+                if (err)
+                    return done(err);
+
+                history = history || {checkedIn: null, versions: []};
+                var last = history.versions[history.versions.length - 1];
+                var version = {
+                    id: last ? last.id + 1 : 1,
+                    created: Date.now(),
+                    size: data.length,
+                    contentType: meta.contentType || null,
+                    predecessors: history.checkedIn ? [history.checkedIn] : []
+                };
+
+                Async.makePath(self.getDirForUri(uri), function(err) {
+                    if (err)
+                        return done(err);
+                    Fs.writeFile(self.getVersionFilename(uri, version.id), data, function(err) {
+                        if (err)
+                            return done(err);
+
+                        history.versions.push(version);
+                        history.checkedIn = version.id;
+                        self.putHistory(uri, history, function(err) {
+                            done(err, err ? null : version);
+                        });
+                    });
+                });
+            });
+        }, cbaddversion);
+    },
+
+    /**
+     * Returns the content of a version, or null if the version doesn't exist.
+     *
+     * @param {String} uri
+     * @param {Number} id
+     * @return {Buffer}
+     */
+    getVersionData: function(uri, id, cbgetdata) {
+        Fs.readFile(this.getVersionFilename(uri, id), function(err, data) {
+            if (err)
+                return cbgetdata(err.code == "ENOENT" || err.code == "ENOTDIR" ? null : err, null);
+            cbgetdata(null, data);
+        });
+    },
+
+    /**
+     * Marks an existing version as the checked-in version of a resource.
+     *
+     * @param {String} uri
+     * @param {Number} id
+     * @return void
+     */
+    setCheckedIn: function(uri, id, cbsetcheckedin) {
+        var self = this;
+        this.enqueue(function(done) {
+            self.getHistory(uri, function(err, history) {
+                if (err || !history)
+                    return done(err);
+                history.checkedIn = id;
+                self.putHistory(uri, history, done);
+            });
+        }, cbsetcheckedin);
+    },
+
+    /**
+     * Moves the history of a resource, and the histories of its members, to
+     * another uri.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    moveHistory: function(source, destination, cbmovehistory) {
+        var self = this;
+        var sourceDir = this.getDirForUri(source);
+        var destinationDir = this.getDirForUri(destination);
+        this.enqueue(function(done) {
+            removeDir(destinationDir, function(err) {
+                if (err)
+                    return done(err);
+                Fs.stat(sourceDir, function(err) {
+                    if (err)
+                        return done(err.code == "ENOENT" ? null : err);
+                    Async.makePath(Path.dirname(destinationDir), function(err) {
+                        if (err)
+                            return done(err);
+                        Fs.rename(sourceDir, destinationDir, done);
+                    });
+                });
+            });
+        }, cbmovehistory);
+    },
+
+    /**
+     * Removes the history of a resource and the histories of its members.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    deleteHistory: function(uri, cbdelhistory) {
+        var dir = this.getDirForUri(uri);
+        // never remove the data directory itself
+        if (dir == Path.normalize(this.dataDir))
+            return cbdelhistory();
+        this.enqueue(function(done) {
+            removeDir(dir, done);
+        }, cbdelhistory);
+    },
+
+    putHistory: function(uri, history, cbputhistory) {
+        Fs.writeFile(this.getHistoryFilename(uri), JSON.stringify(history), "utf8", cbputhistory);
+    }
+});
+
+function removeDir(dir, callback) {
+    Fs.stat(dir, function(err) {
+        if (err)
+            return callback(err.code == "ENOENT" ? null : err);
+        Async.rmtree(dir, function(err) {
+            callback(err);
+        });
+    });
+}
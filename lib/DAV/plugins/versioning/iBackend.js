@@ -0,0 +1,92 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Base = require("./../../../shared/base");
+var Exc = require("./../../../shared/exceptions");
+
+/**
+ * This is the interface for any version store of the versioning plugin.
+ *
+ * Every version-controlled resource has a version history, which is a plain
+ * object that can be serialized to JSON:
+ *
+ * {
+ *   checkedIn: 3,                  // id of the version the resource is based on
+ *   versions: [{
+ *     id: 1,                       // ids are numbers, unique per history
+ *     created: 1350000000000,      // timestamp in milliseconds
+ *     size: 1024,                  // size of the content, in bytes
+ *     contentType: "text/plain",   // may be null
+ *     predecessors: []             // ids of the versions this one is based on
+ *   }, ...]
+ * }
+ *
+ * Versions are listed in the order in which they were created. Histories are
+ * identified by the uri of the resource; histories of the members of a
+ * collection are moved and deleted together with the collection.
+ */
+var jsDAV_Versioning_iBackend = module.exports = Base.extend({
+    /**
+     * Returns the version history of a resource, or null if the resource is
+     * not under version control.
+     *
+     * @param {String} uri
+     * @return {Object}
+     */
+    getHistory: function(uri, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Stores the content of a resource as a new version and returns it. The
+     * checked-in version becomes its predecessor and the new version becomes
+     * the checked-in version. The history is created if it doesn't exist yet.
+     *
+     * @param {String} uri
+     * @param {Buffer} data
+     * @param {Object} meta   Contains the 'contentType' of the content
+     * @return {Object}
+     */
+    addVersion: function(uri, data, meta, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Returns the content of a version, or null if the version doesn't exist.
+     *
+     * @param {String} uri
+     * @param {Number} id
+     * @return {Buffer}
+     */
+    getVersionData: function(uri, id, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Marks an existing version as the checked-in version of a resource.
+     *
+     * @param {String} uri
+     * @param {Number} id
+     * @return void
+     */
+    setCheckedIn: function(uri, id, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Moves the history of a resource, and the histories of its members, to
+     * another uri. Histories that exist at the destination are replaced.
+     *
+     * @param {String} source
+     * @param {String} destination
+     * @return void
+     */
+    moveHistory: function(source, destination, callback) { callback(Exc.notImplementedYet()); },
+
+    /**
+     * Removes the history of a resource and the histories of its members.
+     * Removing a history that doesn't exist is not an error.
+     *
+     * @param {String} uri
+     * @return void
+     */
+    deleteHistory: function(uri, callback) { callback(Exc.notImplementedYet()); }
+});
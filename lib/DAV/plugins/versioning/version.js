@@ -0,0 +1,92 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_File = require("./../../file");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * A version of a version-controlled resource, as a read-only file.
+ *
+ * @param {jsDAV_Versioning_iBackend} backend
+ * @param {String} uri     Uri of the version-controlled resource
+ * @param {Object} version Version as stored in the version history
+ * @param {Object} history History the version is part of
+ */
+var jsDAV_Versioning_Version = module.exports = jsDAV_File.extend({
+    initialize: function(backend, uri, version, history) {
+        this.backend = backend;
+        this.uri = uri;
+        this.version = version;
+        this.history = history;
+    },
+
+    /**
+     * Returns the name of the version, which is its id
+     *
+     * @return {String}
+     */
+    getName: function() {
+        return String(this.version.id);
+    },
+
+    /**
+     * Returns the content of the version
+     *
+     * @return {Buffer}
+     */
+    get: function(cbfileget) {
+        var self = this;
+        this.backend.getVersionData(this.uri, this.version.id, function(err, data) {
+            if (err)
+                return cbfileget(err);
+            if (!data)
+                return cbfileget(new Exc.FileNotFound("Version " + self.version.id + " of '" + self.uri + "' not found"));
+            cbfileget(null, data);
+        });
+    },
+
+    getSize: function(cbfilegetsize) {
+        cbfilegetsize(null, this.version.size);
+    },
+
+    /**
+     * Versions never change, so the ETag only has to tell versions apart that
+     * got the same id after a history was removed and created again.
+     *
+     * @return {String}
+     */
+    getETag: function(cbfilegetetag) {
+        cbfilegetetag(null, '"' + Util.md5(this.uri + "/" + this.version.id + "/" + this.version.created) + '"');
+    },
+
+    getContentType: function(cbfilegetct) {
+        cbfilegetct(null, this.version.contentType);
+    },
+
+    getLastModified: function(cbfilemtime) {
+        cbfilemtime(null, new Date(this.version.created));
+    },
+
+    /**
+     * Returns the ids of the versions that have this version as their
+     * predecessor.
+     *
+     * @return {Array}
+     */
+    getSuccessors: function() {
+        var id = this.version.id;
+        return this.history.versions.filter(function(version) {
+            return version.predecessors.indexOf(id) > -1;
+        }).map(function(version) {
+            return version.id;
+        });
+    }
+});
@@ -0,0 +1,74 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Collection = require("./../../collection");
+var jsDAV_Versioning_Version = require("./version");
+
+var Exc = require("./../../../shared/exceptions");
+var Util = require("./../../../shared/util");
+
+/**
+ * The version history of a version-controlled resource, as a read-only
+ * collection that contains its versions.
+ *
+ * @param {jsDAV_Versioning_iBackend} backend
+ * @param {String} uri     Uri of the version-controlled resource
+ * @param {Object} history History as returned by the backend
+ */
+var jsDAV_Versioning_VersionHistory = module.exports = jsDAV_Collection.extend({
+    initialize: function(backend, uri, history) {
+        this.backend = backend;
+        this.uri = uri;
+        this.history = history;
+    },
+
+    /**
+     * Returns the name of the history, which is the name of the resource
+     *
+     * @return {String}
+     */
+    getName: function() {
+        return Util.splitPath(this.uri)[1];
+    },
+
+    getChild: function(name, cbgetchild) {
+        var version = this.getVersion(name);
+        if (!version)
+            return cbgetchild(new Exc.FileNotFound("Version " + name + " of '" + this.uri + "' not found"));
+        cbgetchild(null, jsDAV_Versioning_Version.new(this.backend, this.uri, version, this.history));
+    },
+
+    getChildren: function(cbgetchildren) {
+        var self = this;
+        cbgetchildren(null, this.history.versions.map(function(version) {
+            return jsDAV_Versioning_Version.new(self.backend, self.uri, version, self.history);
+        }));
+    },
+
+    getLastModified: function(cbgetlm) {
+        var versions = this.history.versions;
+        cbgetlm(null, new Date(versions.length ? versions[versions.length - 1].created : 0));
+    },
+
+    /**
+     * Returns the version with the given id from the history, or null if it
+     * doesn't exist.
+     *
+     * @param {String|Number} id
+     * @return {Object}
+     */
+    getVersion: function(id) {
+        id = String(id);
+        for (var i = 0, l = this.history.versions.length; i < l; ++i) {
+            if (String(this.history.versions[i].id) === id)
+                return this.history.versions[i];
+        }
+        return null;
+    }
+});
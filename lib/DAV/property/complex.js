@@ -0,0 +1,94 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Property = require("./../property");
+
+var Xml = require("./../../shared/xml");
+var DOMParser = require("xmldom").DOMParser;
+var XMLSerializer = require("xmldom").XMLSerializer;
+
+/**
+ * Complex property
+ *
+ * Holds the value of a property that has no class of its own, like the dead
+ * properties that clients store with PROPPATCH, as a fragment of XML. This
+ * way values that contain elements are returned exactly as they were stored.
+ */
+var jsDAV_Property_Complex = module.exports = jsDAV_Property.extend({
+    initialize: function(xml) {
+        this.xml = xml || "";
+    },
+
+    /**
+     * Returns the value as a fragment of XML
+     *
+     * @return {String}
+     */
+    getXml: function() {
+        return this.xml;
+    },
+
+    /**
+     * Returns the text of the value without its markup, which is used to
+     * compare values, for example by the search plugin.
+     *
+     * @return {String}
+     */
+    getValue: function() {
+        if (!/[<&]/.test(this.xml))
+            return this.xml;
+        var doc = new DOMParser().parseFromString("<value>" + this.xml + "</value>", "text/xml");
+        return Xml.getTextContent(doc.documentElement);
+    },
+
+    /**
+     * serialize
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String}        dom
+     * @return {String}
+     */
+    serialize: function(handler, dom) {
+        return dom + this.xml;
+    },
+
+    /**
+     * Unserializes the contents of a property element. Namespaces that are
+     * declared outside of the element are declared again on the elements
+     * that use them, so that the fragment can be used on its own.
+     *
+     * @param {DOMElement} dom
+     * @return jsDAV_Property_Complex
+     */
+    unserialize: function(dom) {
+        var serializer = new XMLSerializer();
+        var xml = "";
+        for (var i = 0, l = dom.childNodes.length; i < l; ++i)
+            xml += serializer.serializeToString(dom.childNodes[i]);
+        // undo the mapping of the DAV: namespace of Xml.convertDAVNamespace()
+        xml = xml.replace(/xmlns(:[A-Za-z0-9_]*)?=("|')urn:DAV("|')/g, "xmlns$1=$2DAV:$2");
+        return jsDAV_Property_Complex.new(xml);
+    },
+
+    /**
+     * Returns the value of a property as a fragment of XML, for backends that
+     * store dead properties. Text values are escaped; other values than text
+     * and complex properties can't be stored and return null.
+     *
+     * @param {mixed} value
+     * @return {String}
+     */
+    toXml: function(value) {
+        if (typeof value == "string")
+            return Xml.escapeXml(value);
+        if (value && typeof value.getXml == "function")
+            return value.getXml();
+        return null;
+    }
+});
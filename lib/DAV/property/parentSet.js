@@ -0,0 +1,64 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2011 Ajax.org B.V. <info AT ajax DOT org>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var jsDAV_Property = require("./../property");
+
+var Util = require("./../../shared/util");
+var Xml = require("./../../shared/xml");
+
+/**
+ * The {DAV:}parent-set property, as defined in RFC5842 section 3.2
+ *
+ * It lists the bindings of a resource: for each the collection that contains
+ * it and its name in that collection.
+ */
+var jsDAV_Property_ParentSet = module.exports = jsDAV_Property.extend({
+    /**
+     * @param {Array} parents List of objects with the path of a parent
+     *                        collection ('href') and a name ('segment')
+     */
+    initialize: function(parents) {
+        this.parents = parents || [];
+    },
+
+    /**
+     * Returns the parents
+     *
+     * @return {Array}
+     */
+    getParents: function() {
+        return this.parents;
+    },
+
+    /**
+     * Serializes this property. The base uri of the server is prepended to the
+     * paths of the parent collections.
+     *
+     * @param {jsDAV_Handler} handler
+     * @param {String} dom
+     * @return {String}
+     */
+    serialize: function(handler, dom) {
+        var propPrefix = Xml.xmlNamespaces["DAV:"];
+        var baseUri = handler.server.getBaseUri();
+        var aXml = [];
+
+        this.parents.forEach(function(parent) {
+            var href = Util.trim(parent.href, "/");
+            aXml.push(
+                "<" + propPrefix + ":parent>",
+                "<" + propPrefix + ":href>" + Xml.escapeXml(encodeURI(baseUri + (href ? href + "/" : "")))
+                    + "</" + propPrefix + ":href>",
+                "<" + propPrefix + ":segment>" + Xml.escapeXml(parent.segment) + "</" + propPrefix + ":segment>",
+                "</" + propPrefix + ":parent>"
+            );
+        });
+        return dom + aXml.join("");
+    }
+});
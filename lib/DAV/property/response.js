@@ -14,9 +14,10 @@ var Util = require("./../../shared/util");
 var Xml = require("./../../shared/xml");
 
 var jsDAV_Property_Response = module.exports = jsDAV_Property.extend({
-    initialize: function(href, responseProperties) {
+    initialize: function(href, responseProperties, httpStatus) {
         this.href = href;
         this.responseProperties = responseProperties || {};
+        this.httpStatus = httpStatus || null;
     },
 
     /**
@@ -28,6 +29,15 @@ var jsDAV_Property_Response = module.exports = jsDAV_Property.extend({
         return this.href;
     },
 
+    /**
+     * Returns the HTTP status of the entire response, if any
+     *
+     * @return {Number}
+     */
+    getHttpStatus: function() {
+        return this.httpStatus;
+    },
+
     /**
      * Returns the property list
      *
@@ -126,6 +136,11 @@ var jsDAV_Property_Response = module.exports = jsDAV_Property.extend({
             );
         }
 
+        // A status for the entire response, for example to indicate that a
+        // resource was removed.
+        if (this.httpStatus)
+            aXml.push("<d:status>" + handler.getStatusMessage(this.httpStatus) + "</d:status>");
+
         return dom + aXml.join("") + "</d:response>";
     }
 });
@@ -149,13 +149,19 @@ function Server(options) {
 
         if (options.standalone) {
             var listeners = options.server.listeners("request");
+            var continueListeners = options.server.listeners("checkContinue");
             options.server.removeAllListeners("request");
+            options.server.removeAllListeners("checkContinue");
 
-            options.server.addListener("request", function(req, resp) {
+            var isMounted = function(req) {
                 var path = Url.parse(req.url).pathname;
                 if (path.charAt(path.length - 1) != "/")
                     path = path + "/";
-                if (path.indexOf(self.baseUri) === 0) {
+                return path.indexOf(self.baseUri) === 0;
+            };
+
+            options.server.addListener("request", function(req, resp) {
+                if (isMounted(req)) {
                     self.exec(req, resp);
                 }
                 else {
@@ -163,12 +169,38 @@ function Server(options) {
                         listeners[i].call(options.server, req, resp);
                 }
             });
+
+            options.server.addListener("checkContinue", function(req, resp) {
+                if (isMounted(req)) {
+                    self.execContinue(req, resp);
+                }
+                else if (continueListeners.length) {
+                    for (var i = 0, len = continueListeners.length; i < len; ++i)
+                        continueListeners[i].call(options.server, req, resp);
+                }
+                else {
+                    // what Node does when there is no 'checkContinue' listener
+                    resp.writeContinue();
+                    options.server.emit("request", req, resp);
+                }
+            });
         }
     }
     else {
         this.setBaseUri(this.guessBaseUri());
 
         Http.Server.call(this, this.exec);
+        this.addListener("checkContinue", this.execContinue);
+    }
+
+    // methods that may be sent with X-HTTP-Method-Override, see exec()
+    this.overrideMethods = {};
+
+    // Plugins are instantiated for every request, but may set up state that
+    // is shared by all requests to this server.
+    for (var name in this.plugins) {
+        if (this.plugins[name] && typeof this.plugins[name].initServer == "function")
+            this.plugins[name].initServer(this);
     }
 }
 
@@ -207,14 +239,54 @@ require("util").inherits(Server, Http.Server);
     /**
      * Called when an http request comes in, pass it on to the Handler
      *
+     * The HTTP parser of Node only accepts the methods it knows about, which
+     * leaves out extension methods like ORDERPATCH. Clients can send those as
+     * a POST request with an X-HTTP-Method-Override header instead, but only
+     * for the methods that an enabled plugin allowed with
+     * allowMethodOverride(). Other POST requests are left alone.
+     *
      * @param {ServerRequest}  req
      * @param {ServerResponse} resp
      * @return void
      */
     this.exec = function(req, resp) {
+        var override = (req.headers["x-http-method-override"] || "").trim().toUpperCase();
+        if (override && req.method == "POST" && this.overrideMethods[override])
+            req.method = override;
         new jsDAV_Handler(this, req, resp);
     };
 
+    /**
+     * Allows clients to send requests with an extension method as a POST
+     * request with an X-HTTP-Method-Override header (see exec()). Plugins call
+     * this from initServer() for the methods they handle. Methods that Node
+     * accepts can not be overridden.
+     *
+     * @param {String} method
+     * @return void
+     */
+    this.allowMethodOverride = function(method) {
+        method = method.toUpperCase();
+        if (Http.METHODS.indexOf(method) == -1)
+            this.overrideMethods[method] = true;
+    };
+
+    /**
+     * Called when an http request with an 'Expect: 100-continue' header comes
+     * in. The interim 100 Continue response is not sent right away, but by the
+     * Handler once it starts reading the request body. This way the request is
+     * rejected without receiving the body when authentication, a lock, a
+     * precondition or any other check that precedes the upload fails.
+     *
+     * @param {ServerRequest}  req
+     * @param {ServerResponse} resp
+     * @return void
+     */
+    this.execContinue = function(req, resp) {
+        req.$expectContinue = true;
+        this.exec(req, resp);
+    };
+
     /**
      * Sets the base server uri
      *
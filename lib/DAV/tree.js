@@ -12,11 +12,16 @@ var Base = require("./../shared/base");
 var jsDAV_iFile = require("./interfaces/iFile");
 var jsDAV_iCollection = require("./interfaces/iCollection");
 var jsDAV_iProperties = require("./interfaces/iProperties");
+var jsDAV_iPatchSupport = require("./interfaces/iPatchSupport");
 
+var Async = require("asyncjs");
 var Exc = require("./../shared/exceptions");
 var Util  = require("./../shared/util");
 var Path = require("path");
 
+// amount of data that is read ahead while a file is copied, in bytes
+var COPY_BUFFER_SIZE = 1048576;
+
 /**
  * Abstract tree object
  */
@@ -72,6 +77,18 @@ var jsDAV_Tree = module.exports = Base.extend({
         return Path.relative(this.sandbox, path).indexOf("../") !== 0;
     },
 
+    /**
+     * Returns the tree that handles a single request. Trees that need to know
+     * about the request, like the user that made it, return a copy of
+     * themselves that is bound to the handler.
+     *
+     * @param {jsDAV_Handler} handler
+     * @return {jsDAV_Tree}
+     */
+    forRequest: function(handler) {
+        return this;
+    },
+
     /**
      * This function must return an iNode object for a path
      * If a Path doesn't exist, thrown an Exc.FileNotFound
@@ -146,7 +163,11 @@ var jsDAV_Tree = module.exports = Base.extend({
             this.copy(sourcePath, destinationPath, function(err) {
                 if (err)
                     return cbmovetree(err);
-                self.getNodeForPath(sourcePath)["delete"](onDone);
+                self.getNodeForPath(sourcePath, function(err, node) {
+                    if (err)
+                        return cbmovetree(err);
+                    node["delete"](onDone);
+                });
             });
         }
         
@@ -164,15 +185,13 @@ var jsDAV_Tree = module.exports = Base.extend({
      * @return void
      */
     "delete": function(path, cbtreedelete) {
-        var self = this;
         this.getNodeForPath(path, function(err, node) {
             if (err)
                 return cbtreedelete(err);
 
-            node.delete(function(err) {
+            node["delete"](function(err) {
                 if (err)
                     return cbtreedelete(err);
-                self.markDirty(Util.splitPath(path)[0]);
                 cbtreedelete();
             });
         });
@@ -195,30 +214,25 @@ var jsDAV_Tree = module.exports = Base.extend({
     /**
      * copyNode
      *
+     * Copies a node and everything below it to a collection, which may be part
+     * of another tree.
+     *
      * @param {jsDAV_iNode} source
      * @param {jsDAV_iCollection} destination
+     * @param {String} destinationName
      * @return void
      */
     copyNode: function(source, destinationParent, destinationName, cbcopytreenode) {
         if (!destinationName)
             destinationName = source.getName();
 
-        var destination;
         var self = this;
 
         if (source.hasFeature(jsDAV_iFile)) {
-            source.get(function(err, data) {
+            this.copyFile(source, destinationParent, destinationName, function(err, destination) {
                 if (err)
                     return cbcopytreenode(err);
-                destinationParent.createFile(destinationName, data, function(err) {
-                    if (err)
-                        return cbcopytreenode(err);
-                    destinationParent.getChild(destinationName, function(err, destination) {
-                        if (err)
-                            return cbcopytreenode(err);
-                        afterCopy(destination);
-                    });
-                });
+                afterCopy(destination);
             });
         }
         else if (source.hasFeature(jsDAV_iCollection)) {
@@ -228,32 +242,148 @@ var jsDAV_Tree = module.exports = Base.extend({
                 destinationParent.getChild(destinationName, function(err, destination) {
                     if (err)
                         return cbcopytreenode(err);
-                    var child;
-                    var c       = source.getChildren();
-                    var i       = 0;
-                    var l       = c.length;
-                    var error   = null;
-                    var onError = function(err) {
+                    source.getChildren(function(err, children) {
                         if (err)
-                            error = err;
-                    };
-                    for (; i < l && !error; ++i) {
-                        child = c[i];
-                        self.copyNode(child, destination, onError);
-                    }
-                    if (error)
-                        return cbcopytreenode(error);
-                    afterCopy(destination);
+                            return cbcopytreenode(err);
+                        Async.list(children)
+                            .each(function(child, next) {
+                                self.copyNode(child, destination, null, next);
+                            })
+                            .end(function(err) {
+                                if (err)
+                                    return cbcopytreenode(err);
+                                afterCopy(destination);
+                            });
+                    });
                 });
             });
-
+        }
+        else {
+            cbcopytreenode(new Exc.Forbidden("The node " + source.getName() + " can not be copied"));
         }
 
         function afterCopy(destination) {
-            if (source.hasFeature(jsDAV_iProperties) && destination.hasFeature(jsDAV_iProperties))
-                destination.updateProperties(source.getProperties({}), cbcopytreenode);
-            else
-                cbcopytreenode();
+            if (!source.hasFeature(jsDAV_iProperties) || !destination.hasFeature(jsDAV_iProperties))
+                return cbcopytreenode();
+            source.getProperties([], function(err, properties) {
+                if (err || !Object.keys(properties).length)
+                    return cbcopytreenode(err);
+                destination.updateProperties(properties, function(err) {
+                    cbcopytreenode(err);
+                });
+            });
+        }
+    },
+
+    /**
+     * Copies the contents of a file to a new file in a collection. The contents
+     * are streamed when the source supports streams and the new file is able to
+     * append data (see jsDAV_iPatchSupport), so large files aren't read into
+     * memory at once. The data that is read while the new file is being written
+     * to is appended in one go; the source is paused when more than
+     * COPY_BUFFER_SIZE bytes are waiting.
+     *
+     * @param {jsDAV_iFile} source
+     * @param {jsDAV_iCollection} destinationParent
+     * @param {String} destinationName
+     * @return void
+     */
+    copyFile: function(source, destinationParent, destinationName, cbcopyfile) {
+        if (!source.getStream) {
+            return source.get(function(err, data) {
+                if (err)
+                    return cbcopyfile(err);
+                destinationParent.createFile(destinationName, data, "binary", afterCreate);
+            });
+        }
+
+        destinationParent.createFile(destinationName, new Buffer(0), "binary", function(err) {
+            if (err)
+                return cbcopyfile(err);
+            destinationParent.getChild(destinationName, function(err, destination) {
+                if (err)
+                    return cbcopyfile(err);
+                if (!destination.hasFeature(jsDAV_iPatchSupport)) {
+                    return source.get(function(err, data) {
+                        if (err)
+                            return cbcopyfile(err);
+                        destination.put(data, "binary", function(err) {
+                            cbcopyfile(err, destination);
+                        });
+                    });
+                }
+
+                // chunks are appended in the order they are read
+                var chunks = [];
+                var buffered = 0;
+                var paused = null;
+                var writing = false;
+                var ended = false;
+                var failed = false;
+
+                source.getStream(null, null, function(err, data, stream) {
+                    if (failed)
+                        return;
+                    if (err)
+                        return fail(err);
+                    if (data) {
+                        chunks.push(data);
+                        buffered += data.length;
+                    }
+                    else {
+                        ended = true;
+                    }
+                    write();
+                    // sources that pass their stream along can be paused
+                    if (buffered >= COPY_BUFFER_SIZE && stream && stream.pause && !paused) {
+                        paused = stream;
+                        paused.pause();
+                    }
+                });
+
+                function write() {
+                    if (writing || failed)
+                        return;
+                    if (!chunks.length) {
+                        if (ended)
+                            cbcopyfile(null, destination);
+                        return;
+                    }
+                    var data = chunks.length == 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+                    chunks = [];
+                    buffered = 0;
+                    resume();
+                    writing = true;
+                    destination.patch(data, null, function(err) {
+                        writing = false;
+                        if (err)
+                            return fail(err);
+                        write();
+                    });
+                }
+
+                function resume() {
+                    if (!paused)
+                        return;
+                    var stream = paused;
+                    paused = null;
+                    stream.resume();
+                }
+
+                function fail(err) {
+                    failed = true;
+                    chunks = [];
+                    // let the source run to its end
+                    resume();
+                    cbcopyfile(err);
+                }
+            });
+        });
+
+        function afterCreate(err) {
+            if (err)
+                return cbcopyfile(err);
+            destinationParent.getChild(destinationName, cbcopyfile);
         }
     }
 });
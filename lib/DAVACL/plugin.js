@@ -753,6 +753,7 @@ var jsDAVACL_Plugin = module.exports = jsDAV_ServerPlugin.extend({
                     self.checkPrivileges(uri, "{DAV:}read", null, cont);
                     break;
                 case "PUT" :
+                case "PATCH" :
                 case "LOCK" :
                 case "UNLOCK" :
                     // This method requires the write-content priv if the node
@@ -1097,7 +1098,7 @@ var jsDAVACL_Plugin = module.exports = jsDAV_ServerPlugin.extend({
             if (err)
                 return e.next(err);
 
-            Xml.loadDOMDocument(body, self.handler.server.options.parser, function(err, dom) {
+            Xml.loadDOMDocument(body, self.handler.server.options.parser, self.handler.getXmlLimits(), function(err, dom) {
                 if (err)
                     return e.next(err);
 
@@ -1423,7 +1424,7 @@ var jsDAVACL_Plugin = module.exports = jsDAV_ServerPlugin.extend({
 
             e.stop();
 
-            var prefer = self.handler.getHTTPPRefer();
+            var prefer = self.handler.getHTTPPrefer();
             self.handler.httpResponse.writeHead(207, {
                 "content-type": "application/xml; charset=utf-8",
                 "vary": "Brief,Prefer"
@@ -98,6 +98,24 @@ exports.BadRequest = function(msg, extra) {
 };
 exports.BadRequest.prototype = new exports.jsDAV_Exception();
 
+/**
+ * SearchGrammarSupported
+ *
+ * This exception is thrown when a client sent a SEARCH request with a query
+ * grammar the server does not support.
+ *
+ * See RFC5323 section 2.4
+ */
+exports.SearchGrammarSupported = function(msg, extra) {
+    this.type    = "SearchGrammarSupported";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:search-grammar-supported/>";
+    };
+};
+exports.SearchGrammarSupported.prototype = new exports.BadRequest();
+
 /**
  * Conflict
  *
@@ -133,6 +151,136 @@ exports.AceConflict = function(msg, extra) {
 };
 exports.AceConflict.prototype = new exports.Conflict();
 
+/**
+ * BindIntoCollection
+ *
+ * This exception is thrown when the request uri of a BIND, REBIND or UNBIND
+ * request is not a collection.
+ *
+ * See RFC5842 sections 4, 5 and 6
+ */
+exports.BindIntoCollection = function(msg, method) {
+    this.type    = "BindIntoCollection";
+    this.message = msg || this.type;
+    this.method  = method || "BIND";
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + (this.method == "UNBIND"
+            ? "<d:unbind-from-collection/>"
+            : "<d:" + this.method.toLowerCase() + "-into-collection/>");
+    };
+};
+exports.BindIntoCollection.prototype = new exports.Conflict();
+
+/**
+ * BindSourceExists
+ *
+ * This exception is thrown when the binding a BIND, REBIND or UNBIND request
+ * refers to does not exist.
+ *
+ * See RFC5842 sections 4, 5 and 6
+ */
+exports.BindSourceExists = function(msg, method) {
+    this.type    = "BindSourceExists";
+    this.message = msg || this.type;
+    this.method  = method || "BIND";
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:" + this.method.toLowerCase() + "-source-exists/>";
+    };
+};
+exports.BindSourceExists.prototype = new exports.Conflict();
+
+/**
+ * CollectionMustBeOrdered
+ *
+ * This exception is thrown when a client asks to position a member in, or to
+ * change the order of, a collection that is not ordered.
+ *
+ * See RFC3648 sections 5.1 and 6
+ */
+exports.CollectionMustBeOrdered = function(msg) {
+    this.type    = "CollectionMustBeOrdered";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:collection-must-be-ordered/>";
+    };
+};
+exports.CollectionMustBeOrdered.prototype = new exports.Conflict();
+
+/**
+ * SegmentMustIdentifyMember
+ *
+ * This exception is thrown when a position refers to a segment that is not a
+ * member of the collection.
+ *
+ * See RFC3648 sections 5.1 and 6
+ */
+exports.SegmentMustIdentifyMember = function(msg) {
+    this.type    = "SegmentMustIdentifyMember";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:segment-must-identify-member/>";
+    };
+};
+exports.SegmentMustIdentifyMember.prototype = new exports.Conflict();
+
+/**
+ * SearchScopeValid
+ *
+ * This exception is thrown when the scope of a SEARCH request is not valid,
+ * for example because it does not exist.
+ *
+ * See RFC5323 section 2.4
+ */
+exports.SearchScopeValid = function(msg, extra) {
+    this.type    = "SearchScopeValid";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:search-scope-valid/>";
+    };
+};
+exports.SearchScopeValid.prototype = new exports.Conflict();
+
+/**
+ * MustBeCheckedInVersionControlledResource
+ *
+ * This exception is thrown when an UPDATE request targets a resource that is
+ * not under version control.
+ *
+ * See RFC3253 section 3.6
+ */
+exports.MustBeCheckedInVersionControlledResource = function(msg, extra) {
+    this.type    = "MustBeCheckedInVersionControlledResource";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:must-be-checked-in-version-controlled-resource/>";
+    };
+};
+exports.MustBeCheckedInVersionControlledResource.prototype = new exports.Conflict();
+
+/**
+ * MustSelectVersionInHistory
+ *
+ * This exception is thrown when an UPDATE request selects a version that is
+ * not part of the version history of the resource.
+ *
+ * See RFC3253 section 3.6
+ */
+exports.MustSelectVersionInHistory = function(msg, extra) {
+    this.type    = "MustSelectVersionInHistory";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:must-select-version-in-history/>";
+    };
+};
+exports.MustSelectVersionInHistory.prototype = new exports.Conflict();
+
 /**
  * Locked
  *
@@ -249,6 +397,24 @@ exports.NeedPrivileges = function(uri, privileges) {
 };
 exports.NeedPrivileges.prototype = new exports.Forbidden();
 
+/**
+ * CrossServerBinding
+ *
+ * This exception is thrown when a client tries to bind a resource that lives
+ * on another server.
+ *
+ * See RFC5842 section 4
+ */
+exports.CrossServerBinding = function(msg, extra) {
+    this.type    = "CrossServerBinding";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:cross-server-binding/>";
+    };
+};
+exports.CrossServerBinding.prototype = new exports.Forbidden();
+
 /**
  * InsufficientStorage
  *
@@ -280,6 +446,35 @@ exports.InvalidResourceType = function(msg, extra) {
 };
 exports.InvalidResourceType.prototype = new exports.Forbidden();
 
+/**
+ * InvalidSyncToken
+ *
+ * This exception is thrown when a client supplies a sync-token that is
+ * unknown to the server, or that expired. See RFC6578 section 3.2.
+ */
+exports.InvalidSyncToken = function(msg, extra) {
+    this.type    = "InvalidSyncToken";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:valid-sync-token />";
+    };
+};
+exports.InvalidSyncToken.prototype = new exports.Forbidden();
+
+/**
+ * LengthRequired
+ *
+ * This exception is thrown when a request requires a Content-Length header,
+ * but the client did not supply one.
+ */
+exports.LengthRequired = function(msg, extra) {
+    this.code    = 411;
+    this.type    = "LengthRequired";
+    this.message = msg || this.type;
+};
+exports.LengthRequired.prototype = new exports.jsDAV_Exception();
+
 /**
  * LockTokenMatchesRequestUri
  *
@@ -384,6 +579,24 @@ exports.PreconditionFailed = function(msg, extra) {
 };
 exports.PreconditionFailed.prototype = new exports.jsDAV_Exception();
 
+/**
+ * CanOverwrite
+ *
+ * This exception is thrown when a BIND or REBIND request would replace an
+ * existing binding, while the Overwrite header is set to 'F'.
+ *
+ * See RFC5842 section 4
+ */
+exports.CanOverwrite = function(msg, extra) {
+    this.type    = "CanOverwrite";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:can-overwrite/>";
+    };
+};
+exports.CanOverwrite.prototype = new exports.PreconditionFailed();
+
 /**
  * This exception is thrown when a user tries to set a privilege that's marked
  * as abstract.
@@ -450,6 +663,42 @@ exports.NotSupportedPrivilege = function(msg, extra) {
 };
 exports.NotSupportedPrivilege.prototype = new exports.PreconditionFailed();
 
+/**
+ * PropfindFiniteDepth
+ *
+ * This exception is thrown when a client sent a PROPFIND request with a
+ * 'Depth: infinity' header, while the server does not allow this.
+ *
+ * See RFC4918 section 9.1
+ */
+exports.PropfindFiniteDepth = function(msg, extra) {
+    this.type    = "PropfindFiniteDepth";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:propfind-finite-depth/>";
+    };
+};
+exports.PropfindFiniteDepth.prototype = new exports.Forbidden();
+
+/**
+ * QuotaNotExceeded
+ *
+ * This exception is thrown when a request would make the storage used exceed
+ * the available quota.
+ *
+ * See RFC4331 section 6
+ */
+exports.QuotaNotExceeded = function(msg, extra) {
+    this.type    = "QuotaNotExceeded";
+    this.message = msg || this.type;
+
+    this.serialize = function(handler, errorNode) {
+        return errorNode + "<d:quota-not-exceeded/>";
+    };
+};
+exports.QuotaNotExceeded.prototype = new exports.InsufficientStorage();
+
 /**
  * ReportNotImplemented
  *
@@ -466,6 +715,24 @@ exports.ReportNotImplemented = function(msg, extra) {
 };
 exports.ReportNotImplemented.prototype = new exports.NotImplemented();
 
+/**
+ * RequestEntityTooLarge
+ *
+ * This exception is thrown when the body of a request exceeds the maximum size
+ * the server accepts. The rest of the body is not read, so the connection is
+ * closed after the response.
+ */
+exports.RequestEntityTooLarge = function(msg, extra) {
+    this.code    = 413;
+    this.type    = "RequestEntityTooLarge";
+    this.message = msg || this.type;
+
+    this.getHTTPHeaders = function(handler, cbheaders) {
+        cbheaders(null, {"Connection": "close"});
+    };
+};
+exports.RequestEntityTooLarge.prototype = new exports.jsDAV_Exception();
+
 /**
  * RequestedRangeNotSatisfiable
  *
@@ -476,6 +743,14 @@ exports.RequestedRangeNotSatisfiable = function(msg, extra) {
     this.code    = 416;
     this.type    = "RequestedRangeNotSatisfiable";
     this.message = msg || this.type;
+    this.size    = extra;
+
+    this.getHTTPHeaders = function(handler, cbheaders) {
+        var headers = {};
+        if (typeof this.size == "number")
+            headers["Content-Range"] = "bytes */" + this.size;
+        cbheaders(null, headers);
+    };
 };
 exports.RequestedRangeNotSatisfiable.prototype = new exports.jsDAV_Exception();
 
@@ -794,6 +794,36 @@ exports.concatBuffers = function(bufs) {
     return buffer;
 };
 
+/**
+ * Write the contents of Buffer 'data' into Buffer 'buffer', starting at byte
+ * 'offset'. When the data extends beyond the end of 'buffer', a new, larger
+ * Buffer is returned. An offset of `null` appends the data.
+ *
+ * @param {Buffer} buffer
+ * @param {Buffer} data
+ * @param {Number} offset
+ * @type  {Buffer}
+ */
+exports.spliceBuffer = function(buffer, data, offset) {
+    if (!Buffer.isBuffer(buffer))
+        buffer = new Buffer(buffer || "");
+    if (!Buffer.isBuffer(data))
+        data = new Buffer(data || "");
+    if (typeof offset != "number")
+        offset = buffer.length;
+
+    var length = offset + data.length;
+    if (length > buffer.length) {
+        var grown = new Buffer(length);
+        grown.fill(0);
+        buffer.copy(grown, 0, 0, buffer.length);
+        buffer = grown;
+    }
+    data.copy(buffer, offset, 0, data.length);
+
+    return buffer;
+};
+
 /**
  * StreamBuffer - Buffers submitted data in advance to facilitate asynchonous operations
  * http://tech.richardrodger.com/2011/03/28/node-js---dealing-with-submitted-http-request-data-when-you-have-to-make-a-database-call-first/
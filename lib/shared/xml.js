@@ -26,6 +26,18 @@ exports.xmlNamespaces = {
     "http://ajax.org/2005/aml": "a"
 };
 
+/**
+ * The maximum nesting depth of elements in a parsed document, unless
+ * overridden with the 'maxDepth' limit of loadDOMDocument
+ */
+exports.MAX_DEPTH = 64;
+
+/**
+ * The maximum amount of elements in a parsed document, unless overridden
+ * with the 'maxElements' limit of loadDOMDocument
+ */
+exports.MAX_ELEMENTS = 50000;
+
 /**
  * Returns the 'clark notation' for an element.
  *
@@ -149,14 +161,26 @@ exports.escapeXml = function(str) {
  * This method throws a Exc.BadRequest exception for any xml errors.
  * It does not preserve whitespace, and it converts the DAV: namespace to urn:DAV.
  *
+ * Documents with a DOCTYPE or entity declarations are refused, to prevent
+ * external entities from being resolved and entity expansion attacks. The
+ * optional 'limits' object may contain the maximum nesting depth of elements
+ * ('maxDepth') and the maximum amount of elements ('maxElements').
+ *
  * @param {String} xml
  * @param {String} which 'libxml' or 'xmldom'. Default: 'xmldom'
+ * @param {Object} limits
  * @throws Exc.BadRequest
  * @return DOMDocument
  */
-exports.loadDOMDocument = function(xml, which, callback) {
+exports.loadDOMDocument = function(xml, which, limits, callback) {
+    if (typeof limits == "function") {
+        callback = limits;
+        limits = null;
+    }
     if (!xml)
         return callback(new Exc.BadRequest("Empty XML document sent"));
+    if (/<!(DOCTYPE|ENTITY)/i.test(xml))
+        return callback(new Exc.BadRequest("DOCTYPE and entity declarations are not allowed"));
 
     which = which || "xmldom";
     var root;
@@ -172,9 +196,42 @@ exports.loadDOMDocument = function(xml, which, callback) {
         ex.message + ")"));
     }
 
+    limits = limits || {};
+    var err = root && exports.checkLimits(root, limits.maxDepth || exports.MAX_DEPTH,
+        limits.maxElements || exports.MAX_ELEMENTS);
+    if (err)
+        return callback(new Exc.BadRequest(err));
+
     callback(null, root);
 };
 
+/**
+ * Walks through the elements of a document and returns a message when it is
+ * nested deeper than 'maxDepth' or contains more than 'maxElements' elements.
+ *
+ * @param {DOMElement} root
+ * @param {Number} maxDepth
+ * @param {Number} maxElements
+ * @return {String}
+ */
+exports.checkLimits = function(root, maxDepth, maxElements) {
+    var count = 0;
+    // the stack is used instead of recursion, to be safe from deep documents
+    var stack = [[root, 1]];
+    var item, node;
+    while (item = stack.pop()) {
+        if (item[1] > maxDepth)
+            return "The XML body is nested deeper than " + maxDepth + " elements";
+        if (++count > maxElements)
+            return "The XML body contains more than " + maxElements + " elements";
+        for (node = item[0].lastChild; node; node = node.previousSibling) {
+            if (node.nodeType == 1)
+                stack.push([node, item[1] + 1]);
+        }
+    }
+    return null;
+};
+
 exports.xmlParseError = function(xml){
     //if (xml.documentElement.tagName == "parsererror") {
     if (xml.getElementsByTagName("parsererror").length) {
@@ -191,6 +248,25 @@ exports.xmlParseError = function(xml){
     return xml;
 };
 
+/**
+ * Returns the concatenated text of all text and CDATA nodes inside a DOM
+ * Element.
+ *
+ * @param {DOMElement} node
+ * @return {String}
+ */
+exports.getTextContent = function(node) {
+    var text = "";
+    var childNodes = node.childNodes;
+    for (var i = 0, l = childNodes.length; i < l; ++i) {
+        if (childNodes[i].nodeType == 3 || childNodes[i].nodeType == 4)
+            text += childNodes[i].nodeValue;
+        else if (childNodes[i].nodeType == 1)
+            text += exports.getTextContent(childNodes[i]);
+    }
+    return text;
+};
+
 /**
  * Parses all WebDAV properties out of a DOM Element
  *
@@ -208,12 +284,15 @@ exports.xmlParseError = function(xml){
  *
  * When any of these properties are found, the unserialize() method will be
  * (statically) called. The result of this method is used as the value.
+ * Properties that are not in the propertyMap are unserialized by the
+ * defaultProperty class, if it's given.
  *
  * @param {DOMElement} parentNode
  * @param {Object} propertyMap
+ * @param {jsDAV_Property} [defaultProperty]
  * @return array
  */
-exports.parseProperties = function(parentNode, propertyMap) {
+exports.parseProperties = function(parentNode, propertyMap, defaultProperty) {
     propertyMap = propertyMap || [];
     var propNode, propNodeData, propertyName, j, k, c;
     var propList   = {};
@@ -237,6 +316,8 @@ exports.parseProperties = function(parentNode, propertyMap) {
             propertyName = exports.toClarkNotation(propNodeData);
             if (propertyMap[propertyName])
                 propList[propertyName] = propertyMap[propertyName].unserialize(propNodeData);
+            else if (defaultProperty)
+                propList[propertyName] = defaultProperty.unserialize(propNodeData);
             else
                 propList[propertyName] = propNodeData.nodeValue;
         }
@@ -0,0 +1,268 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var Http = require("http");
+var Url = require("url");
+var Crypto = require("crypto");
+
+/**
+ * A stub of an S3-compatible object store, which keeps the objects of one
+ * bucket in memory. It implements the parts of the S3 API that the S3 tree
+ * uses, with path-style addressing, and doesn't check signatures:
+ *
+ *   var server = S3Stub.createServer("files");
+ *   server.listen(9000);
+ *
+ * The objects are kept in 'server.objects', by key. Every request is recorded
+ * in 'server.requests' as {method, key, query, headers, size}, so that tests
+ * can check how the object store was used.
+ *
+ * @param {String} bucket
+ * @return {http.Server}
+ */
+exports.createServer = function(bucket) {
+    var objects = {};
+    var uploads = {};
+    var uploadId = 0;
+
+    var server = Http.createServer(function(req, res) {
+        var url = Url.parse(req.url, true);
+        var parts = url.pathname.split("/").slice(1).map(decodeURIComponent);
+        if (parts.shift() != bucket)
+            return sendError(res, 404, "NoSuchBucket", req.method);
+        var key = parts.join("/");
+
+        var chunks = [];
+        req.on("data", function(chunk) {
+            chunks.push(chunk);
+        });
+        req.on("end", function() {
+            var body = Buffer.concat(chunks);
+            server.requests.push({
+                method: req.method,
+                key: key,
+                query: url.query,
+                headers: req.headers,
+                size: body.length
+            });
+            handle(req, res, key, url.query, body);
+        });
+    });
+
+    function handle(req, res, key, query, body) {
+        var object = objects[key];
+        var copySource = req.headers["x-amz-copy-source"];
+
+        if (!key && req.method == "GET")
+            return listObjects(res, query);
+        if (!key && req.method == "POST" && "delete" in query) {
+            getElementTexts(body, "Key").forEach(function(key) {
+                delete objects[key];
+            });
+            return sendXml(res, 200, "<DeleteResult></DeleteResult>");
+        }
+
+        if (req.method == "POST" && "uploads" in query) {
+            var id = String(++uploadId);
+            uploads[id] = {key: key, parts: {}, type: req.headers["content-type"]};
+            return sendXml(res, 200, "<InitiateMultipartUploadResult><Bucket>" + bucket + "</Bucket><Key>"
+                + escapeXml(key) + "</Key><UploadId>" + id + "</UploadId></InitiateMultipartUploadResult>");
+        }
+        if (query.uploadId) {
+            var upload = uploads[query.uploadId];
+            if (!upload || upload.key != key)
+                return sendError(res, 404, "NoSuchUpload", req.method);
+            if (req.method == "DELETE") {
+                delete uploads[query.uploadId];
+                return send(res, 204);
+            }
+            if (req.method == "PUT") {
+                var data = body;
+                if (copySource) {
+                    var source = getCopySource(copySource);
+                    if (!source)
+                        return sendError(res, 404, "NoSuchKey", req.method);
+                    var range = /bytes=(\d+)-(\d+)/.exec(req.headers["x-amz-copy-source-range"] || "");
+                    data = range
+                        ? source.data.slice(parseInt(range[1], 10), parseInt(range[2], 10) + 1)
+                        : source.data;
+                }
+                var etag = getETag(data);
+                upload.parts[query.partNumber] = {data: data, etag: etag};
+                if (copySource)
+                    return sendXml(res, 200, "<CopyPartResult><ETag>" + escapeXml(etag) + "</ETag></CopyPartResult>");
+                return send(res, 200, {etag: etag});
+            }
+            // complete the upload with the parts that are listed, in order
+            var numbers = getElementTexts(body, "PartNumber");
+            var etags = getElementTexts(body, "ETag");
+            var buffers = [];
+            for (var i = 0; i < numbers.length; ++i) {
+                var part = upload.parts[numbers[i]];
+                if (!part || part.etag != etags[i])
+                    return sendError(res, 400, "InvalidPart", req.method);
+                buffers.push(part.data);
+            }
+            delete uploads[query.uploadId];
+            putObject(key, Buffer.concat(buffers), upload.type);
+            return sendXml(res, 200, "<CompleteMultipartUploadResult><Key>" + escapeXml(key)
+                + "</Key></CompleteMultipartUploadResult>");
+        }
+
+        switch (req.method) {
+            case "PUT":
+                if (copySource) {
+                    source = getCopySource(copySource);
+                    if (!source)
+                        return sendError(res, 404, "NoSuchKey", req.method);
+                    object = putObject(key, source.data, source.type);
+                    return sendXml(res, 200, "<CopyObjectResult><ETag>" + escapeXml(object.etag)
+                        + "</ETag></CopyObjectResult>");
+                }
+                object = putObject(key, body, req.headers["content-type"]);
+                return send(res, 200, {etag: object.etag});
+            case "HEAD":
+            case "GET":
+                if (!object)
+                    return sendError(res, 404, "NoSuchKey", req.method);
+                var headers = {
+                    "content-type": object.type || "application/octet-stream",
+                    "etag": object.etag,
+                    "last-modified": object.modified.toUTCString()
+                };
+                data = object.data;
+                range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+                if (range) {
+                    var start = parseInt(range[1], 10);
+                    var end = range[2] ? Math.min(parseInt(range[2], 10), data.length - 1) : data.length - 1;
+                    headers["content-range"] = "bytes " + start + "-" + end + "/" + data.length;
+                    data = data.slice(start, end + 1);
+                }
+                headers["content-length"] = data.length;
+                res.writeHead(range ? 206 : 200, headers);
+                return res.end(req.method == "GET" ? data : undefined);
+            case "DELETE":
+                delete objects[key];
+                return send(res, 204);
+            default:
+                sendError(res, 405, "MethodNotAllowed", req.method);
+        }
+    }
+
+    function putObject(key, data, type) {
+        return objects[key] = {
+            data: data,
+            type: type || null,
+            etag: getETag(data),
+            modified: new Date()
+        };
+    }
+
+    function getCopySource(copySource) {
+        var path = decodeURIComponent(copySource).replace(/^\//, "");
+        if (path.indexOf(bucket + "/") !== 0)
+            return null;
+        return objects[path.substr(bucket.length + 1)] || null;
+    }
+
+    function listObjects(res, query) {
+        var prefix = query.prefix || "";
+        var delimiter = query.delimiter || "";
+        var maxKeys = parseInt(query["max-keys"], 10) || 1000;
+        var after = query["continuation-token"] || "";
+        var contents = [];
+        var prefixes = [];
+        var truncated = false;
+        var last = "";
+
+        Object.keys(objects).sort().some(function(key) {
+            if (key.indexOf(prefix) !== 0 || key <= after)
+                return false;
+            var index = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+            var common = index > -1 ? key.substr(0, index + delimiter.length) : null;
+            if (common && common == prefixes[prefixes.length - 1])
+                return false;
+            if (contents.length + prefixes.length >= maxKeys)
+                return truncated = true;
+            if (common) {
+                prefixes.push(common);
+                // continue after all keys with this common prefix
+                last = common + "\uffff";
+            }
+            else {
+                contents.push(key);
+                last = key;
+            }
+            return false;
+        });
+
+        sendXml(res, 200, "<ListBucketResult><Name>" + bucket + "</Name><Prefix>" + escapeXml(prefix)
+            + "</Prefix><KeyCount>" + (contents.length + prefixes.length) + "</KeyCount>"
+            + "<IsTruncated>" + truncated + "</IsTruncated>"
+            + (truncated ? "<NextContinuationToken>" + escapeXml(last) + "</NextContinuationToken>" : "")
+            + contents.map(function(key) {
+                var object = objects[key];
+                return "<Contents><Key>" + escapeXml(key) + "</Key><LastModified>"
+                    + object.modified.toISOString() + "</LastModified><ETag>" + escapeXml(object.etag)
+                    + "</ETag><Size>" + object.data.length + "</Size></Contents>";
+            }).join("")
+            + prefixes.map(function(prefix) {
+                return "<CommonPrefixes><Prefix>" + escapeXml(prefix) + "</Prefix></CommonPrefixes>";
+            }).join("")
+            + "</ListBucketResult>");
+    }
+
+    server.objects = objects;
+    server.requests = [];
+    return server;
+};
+
+function send(res, status, headers) {
+    res.writeHead(status, headers || {});
+    res.end();
+}
+
+function sendXml(res, status, xml) {
+    var data = new Buffer('<?xml version="1.0" encoding="UTF-8"?>' + xml, "utf8");
+    res.writeHead(status, {"content-type": "application/xml", "content-length": data.length});
+    res.end(data);
+}
+
+function sendError(res, status, code, method) {
+    if (method == "HEAD")
+        return send(res, status);
+    sendXml(res, status, "<Error><Code>" + code + "</Code><Message>" + code + "</Message></Error>");
+}
+
+function getETag(data) {
+    return '"' + Crypto.createHash("md5").update(data).digest("hex") + '"';
+}
+
+function getElementTexts(body, name) {
+    var texts = [];
+    body.toString("utf8").replace(new RegExp("<" + name + ">([^<]*)</" + name + ">", "g"), function(m, text) {
+        texts.push(unescapeXml(text));
+    });
+    return texts;
+}
+
+function escapeXml(str) {
+    return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function unescapeXml(str) {
+    var entities = {quot: '"', apos: "'", lt: "<", gt: ">", amp: "&"};
+    return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(m, entity) {
+        if (entity.charAt(0) != "#")
+            return entities[entity] || m;
+        return String.fromCharCode(entity.charAt(1) == "x"
+            ? parseInt(entity.substr(2), 16)
+            : parseInt(entity.substr(1), 10));
+    });
+}
@@ -0,0 +1,128 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8029;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_accesslog_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        res.resume();
+        res.on("end", function() {
+            callback(res.statusCode, res.headers);
+        });
+    });
+    req.end(body);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        var self = this;
+        Fs.mkdirSync(ROOT);
+        Fs.writeFileSync(ROOT + "/a.txt", "0123456789");
+        this.lines = [];
+        this.records = [];
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            accessLog: function(line, record) {
+                self.lines.push(line);
+                self.records.push(record);
+            }
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        this.lines.length = 0;
+        this.records.length = 0;
+        delete this.server.options.accessLogFormat;
+        next();
+    },
+
+    "test every request is logged with its request id": function(next) {
+        var records = this.records;
+        request("PUT", "/b.txt", {"x-request-id": "put-1"}, "abc", function(status, headers) {
+            assert.equal(status, 201);
+            assert.equal(headers["x-request-id"], "put-1");
+            assert.equal(records.length, 1);
+            var record = records[0];
+            assert.equal(record.id, "put-1");
+            assert.equal(record.method, "PUT");
+            assert.equal(record.uri, "/b.txt");
+            assert.equal(record.status, 201);
+            assert.equal(record.bytesIn, 3);
+            assert.ok(record.bytesOut > 0);
+            assert.equal(record.aborted, false);
+            next();
+        });
+    },
+
+    "test the combined format logs the bytes sent for the response": function(next) {
+        var lines = this.lines;
+        var records = this.records;
+        this.server.options.accessLogFormat = "combined";
+        request("GET", "/a.txt", {"user-agent": "test"}, null, function(status) {
+            assert.equal(status, 200);
+            var record = records[0];
+            // the headers are part of the size
+            assert.ok(record.bytesOut > 10);
+            assert.ok(lines[0].indexOf(' "GET /a.txt HTTP/1.1" 200 ' + record.bytesOut + ' "-" "test"') > -1, lines[0]);
+            next();
+        });
+    },
+
+    "test requests of clients that went away are logged as aborted": function(next) {
+        var records = this.records;
+        var req = Http.request({
+            host: "127.0.0.1",
+            port: PORT,
+            method: "PUT",
+            path: "/c.txt",
+            headers: {"content-length": "10"}
+        });
+        req.on("error", function() {});
+        req.write("abc");
+        setTimeout(function() {
+            req.destroy();
+            (function wait() {
+                if (!records.length)
+                    return setTimeout(wait, 20);
+                assert.equal(records[0].aborted, true);
+                assert.equal(records[0].bytesIn, 3);
+                next();
+            })();
+        }, 100);
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
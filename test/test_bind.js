@@ -0,0 +1,184 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_FS_Bindings = require("./../lib/DAV/backends/fs/bindings");
+
+var PORT = 8014;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_bind_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+function bind(method, collection, segment, href, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:' + method.toLowerCase() + ' xmlns:D="DAV:">'
+        + "<D:segment>" + segment + "</D:segment>"
+        + (href ? "<D:href>" + href + "</D:href>" : "")
+        + "</D:" + method.toLowerCase() + ">";
+    request(method, collection, {"content-type": "application/xml"}, body, callback);
+}
+
+function getParentSet(path, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+        + "<D:prop><D:parent-set/></D:prop></D:propfind>";
+    request("PROPFIND", path, {depth: "0"}, body, function(status, data) {
+        var hrefs = [];
+        data.replace(/<d:parent>([\s\S]*?)<\/d:parent>/gi, function(m, parent) {
+            var href = parent.match(/<d:href>(.*?)<\/d:href>/i)[1];
+            var segment = parent.match(/<d:segment>(.*?)<\/d:segment>/i)[1];
+            hrefs.push(href.replace(/\/$/, "") + "/" + segment);
+        });
+        callback(status, hrefs.sort());
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            enableBind: true,
+            enablePropfindDepthInfinity: true
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test deleting a directory before anything was bound": function(next) {
+        Fs.mkdirSync(ROOT + "/plain");
+        Fs.writeFileSync(ROOT + "/plain/file.txt", "plain");
+        request("DELETE", "/plain", {}, "", function(status) {
+            assert.equal(status, 204);
+            assert.ok(!Fs.existsSync(ROOT + "/plain"));
+            assert.ok(!Fs.existsSync(ROOT + "/" + jsDAV_FS_Bindings.STORE));
+            next();
+        });
+    },
+
+    "test binding a file": function(next) {
+        Fs.mkdirSync(ROOT + "/files");
+        Fs.writeFileSync(ROOT + "/files/a.txt", "hello");
+        bind("BIND", "/files", "b.txt", "/files/a.txt", function(status) {
+            assert.equal(status, 201);
+            Fs.writeFileSync(ROOT + "/files/a.txt", "changed");
+            request("GET", "/files/b.txt", {}, "", function(status, data) {
+                assert.equal(status, 200);
+                assert.equal(data, "changed");
+                getParentSet("/files/b.txt", function(status, paths) {
+                    assert.equal(status, 207);
+                    assert.deepEqual(paths, ["/files/a.txt", "/files/b.txt"]);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test binding a directory": function(next) {
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.writeFileSync(ROOT + "/dir/file.txt", "in dir");
+        bind("BIND", "/", "other", "/dir", function(status) {
+            assert.equal(status, 201);
+            assert.ok(Fs.lstatSync(ROOT + "/dir").isSymbolicLink());
+            request("GET", "/other/file.txt", {}, "", function(status, data) {
+                assert.equal(status, 200);
+                assert.equal(data, "in dir");
+                getParentSet("/other", function(status, paths) {
+                    assert.deepEqual(paths, ["/dir", "/other"]);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test rebinding a directory": function(next) {
+        bind("REBIND", "/files", "moved", "/other", function(status) {
+            assert.equal(status, 201);
+            request("GET", "/other/file.txt", {}, "", function(status) {
+                assert.equal(status, 404);
+                request("GET", "/files/moved/file.txt", {}, "", function(status, data) {
+                    assert.equal(data, "in dir");
+                    getParentSet("/dir", function(status, paths) {
+                        assert.deepEqual(paths, ["/dir", "/files/moved"]);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test unbinding a directory keeps the other binding": function(next) {
+        bind("UNBIND", "/files", "moved", null, function(status) {
+            assert.equal(status, 200);
+            request("GET", "/dir/file.txt", {}, "", function(status, data) {
+                assert.equal(status, 200);
+                assert.equal(data, "in dir");
+                getParentSet("/dir", function(status, paths) {
+                    assert.deepEqual(paths, ["/dir"]);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test propfind with depth infinity reports loops once": function(next) {
+        Fs.mkdirSync(ROOT + "/loop");
+        Fs.mkdirSync(ROOT + "/loop/sub");
+        bind("BIND", "/loop/sub", "back", "/loop", function(status) {
+            assert.equal(status, 201);
+            var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+                + "<D:prop><D:resourcetype/></D:prop></D:propfind>";
+            request("PROPFIND", "/loop", {depth: "infinity"}, body, function(status, data) {
+                assert.equal(status, 207);
+                var responses = data.split(/<d:response>/i).slice(1);
+                var reported = responses.filter(function(response) {
+                    return /HTTP\/1\.1 208/.test(response);
+                });
+                assert.equal(reported.length, 1);
+                assert.ok(/<d:href>\/loop\/sub\/back\/?<\/d:href>/i.test(reported[0]));
+                assert.ok(!/\/loop\/sub\/back\/sub/.test(data));
+                next();
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,154 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8037;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_composite_" + process.pid);
+var LOCAL = ROOT + "/local";
+var OTHER = ROOT + "/other";
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+function getHrefs(path, callback) {
+    request("PROPFIND", path, {depth: "1"}, null, function(status, data) {
+        assert.equal(status, 207);
+        var hrefs = [];
+        data.replace(/<d:href>(.*?)<\/d:href>/gi, function(m, href) {
+            hrefs.push(href);
+        });
+        callback(hrefs.sort());
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.mkdirSync(LOCAL);
+        Fs.mkdirSync(LOCAL + "/dir");
+        Fs.writeFileSync(LOCAL + "/dir/a.txt", "a");
+        Fs.mkdirSync(LOCAL + "/dir/sub");
+        Fs.writeFileSync(LOCAL + "/dir/sub/b.txt", "b");
+        Fs.mkdirSync(OTHER);
+        this.server = jsDAV.createServer({
+            type: "composite",
+            mounts: {
+                "local": {node: LOCAL},
+                "shared/other": {node: OTHER}
+            }
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test the mounts are listed in one namespace": function(next) {
+        getHrefs("/", function(hrefs) {
+            assert.deepEqual(hrefs, ["/", "/local/", "/shared/"]);
+            getHrefs("/shared", function(hrefs) {
+                assert.deepEqual(hrefs, ["/shared/", "/shared/other/"]);
+                getHrefs("/local", function(hrefs) {
+                    assert.deepEqual(hrefs, ["/local/", "/local/dir/"]);
+                    request("GET", "/local/dir/a.txt", {}, null, function(status, data) {
+                        assert.equal(status, 200);
+                        assert.equal(data, "a");
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test resources are moved across mounts": function(next) {
+        request("MOVE", "/local/dir", {destination: "/shared/other/dir"}, null, function(status) {
+            assert.equal(status, 201);
+            assert.ok(!Fs.existsSync(LOCAL + "/dir"));
+            assert.equal(Fs.readFileSync(OTHER + "/dir/sub/b.txt", "utf8"), "b");
+            request("GET", "/shared/other/dir/sub/b.txt", {}, null, function(status, data) {
+                assert.equal(status, 200);
+                assert.equal(data, "b");
+                request("MOVE", "/shared/other/dir/a.txt", {destination: "/local/a.txt"}, null, function(status) {
+                    assert.equal(status, 201);
+                    assert.equal(Fs.readFileSync(LOCAL + "/a.txt", "utf8"), "a");
+                    request("GET", "/shared/other/dir/a.txt", {}, null, function(status) {
+                        assert.equal(status, 404);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test resources are copied across mounts": function(next) {
+        request("COPY", "/shared/other/dir", {destination: "/local/copy"}, null, function(status) {
+            assert.equal(status, 201);
+            assert.equal(Fs.readFileSync(LOCAL + "/copy/sub/b.txt", "utf8"), "b");
+            request("GET", "/shared/other/dir/sub/b.txt", {}, null, function(status) {
+                assert.equal(status, 200);
+                // overwriting a resource in another mount
+                request("COPY", "/local/a.txt", {destination: "/shared/other/dir/sub/b.txt"}, null, function(status) {
+                    assert.equal(status, 204);
+                    request("GET", "/shared/other/dir/sub/b.txt", {}, null, function(status, data) {
+                        assert.equal(data, "a");
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test mount points can not be modified": function(next) {
+        request("DELETE", "/local", {}, null, function(status) {
+            assert.equal(status, 403);
+            request("MOVE", "/shared/other", {destination: "/local/other"}, null, function(status) {
+                assert.equal(status, 403);
+                request("MOVE", "/local/a.txt", {destination: "/shared/a.txt"}, null, function(status) {
+                    assert.equal(status, 403);
+                    assert.ok(Fs.existsSync(LOCAL + "/a.txt"));
+                    next();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,169 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Zlib = require("zlib");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_FS_File = require("./../lib/DAV/backends/fs/file");
+var Util = require("./../lib/shared/util");
+
+var PORT = 8031;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_compression_" + process.pid);
+var TEXT = new Array(100).join("compressible text ");
+
+/**
+ * Passes the status, the headers and the body of the response as a Buffer,
+ * as it was received.
+ */
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var chunks = [];
+        res.on("data", function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on("end", function() {
+            callback(res.statusCode, res.headers, Buffer.concat(chunks));
+        });
+    });
+    req.end(body);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        // files on the filesystem have no entity tag, so they get one for now
+        this.getETag = jsDAV_FS_File.getETag;
+        jsDAV_FS_File.getETag = function(callback) {
+            Fs.readFile(this.path, function(err, data) {
+                callback(err, err ? null : '"' + Util.md5(data) + '"');
+            });
+        };
+
+        Fs.mkdirSync(ROOT);
+        Fs.writeFileSync(ROOT + "/a.txt", TEXT);
+        Fs.writeFileSync(ROOT + "/a.png", TEXT);
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            enableCompression: true
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        jsDAV_FS_File.getETag = this.getETag;
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test responses are compressed with the coding the client prefers": function(next) {
+        request("GET", "/a.txt", {"accept-encoding": "gzip"}, null, function(status, headers, body) {
+            assert.equal(status, 200);
+            assert.equal(headers["content-encoding"], "gzip");
+            assert.equal(headers["vary"], "Accept-Encoding");
+            assert.ok(!headers["content-length"]);
+            assert.ok(body.length < TEXT.length);
+            assert.equal(Zlib.gunzipSync(body).toString(), TEXT);
+            request("GET", "/a.txt", {"accept-encoding": "gzip;q=0.5, deflate"}, null, function(status, headers, body) {
+                assert.equal(headers["content-encoding"], "deflate");
+                assert.equal(Zlib.inflateSync(body).toString(), TEXT);
+                request("GET", "/a.txt", {"accept-encoding": "gzip;q=0, *;q=0"}, null, function(status, headers, body) {
+                    assert.ok(!headers["content-encoding"]);
+                    assert.equal(headers["vary"], "Accept-Encoding");
+                    assert.equal(body.toString(), TEXT);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test only compressible types are compressed": function(next) {
+        request("GET", "/a.png", {"accept-encoding": "gzip"}, null, function(status, headers, body) {
+            assert.equal(status, 200);
+            assert.ok(!headers["content-encoding"]);
+            assert.equal(body.toString(), TEXT);
+            request("PROPFIND", "/", {"accept-encoding": "gzip", depth: "1"}, null, function(status, headers, body) {
+                assert.equal(status, 207);
+                assert.equal(headers["content-encoding"], "gzip");
+                assert.ok(/<d:multistatus/.test(Zlib.gunzipSync(body).toString()));
+                next();
+            });
+        });
+    },
+
+    "test compressed responses have their own ETag": function(next) {
+        request("GET", "/a.txt", {}, null, function(status, headers) {
+            var etag = headers["etag"];
+            assert.ok(etag);
+            request("GET", "/a.txt", {"accept-encoding": "gzip"}, null, function(status, headers) {
+                var gzipEtag = headers["etag"];
+                assert.equal(gzipEtag, etag.replace(/"$/, '-gzip"'));
+                // the ETag of the compressed representation still identifies the file
+                request("GET", "/a.txt", {"accept-encoding": "gzip", "if-none-match": gzipEtag}, null, function(status) {
+                    assert.equal(status, 304);
+                    request("PUT", "/a.txt", {"if-match": gzipEtag}, TEXT, function(status) {
+                        assert.equal(status, 200);
+                        request("PUT", "/a.txt", {"if-match": '"other-gzip"'}, TEXT, function(status) {
+                            assert.equal(status, 412);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test compression can be turned off": function(next) {
+        var options = this.server.options;
+        options.enableCompression = false;
+        request("GET", "/a.txt", {"accept-encoding": "gzip"}, null, function(status, headers, body) {
+            options.enableCompression = true;
+            assert.equal(status, 200);
+            assert.ok(!headers["content-encoding"]);
+            assert.ok(!headers["vary"]);
+            assert.equal(body.toString(), TEXT);
+            next();
+        });
+    },
+
+    "test compressed request bodies are decoded": function(next) {
+        var gzipped = Zlib.gzipSync("gzipped");
+        request("PUT", "/b.txt", {"content-encoding": "gzip", "content-length": gzipped.length}, gzipped, function(status) {
+            assert.equal(status, 201);
+            assert.equal(Fs.readFileSync(ROOT + "/b.txt", "utf8"), "gzipped");
+            var deflated = Zlib.deflateSync("deflated");
+            request("PUT", "/b.txt", {"content-encoding": "deflate"}, deflated, function(status) {
+                assert.equal(status, 200);
+                assert.equal(Fs.readFileSync(ROOT + "/b.txt", "utf8"), "deflated");
+                request("PUT", "/b.txt", {"content-encoding": "compress"}, "data", function(status) {
+                    assert.equal(status, 415);
+                    assert.equal(Fs.readFileSync(ROOT + "/b.txt", "utf8"), "deflated");
+                    next();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,107 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Net = require("net");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8032;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_continue_" + process.pid);
+
+/**
+ * Sends the head of a request with an 'Expect: 100-continue' header and only
+ * sends the body when the server asks for it. Passes the data the server sent
+ * until it closed the connection or sent a final response.
+ */
+function expectContinue(method, path, headers, body, callback) {
+    var socket = Net.connect(PORT, "127.0.0.1");
+    var head = [method + " " + path + " HTTP/1.1", "Host: 127.0.0.1", "Expect: 100-continue",
+        "Content-Length: " + body.length];
+    Object.keys(headers).forEach(function(name) {
+        head.push(name + ": " + headers[name]);
+    });
+    var data = "";
+    var done = false;
+    function finish() {
+        if (done)
+            return;
+        done = true;
+        socket.destroy();
+        callback(data);
+    }
+
+    socket.setEncoding("utf8");
+    socket.on("data", function(chunk) {
+        data += chunk;
+        if (/^HTTP\/1\.1 100 Continue\r\n\r\n$/.test(data))
+            return socket.write(body);
+        // wait for the complete final response
+        var final = data.replace(/^HTTP\/1\.1 100 Continue\r\n\r\n/, "");
+        var length = final.match(/\r\ncontent-length: (\d+)/i);
+        var end = final.indexOf("\r\n\r\n");
+        if (end > -1 && (!length || final.length >= end + 4 + parseInt(length[1], 10)))
+            finish();
+    });
+    socket.on("end", finish);
+    socket.on("error", finish);
+    socket.write(head.join("\r\n") + "\r\n\r\n");
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.writeFileSync(ROOT + "/a.txt", "a");
+        this.server = jsDAV.createServer({
+            node: ROOT
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test the body is requested once it is read": function(next) {
+        expectContinue("PUT", "/b.txt", {}, "body", function(data) {
+            assert.ok(/^HTTP\/1\.1 100 Continue\r\n\r\nHTTP\/1\.1 201 /.test(data), data);
+            assert.equal(Fs.readFileSync(ROOT + "/b.txt", "utf8"), "body");
+            next();
+        });
+    },
+
+    "test requests that fail are rejected before the body is sent": function(next) {
+        expectContinue("PUT", "/missing/b.txt", {}, "body", function(data) {
+            assert.ok(/^HTTP\/1\.1 404 /.test(data), data);
+            // the connection can't be used for another request, as the body was not sent
+            assert.ok(/\r\nconnection: close\r\n/i.test(data), data);
+            expectContinue("PUT", "/a.txt", {"If-Match": '"other"'}, "body", function(data) {
+                assert.ok(/^HTTP\/1\.1 412 /.test(data), data);
+                assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "a");
+                var headers = {"Content-Type": "application/x-sabredav-partialupdate", "X-Update-Range": "append"};
+                expectContinue("PATCH", "/missing.txt", headers, "body", function(data) {
+                    assert.ok(/^HTTP\/1\.1 404 /.test(data), data);
+                    next();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,127 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+// These tests need the 'git' binary.
+
+var assert = require("assert");
+var ChildProcess = require("child_process");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_Auth_Backend_AbstractBasic = require("./../lib/DAV/plugins/auth/abstractBasic");
+
+var PORT = 8039;
+var TMP = Path.join(Os.tmpdir(), "jsdav_test_git_" + process.pid);
+var REPO = TMP + "/repo.git";
+
+var AuthBackend = jsDAV_Auth_Backend_AbstractBasic.extend({
+    validateUserPass: function(username, password, callback) {
+        callback(password == "secret");
+    }
+});
+
+function git(args, cwd) {
+    return ChildProcess.execFileSync("git", args, {cwd: cwd || REPO}).toString().trim();
+}
+
+function request(user, method, path, headers, body, callback) {
+    headers.authorization = "Basic " + new Buffer(user + ":secret").toString("base64");
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        var work = TMP + "/work";
+        Fs.mkdirSync(TMP);
+        Fs.mkdirSync(work);
+        Fs.writeFileSync(work + "/readme.txt", "readme");
+        git(["init", "-q"], work);
+        git(["add", "readme.txt"], work);
+        git(["-c", "user.name=Setup", "-c", "user.email=setup@localhost", "commit", "-q", "-m", "Initial"], work);
+        git(["branch", "-M", "master"], work);
+        git(["tag", "v1"], work);
+        git(["clone", "-q", "--bare", work, REPO], TMP);
+
+        this.server = jsDAV.createServer({
+            type: "git",
+            git: {
+                path: REPO,
+                emailDomain: "example.com",
+                authors: {mike: {name: "Mike de Boer", email: "mike@example.com"}}
+            },
+            authBackend: AuthBackend.new()
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(TMP, function() {
+            next();
+        });
+    },
+
+    "test changes are committed as the user of the request": function(next) {
+        request("mike", "PUT", "/branches/master/a.txt", {}, "a", function(status) {
+            assert.equal(status, 201);
+            assert.equal(git(["log", "-1", "--format=%an <%ae>|%cn <%ce>", "master"]),
+                "Mike de Boer <mike@example.com>|Mike de Boer <mike@example.com>");
+            assert.equal(git(["show", "master:a.txt"]), "a");
+            // users that aren't mapped get an address at the email domain
+            request("anna", "MKCOL", "/branches/master/dir", {}, null, function(status) {
+                assert.equal(status, 201);
+                assert.equal(git(["log", "-1", "--format=%an <%ae>", "master"]), "anna <anna@example.com>");
+                assert.equal(git(["ls-tree", "--name-only", "master", "dir/"]), "dir/.gitkeep");
+                assert.equal(git(["rev-list", "--count", "master"]), "3");
+                next();
+            });
+        });
+    },
+
+    "test tags and commits can not be changed": function(next) {
+        var sha = git(["rev-parse", "v1"]);
+        request("mike", "GET", "/tags/v1/readme.txt", {}, null, function(status, data) {
+            assert.equal(status, 200);
+            assert.equal(data, "readme");
+            request("mike", "PUT", "/tags/v1/readme.txt", {}, "changed", function(status) {
+                assert.equal(status, 403);
+                request("mike", "DELETE", "/commits/" + sha + "/readme.txt", {}, null, function(status) {
+                    assert.equal(status, 403);
+                    assert.equal(git(["rev-parse", "v1"]), sha);
+                    next();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
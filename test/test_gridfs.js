@@ -0,0 +1,130 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+// These tests need a mongod that listens on localhost:27017.
+
+var assert = require("assert");
+var Http = require("http");
+var jsDAV = require("./../lib/jsdav");
+var Util = require("./../lib/shared/util");
+
+var PORT = 8038;
+var ROOT = "jsdav_test_gridfs_" + process.pid;
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data, res.headers);
+        });
+    });
+    req.end(body);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        this.server = jsDAV.createServer({
+            type: "gridfs",
+            mongo: {host: "localhost", port: 27017, db: "jsdav_test"},
+            gridfsRoot: ROOT
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        var self = this;
+        this.server.tree.getDb(function(err, db) {
+            assert.ok(!err, err);
+            db.dropDatabase(function() {
+                self.server.tree.unmount();
+                self.server.close();
+                next();
+            });
+        });
+    },
+
+    "test files are stored with their checksum as the entity tag": function(next) {
+        request("MKCOL", "/dir", {}, null, function(status) {
+            assert.equal(status, 201);
+            request("PUT", "/dir/a.txt", {}, "abc", function(status) {
+                assert.equal(status, 201);
+                request("GET", "/dir/a.txt", {}, null, function(status, data, headers) {
+                    assert.equal(status, 200);
+                    assert.equal(data, "abc");
+                    assert.equal(headers.etag, '"' + Util.md5("abc") + '"');
+                    next();
+                });
+            });
+        });
+    },
+
+    "test collections are copied and moved with their members": function(next) {
+        request("COPY", "/dir", {destination: "/copy"}, null, function(status) {
+            assert.equal(status, 201);
+            request("MOVE", "/dir", {destination: "/moved"}, null, function(status) {
+                assert.equal(status, 201);
+                request("GET", "/dir/a.txt", {}, null, function(status) {
+                    assert.equal(status, 404);
+                    request("GET", "/moved/a.txt", {}, null, function(status, data) {
+                        assert.equal(data, "abc");
+                        request("GET", "/copy/a.txt", {}, null, function(status, data) {
+                            assert.equal(data, "abc");
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test moves that were interrupted are completed when the tree is opened": function(next) {
+        var tree = this.server.tree;
+        tree.getDb(function(err, db) {
+            assert.ok(!err, err);
+            // a move of which no document was rewritten yet
+            db.collection(ROOT + ".moves").insert({
+                source: "moved",
+                destination: "copy/moved",
+                started: new Date()
+            }, function(err) {
+                assert.ok(!err, err);
+                tree.unmount();
+                request("GET", "/copy/moved/a.txt", {}, null, function(status, data) {
+                    assert.equal(status, 200);
+                    assert.equal(data, "abc");
+                    request("PROPFIND", "/moved", {depth: "0"}, null, function(status) {
+                        assert.equal(status, 404);
+                        tree.getDb(function(err, db) {
+                            db.collection(ROOT + ".moves").count(function(err, count) {
+                                assert.equal(count, 0);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
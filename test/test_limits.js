@@ -0,0 +1,185 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Zlib = require("zlib");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8020;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_limits_" + process.pid);
+var MAX_UPLOAD_SIZE = 1000;
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    // the server may close the connection before the whole body is sent
+    req.on("error", function() {});
+    if (Array.isArray(body)) {
+        // send the body in chunks, without a Content-Length
+        body.forEach(function(chunk) {
+            req.write(chunk);
+        });
+        return req.end();
+    }
+    req.end(body);
+}
+
+function getChunks(count, size) {
+    var chunks = [];
+    for (var i = 0; i < count; ++i)
+        chunks.push(new Array(size + 1).join("x"));
+    return chunks;
+}
+
+/**
+ * Checks that a file kept its contents and that no temporary files are left
+ * behind in the root.
+ */
+function checkUnchanged(name, contents) {
+    assert.equal(Fs.readFileSync(ROOT + "/" + name, "utf8"), contents);
+    assert.deepEqual(Fs.readdirSync(ROOT).filter(function(name) {
+        return name.charAt(0) == ".";
+    }), []);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            maxUploadSize: MAX_UPLOAD_SIZE
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        Fs.writeFileSync(ROOT + "/a.txt", "original");
+        next();
+    },
+
+    "test a PUT with a Content-Length over the maximum keeps the file": function(next) {
+        var body = new Array(MAX_UPLOAD_SIZE + 2).join("x");
+        request("PUT", "/a.txt", {"content-length": body.length}, body, function(status) {
+            assert.equal(status, 413);
+            checkUnchanged("a.txt", "original");
+            next();
+        });
+    },
+
+    "test a compressed PUT that exceeds the maximum keeps the file": function(next) {
+        // the Content-Length is within the maximum, the decoded body is not
+        var body = Zlib.gzipSync(new Buffer(new Array(10 * MAX_UPLOAD_SIZE).join("x")));
+        assert.ok(body.length < MAX_UPLOAD_SIZE);
+        request("PUT", "/a.txt", {"content-length": body.length, "content-encoding": "gzip"}, body, function(status) {
+            assert.equal(status, 413);
+            checkUnchanged("a.txt", "original");
+            next();
+        });
+    },
+
+    "test a chunked PUT that exceeds the maximum keeps the file": function(next) {
+        request("PUT", "/a.txt", {}, getChunks(11, 100), function(status) {
+            assert.equal(status, 413);
+            checkUnchanged("a.txt", "original");
+            next();
+        });
+    },
+
+    "test a chunked PUT that exceeds the maximum creates no file": function(next) {
+        request("PUT", "/new.txt", {}, getChunks(11, 100), function(status) {
+            assert.equal(status, 413);
+            assert.ok(!Fs.existsSync(ROOT + "/new.txt"));
+            checkUnchanged("a.txt", "original");
+            next();
+        });
+    },
+
+    "test a chunked PUT within the maximum replaces the file": function(next) {
+        var chunks = getChunks(10, 100);
+        Fs.chmodSync(ROOT + "/a.txt", "0600");
+        request("PUT", "/a.txt", {}, chunks, function(status) {
+            assert.equal(status, 200);
+            checkUnchanged("a.txt", chunks.join(""));
+            assert.equal(Fs.statSync(ROOT + "/a.txt").mode & 511, parseInt("600", 8));
+            next();
+        });
+    },
+
+    "test an aborted PUT keeps the file": function(next) {
+        var req = Http.request({
+            host: "127.0.0.1",
+            port: PORT,
+            method: "PUT",
+            path: "/a.txt",
+            headers: {"content-length": 500}
+        });
+        req.on("error", function() {});
+        req.write(new Array(101).join("x"));
+        setTimeout(function() {
+            req.destroy();
+            // the temporary file is removed once the server noticed
+            setTimeout(function() {
+                checkUnchanged("a.txt", "original");
+                next();
+            }, 200);
+        }, 200);
+    },
+
+    "test a PUT replaces the data of all hard links to a file": function(next) {
+        Fs.linkSync(ROOT + "/a.txt", ROOT + "/link.txt");
+        request("PUT", "/link.txt", {}, ["new ", "data"], function(status) {
+            assert.equal(status, 200);
+            checkUnchanged("a.txt", "new data");
+            checkUnchanged("link.txt", "new data");
+            Fs.unlinkSync(ROOT + "/link.txt");
+            next();
+        });
+    },
+
+    "test XML with a DOCTYPE is rejected": function(next) {
+        var body = '<?xml version="1.0"?><!DOCTYPE d:propfind [<!ENTITY x "x">]>'
+            + '<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/></d:prop></d:propfind>';
+        request("PROPFIND", "/", {depth: "0", "content-type": "application/xml"}, body, function(status) {
+            assert.equal(status, 400);
+            next();
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,273 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_Tree_Memory = require("./../lib/DAV/backends/memory/tree");
+var jsDAV_Property_Complex = require("./../lib/DAV/property/complex");
+var Exc = require("./../lib/shared/exceptions");
+
+var PORT = 8019;
+var TMP = Path.join(Os.tmpdir(), "jsdav_test_memory_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    if (Array.isArray(body)) {
+        // send the body in chunks, without a Content-Length
+        body.forEach(function(chunk) {
+            req.write(chunk);
+        });
+        return req.end();
+    }
+    req.end(body);
+}
+
+/**
+ * Fills a tree with some files, collections and dead properties.
+ */
+function fillTree(tree, callback) {
+    var data = new Buffer(1000);
+    for (var i = 0; i < data.length; ++i)
+        data[i] = i % 256;
+    // paths of more than 100 characters need a pax header in tar archives
+    var longName = new Array(30).join("long") + ".txt";
+    var prop = '<x:color xmlns:x="urn:test"><x:rgb>ff0000</x:rgb></x:color>';
+
+    tree.getNodeForPath("", function(err, root) {
+        root.createFile("text.txt", "some text", "utf8", function(err) {
+            assert.equal(err, null);
+            root.createDirectory("dir", function() {
+                tree.getNodeForPath("dir", function(err, dir) {
+                    dir.createFile("binary.bin", data, null, function() {
+                        dir.createFile(longName, "long", "utf8", function() {
+                            dir.createDirectory("empty", function() {
+                                dir.updateProperties({
+                                    "{urn:test}color": jsDAV_Property_Complex.new(prop),
+                                    "{urn:test}text": "a & b"
+                                }, function(err, result) {
+                                    assert.equal(result, true);
+                                    callback(data, longName, prop);
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+function checkTree(tree, data, longName, prop, callback) {
+    assert.equal(tree.used, 9 + data.length + 4);
+    assert.equal(tree.getEntry("text.txt").data.toString(), "some text");
+    assert.ok(tree.getEntry("dir/binary.bin").data.equals(data));
+    assert.equal(tree.getEntry("dir/" + longName).data.toString(), "long");
+    assert.equal(tree.getEntry("dir/empty").type, "directory");
+    tree.getNodeForPath("dir", function(err, dir) {
+        dir.getProperties([], function(err, props) {
+            assert.equal(props["{urn:test}color"].getXml(), prop);
+            assert.equal(props["{urn:test}text"].getValue(), "a & b");
+            callback();
+        });
+    });
+}
+
+function testSnapshot(file, next) {
+    var tree = jsDAV_Tree_Memory.new({});
+    fillTree(tree, function(data, longName, prop) {
+        tree.saveSnapshot(file, function(err) {
+            assert.equal(err, null);
+            var restored = jsDAV_Tree_Memory.new({snapshot: file});
+            checkTree(restored, data, longName, prop, function() {
+                var loaded = jsDAV_Tree_Memory.new({});
+                loaded.loadSnapshot(file, function(err) {
+                    assert.equal(err, null);
+                    checkTree(loaded, data, longName, prop, next);
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(TMP);
+        this.server = jsDAV.createServer({
+            type: "memory",
+            quota: 100
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(TMP, function() {
+            next();
+        });
+    },
+
+    "test files, copies and moves": function(next) {
+        var tree = jsDAV_Tree_Memory.new({});
+        fillTree(tree, function(data) {
+            var used = tree.used;
+            tree.copy("dir", "copy", function(err) {
+                assert.equal(err, null);
+                assert.equal(tree.used, used * 2 - 9);
+                assert.ok(tree.getEntry("copy/binary.bin").data.equals(data));
+                assert.ok("{urn:test}color" in tree.getEntry("copy").properties);
+                tree.move("copy", "text.txt/moved", function(err) {
+                    assert.ok(err instanceof Exc.Conflict);
+                    tree.move("copy", "dir/empty/moved", function(err) {
+                        assert.equal(err, null);
+                        assert.equal(tree.getEntry("copy"), null);
+                        assert.ok(tree.getEntry("dir/empty/moved/binary.bin"));
+                        tree.getNodeForPath("dir", function(err, dir) {
+                            dir["delete"](function(err) {
+                                assert.equal(err, null);
+                                assert.equal(tree.used, 9);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test patching files": function(next) {
+        var tree = jsDAV_Tree_Memory.new({});
+        tree.getNodeForPath("", function(err, root) {
+            root.createFile("file.txt", "hello", "utf8", function() {
+                tree.getNodeForPath("file.txt", function(err, file) {
+                    file.patch(new Buffer("J"), 0, function() {
+                        file.patch(new Buffer("!"), null, function() {
+                            file.patch(new Buffer("?"), 8, function() {
+                                assert.equal(tree.getEntry("file.txt").data.toString(), "Jello!\u0000\u0000?");
+                                assert.equal(tree.used, 9);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test the quota limits all writes": function(next) {
+        var tree = jsDAV_Tree_Memory.new({quota: 10});
+        tree.getNodeForPath("", function(err, root) {
+            root.createFile("a.txt", "12345", "utf8", function(err) {
+                assert.equal(err, null);
+                assert.deepEqual(tree.getQuotaInfo(), [5, 5]);
+                root.createFile("b.txt", "123456", "utf8", function(err) {
+                    assert.ok(err instanceof Exc.QuotaNotExceeded);
+                    tree.getNodeForPath("a.txt", function(err, file) {
+                        file.put("1234567890", "utf8", function(err) {
+                            assert.equal(err, null);
+                            file.patch(new Buffer("x"), null, function(err) {
+                                assert.ok(err instanceof Exc.QuotaNotExceeded);
+                                file.put("12345", "utf8", function(err) {
+                                    assert.equal(err, null);
+                                    tree.copy("a.txt", "b.txt", function(err) {
+                                        assert.equal(err, null);
+                                        tree.copy("a.txt", "c.txt", function(err) {
+                                            assert.ok(err instanceof Exc.QuotaNotExceeded);
+                                            assert.deepEqual(tree.getQuotaInfo(), [10, 0]);
+                                            next();
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test uploads that exceed the quota are rejected": function(next) {
+        var tree = this.server.tree;
+        request("PUT", "/small.txt", {}, "small", function(status) {
+            assert.equal(status, 201);
+            request("PUT", "/large.txt", {}, new Array(101).join("x"), function(status) {
+                assert.equal(status, 507);
+                assert.equal(tree.getEntry("large.txt"), null);
+                // the size of chunked uploads is only known as they arrive
+                var chunks = [];
+                for (var i = 0; i < 11; ++i)
+                    chunks.push(new Array(11).join("y"));
+                request("PUT", "/small.txt", {}, chunks, function(status) {
+                    assert.equal(status, 507);
+                    assert.equal(tree.getEntry("small.txt").data.toString(), "small");
+                    assert.equal(tree.used, 5);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test json snapshot round-trip": function(next) {
+        testSnapshot(TMP + "/snapshot.json", next);
+    },
+
+    "test tar snapshot round-trip": function(next) {
+        testSnapshot(TMP + "/snapshot.tar", next);
+    },
+
+    "test unmounting saves the snapshot": function(next) {
+        var file = TMP + "/unmount.tar";
+        var tree = jsDAV_Tree_Memory.new({snapshot: file});
+        fillTree(tree, function(data, longName, prop) {
+            assert.ok(!Fs.existsSync(file));
+            tree.unmount();
+            checkTree(jsDAV_Tree_Memory.new({snapshot: file}), data, longName, prop, next);
+        });
+    },
+
+    "test invalid snapshots are not loaded": function(next) {
+        var file = TMP + "/invalid.json";
+        Fs.writeFileSync(file, JSON.stringify({version: 1}));
+        var tree = jsDAV_Tree_Memory.new({});
+        tree.getNodeForPath("", function(err, root) {
+            root.createFile("kept.txt", "kept", "utf8", function() {
+                tree.loadSnapshot(file, function(err) {
+                    assert.ok(err);
+                    assert.equal(tree.getEntry("kept.txt").data.toString(), "kept");
+                    next();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
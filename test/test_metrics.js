@@ -0,0 +1,158 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_Metrics_Registry = require("./../lib/DAV/plugins/metrics/registry");
+
+var PORT = 8034;
+var METRICS_PORT = 8035;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_metrics_" + process.pid);
+
+function request(port, method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: port,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data, res.headers);
+        });
+    });
+    req.end(body);
+}
+
+/**
+ * Passes the samples of the metrics of a server, like
+ * {'jsdav_http_requests_total{method="GET",status="200"}': 1}.
+ */
+function getMetrics(port, path, callback) {
+    request(port, "GET", path, {}, null, function(status, data, headers) {
+        assert.equal(status, 200);
+        assert.equal(headers["content-type"], "text/plain; version=0.0.4; charset=utf-8");
+        var samples = {};
+        data.split("\n").forEach(function(line) {
+            if (!line || line.charAt(0) == "#")
+                return;
+            var index = line.lastIndexOf(" ");
+            samples[line.substr(0, index)] = parseFloat(line.substr(index + 1));
+        });
+        callback(samples);
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            enableMetrics: true
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test the registry serializes in the Prometheus text format": function(next) {
+        var registry = jsDAV_Metrics_Registry.new();
+        registry.register("counter", "requests", "Requests\nhandled");
+        registry.register("histogram", "duration", "Durations", [0.1, 1]);
+        registry.inc("requests", {method: "GET", path: 'a"b\\c'});
+        registry.inc("requests", {path: 'a"b\\c', method: "GET"}, 2);
+        registry.observe("duration", null, 0.5);
+        registry.observe("duration", null, 5);
+        assert.equal(registry.serialize(), [
+            "# HELP requests Requests\\nhandled",
+            "# TYPE requests counter",
+            'requests{method="GET",path="a\\"b\\\\c"} 3',
+            "# HELP duration Durations",
+            "# TYPE duration histogram",
+            'duration_bucket{le="0.1"} 0',
+            'duration_bucket{le="1"} 1',
+            'duration_bucket{le="+Inf"} 2',
+            "duration_sum 5.5",
+            "duration_count 2",
+            ""
+        ].join("\n"));
+        next();
+    },
+
+    "test requests are counted by method and status": function(next) {
+        request(PORT, "PUT", "/a.txt", {}, "abc", function(status) {
+            assert.equal(status, 201);
+            request(PORT, "GET", "/missing.txt", {}, null, function(status) {
+                assert.equal(status, 404);
+                request(PORT, "PURGE", "/a.txt", {}, null, function() {
+                    getMetrics(PORT, "/metrics", function(samples) {
+                        assert.equal(samples['jsdav_http_requests_total{method="PUT",status="201"}'], 1);
+                        assert.equal(samples['jsdav_http_requests_total{method="GET",status="404"}'], 1);
+                        // unknown methods don't create new metrics
+                        assert.equal(samples['jsdav_http_requests_total{method="OTHER",status="501"}'], 1);
+                        assert.equal(samples['jsdav_http_request_bytes_total{method="PUT"}'], 3);
+                        assert.ok(samples['jsdav_http_response_bytes_total{method="GET"}'] > 0);
+                        assert.equal(samples['jsdav_http_request_duration_seconds_count{method="PUT"}'], 1);
+                        assert.equal(samples['jsdav_http_request_duration_seconds_bucket{method="PUT",le="+Inf"}'], 1);
+                        // the request for the metrics is being handled
+                        assert.equal(samples["jsdav_http_requests_active"], 1);
+                        assert.equal(samples["jsdav_uploads_active"], 0);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test the metrics can be served on a separate port": function(next) {
+        var server = jsDAV.createServer({
+            node: ROOT,
+            enableMetrics: true,
+            metricsPort: METRICS_PORT,
+            metricsHost: "127.0.0.1",
+            metricsPath: "/stats"
+        }, PORT + 100, "127.0.0.1");
+        server.on("listening", function() {
+            request(PORT + 100, "GET", "/stats", {}, null, function(status) {
+                // the path is not served by the WebDAV server itself
+                assert.equal(status, 404);
+                request(METRICS_PORT, "GET", "/metrics", {}, null, function(status) {
+                    assert.equal(status, 404);
+                    getMetrics(METRICS_PORT, "/stats", function(samples) {
+                        assert.equal(samples['jsdav_http_requests_total{method="GET",status="404"}'], 1);
+                        assert.equal(samples["jsdav_http_requests_active"], 0);
+                        server.close();
+                        next();
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,226 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV_Server = require("./../lib/DAV/server");
+var jsDAV_ServerPlugin = require("./../lib/DAV/plugin");
+var Exc = require("./../lib/shared/exceptions");
+var Util = require("./../lib/shared/util");
+
+var PORT = 8027;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_notifications_" + process.pid);
+
+/**
+ * Stands in for the ACL plugin: nobody may read the 'secret' collection.
+ */
+var AclPlugin = jsDAV_ServerPlugin.extend({
+    name: "acl",
+
+    initialize: function(handler) {
+        this.handler = handler;
+    },
+
+    checkPrivileges: function(uri, privileges, recursion, callback) {
+        uri = Util.trim(uri, "/");
+        if (uri == "secret" || uri.indexOf("secret/") === 0)
+            return callback(new Exc.NeedPrivileges(uri, [].concat(privileges)));
+        callback(null, true);
+    }
+});
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        res.resume();
+        res.on("end", function() {
+            callback(res.statusCode);
+        });
+    });
+    req.end(body);
+}
+
+/**
+ * Subscribes to the changes below 'path'. The callback receives the status of
+ * the response and, once the stream started, the subscription, of which the
+ * 'events' fill up with the changes as they arrive.
+ */
+function subscribe(path, headers, callback) {
+    var subscription = {events: [], lastId: null};
+    headers.accept = "text/event-stream";
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        path: path,
+        headers: headers
+    }, function(res) {
+        if (res.statusCode != 200) {
+            res.resume();
+            return callback(res.statusCode);
+        }
+
+        var buffer = "";
+        var started = false;
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            var messages = (buffer + chunk).split("\n\n");
+            buffer = messages.pop();
+            messages.forEach(function(message) {
+                var id = message.match(/^id: (\d+)$/m);
+                var data = message.match(/^data: (.*)$/m);
+                if (id)
+                    subscription.lastId = id[1];
+                if (!data)
+                    return;
+                data = JSON.parse(data[1]);
+                delete data.time;
+                subscription.events.push(data);
+            });
+            if (!started) {
+                started = true;
+                callback(res.statusCode, subscription);
+            }
+        });
+    });
+    req.on("error", function() {});
+    req.end();
+    subscription.close = function() {
+        req.destroy();
+    };
+}
+
+function waitFor(subscription, count, callback) {
+    if (subscription.events.length >= count)
+        return callback(subscription.events);
+    setTimeout(function() {
+        waitFor(subscription, count, callback);
+    }, 20);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.mkdirSync(ROOT + "/secret");
+        this.server = jsDAV_Server.createServer({
+            node: ROOT,
+            enableNotifications: true,
+            plugins: Util.extend({}, jsDAV_Server.DEFAULT_PLUGINS, {acl: AclPlugin})
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test subscribers receive the changes below their collection": function(next) {
+        subscribe("/dir", {}, function(status, subscription) {
+            assert.equal(status, 200);
+            request("PUT", "/other.txt", {}, "other", function() {
+                request("PUT", "/dir/a.txt", {}, "a", function() {
+                    request("PUT", "/dir/a.txt", {}, "changed", function() {
+                        request("MOVE", "/dir/a.txt", {destination: "/moved.txt"}, null, function(status) {
+                            assert.equal(status, 201);
+                            request("COPY", "/moved.txt", {destination: "/dir/copy.txt"}, null, function() {
+                                waitFor(subscription, 4, function(events) {
+                                    subscription.close();
+                                    assert.deepEqual(events, [
+                                        {type: "created", uri: "dir/a.txt"},
+                                        {type: "modified", uri: "dir/a.txt"},
+                                        // a move concerns the collection it moved out of
+                                        {type: "moved", uri: "moved.txt", source: "dir/a.txt"},
+                                        {type: "copied", uri: "dir/copy.txt", source: "moved.txt"}
+                                    ]);
+                                    next();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test subscribers only receive the changes they may read": function(next) {
+        subscribe("/secret", {}, function(status) {
+            assert.equal(status, 403);
+            subscribe("/", {}, function(status, subscription) {
+                assert.equal(status, 200);
+                request("PUT", "/secret/hidden.txt", {}, "hidden", function() {
+                    request("MOVE", "/secret/hidden.txt", {destination: "/dir/shown.txt"}, null, function() {
+                        request("MOVE", "/dir/shown.txt", {destination: "/secret/again.txt"}, null, function() {
+                            request("DELETE", "/secret/again.txt", {}, null, function() {
+                                request("PUT", "/visible.txt", {}, "visible", function() {
+                                    waitFor(subscription, 3, function(events) {
+                                        subscription.close();
+                                        assert.deepEqual(events, [
+                                            {type: "created", uri: "dir/shown.txt"},
+                                            {type: "deleted", uri: "dir/shown.txt"},
+                                            {type: "created", uri: "visible.txt"}
+                                        ]);
+                                        next();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test reconnecting clients receive the changes they missed": function(next) {
+        subscribe("/dir", {}, function(status, subscription) {
+            var lastId = subscription.lastId;
+            assert.ok(lastId);
+            subscription.close();
+            request("PUT", "/dir/b.txt", {}, "b", function() {
+                request("DELETE", "/dir/b.txt", {}, null, function() {
+                    subscribe("/dir", {"last-event-id": lastId}, function(status, subscription) {
+                        assert.equal(status, 200);
+                        waitFor(subscription, 2, function(events) {
+                            subscription.close();
+                            assert.deepEqual(events, [
+                                {type: "created", uri: "dir/b.txt"},
+                                {type: "deleted", uri: "dir/b.txt"}
+                            ]);
+                            // changes that aren't known can't be replayed
+                            subscribe("/dir", {"last-event-id": "1000000"}, function(status, subscription) {
+                                waitFor(subscription, 1, function(events) {
+                                    subscription.close();
+                                    assert.deepEqual(events, [{type: "reset", uri: "dir"}]);
+                                    next();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
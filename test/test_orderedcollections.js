@@ -0,0 +1,173 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8036;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_orderedcollections_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+/**
+ * Passes the names of the members of a collection, in the order of the
+ * PROPFIND response.
+ */
+function getOrder(path, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+        + "<D:prop><D:resourcetype/></D:prop></D:propfind>";
+    request("PROPFIND", path, {depth: "1", "content-type": "application/xml"}, body, function(status, data) {
+        assert.equal(status, 207);
+        var names = [];
+        data.replace(/<d:href>(.*?)<\/d:href>/gi, function(m, href) {
+            names.push(href);
+        });
+        // the first response is the collection itself
+        callback(names.slice(1).map(function(href) {
+            return href.replace(/\/$/, "").split("/").pop();
+        }));
+    });
+}
+
+function orderPatch(path, members, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:orderpatch xmlns:D="DAV:">'
+        + members.map(function(member) {
+            var position = member[1] == "before" || member[1] == "after"
+                ? "<D:" + member[1] + "><D:segment>" + member[2] + "</D:segment></D:" + member[1] + ">"
+                : "<D:" + member[1] + "/>";
+            return "<D:order-member><D:segment>" + member[0] + "</D:segment>"
+                + "<D:position>" + position + "</D:position></D:order-member>";
+        }).join("")
+        + "</D:orderpatch>";
+    request("POST", path, {"x-http-method-override": "ORDERPATCH", "content-type": "application/xml"}, body, callback);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            enableOrderedCollections: true
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test members are added at the position of the Position header": function(next) {
+        request("MKCOL", "/list", {"ordering-type": "DAV:custom"}, null, function(status) {
+            assert.equal(status, 201);
+            var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+                + "<D:prop><D:ordering-type/></D:prop></D:propfind>";
+            request("PROPFIND", "/list", {depth: "0", "content-type": "application/xml"}, body, function(status, data) {
+                assert.ok(/<d:ordering-type><d:href>DAV:custom<\/d:href><\/d:ordering-type>/.test(data), data);
+                request("PUT", "/list/a", {}, "a", function() {
+                    request("PUT", "/list/b", {}, "b", function() {
+                        request("PUT", "/list/c", {position: "first"}, "c", function(status) {
+                            assert.equal(status, 201);
+                            request("MKCOL", "/list/d", {position: "after a"}, null, function(status) {
+                                assert.equal(status, 201);
+                                request("COPY", "/list/b", {destination: "/list/e", position: "before c"}, null, function(status) {
+                                    assert.equal(status, 201);
+                                    getOrder("/list", function(names) {
+                                        assert.deepEqual(names, ["e", "c", "a", "d", "b"]);
+                                        next();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test ORDERPATCH changes the position of members": function(next) {
+        orderPatch("/list", [["a", "first"], ["e", "last"], ["b", "after", "a"]], function(status) {
+            assert.equal(status, 200);
+            getOrder("/list", function(names) {
+                assert.deepEqual(names, ["a", "b", "c", "d", "e"]);
+                // a member that replaces another one keeps its position
+                request("PUT", "/list/c", {}, "changed", function(status) {
+                    assert.equal(status, 200);
+                    getOrder("/list", function(names) {
+                        assert.deepEqual(names, ["a", "b", "c", "d", "e"]);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test ORDERPATCH applies all changes or none": function(next) {
+        orderPatch("/list", [["e", "first"], ["a", "after", "missing"], ["b", "last"]], function(status, data) {
+            assert.equal(status, 207);
+            assert.ok(/<d:href>\/list\/e<\/d:href><d:status>HTTP\/1\.1 424 /.test(data), data);
+            assert.ok(/<d:href>\/list\/a<\/d:href><d:status>HTTP\/1\.1 409 /.test(data), data);
+            assert.ok(/<d:href>\/list\/b<\/d:href><d:status>HTTP\/1\.1 424 /.test(data), data);
+            getOrder("/list", function(names) {
+                assert.deepEqual(names, ["a", "b", "c", "d", "e"]);
+                next();
+            });
+        });
+    },
+
+    "test only ordered collections can be ordered": function(next) {
+        request("MKCOL", "/plain", {}, null, function(status) {
+            assert.equal(status, 201);
+            request("PUT", "/plain/a", {position: "first"}, "a", function(status, data) {
+                assert.equal(status, 409);
+                assert.ok(/<d:collection-must-be-ordered\/>/.test(data), data);
+                request("PUT", "/list/f", {position: "after missing"}, "f", function(status, data) {
+                    assert.equal(status, 409);
+                    assert.ok(/<d:segment-must-identify-member\/>/.test(data), data);
+                    orderPatch("/plain", [["a", "first"]], function(status, data) {
+                        assert.equal(status, 409);
+                        assert.ok(/<d:collection-must-be-ordered\/>/.test(data), data);
+                        next();
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
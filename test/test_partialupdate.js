@@ -0,0 +1,156 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8028;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_partialupdate_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        res.resume();
+        res.on("end", function() {
+            callback(res.statusCode, res.headers);
+        });
+    });
+    req.end(body);
+}
+
+function patch(path, range, body, callback) {
+    request("PATCH", path, {
+        "content-type": "application/x-sabredav-partialupdate",
+        "content-length": body.length,
+        "x-update-range": range
+    }, body, callback);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        Fs.writeFileSync(ROOT + "/a.txt", "0123456789");
+        next();
+    },
+
+    "test PATCH updates a range of a file": function(next) {
+        patch("/a.txt", "bytes=2-4", "abc", function(status) {
+            assert.equal(status, 204);
+            assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "01abc56789");
+            // the data may extend the file
+            patch("/a.txt", "bytes=8-", "xyz", function(status) {
+                assert.equal(status, 204);
+                assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "01abc567xyz");
+                next();
+            });
+        });
+    },
+
+    "test PATCH writes relative to the end of a file and appends": function(next) {
+        patch("/a.txt", "bytes=-2", "ab", function(status) {
+            assert.equal(status, 204);
+            assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "01234567ab");
+            patch("/a.txt", "append", "cd", function(status) {
+                assert.equal(status, 204);
+                assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "01234567abcd");
+                next();
+            });
+        });
+    },
+
+    "test PATCH requests are validated": function(next) {
+        request("PATCH", "/a.txt", {"content-length": 1, "x-update-range": "append"}, "a", function(status) {
+            assert.equal(status, 415);
+            patch("/a.txt", "bytes=a-b", "a", function(status) {
+                assert.equal(status, 400);
+                patch("/a.txt", "bytes=2-4", "a", function(status) {
+                    assert.equal(status, 416);
+                    patch("/a.txt", "bytes=11-", "a", function(status) {
+                        assert.equal(status, 416);
+                        patch("/missing.txt", "append", "a", function(status) {
+                            assert.equal(status, 404);
+                            assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "0123456789");
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test PATCH can be turned off": function(next) {
+        var options = this.server.options;
+        request("OPTIONS", "/a.txt", {}, null, function(status, headers) {
+            assert.ok(/\bPATCH\b/.test(headers.allow));
+            options.enablePatch = false;
+            request("OPTIONS", "/a.txt", {}, null, function(status, headers) {
+                assert.ok(!/\bPATCH\b/.test(headers.allow));
+                assert.ok(!/sabredav-partialupdate/.test(headers.dav));
+                patch("/a.txt", "append", "a", function(status) {
+                    delete options.enablePatch;
+                    assert.equal(status, 501);
+                    assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "0123456789");
+                    next();
+                });
+            });
+        });
+    },
+
+    "test PUT with Content-Range resumes an upload when it is enabled": function(next) {
+        var options = this.server.options;
+        request("PUT", "/b.txt", {"content-range": "bytes 0-2/6"}, "abc", function(status) {
+            assert.equal(status, 501);
+            assert.ok(!Fs.existsSync(ROOT + "/b.txt"));
+            options.enablePutContentRange = true;
+            request("PUT", "/b.txt", {"content-range": "bytes 0-2/6"}, "abc", function(status) {
+                assert.equal(status, 201);
+                request("PUT", "/b.txt", {"content-range": "bytes 3-5/6"}, "def", function(status) {
+                    assert.equal(status, 204);
+                    assert.equal(Fs.readFileSync(ROOT + "/b.txt", "utf8"), "abcdef");
+                    // only the first part creates the resource
+                    request("PUT", "/c.txt", {"content-range": "bytes 3-5/6"}, "def", function(status) {
+                        delete options.enablePutContentRange;
+                        assert.equal(status, 404);
+                        next();
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
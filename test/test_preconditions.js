@@ -0,0 +1,151 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_FS_File = require("./../lib/DAV/backends/fs/file");
+var Util = require("./../lib/shared/util");
+
+var PORT = 8033;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_preconditions_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data, res.headers);
+        });
+    });
+    req.end(body);
+}
+
+function getETag(path, callback) {
+    request("HEAD", path, {}, null, function(status, data, headers) {
+        assert.equal(status, 200);
+        callback(headers.etag);
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        // files on the filesystem have no entity tag, so they get one for now
+        this.getETag = jsDAV_FS_File.getETag;
+        jsDAV_FS_File.getETag = function(callback) {
+            Fs.readFile(this.path, function(err, data) {
+                callback(err, err ? null : '"' + Util.md5(data) + '"');
+            });
+        };
+
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        jsDAV_FS_File.getETag = this.getETag;
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        Fs.writeFileSync(ROOT + "/a.txt", "a");
+        Fs.writeFileSync(ROOT + "/b.txt", "b");
+        next();
+    },
+
+    "test DELETE honours If-Match": function(next) {
+        request("DELETE", "/a.txt", {"if-match": '"other"'}, null, function(status) {
+            assert.equal(status, 412);
+            getETag("/a.txt", function(etag) {
+                request("DELETE", "/a.txt", {"if-match": etag}, null, function(status) {
+                    assert.equal(status, 204);
+                    // any entity tag of an existing resource matches '*'
+                    request("DELETE", "/b.txt", {"if-match": "*"}, null, function(status) {
+                        assert.equal(status, 204);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test DELETE honours If-Unmodified-Since": function(next) {
+        var past = new Date(Date.now() - 3600000).toUTCString();
+        request("DELETE", "/a.txt", {"if-unmodified-since": past}, null, function(status) {
+            assert.equal(status, 412);
+            var future = new Date(Date.now() + 3600000).toUTCString();
+            request("DELETE", "/a.txt", {"if-unmodified-since": future}, null, function(status) {
+                assert.equal(status, 204);
+                next();
+            });
+        });
+    },
+
+    "test PROPPATCH and PUT honour the conditional headers": function(next) {
+        var body = '<?xml version="1.0" encoding="utf-8"?>'
+            + '<D:propertyupdate xmlns:D="DAV:" xmlns:x="urn:test"><D:set><D:prop>'
+            + "<x:color>red</x:color></D:prop></D:set></D:propertyupdate>";
+        request("PROPPATCH", "/a.txt", {"if-match": '"other"'}, body, function(status) {
+            assert.equal(status, 412);
+            request("PUT", "/a.txt", {"if-none-match": "*"}, "changed", function(status) {
+                assert.equal(status, 412);
+                request("GET", "/a.txt", {}, null, function(status, data) {
+                    assert.equal(data, "a");
+                    next();
+                });
+            });
+        });
+    },
+
+    "test MOVE and COPY honour the conditional headers": function(next) {
+        request("MOVE", "/a.txt", {destination: "/c.txt", "if-match": '"other"'}, null, function(status) {
+            assert.equal(status, 412);
+            // the If header may tag the destination that is overwritten
+            var condition = "<http://127.0.0.1:" + PORT + '/b.txt> (["other"])';
+            request("COPY", "/a.txt", {destination: "/b.txt", "if": condition}, null, function(status) {
+                assert.equal(status, 412);
+                request("GET", "/b.txt", {}, null, function(status, data) {
+                    assert.equal(data, "b");
+                    getETag("/b.txt", function(etag) {
+                        condition = "<http://127.0.0.1:" + PORT + "/b.txt> ([" + etag + "])";
+                        request("COPY", "/a.txt", {destination: "/b.txt", "if": condition}, null, function(status) {
+                            assert.equal(status, 204);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
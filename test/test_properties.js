@@ -0,0 +1,190 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+
+var PORT = 8030;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_properties_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+function setColor(path, value, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?>'
+        + '<D:propertyupdate xmlns:D="DAV:" xmlns:x="urn:test"><D:set><D:prop>'
+        + "<x:color>" + value + "</x:color>"
+        + "</D:prop></D:set></D:propertyupdate>";
+    request("PROPPATCH", path, {"content-type": "application/xml"}, body, function(status, data) {
+        assert.equal(status, 207);
+        assert.ok(/200 Ok/i.test(data), data);
+        callback();
+    });
+}
+
+/**
+ * Passes the value of the dead property of a resource as XML, or null when
+ * the property is not set.
+ */
+function getColor(path, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+        + '<D:prop><x:color xmlns:x="urn:test"/></D:prop></D:propfind>';
+    request("PROPFIND", path, {depth: "0", "content-type": "application/xml"}, body, function(status, data) {
+        assert.equal(status, 207);
+        var match = data.match(/<(\w+):color xmlns:\1="urn:test">([\s\S]*?)<\/\1:color>/);
+        callback(match ? match[2] : null);
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        Fs.writeFileSync(ROOT + "/a.txt", "a");
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.writeFileSync(ROOT + "/dir/b.txt", "b");
+        next();
+    },
+
+    tearDown: function(next) {
+        Async.rmtree(ROOT, function() {
+            Fs.mkdirSync(ROOT);
+            next();
+        });
+    },
+
+    "test dead properties are stored with their XML": function(next) {
+        setColor("/a.txt", '<x:shade xmlns:x="urn:test">dark</x:shade>red', function() {
+            getColor("/a.txt", function(value) {
+                assert.ok(/<x:shade[^>]*>dark<\/x:shade>red/.test(value), value);
+                // the storage is not part of the tree
+                request("PROPFIND", "/", {depth: "1"}, null, function(status, data) {
+                    assert.equal(status, 207);
+                    assert.ok(data.indexOf(".jsdav_properties") == -1);
+                    request("GET", "/.jsdav_properties", {}, null, function(status) {
+                        assert.equal(status, 404);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test dead properties are copied with their resource": function(next) {
+        setColor("/a.txt", "red", function() {
+            setColor("/dir/b.txt", "blue", function() {
+                request("COPY", "/a.txt", {destination: "/dir/c.txt"}, null, function(status) {
+                    assert.equal(status, 201);
+                    getColor("/dir/c.txt", function(value) {
+                        assert.equal(value, "red");
+                        getColor("/a.txt", function(value) {
+                            assert.equal(value, "red");
+                            request("COPY", "/dir", {destination: "/copy"}, null, function(status) {
+                                assert.equal(status, 201);
+                                getColor("/copy/b.txt", function(value) {
+                                    assert.equal(value, "blue");
+                                    getColor("/copy/c.txt", function(value) {
+                                        assert.equal(value, "red");
+                                        next();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test dead properties are moved with their resource": function(next) {
+        setColor("/a.txt", "red", function() {
+            setColor("/dir", "green", function() {
+                request("MOVE", "/a.txt", {destination: "/dir/moved.txt"}, null, function(status) {
+                    assert.equal(status, 201);
+                    getColor("/dir/moved.txt", function(value) {
+                        assert.equal(value, "red");
+                        // a new resource at the old location has no properties
+                        request("PUT", "/a.txt", {}, "new", function(status) {
+                            assert.equal(status, 201);
+                            getColor("/a.txt", function(value) {
+                                assert.equal(value, null);
+                                request("MOVE", "/dir", {destination: "/other"}, null, function(status) {
+                                    assert.equal(status, 201);
+                                    getColor("/other", function(value) {
+                                        assert.equal(value, "green");
+                                        getColor("/other/moved.txt", function(value) {
+                                            assert.equal(value, "red");
+                                            next();
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test dead properties are removed with their resource": function(next) {
+        setColor("/a.txt", "red", function() {
+            request("DELETE", "/a.txt", {}, null, function(status) {
+                assert.equal(status, 204);
+                request("PUT", "/a.txt", {}, "new", function(status) {
+                    assert.equal(status, 201);
+                    getColor("/a.txt", function(value) {
+                        assert.equal(value, null);
+                        next();
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
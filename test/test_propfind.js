@@ -0,0 +1,229 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Events = require("events");
+var Async = require("asyncjs");
+// the server needs to be loaded before the handler, which depends on it
+var jsDAV_Server = require("./../lib/DAV/server");
+var jsDAV_Handler = require("./../lib/DAV/handler");
+
+var PORT = 8025;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_propfind_" + process.pid);
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+function propfind(path, depth, callback, prefer) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:"><D:prop>'
+        + '<D:getcontentlength/><x:missing xmlns:x="urn:test"/></D:prop></D:propfind>';
+    var headers = {depth: depth, "content-type": "application/xml"};
+    if (prefer)
+        headers.prefer = prefer;
+    request("PROPFIND", path, headers, body, callback);
+}
+
+/**
+ * Returns a handler with a response that is full after every write, until
+ * 'drain' is emitted.
+ */
+function getStreamingHandler() {
+    var handler = Object.create(jsDAV_Handler.prototype);
+    handler.server = {
+        options: {},
+        getBaseUri: function() {
+            return "/";
+        }
+    };
+    var res = handler.httpResponse = new Events.EventEmitter();
+    res.written = [];
+    res.writeHead = function(status) {
+        res.status = status;
+    };
+    res.write = function(data) {
+        res.written.push(data);
+        return false;
+    };
+    res.end = function(data) {
+        res.written.push(data);
+        res.ended = true;
+    };
+    res.destroy = function() {
+        res.destroyed = true;
+    };
+    return handler;
+}
+
+function getEntry(href) {
+    return {href: href, "200": {"{DAV:}getcontentlength": 1}};
+}
+
+function getHrefs(data) {
+    var hrefs = [];
+    data.replace(/<d:href>(.*?)<\/d:href>/gi, function(m, href) {
+        hrefs.push(href);
+    });
+    return hrefs.sort();
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.mkdirSync(ROOT + "/dir/sub");
+        Fs.writeFileSync(ROOT + "/dir/a.txt", "a");
+        Fs.writeFileSync(ROOT + "/dir/sub/b.txt", "b");
+        this.server = jsDAV_Server.createServer({
+            node: ROOT,
+            enablePropfindDepthInfinity: true
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test a Depth of 1 lists the direct children": function(next) {
+        propfind("/dir", "1", function(status, data) {
+            assert.equal(status, 207);
+            assert.deepEqual(getHrefs(data), ["/dir/", "/dir/a.txt", "/dir/sub/"]);
+            next();
+        });
+    },
+
+    "test a Depth of infinity lists the entire subtree": function(next) {
+        propfind("/dir", "infinity", function(status, data) {
+            assert.equal(status, 207);
+            assert.deepEqual(getHrefs(data), ["/dir/", "/dir/a.txt", "/dir/sub/", "/dir/sub/b.txt"]);
+            next();
+        });
+    },
+
+    "test a Depth of infinity can be refused": function(next) {
+        var options = this.server.options;
+        options.enablePropfindDepthInfinity = false;
+        propfind("/dir", "infinity", function(status, data) {
+            options.enablePropfindDepthInfinity = true;
+            assert.equal(status, 403);
+            assert.ok(/<d:propfind-finite-depth\s*\/>/.test(data));
+            next();
+        });
+    },
+
+    "test a Depth of infinity is limited to a maximum amount of nodes": function(next) {
+        var options = this.server.options;
+        options.maxPropfindNodes = 3;
+        propfind("/dir", "infinity", function(status) {
+            assert.equal(status, 507);
+            // a Depth of 1 is not limited
+            propfind("/dir", "1", function(status) {
+                assert.equal(status, 207);
+                options.maxPropfindNodes = 4;
+                propfind("/dir", "infinity", function(status) {
+                    delete options.maxPropfindNodes;
+                    assert.equal(status, 207);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test properties that were not found are left out with Prefer: return=minimal": function(next) {
+        propfind("/dir/a.txt", "0", function(status, data) {
+            assert.equal(status, 207);
+            assert.ok(/404 Not Found/.test(data));
+            propfind("/dir/a.txt", "0", function(status, data) {
+                assert.equal(status, 207);
+                assert.ok(/<d:getcontentlength>1<\/d:getcontentlength>/.test(data));
+                assert.ok(!/404 Not Found/.test(data));
+                // the syntax of the drafts that preceded RFC 7240
+                propfind("/dir/a.txt", "0", function(status, data) {
+                    assert.ok(!/404 Not Found/.test(data));
+                    next();
+                }, "return-minimal");
+            }, "return=minimal");
+        });
+    },
+
+    "test a multistatus response waits for the client to read it": function(next) {
+        var handler = getStreamingHandler();
+        var res = handler.httpResponse;
+        var written = 0;
+        handler.streamMultiStatus(false, null, function(write, cbdone) {
+            Async.list(["/a", "/b", "/c"])
+                .each(function(href, cbnext) {
+                    write(getEntry(href), function(err) {
+                        written++;
+                        cbnext(err);
+                    });
+                })
+                .end(cbdone);
+        });
+
+        assert.equal(res.status, 207);
+        // the head of the response and the first entry
+        assert.equal(res.written.length, 2);
+        assert.equal(written, 0);
+        res.emit("drain");
+        assert.equal(written, 1);
+        assert.equal(res.written.length, 3);
+        res.emit("drain");
+        res.emit("drain");
+        assert.equal(written, 3);
+        assert.ok(res.ended);
+        assert.equal(getHrefs(res.written.join("")).length, 3);
+        next();
+    },
+
+    "test a multistatus response stops when the client is gone": function(next) {
+        var handler = getStreamingHandler();
+        var res = handler.httpResponse;
+        handler.streamMultiStatus(false, null, function(write, cbdone) {
+            write(getEntry("/a"), function(err) {
+                assert.ok(err);
+                cbdone(err);
+            });
+        });
+        res.emit("close");
+        assert.ok(res.destroyed);
+        assert.ok(!res.ended);
+        next();
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
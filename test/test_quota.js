@@ -0,0 +1,175 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_FS_Directory = require("./../lib/DAV/backends/fs/directory");
+var jsDAV_Auth_Backend_AbstractBasic = require("./../lib/DAV/plugins/auth/abstractBasic");
+var jsDAV_Quota_Backend_Memory = require("./../lib/DAV/plugins/quota/memory");
+
+var PORT = 8021;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_quota_" + process.pid);
+var LIMIT = 100;
+
+var AuthBackend = jsDAV_Auth_Backend_AbstractBasic.extend({
+    validateUserPass: function(username, password, callback) {
+        callback(password == "secret");
+    }
+});
+
+function request(method, path, headers, body, callback) {
+    headers.authorization = "Basic " + new Buffer("alice:secret").toString("base64");
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    // the server may close the connection before the whole body is sent
+    req.on("error", function() {});
+    if (Array.isArray(body)) {
+        // send the body in chunks, without a Content-Length
+        body.forEach(function(chunk) {
+            req.write(chunk);
+        });
+        return req.end();
+    }
+    req.end(body);
+}
+
+function repeat(str, count) {
+    return new Array(count + 1).join(str);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        this.quota = jsDAV_Quota_Backend_Memory.new({alice: LIMIT});
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            authBackend: AuthBackend.new(),
+            quotaBackend: this.quota
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test writes are added to the storage used": function(next) {
+        var quota = this.quota;
+        request("PUT", "/a.txt", {}, repeat("a", 40), function(status) {
+            assert.equal(status, 201);
+            assert.equal(quota.usage.alice, 40);
+            request("PUT", "/a.txt", {}, repeat("a", 30), function(status) {
+                assert.equal(status, 200);
+                assert.equal(quota.usage.alice, 30);
+                next();
+            });
+        });
+    },
+
+    "test a PUT with a Content-Length over the quota is rejected": function(next) {
+        var quota = this.quota;
+        var body = repeat("b", LIMIT);
+        request("PUT", "/b.txt", {"content-length": body.length}, body, function(status, data) {
+            assert.equal(status, 507);
+            assert.ok(/<d:quota-not-exceeded\s*\/>/.test(data));
+            assert.ok(!Fs.existsSync(ROOT + "/b.txt"));
+            assert.equal(quota.usage.alice, 30);
+            next();
+        });
+    },
+
+    "test exceeding the quota mid-body keeps the existing file": function(next) {
+        var quota = this.quota;
+        // the bytes of the file that is replaced are available as well
+        var chunks = [];
+        for (var i = 0; i < 11; ++i)
+            chunks.push(repeat("c", 10));
+        request("PUT", "/a.txt", {}, chunks, function(status) {
+            assert.equal(status, 507);
+            assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), repeat("a", 30));
+            assert.equal(quota.usage.alice, 30);
+            request("PUT", "/a.txt", {}, chunks.slice(1), function(status) {
+                assert.equal(status, 200);
+                assert.equal(quota.usage.alice, 100);
+                next();
+            });
+        });
+    },
+
+    "test collections are walked once per COPY and DELETE": function(next) {
+        var quota = this.quota;
+        Fs.unlinkSync(ROOT + "/a.txt");
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.mkdirSync(ROOT + "/dir/sub");
+        Fs.writeFileSync(ROOT + "/dir/one.txt", repeat("1", 10));
+        Fs.writeFileSync(ROOT + "/dir/sub/two.txt", repeat("2", 20));
+        quota.usage.alice = 30;
+
+        var getChildren = jsDAV_FS_Directory.getChildren;
+        var walked = {};
+        jsDAV_FS_Directory.getChildren = function(callback) {
+            walked[this.path] = (walked[this.path] || 0) + 1;
+            getChildren.call(this, callback);
+        };
+        function restore() {
+            jsDAV_FS_Directory.getChildren = getChildren;
+            next();
+        }
+
+        request("COPY", "/dir", {destination: "/copy"}, null, function(status) {
+            assert.equal(status, 201);
+            assert.equal(quota.usage.alice, 60);
+            assert.equal(walked[ROOT + "/dir"], 1);
+            assert.equal(walked[ROOT + "/dir/sub"], 1);
+            // the copy is not walked to find its size
+            assert.ok(!walked[ROOT + "/copy/sub"]);
+
+            request("COPY", "/dir", {destination: "/copy"}, null, function(status) {
+                assert.equal(status, 204);
+                assert.equal(quota.usage.alice, 60);
+
+                walked = {};
+                request("DELETE", "/copy", {}, null, function(status) {
+                    assert.equal(status, 204);
+                    assert.equal(quota.usage.alice, 30);
+                    assert.equal(walked[ROOT + "/copy/sub"], 1);
+                    restore();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,182 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+// the server needs to be loaded before the handler, which depends on it
+var jsDAV_Server = require("./../lib/DAV/server");
+var jsDAV_Handler = require("./../lib/DAV/handler");
+var jsDAV_FS_File = require("./../lib/DAV/backends/fs/file");
+var Exc = require("./../lib/shared/exceptions");
+
+var PORT = 8023;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_range_" + process.pid);
+var LARGE_SIZE = 32 * 1024 * 1024;
+
+function getHandler(range, options) {
+    var handler = Object.create(jsDAV_Handler.prototype);
+    handler.httpRequest = {headers: {range: range}};
+    handler.server = {options: options || {}};
+    return handler;
+}
+
+function get(path, range, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        path: path,
+        headers: {range: range}
+    }, function(res) {
+        var chunks = [];
+        res.on("data", function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on("end", function() {
+            callback(res.statusCode, res.headers, Buffer.concat(chunks));
+        });
+    });
+    req.end();
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.writeFileSync(ROOT + "/digits.txt", "0123456789");
+        var fd = Fs.openSync(ROOT + "/large.bin", "w");
+        Fs.ftruncateSync(fd, LARGE_SIZE);
+        Fs.closeSync(fd);
+        this.server = jsDAV_Server.createServer({node: ROOT}, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test parsing a single range": function(next) {
+        var handler = getHandler("bytes=10-20");
+        assert.deepEqual(handler.getHTTPRanges(), [[10, 20]]);
+        assert.deepEqual(handler.getHTTPRange(), [10, 20]);
+        next();
+    },
+
+    "test parsing a range set": function(next) {
+        var handler = getHandler("bytes=0-99, 200-,-50");
+        assert.deepEqual(handler.getHTTPRanges(), [[0, 99], [200, null], [null, 50]]);
+        assert.equal(handler.getHTTPRange(), null);
+        next();
+    },
+
+    "test malformed range headers are ignored": function(next) {
+        assert.equal(getHandler("bytes=-").getHTTPRanges(), null);
+        assert.equal(getHandler("bytes=1-2,a-b").getHTTPRanges(), null);
+        assert.equal(getHandler("items=1-2").getHTTPRanges(), null);
+        next();
+    },
+
+    "test offsets are coalesced and sorted": function(next) {
+        var handler = getHandler();
+        var offsets = handler.getHTTPRangeOffsets([[50, 59], [0, 9], [5, 19], [20, 29], [null, 5]], 100);
+        assert.deepEqual(offsets, [
+            {start: 0, end: 30},
+            {start: 50, end: 60},
+            {start: 95, end: 100}
+        ]);
+        next();
+    },
+
+    "test unsatisfiable ranges are dropped": function(next) {
+        var handler = getHandler();
+        assert.deepEqual(handler.getHTTPRangeOffsets([[10, 20], [200, 300]], 100), [{start: 10, end: 21}]);
+        assert.throws(function() {
+            handler.getHTTPRangeOffsets([[200, 300]], 100);
+        }, Exc.RequestedRangeNotSatisfiable);
+        next();
+    },
+
+    "test too many ranges are rejected": function(next) {
+        var handler = getHandler(null, {maxRanges: 2});
+        assert.throws(function() {
+            handler.getHTTPRangeOffsets([[0, 1], [10, 11], [20, 21]], 100);
+        }, Exc.RequestedRangeNotSatisfiable);
+        next();
+    },
+
+    "test a single range of a file": function(next) {
+        get("/digits.txt", "bytes=2-5", function(status, headers, body) {
+            assert.equal(status, 206);
+            assert.equal(headers["content-range"], "bytes 2-5/10");
+            assert.equal(body.toString(), "2345");
+            get("/digits.txt", "bytes=-3", function(status, headers, body) {
+                assert.equal(status, 206);
+                assert.equal(headers["content-range"], "bytes 7-9/10");
+                assert.equal(body.toString(), "789");
+                get("/digits.txt", "bytes=9-", function(status, headers, body) {
+                    assert.equal(status, 206);
+                    assert.equal(body.toString(), "9");
+                    next();
+                });
+            });
+        });
+    },
+
+    "test multiple ranges of a file": function(next) {
+        get("/digits.txt", "bytes=0-1,8-", function(status, headers, body) {
+            assert.equal(status, 206);
+            var boundary = headers["content-type"].match(/boundary=(.+)$/)[1];
+            assert.equal(body.length, parseInt(headers["content-length"], 10));
+            var parts = body.toString().split("--" + boundary).slice(1, -1).map(function(part) {
+                return part.split("\r\n\r\n")[1].replace(/\r\n$/, "");
+            });
+            assert.deepEqual(parts, ["01", "89"]);
+            next();
+        });
+    },
+
+    "test the file is not read faster than the response is sent": function(next) {
+        var getStream = jsDAV_FS_File.getStream;
+        var read = 0;
+        jsDAV_FS_File.getStream = function(start, end, callback) {
+            getStream.call(this, start, end, function(err, data, source) {
+                if (data)
+                    read += data.length;
+                callback(err, data, source);
+            });
+        };
+
+        var half = LARGE_SIZE / 2;
+        var range = "bytes=0-" + (half - 1) + "," + (half + 10) + "-";
+        var req = Http.request({host: "127.0.0.1", port: PORT, path: "/large.bin", headers: {range: range}}, function(res) {
+            assert.equal(res.statusCode, 206);
+            // the client doesn't read the response for a while
+            res.pause();
+            setTimeout(function() {
+                jsDAV_FS_File.getStream = getStream;
+                assert.ok(read < half, "read " + read + " bytes");
+                req.destroy();
+                next();
+            }, 500);
+        });
+        req.on("error", function() {});
+        req.end();
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,182 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Http = require("http");
+var jsDAV = require("./../lib/jsdav");
+var S3Stub = require("./s3stub");
+
+var PORT = 8015;
+var S3_PORT = 8016;
+var PART_SIZE = 5 * 1024 * 1024;
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var chunks = [];
+        res.on("data", function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on("end", function() {
+            callback(res.statusCode, Buffer.concat(chunks));
+        });
+    });
+    req.end(body);
+}
+
+function getData(size) {
+    var data = new Buffer(size);
+    for (var i = 0; i < size; ++i)
+        data[i] = i % 251;
+    return data;
+}
+
+module.exports = {
+    timeout: 20000,
+
+    setUpSuite: function(next) {
+        var self = this;
+        this.s3 = S3Stub.createServer("files");
+        this.s3.listen(S3_PORT, "127.0.0.1", function() {
+            self.server = jsDAV.createServer({
+                type: "s3",
+                s3: {
+                    bucket: "files",
+                    path: "dav",
+                    endpoint: "http://127.0.0.1:" + S3_PORT,
+                    partSize: PART_SIZE
+                }
+            }, PORT, "127.0.0.1");
+            self.server.on("listening", function() {
+                next();
+            });
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.tree.unmount();
+        this.server.close();
+        this.s3.close(function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        this.s3.requests = [];
+        next();
+    },
+
+    "test uploading a small file with one request": function(next) {
+        var s3 = this.s3;
+        request("PUT", "/small.txt", {}, "small", function(status) {
+            assert.equal(status, 201);
+            assert.equal(s3.objects["dav/small.txt"].data.toString(), "small");
+            var puts = s3.requests.filter(function(req) {
+                return req.method != "HEAD" && req.method != "GET";
+            });
+            assert.equal(puts.length, 1);
+            assert.equal(puts[0].method, "PUT");
+            assert.ok(!puts[0].query.uploadId);
+            next();
+        });
+    },
+
+    "test uploading a large file in parts": function(next) {
+        var s3 = this.s3;
+        var data = getData(2 * PART_SIZE + 1000);
+        request("PUT", "/large.bin", {"content-length": data.length}, data, function(status) {
+            assert.equal(status, 201);
+            var parts = s3.requests.filter(function(req) {
+                return req.method == "PUT" && req.query.uploadId;
+            });
+            // every part but the last one has at least the part size
+            assert.equal(parts.length, 2);
+            assert.ok(parts[0].size >= PART_SIZE);
+            assert.equal(parts[0].size + parts[1].size, data.length);
+            assert.ok(s3.objects["dav/large.bin"].data.equals(data));
+            next();
+        });
+    },
+
+    "test ranged GET only requests the range": function(next) {
+        var s3 = this.s3;
+        var data = getData(2 * PART_SIZE + 1000);
+        request("GET", "/large.bin", {range: "bytes=" + PART_SIZE + "-" + (PART_SIZE + 99)}, null, function(status, body) {
+            assert.equal(status, 206);
+            assert.ok(body.equals(data.slice(PART_SIZE, PART_SIZE + 100)));
+            var gets = s3.requests.filter(function(req) {
+                return req.method == "GET" && req.key == "dav/large.bin";
+            });
+            assert.equal(gets.length, 1);
+            assert.equal(gets[0].headers.range, "bytes=" + PART_SIZE + "-" + (PART_SIZE + 99));
+            next();
+        });
+    },
+
+    "test MKCOL stores a marker object": function(next) {
+        var s3 = this.s3;
+        request("MKCOL", "/dir", {}, null, function(status) {
+            assert.equal(status, 201);
+            assert.equal(s3.objects["dav/dir/"].data.length, 0);
+            var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+                + "<D:prop><D:resourcetype/></D:prop></D:propfind>";
+            request("PROPFIND", "/dir", {depth: "1"}, body, function(status, data) {
+                assert.equal(status, 207);
+                var responses = data.toString().split(/<d:response>/i).slice(1);
+                assert.equal(responses.length, 1);
+                assert.ok(/<d:collection\s*\/>/i.test(responses[0]));
+                next();
+            });
+        });
+    },
+
+    "test COPY and MOVE are done by the object store": function(next) {
+        var s3 = this.s3;
+        request("PUT", "/dir/a.txt", {}, "in dir", function(status) {
+            assert.equal(status, 201);
+            s3.requests = [];
+            request("COPY", "/dir", {destination: "/copy"}, null, function(status) {
+                assert.equal(status, 201);
+                assert.equal(s3.objects["dav/copy/a.txt"].data.toString(), "in dir");
+                assert.ok(s3.objects["dav/copy/"]);
+                assert.ok(s3.objects["dav/dir/a.txt"]);
+                request("MOVE", "/copy", {destination: "/moved"}, null, function(status) {
+                    assert.equal(status, 201);
+                    assert.ok(!s3.objects["dav/copy/a.txt"]);
+                    assert.ok(!s3.objects["dav/copy/"]);
+                    assert.equal(s3.objects["dav/moved/a.txt"].data.toString(), "in dir");
+
+                    var copies = s3.requests.filter(function(req) {
+                        return req.headers["x-amz-copy-source"];
+                    });
+                    assert.deepEqual(copies.map(function(req) {
+                        return req.headers["x-amz-copy-source"] + " " + req.key;
+                    }).sort(), [
+                        "/files/dav/copy/ dav/moved/",
+                        "/files/dav/copy/a.txt dav/moved/a.txt",
+                        "/files/dav/dir/ dav/copy/",
+                        "/files/dav/dir/a.txt dav/copy/a.txt"
+                    ]);
+                    // no data passed through jsDAV
+                    assert.ok(!s3.requests.some(function(req) {
+                        return req.method == "GET" && req.key;
+                    }));
+                    next();
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
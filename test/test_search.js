@@ -0,0 +1,238 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+// the server needs to be loaded before the handler, which depends on it
+var jsDAV_Server = require("./../lib/DAV/server");
+var jsDAV_Handler = require("./../lib/DAV/handler");
+var jsDAV_Search_QueryParser = require("./../lib/DAV/plugins/search/queryParser");
+var Exc = require("./../lib/shared/exceptions");
+var Xml = require("./../lib/shared/xml");
+
+var PORT = 8018;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_search_" + process.pid);
+
+function getSearchRequest(scopes, where, orderBy, limit) {
+    return '<?xml version="1.0" encoding="utf-8"?><D:searchrequest xmlns:D="DAV:"><D:basicsearch>'
+        + "<D:select><D:prop><D:displayname/></D:prop></D:select>"
+        + "<D:from>" + scopes.map(function(scope) {
+            return "<D:scope><D:href>" + scope[0] + "</D:href><D:depth>" + scope[1] + "</D:depth></D:scope>";
+        }).join("") + "</D:from>"
+        + (where ? "<D:where>" + where + "</D:where>" : "")
+        + (orderBy ? "<D:orderby>" + orderBy + "</D:orderby>" : "")
+        + (limit ? "<D:limit><D:nresults>" + limit + "</D:nresults></D:limit>" : "")
+        + "</D:basicsearch></D:searchrequest>";
+}
+
+function parse(body, callback) {
+    Xml.loadDOMDocument(body, null, function(err, dom) {
+        if (err)
+            return callback(err);
+        var parser = jsDAV_Search_QueryParser.new(dom);
+        try {
+            parser.parse();
+        }
+        catch (ex) {
+            return callback(ex);
+        }
+        callback(null, parser);
+    });
+}
+
+/**
+ * Sends a SEARCH request and passes the status and the hrefs of the results,
+ * in order.
+ */
+function search(body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: "SEARCH",
+        path: "/",
+        headers: {"content-type": "application/xml"}
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            var hrefs = [];
+            data.replace(/<d:href>(.*?)<\/d:href>/gi, function(m, href) {
+                hrefs.push(href);
+            });
+            callback(res.statusCode, hrefs, data);
+        });
+    });
+    req.end(body);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.mkdirSync(ROOT + "/dir/sub");
+        Fs.writeFileSync(ROOT + "/a.txt", "alpha");
+        Fs.writeFileSync(ROOT + "/B.txt", "bb");
+        Fs.writeFileSync(ROOT + "/dir/c.txt", "a needle in here");
+        Fs.writeFileSync(ROOT + "/dir/sub/d.md", "dddd");
+        this.server = jsDAV_Server.createServer({
+            node: ROOT,
+            enableSearch: true
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test parsing where conditions": function(next) {
+        var where = "<D:and>"
+            + '<D:like caseless="yes"><D:prop><D:displayname/></D:prop><D:literal>%.TXT</D:literal></D:like>'
+            + "<D:not><D:is-collection/></D:not>"
+            + "<D:or>"
+            + "<D:gte><D:prop><D:getcontentlength/></D:prop><D:literal>2</D:literal></D:gte>"
+            + "<D:is-defined><D:prop><D:getetag/></D:prop></D:is-defined>"
+            + "<D:contains>needle</D:contains>"
+            + "</D:or>"
+            + "</D:and>";
+        parse(getSearchRequest([["/", "infinity"]], where), function(err, parser) {
+            assert.equal(err, null);
+            assert.deepEqual(parser.select, ["{DAV:}displayname"]);
+            assert.deepEqual(parser.where, {
+                operator: "and",
+                operands: [
+                    {operator: "like", property: "{DAV:}displayname", literal: "%.TXT", caseless: true},
+                    {operator: "not", operand: {operator: "is-collection"}},
+                    {
+                        operator: "or",
+                        operands: [
+                            {operator: "gte", property: "{DAV:}getcontentlength", literal: "2", caseless: false},
+                            {operator: "is-defined", property: "{DAV:}getetag"},
+                            {operator: "contains", literal: "needle"}
+                        ]
+                    }
+                ]
+            });
+            next();
+        });
+    },
+
+    "test parsing scopes, order and limit": function(next) {
+        var orderBy = "<D:order><D:prop><D:getcontentlength/></D:prop><D:descending/></D:order>"
+            + '<D:order caseless="yes"><D:prop><D:displayname/></D:prop></D:order>';
+        parse(getSearchRequest([["/", "1"], ["/dir", "infinity"]], null, orderBy, 5), function(err, parser) {
+            assert.equal(err, null);
+            assert.deepEqual(parser.scopes, [
+                {href: "/", depth: 1},
+                {href: "/dir", depth: jsDAV_Handler.DEPTH_INFINITY}
+            ]);
+            assert.equal(parser.where, null);
+            assert.deepEqual(parser.orderBy, [
+                {property: "{DAV:}getcontentlength", ascending: false, caseless: false},
+                {property: "{DAV:}displayname", ascending: true, caseless: true}
+            ]);
+            assert.equal(parser.limit, 5);
+            next();
+        });
+    },
+
+    "test invalid queries are rejected": function(next) {
+        var requests = [
+            getSearchRequest([["/", "2"]]),
+            getSearchRequest([["/", "1"]], "<D:foo/>"),
+            getSearchRequest([["/", "1"]], "<D:eq><D:prop><D:displayname/></D:prop></D:eq>"),
+            getSearchRequest([["/", "1"]], null, null, "0"),
+            getSearchRequest([])
+        ];
+        Async.list(requests)
+            .each(function(body, next) {
+                parse(body, function(err) {
+                    assert.ok(err instanceof Exc.BadRequest);
+                    next();
+                });
+            })
+            .end(function() {
+                var body = '<?xml version="1.0" encoding="utf-8"?><D:searchrequest xmlns:D="DAV:">'
+                    + "<D:other/></D:searchrequest>";
+                parse(body, function(err) {
+                    assert.ok(err instanceof Exc.SearchGrammarSupported);
+                    next();
+                });
+            });
+    },
+
+    "test searching by name": function(next) {
+        var where = '<D:like caseless="yes"><D:prop><D:displayname/></D:prop><D:literal>%.txt</D:literal></D:like>';
+        var orderBy = '<D:order caseless="yes"><D:prop><D:displayname/></D:prop></D:order>';
+        search(getSearchRequest([["/", "infinity"]], where, orderBy), function(status, hrefs) {
+            assert.equal(status, 207);
+            assert.deepEqual(hrefs, ["/a.txt", "/B.txt", "/dir/c.txt"]);
+            next();
+        });
+    },
+
+    "test the depth of a scope limits the results": function(next) {
+        var where = "<D:not><D:is-collection/></D:not>";
+        search(getSearchRequest([["/", "1"]], where), function(status, hrefs) {
+            assert.equal(status, 207);
+            assert.deepEqual(hrefs.sort(), ["/B.txt", "/a.txt"]);
+            search(getSearchRequest([["/dir", "0"], ["/dir/sub", "1"]], where), function(status, hrefs) {
+                assert.equal(status, 207);
+                assert.deepEqual(hrefs, ["/dir/sub/d.md"]);
+                next();
+            });
+        });
+    },
+
+    "test ordering and limiting the results": function(next) {
+        var where = "<D:not><D:is-collection/></D:not>";
+        var orderBy = "<D:order><D:prop><D:getcontentlength/></D:prop><D:descending/></D:order>";
+        search(getSearchRequest([["/", "infinity"]], where, orderBy, 3), function(status, hrefs) {
+            assert.equal(status, 207);
+            assert.deepEqual(hrefs, ["/dir/c.txt", "/a.txt", "/dir/sub/d.md"]);
+            next();
+        });
+    },
+
+    "test searching the content": function(next) {
+        search(getSearchRequest([["/", "infinity"]], "<D:contains>NEEDLE</D:contains>"), function(status, hrefs) {
+            assert.equal(status, 207);
+            assert.deepEqual(hrefs, ["/dir/c.txt"]);
+            next();
+        });
+    },
+
+    "test invalid scopes are rejected": function(next) {
+        search(getSearchRequest([["/missing", "1"]]), function(status, hrefs, data) {
+            assert.equal(status, 409);
+            assert.ok(/<d:search-scope-valid\s*\/>/.test(data));
+            search(getSearchRequest([["http://example.com/", "1"]]), function(status, hrefs, data) {
+                assert.equal(status, 409);
+                assert.ok(/<d:search-scope-valid\s*\/>/.test(data));
+                next();
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
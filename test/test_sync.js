@@ -0,0 +1,320 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+// the server needs to be loaded before the handler, which depends on it
+var jsDAV_Server = require("./../lib/DAV/server");
+var jsDAV_Handler = require("./../lib/DAV/handler");
+var jsDAV_Sync_Plugin = require("./../lib/DAV/plugins/sync");
+var jsDAV_Sync_Backend_Memory = require("./../lib/DAV/plugins/sync/memory");
+var jsDAV_Sync_Backend_FS = require("./../lib/DAV/plugins/sync/fs");
+
+var PORT = 8017;
+var ROOT = Path.join(Os.tmpdir(), "jsdav_test_sync_" + process.pid);
+var PREFIX = jsDAV_Sync_Plugin.SYNCTOKEN_PREFIX;
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+/**
+ * Sends a sync-collection REPORT and passes the status, the members with
+ * their status, like {"/a.txt": 200}, and the sync-token of the response.
+ */
+function sync(path, token, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = {};
+    }
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:sync-collection xmlns:D="DAV:">'
+        + "<D:sync-token>" + (token || "") + "</D:sync-token>"
+        + "<D:sync-level>" + (options.level || "1") + "</D:sync-level>"
+        + (options.limit ? "<D:limit><D:nresults>" + options.limit + "</D:nresults></D:limit>" : "")
+        + "<D:prop><D:getcontentlength/></D:prop></D:sync-collection>";
+    request("REPORT", path, {"content-type": "application/xml"}, body, function(status, data) {
+        var members = {};
+        data.split(/<d:response>/i).slice(1).forEach(function(response) {
+            var href = response.match(/<d:href>(.*?)<\/d:href>/i)[1];
+            var status = response.match(/<d:status>HTTP\/1\.1 (\d+)/i)[1];
+            members[href] = parseInt(status, 10);
+        });
+        var match = data.match(/<d:sync-token>(.*?)<\/d:sync-token>/i);
+        callback(status, members, match ? match[1] : null, data);
+    });
+}
+
+function getSyncToken(path, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:"><D:prop>'
+        + "<D:sync-token/></D:prop></D:propfind>";
+    request("PROPFIND", path, {depth: "0", "content-type": "application/xml"}, body, function(status, data) {
+        assert.equal(status, 207);
+        callback(data.match(/<d:sync-token>(.*?)<\/d:sync-token>/i)[1]);
+    });
+}
+
+/**
+ * Checks that a change log looks up the changes of a collection.
+ */
+function checkBackend(backend, callback) {
+    backend.addChange("a.txt", "added", function() {
+        backend.addChange("dir/b.txt", "added", function() {
+            backend.addChange("c.txt", "modified", function(err, token) {
+                assert.equal(token, 3);
+                backend.getCurrentToken("dir", function(err, token) {
+                    assert.equal(token, 2);
+                    backend.getCurrentToken("other", function(err, token) {
+                        assert.equal(token, 0);
+                        backend.getChanges("dir", 0, function(err, changes) {
+                            assert.deepEqual(changes, [{token: 2, uri: "dir/b.txt", type: "added"}]);
+                            callback();
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(ROOT);
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.writeFileSync(ROOT + "/a.txt", "a");
+        Fs.writeFileSync(ROOT + "/b.txt", "b");
+        Fs.writeFileSync(ROOT + "/dir/c.txt", "c");
+        this.server = jsDAV_Server.createServer({
+            node: ROOT,
+            syncBackend: jsDAV_Sync_Backend_Memory.new()
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(ROOT, function() {
+            next();
+        });
+    },
+
+    "test parsing sync-tokens": function(next) {
+        var plugin = jsDAV_Sync_Plugin;
+        assert.equal(plugin.parseSyncToken(PREFIX + "42"), 42);
+        assert.equal(plugin.parseSyncToken(PREFIX + "abc"), null);
+        assert.equal(plugin.parseSyncToken("http://example.com/42"), null);
+        assert.equal(plugin.serializeSyncToken(42), "<d:sync-token>" + PREFIX + "42</d:sync-token>");
+        next();
+    },
+
+    "test changes are reduced to the changed members": function(next) {
+        var changes = [
+            {token: 1, uri: "dir/new.txt", type: "added"},
+            {token: 2, uri: "dir/new.txt", type: "modified"},
+            {token: 3, uri: "dir/old.txt", type: "modified"},
+            {token: 4, uri: "dir/old.txt", type: "deleted"},
+            {token: 5, uri: "dir/sub/deep.txt", type: "added"},
+            {token: 6, uri: "other.txt", type: "modified"}
+        ];
+        var result = jsDAV_Sync_Plugin.getChangedMembers("dir", 1, changes, null);
+        assert.deepEqual(result, {
+            members: [
+                {uri: "dir/new.txt", type: "added"},
+                {uri: "dir/old.txt", type: "deleted"}
+            ],
+            token: 6,
+            truncated: false
+        });
+
+        result = jsDAV_Sync_Plugin.getChangedMembers("dir", jsDAV_Handler.DEPTH_INFINITY, changes, 2);
+        assert.equal(result.members.length, 2);
+        assert.equal(result.token, 4);
+        assert.ok(result.truncated);
+        next();
+    },
+
+    "test initial sync lists all members": function(next) {
+        sync("/", null, function(status, members, token) {
+            assert.equal(status, 207);
+            assert.deepEqual(Object.keys(members).sort(), ["/a.txt", "/b.txt", "/dir/"]);
+            assert.equal(token, PREFIX + "0");
+            next();
+        });
+    },
+
+    "test sync-token round-trip": function(next) {
+        sync("/", null, function(status, members, token) {
+            request("PUT", "/new.txt", {}, "new", function(status) {
+                assert.equal(status, 201);
+                request("PUT", "/a.txt", {}, "changed", function(status) {
+                    assert.equal(status, 200);
+                    request("DELETE", "/b.txt", {}, null, function(status) {
+                        assert.equal(status, 204);
+                        sync("/", token, function(status, members, newToken) {
+                            assert.equal(status, 207);
+                            assert.deepEqual(members, {"/new.txt": 200, "/a.txt": 200, "/b.txt": 404});
+                            assert.notEqual(newToken, token);
+                            sync("/", newToken, function(status, members, lastToken) {
+                                assert.equal(status, 207);
+                                assert.deepEqual(members, {});
+                                assert.equal(lastToken, newToken);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test sync-level limits the depth of the changes": function(next) {
+        sync("/", null, function(status, members, token) {
+            request("PUT", "/dir/d.txt", {}, "d", function(status) {
+                assert.equal(status, 201);
+                sync("/", token, function(status, members) {
+                    assert.deepEqual(members, {});
+                    sync("/", token, {level: "infinite"}, function(status, members) {
+                        assert.deepEqual(members, {"/dir/d.txt": 200});
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test truncated results are marked with 507": function(next) {
+        sync("/", null, function(status, members, token) {
+            request("PUT", "/one.txt", {}, "1", function() {
+                request("PUT", "/two.txt", {}, "2", function() {
+                    sync("/", token, {limit: 1}, function(status, members, newToken) {
+                        assert.equal(status, 207);
+                        assert.deepEqual(members, {"/one.txt": 200, "/": 507});
+                        sync("/", newToken, function(status, members) {
+                            assert.deepEqual(members, {"/two.txt": 200});
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test moves and copies are recorded": function(next) {
+        sync("/", null, function(status, members, token) {
+            request("MOVE", "/dir/c.txt", {destination: "/moved.txt"}, null, function(status) {
+                assert.equal(status, 201);
+                request("COPY", "/moved.txt", {destination: "/dir/copied.txt"}, null, function(status) {
+                    assert.equal(status, 201);
+                    sync("/", token, {level: "infinite"}, function(status, members) {
+                        assert.deepEqual(members, {"/dir/c.txt": 404, "/moved.txt": 200, "/dir/copied.txt": 200});
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test every collection has its own sync-token": function(next) {
+        Fs.mkdirSync(ROOT + "/other");
+        getSyncToken("/dir", function(token) {
+            request("PUT", "/other/e.txt", {}, "e", function(status) {
+                assert.equal(status, 201);
+                getSyncToken("/dir", function(unchanged) {
+                    assert.equal(unchanged, token);
+                    sync("/dir", token, function(status, members, newToken) {
+                        assert.deepEqual(members, {});
+                        assert.equal(newToken, token);
+                        request("PUT", "/dir/e.txt", {}, "e", function(status) {
+                            assert.equal(status, 201);
+                            getSyncToken("/dir", function(changed) {
+                                assert.notEqual(changed, token);
+                                getSyncToken("/", function(root) {
+                                    assert.equal(root, changed);
+                                    next();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test change logs look up the changes of a collection": function(next) {
+        Fs.mkdirSync(ROOT + "/.changes");
+        checkBackend(jsDAV_Sync_Backend_Memory.new(), function() {
+            checkBackend(jsDAV_Sync_Backend_FS.new(ROOT + "/.changes"), next);
+        });
+    },
+
+    "test tokens of collections stay valid when old changes are discarded": function(next) {
+        var backend = jsDAV_Sync_Backend_Memory.new(2);
+        backend.addChange("a.txt", "added", function() {
+            backend.addChange("dir/b.txt", "added", function() {
+                backend.addChange("c.txt", "modified", function() {
+                    // the change of 'a.txt' is discarded
+                    backend.getCurrentToken("a.txt", function(err, token) {
+                        assert.equal(token, 1);
+                        backend.getChanges("a.txt", 1, function(err, changes) {
+                            assert.deepEqual(changes, []);
+                            backend.getChanges("", 0, function(err, changes) {
+                                assert.equal(changes, null);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test invalid sync-tokens are rejected": function(next) {
+        sync("/", PREFIX + "1000", function(status, members, token, data) {
+            assert.equal(status, 403);
+            assert.ok(/<d:valid-sync-token\s*\/>/.test(data));
+            sync("/", "http://example.com/sync/1", function(status, members, token, data) {
+                assert.equal(status, 403);
+                assert.ok(/<d:valid-sync-token\s*\/>/.test(data));
+                next();
+            });
+        });
+    },
+
+    "test invalid sync-levels are rejected": function(next) {
+        sync("/", null, {level: "2"}, function(status) {
+            assert.equal(status, 400);
+            next();
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
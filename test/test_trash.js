@@ -0,0 +1,245 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_Auth_Backend_AbstractBasic = require("./../lib/DAV/plugins/auth/abstractBasic");
+var jsDAV_Trash_Backend_FS = require("./../lib/DAV/plugins/trash/fs");
+
+var PORT = 8026;
+var TMP = Path.join(Os.tmpdir(), "jsdav_test_trash_" + process.pid);
+var ROOT = TMP + "/files";
+
+var AuthBackend = jsDAV_Auth_Backend_AbstractBasic.extend({
+    validateUserPass: function(username, password, callback) {
+        callback(password == "secret");
+    }
+});
+
+function request(user, method, path, headers, body, callback) {
+    headers.authorization = "Basic " + new Buffer(user + ":secret").toString("base64");
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+/**
+ * Passes the items in the trash of a user, like
+ * [{href: "/.trash/<id>", location: "/a.txt"}].
+ */
+function getTrash(user, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:">'
+        + '<D:prop xmlns:a="http://ajax.org/2005/aml"><D:displayname/><a:trash-original-location/></D:prop>'
+        + "</D:propfind>";
+    request(user, "PROPFIND", "/.trash", {depth: "1", "content-type": "application/xml"}, body, function(status, data) {
+        assert.equal(status, 207);
+        var items = [];
+        data.split(/<d:response>/i).slice(2).forEach(function(response) {
+            items.push({
+                href: response.match(/<d:href>(.*?)<\/d:href>/i)[1],
+                location: response.match(/trash-original-location[^>]*><d:href>(.*?)<\/d:href>/i)[1]
+            });
+        });
+        callback(items);
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(TMP);
+        Fs.mkdirSync(ROOT);
+        this.backend = jsDAV_Trash_Backend_FS.new(TMP + "/trash");
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            authBackend: AuthBackend.new(),
+            trashBackend: this.backend
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(TMP, function() {
+            next();
+        });
+    },
+
+    setUp: function(next) {
+        Fs.writeFileSync(ROOT + "/a.txt", "a");
+        Fs.mkdirSync(ROOT + "/dir");
+        Fs.writeFileSync(ROOT + "/dir/b.txt", "b");
+        next();
+    },
+
+    tearDown: function(next) {
+        var backend = this.backend;
+        backend.getItems(function(err, items) {
+            Async.list(items)
+                .each(function(item, cbnext) {
+                    backend.deleteItem(item, cbnext);
+                })
+                .end(function() {
+                    Async.rmtree(ROOT + "/dir", function() {
+                        next();
+                    });
+                });
+        });
+    },
+
+    "test deleted resources are moved to the trash of their user": function(next) {
+        request("alice", "DELETE", "/dir", {}, null, function(status) {
+            assert.equal(status, 204);
+            assert.ok(!Fs.existsSync(ROOT + "/dir"));
+            getTrash("alice", function(items) {
+                assert.equal(items.length, 1);
+                assert.equal(items[0].location, "/dir");
+                request("alice", "GET", items[0].href + "/b.txt", {}, null, function(status, data) {
+                    assert.equal(status, 200);
+                    assert.equal(data, "b");
+                    getTrash("bob", function(items) {
+                        assert.deepEqual(items, []);
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test resources in the trash can not be modified": function(next) {
+        request("alice", "DELETE", "/a.txt", {}, null, function(status) {
+            assert.equal(status, 204);
+            getTrash("alice", function(items) {
+                request("alice", "PUT", items[0].href, {}, "changed", function(status) {
+                    assert.equal(status, 403);
+                    request("alice", "MOVE", "/dir", {destination: items[0].href + "/dir"}, null, function(status) {
+                        assert.equal(status, 403);
+                        request("alice", "COPY", "/dir/b.txt", {destination: "/.trash/b.txt"}, null, function(status) {
+                            assert.equal(status, 403);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test moving a resource out of the trash restores it": function(next) {
+        request("alice", "DELETE", "/dir", {}, null, function(status) {
+            assert.equal(status, 204);
+            getTrash("alice", function(items) {
+                // the trash of another user is not accessible
+                request("bob", "MOVE", items[0].href, {destination: "/dir"}, null, function(status) {
+                    assert.equal(status, 404);
+                    request("alice", "MOVE", items[0].href, {destination: "/dir"}, null, function(status) {
+                        assert.equal(status, 201);
+                        assert.equal(Fs.readFileSync(ROOT + "/dir/b.txt", "utf8"), "b");
+                        getTrash("alice", function(items) {
+                            assert.deepEqual(items, []);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test restoring honours the Overwrite header": function(next) {
+        request("alice", "DELETE", "/a.txt", {}, null, function(status) {
+            assert.equal(status, 204);
+            Fs.writeFileSync(ROOT + "/a.txt", "new");
+            getTrash("alice", function(items) {
+                var href = items[0].href;
+                request("alice", "MOVE", href, {destination: "/a.txt", overwrite: "F"}, null, function(status) {
+                    assert.equal(status, 412);
+                    request("alice", "MOVE", href, {destination: "/a.txt"}, null, function(status) {
+                        assert.equal(status, 204);
+                        assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "a");
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test resources are purged by deleting them from the trash": function(next) {
+        request("alice", "DELETE", "/a.txt", {}, null, function() {
+            request("alice", "DELETE", "/dir", {}, null, function() {
+                getTrash("alice", function(items) {
+                    assert.equal(items.length, 2);
+                    request("alice", "DELETE", items[0].href, {}, null, function(status) {
+                        assert.equal(status, 204);
+                        getTrash("alice", function(items) {
+                            assert.equal(items.length, 1);
+                            request("alice", "DELETE", "/.trash", {}, null, function(status) {
+                                assert.equal(status, 204);
+                                getTrash("alice", function(items) {
+                                    assert.deepEqual(items, []);
+                                    assert.deepEqual(Fs.readdirSync(TMP + "/trash"), []);
+                                    next();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test resources expire after the retention period": function(next) {
+        var options = this.server.options;
+        var backend = this.backend;
+        request("alice", "DELETE", "/a.txt", {}, null, function(status) {
+            assert.equal(status, 204);
+            options.trashRetention = 0.05;
+            setTimeout(function() {
+                // expired resources are hidden right away...
+                backend.$lastPurge = Date.now();
+                getTrash("alice", function(items) {
+                    assert.deepEqual(items, []);
+                    assert.equal(Fs.readdirSync(TMP + "/trash").length, 2);
+                    // ...and purged once the purge interval passed
+                    backend.$lastPurge = 0;
+                    getTrash("alice", function() {
+                        delete options.trashRetention;
+                        // purging doesn't hold up the request
+                        setTimeout(function() {
+                            assert.deepEqual(Fs.readdirSync(TMP + "/trash"), []);
+                            next();
+                        }, 100);
+                    });
+                });
+            }, 100);
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
@@ -0,0 +1,187 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_Auth_Backend_AbstractBasic = require("./../lib/DAV/plugins/auth/abstractBasic");
+var jsDAV_Upload_Backend_FS = require("./../lib/DAV/plugins/upload/fs");
+
+var PORT = 8022;
+var TMP = Path.join(Os.tmpdir(), "jsdav_test_upload_" + process.pid);
+var ROOT = TMP + "/files";
+
+var AuthBackend = jsDAV_Auth_Backend_AbstractBasic.extend({
+    validateUserPass: function(username, password, callback) {
+        callback(password == "secret");
+    }
+});
+
+/**
+ * Starts a request as 'user' and passes the status and the headers of the
+ * response. The request is returned, so that its body can be sent later.
+ */
+function send(user, method, path, headers, callback) {
+    headers.authorization = "Basic " + new Buffer(user + ":secret").toString("base64");
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        res.resume();
+        res.on("end", function() {
+            callback(res.statusCode, res.headers);
+        });
+    });
+    req.on("error", function() {});
+    return req;
+}
+
+function request(user, method, path, headers, body, callback) {
+    send(user, method, path, headers, callback).end(body);
+}
+
+function create(user, path, length, callback) {
+    request(user, "POST", path, {"upload-length": String(length)}, null, function(status, headers) {
+        assert.equal(status, 201);
+        assert.equal(headers["upload-offset"], "0");
+        callback(headers["upload-id"]);
+    });
+}
+
+function append(user, path, id, offset, data, callback) {
+    request(user, "PUT", path, {
+        "upload-id": id,
+        "upload-offset": String(offset),
+        "content-length": String(data.length)
+    }, data, callback);
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(TMP);
+        Fs.mkdirSync(ROOT);
+        Fs.mkdirSync(TMP + "/sessions");
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            tmpDir: TMP,
+            authBackend: AuthBackend.new(),
+            uploadBackend: jsDAV_Upload_Backend_FS.new(TMP + "/sessions")
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(TMP, function() {
+            next();
+        });
+    },
+
+    "test uploading a file in chunks": function(next) {
+        create("alice", "/file.txt", 10, function(id) {
+            append("alice", "/file.txt", id, 0, "01234", function(status, headers) {
+                assert.equal(status, 204);
+                assert.equal(headers["upload-offset"], "5");
+                request("alice", "HEAD", "/file.txt", {"upload-id": id}, null, function(status, headers) {
+                    assert.equal(status, 200);
+                    assert.equal(headers["upload-offset"], "5");
+                    assert.equal(headers["upload-length"], "10");
+                    append("alice", "/file.txt", id, 3, "34567", function(status) {
+                        assert.equal(status, 409);
+                        append("alice", "/file.txt", id, 5, "56789", function(status) {
+                            assert.equal(status, 201);
+                            assert.equal(Fs.readFileSync(ROOT + "/file.txt", "utf8"), "0123456789");
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test chunks of one upload are received one at a time": function(next) {
+        create("alice", "/serial.txt", 10, function(id) {
+            var headers = {"upload-id": id, "upload-offset": "0", "content-length": "5"};
+            var first = send("alice", "PUT", "/serial.txt", headers, function(status, headers) {
+                assert.equal(status, 204);
+                assert.equal(headers["upload-offset"], "5");
+                append("alice", "/serial.txt", id, 5, "56789", function(status) {
+                    assert.equal(status, 201);
+                    assert.equal(Fs.readFileSync(ROOT + "/serial.txt", "utf8"), "0123456789");
+                    next();
+                });
+            });
+            // the first chunk didn't send any data yet, so the offset of the
+            // upload is still the offset of the second one
+            first.flushHeaders();
+            setTimeout(function() {
+                append("alice", "/serial.txt", id, 0, "abcde", function(status) {
+                    assert.equal(status, 409);
+                    first.end("01234");
+                });
+            }, 100);
+        });
+    },
+
+    "test an aborted chunk doesn't block the upload": function(next) {
+        create("alice", "/aborted.txt", 10, function(id) {
+            var headers = {"upload-id": id, "upload-offset": "0", "content-length": "5"};
+            var req = send("alice", "PUT", "/aborted.txt", headers, function() {});
+            req.write("01");
+            setTimeout(function() {
+                req.destroy();
+                setTimeout(function() {
+                    request("alice", "HEAD", "/aborted.txt", {"upload-id": id}, null, function(status, headers) {
+                        assert.equal(status, 200);
+                        assert.equal(headers["upload-offset"], "0");
+                        append("alice", "/aborted.txt", id, 0, "01234", function(status) {
+                            assert.equal(status, 204);
+                            next();
+                        });
+                    });
+                }, 200);
+            }, 100);
+        });
+    },
+
+    "test sessions can only be used by their owner": function(next) {
+        create("alice", "/owned.txt", 10, function(id) {
+            append("bob", "/owned.txt", id, 0, "01234", function(status) {
+                assert.equal(status, 403);
+                request("bob", "HEAD", "/owned.txt", {"upload-id": id}, null, function(status) {
+                    assert.equal(status, 403);
+                    request("bob", "DELETE", "/owned.txt", {"upload-id": id}, null, function(status) {
+                        assert.equal(status, 403);
+                        request("alice", "DELETE", "/owned.txt", {"upload-id": id}, null, function(status) {
+                            assert.equal(status, 204);
+                            request("alice", "HEAD", "/owned.txt", {"upload-id": id}, null, function(status) {
+                                assert.equal(status, 404);
+                                assert.ok(!Fs.existsSync(ROOT + "/owned.txt"));
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();
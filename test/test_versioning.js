@@ -0,0 +1,211 @@
+/*
+ * @package jsDAV
+ * @subpackage DAV
+ * @copyright Copyright(c) 2013 Mike de Boer. <info AT mikedeboer DOT nl>
+ * @author Mike de Boer <info AT mikedeboer DOT nl>
+ * @license http://github.com/mikedeboer/jsDAV/blob/master/LICENSE MIT License
+ */
+"use strict";
+
+var assert = require("assert");
+var Fs = require("fs");
+var Http = require("http");
+var Os = require("os");
+var Path = require("path");
+var Async = require("asyncjs");
+var jsDAV = require("./../lib/jsdav");
+var jsDAV_Versioning_Backend_FS = require("./../lib/DAV/plugins/versioning/fs");
+
+var PORT = 8024;
+var TMP = Path.join(Os.tmpdir(), "jsdav_test_versioning_" + process.pid);
+var ROOT = TMP + "/files";
+
+function request(method, path, headers, body, callback) {
+    var req = Http.request({
+        host: "127.0.0.1",
+        port: PORT,
+        method: method,
+        path: path,
+        headers: headers
+    }, function(res) {
+        var data = "";
+        res.setEncoding("utf8");
+        res.on("data", function(chunk) {
+            data += chunk;
+        });
+        res.on("end", function() {
+            callback(res.statusCode, data);
+        });
+    });
+    req.end(body);
+}
+
+function getHrefs(data) {
+    var hrefs = [];
+    data.replace(/<d:href>(.*?)<\/d:href>/gi, function(m, href) {
+        hrefs.push(href);
+    });
+    return hrefs;
+}
+
+function propfind(path, prop, callback) {
+    var body = '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:"><D:prop>'
+        + prop + "</D:prop></D:propfind>";
+    request("PROPFIND", path, {depth: "0", "content-type": "application/xml"}, body, callback);
+}
+
+function getCheckedIn(path, callback) {
+    propfind(path, "<D:checked-in/>", function(status, data) {
+        assert.equal(status, 207);
+        var match = data.match(/<d:checked-in><d:href>(.*?)<\/d:href>/i);
+        callback(match ? match[1] : null);
+    });
+}
+
+module.exports = {
+    timeout: 10000,
+
+    setUpSuite: function(next) {
+        Fs.mkdirSync(TMP);
+        Fs.mkdirSync(ROOT);
+        this.server = jsDAV.createServer({
+            node: ROOT,
+            versionsBackend: jsDAV_Versioning_Backend_FS.new(TMP + "/versions")
+        }, PORT, "127.0.0.1");
+        this.server.on("listening", function() {
+            next();
+        });
+    },
+
+    tearDownSuite: function(next) {
+        this.server.close();
+        Async.rmtree(TMP, function() {
+            next();
+        });
+    },
+
+    "test every PUT records a version": function(next) {
+        request("PUT", "/a.txt", {}, "one", function(status) {
+            assert.equal(status, 201);
+            request("PUT", "/a.txt", {}, "two", function(status) {
+                assert.equal(status, 200);
+                getCheckedIn("/a.txt", function(href) {
+                    assert.equal(href, "/.versions/a.txt/2");
+                    request("GET", "/.versions/a.txt/1", {}, null, function(status, data) {
+                        assert.equal(status, 200);
+                        assert.equal(data, "one");
+                        request("GET", "/.versions/a.txt/2", {}, null, function(status, data) {
+                            assert.equal(data, "two");
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    "test versions can not be modified": function(next) {
+        request("PUT", "/.versions/a.txt/1", {}, "changed", function(status) {
+            assert.equal(status, 403);
+            request("DELETE", "/.versions/a.txt", {}, null, function(status) {
+                assert.equal(status, 403);
+                request("COPY", "/a.txt", {destination: "/.versions/a.txt/3"}, null, function(status) {
+                    assert.equal(status, 403);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test the version-tree report lists all versions": function(next) {
+        var body = '<?xml version="1.0" encoding="utf-8"?><D:version-tree xmlns:D="DAV:">'
+            + "<D:prop><D:version-name/><D:predecessor-set/></D:prop></D:version-tree>";
+        request("REPORT", "/a.txt", {"content-type": "application/xml"}, body, function(status, data) {
+            assert.equal(status, 207);
+            assert.deepEqual(getHrefs(data), [
+                "/.versions/a.txt/1",
+                "/.versions/a.txt/2",
+                // the predecessor of version 2
+                "/.versions/a.txt/1"
+            ]);
+            assert.ok(/<d:version-name>2<\/d:version-name>/.test(data));
+            request("REPORT", "/.versions/a.txt/1", {"content-type": "application/xml"}, body, function(status, data) {
+                assert.equal(status, 207);
+                assert.equal(getHrefs(data).length, 3);
+                next();
+            });
+        });
+    },
+
+    "test copying a version restores it as a new version": function(next) {
+        request("COPY", "/.versions/a.txt/1", {destination: "/a.txt"}, null, function(status) {
+            assert.equal(status, 204);
+            assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "one");
+            getCheckedIn("/a.txt", function(href) {
+                assert.equal(href, "/.versions/a.txt/3");
+                request("COPY", "/.versions/a.txt/2", {destination: "/b.txt"}, null, function(status) {
+                    assert.equal(status, 201);
+                    assert.equal(Fs.readFileSync(ROOT + "/b.txt", "utf8"), "two");
+                    getCheckedIn("/b.txt", function(href) {
+                        assert.equal(href, "/.versions/b.txt/1");
+                        next();
+                    });
+                });
+            });
+        });
+    },
+
+    "test UPDATE checks out an old version": function(next) {
+        var body = '<?xml version="1.0" encoding="utf-8"?><D:update xmlns:D="DAV:">'
+            + "<D:version><D:href>/.versions/a.txt/2</D:href></D:version>"
+            + "<D:prop><D:checked-in/></D:prop></D:update>";
+        var headers = {"x-http-method-override": "UPDATE", "content-type": "application/xml"};
+        request("POST", "/a.txt", headers, body, function(status, data) {
+            assert.equal(status, 207);
+            assert.ok(/<d:checked-in><d:href>\/\.versions\/a\.txt\/2<\/d:href>/i.test(data));
+            assert.equal(Fs.readFileSync(ROOT + "/a.txt", "utf8"), "two");
+            // the next version is a successor of the version that was updated to
+            request("PUT", "/a.txt", {}, "four", function(status) {
+                assert.equal(status, 200);
+                propfind("/.versions/a.txt/4", "<D:predecessor-set/>", function(status, data) {
+                    assert.equal(status, 207);
+                    assert.deepEqual(getHrefs(data).slice(1), ["/.versions/a.txt/2"]);
+                    next();
+                });
+            });
+        });
+    },
+
+    "test UPDATE to a version of another file is refused": function(next) {
+        var body = '<?xml version="1.0" encoding="utf-8"?><D:update xmlns:D="DAV:">'
+            + "<D:version><D:href>/.versions/b.txt/1</D:href></D:version></D:update>";
+        var headers = {"x-http-method-override": "UPDATE", "content-type": "application/xml"};
+        request("POST", "/a.txt", headers, body, function(status, data) {
+            assert.equal(status, 409);
+            assert.ok(/<d:must-select-version-in-history\s*\/>/i.test(data));
+            next();
+        });
+    },
+
+    "test histories follow moves and are removed with their files": function(next) {
+        request("MOVE", "/a.txt", {destination: "/moved.txt"}, null, function(status) {
+            assert.equal(status, 201);
+            request("GET", "/.versions/moved.txt/1", {}, null, function(status, data) {
+                assert.equal(status, 200);
+                assert.equal(data, "one");
+                request("GET", "/.versions/a.txt/1", {}, null, function(status) {
+                    assert.equal(status, 404);
+                    request("DELETE", "/moved.txt", {}, null, function(status) {
+                        assert.equal(status, 204);
+                        request("GET", "/.versions/moved.txt/1", {}, null, function(status) {
+                            assert.equal(status, 404);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
+
+!module.parent && require("./../node_modules/asyncjs/lib/test").testcase(module.exports).exec();